@@ -7,8 +7,11 @@ const authRoutes = require('../src/routes/auth');
 const ocrRoutes = require('../src/routes/ocr');
 const receiptRoutes = require('../src/routes/receipts');
 const warrantyRoutes = require('../src/routes/warranties');
-// TODO: Fix axios dependency for chat routes
-// const chatRoutes = require('../src/routes/chat');
+const budgetRoutes = require('../src/routes/budgets');
+const categorizationRoutes = require('../src/routes/categorization');
+const merchantRoutes = require('../src/routes/merchants');
+const chatRoutes = require('../src/routes/chat');
+// TODO: Fix express-validator dependency for search routes
 // const searchRoutes = require('../src/routes/search');
 
 // API route definitions
@@ -17,7 +20,10 @@ router.use('/auth', authRoutes);
 router.use('/ocr', ocrRoutes);
 router.use('/receipts', receiptRoutes);
 router.use('/warranties', warrantyRoutes);
-// router.use('/chat', chatRoutes);
+router.use('/budgets', budgetRoutes);
+router.use('/categorization', categorizationRoutes);
+router.use('/merchants', merchantRoutes);
+router.use('/chat', chatRoutes);
 // router.use('/search', searchRoutes);
 
 // Root API endpoint
@@ -34,9 +40,12 @@ router.get('/', (req, res) => {
       auth: '/api/auth',
       ocr: '/api/ocr',
       receipts: '/api/receipts',
-      warranties: '/api/warranties'
+      warranties: '/api/warranties',
+      budgets: '/api/budgets',
+      categorization: '/api/categorization',
+      merchants: '/api/merchants',
+      chat: '/api/chat'
       // TODO: Enable after fixing dependencies
-      // chat: '/api/chat',
       // search: '/api/search'
     }
   });
@@ -55,7 +64,11 @@ router.use('*', (req, res) => {
       auth: '/api/auth',
       ocr: '/api/ocr',
       receipts: '/api/receipts',
-      warranties: '/api/warranties'
+      warranties: '/api/warranties',
+      budgets: '/api/budgets',
+      categorization: '/api/categorization',
+      merchants: '/api/merchants',
+      chat: '/api/chat'
     }
   });
 });
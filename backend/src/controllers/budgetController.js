@@ -0,0 +1,185 @@
+/**
+ * Budget Controller
+ * Handles budget management and budget status endpoints
+ */
+
+const budgetService = require('../services/budgetService');
+const { APIError } = require('../../utils/errorHandler');
+
+/**
+ * Get all budgets for authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getBudgets = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const filters = {
+      is_active: req.query.is_active !== undefined ? req.query.is_active === 'true' : undefined,
+      category_id: req.query.category_id,
+      period_type: req.query.period_type
+    };
+
+    const budgets = await budgetService.getUserBudgets(userId, filters);
+
+    res.status(200).json({
+      success: true,
+      data: budgets,
+      count: budgets.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get status summary across all active budgets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getBudgetsStatus = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { date } = req.query;
+
+    if (date && !Date.parse(date)) {
+      throw new APIError('date must be a valid date (YYYY-MM-DD)', 400, 'INVALID_DATE');
+    }
+
+    const summary = await budgetService.getBudgetsStatusSummary(userId, date || new Date());
+
+    res.status(200).json({
+      success: true,
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single budget by ID with its current status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getBudgetById = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const budgetId = req.params.id;
+
+    const budget = await budgetService.getBudgetById(budgetId, userId);
+
+    if (!budget) {
+      throw new APIError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    const status = await budgetService.getBudgetStatus(budgetId, userId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...budget,
+        current_status: status
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create new budget
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const createBudget = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const budgetData = {
+      ...req.body,
+      user_id: userId
+    };
+
+    const budget = await budgetService.createBudget(budgetData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: budget,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update existing budget
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const updateBudget = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const budgetId = req.params.id;
+
+    const budget = await budgetService.updateBudget(budgetId, userId, req.body);
+
+    if (!budget) {
+      throw new APIError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: budget,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete budget
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const deleteBudget = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const budgetId = req.params.id;
+
+    const deleted = await budgetService.deleteBudget(budgetId, userId);
+
+    if (!deleted) {
+      throw new APIError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBudgets,
+  getBudgetsStatus,
+  getBudgetById,
+  createBudget,
+  updateBudget,
+  deleteBudget
+};
@@ -0,0 +1,216 @@
+/**
+ * Categorization Controller
+ * Handles endpoints for the per-user receipt categorization model and
+ * categorization rules
+ */
+
+const mlCategorizationService = require('../services/mlCategorizationService');
+const categorizationRulesService = require('../services/categorizationRulesService');
+const { APIError } = require('../../utils/errorHandler');
+
+/**
+ * Get categorization model statistics and accuracy over time
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { interval = 'month' } = req.query;
+    const periods = req.query.periods !== undefined ? parseInt(req.query.periods, 10) : 6;
+
+    if (isNaN(periods) || periods < 1 || periods > 24) {
+      throw new APIError('periods must be between 1 and 24', 400, 'INVALID_PERIODS');
+    }
+
+    const stats = await mlCategorizationService.getCategorizationStats(userId, { interval, periods });
+
+    res.status(200).json({
+      success: true,
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the user's categorization rules in evaluation order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getRules = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const rules = await categorizationRulesService.getUserRules(userId);
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      count: rules.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single categorization rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getRuleById = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const rule = await categorizationRulesService.getRuleById(req.params.id, userId);
+
+    if (!rule) {
+      throw new APIError('Rule not found', 404, 'RULE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create categorization rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const createRule = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const rule = await categorizationRulesService.createRule({
+      ...req.body,
+      user_id: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rule created successfully',
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update categorization rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const updateRule = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const rule = await categorizationRulesService.updateRule(req.params.id, userId, req.body);
+
+    if (!rule) {
+      throw new APIError('Rule not found', 404, 'RULE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule updated successfully',
+      data: rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete categorization rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const deleteRule = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const deleted = await categorizationRulesService.deleteRule(req.params.id, userId);
+
+    if (!deleted) {
+      throw new APIError('Rule not found', 404, 'RULE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Rule deleted successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the evaluation order of the user's rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const reorderRules = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const rules = await categorizationRulesService.reorderRules(userId, req.body.rule_ids);
+
+    res.status(200).json({
+      success: true,
+      message: 'Rules reordered successfully',
+      data: rules,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview what rules would change on recent receipts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const dryRunRules = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { days, rule } = req.body;
+
+    const result = await categorizationRulesService.dryRunRules(userId, { days, rule });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStats,
+  getRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  dryRunRules
+};
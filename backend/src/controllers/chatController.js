@@ -2,6 +2,53 @@ const ragService = require('../services/ragService');
 const { supabase } = require('../../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Switch a response to Server-Sent Events. Writes stop once the client has
+ * gone away; a comment line every few seconds keeps proxies from closing
+ * an idle connection while context is retrieved.
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), isOpen() }
+ */
+const openEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const heartbeat = setInterval(() => {
+    if (open) res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (!open) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (open) {
+        open = false;
+        res.end();
+      }
+    },
+    isOpen: () => open
+  };
+};
+
 /**
  * Chat Controller for Hey-Bills RAG Assistant
  * Handles chat endpoints and conversation management
@@ -56,7 +103,9 @@ class ChatController {
           search_strategy: result.search_strategy,
           processing_time_ms: result.processing_time_ms,
           confidence: result.confidence,
-          sources: result.sources
+          sources: result.sources,
+          ...(result.tool_calls && { tool_calls: result.tool_calls }),
+          citations: result.citations || []
         },
         timestamp: new Date().toISOString()
       });
@@ -71,6 +120,86 @@ class ChatController {
     }
   }
 
+  /**
+   * Send a message and stream the AI response as Server-Sent Events:
+   * `start`, `sources`, one `token` per chunk of text, then `metadata`.
+   * A client that disconnects stops receiving events, but the answer is
+   * still completed and stored so it shows up in the conversation history.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async sendMessageStream(req, res) {
+    const { message, conversation_id } = req.body;
+    const userId = req.user?.id;
+
+    // Validation errors are sent as JSON before the stream starts
+    if (!message?.trim()) {
+      return res.status(400).json({
+        error: 'Message is required',
+        code: 'INVALID_MESSAGE'
+      });
+    }
+
+    if (!userId) {
+      return res.status(401).json({
+        error: 'User authentication required',
+        code: 'UNAUTHORIZED'
+      });
+    }
+
+    const conversationId = conversation_id || uuidv4();
+    const stream = openEventStream(res);
+
+    try {
+      stream.send('start', { conversation_id: conversationId });
+
+      const conversationHistory = conversation_id
+        ? await ragService.getConversationHistory(conversation_id, 10)
+        : [];
+
+      const result = await ragService.processQueryStream(
+        userId,
+        message.trim(),
+        conversationId,
+        conversationHistory,
+        {
+          onSources: (sources) => stream.send('sources', sources),
+          onToken: (content) => stream.send('token', { content })
+        }
+      );
+
+      if (!stream.isOpen()) {
+        console.info(`Chat stream client disconnected, answer stored for conversation ${conversationId}`);
+      }
+
+      stream.send('metadata', {
+        conversation_id: conversationId,
+        context_used: result.context_used,
+        search_strategy: result.search_strategy,
+        processing_time_ms: result.processing_time_ms,
+        confidence: result.confidence,
+        sources: result.sources,
+        ...(result.tool_calls && { tool_calls: result.tool_calls }),
+        citations: result.citations || [],
+        finish_reason: result.finish_reason,
+        model: result.model,
+        usage: result.usage,
+        ...(result.error && { error: true }),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Stream message error:', error);
+      stream.send('error', {
+        error: 'Failed to process message',
+        code: 'PROCESSING_ERROR',
+        message: 'An error occurred while processing your message. Please try again.'
+      });
+    } finally {
+      stream.end();
+    }
+  }
+
   /**
    * Get conversation history
    * @param {Object} req - Express request
@@ -0,0 +1,216 @@
+/**
+ * Merchant Controller
+ * Handles endpoints for the canonical merchant directory and its aliases
+ */
+
+const merchantService = require('../services/merchantService');
+const { APIError } = require('../../utils/errorHandler');
+
+/**
+ * Get the user's merchants
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getMerchants = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { search } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const merchants = await merchantService.getMerchants(userId, { search, limit, offset });
+
+    res.status(200).json({
+      success: true,
+      data: merchants,
+      count: merchants.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get fuzzy-matched aliases waiting for review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getPendingAliases = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const aliases = await merchantService.getPendingAliases(userId);
+
+    res.status(200).json({
+      success: true,
+      data: aliases,
+      count: aliases.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get single merchant with its aliases and spending
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getMerchantById = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const merchant = await merchantService.getMerchantById(req.params.id, userId);
+
+    if (!merchant) {
+      throw new APIError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: merchant,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a merchant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const updateMerchant = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const merchant = await merchantService.renameMerchant(req.params.id, userId, req.body.canonical_name);
+
+    if (!merchant) {
+      throw new APIError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Merchant updated successfully',
+      data: merchant,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge other merchants into this one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const mergeMerchants = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const merchant = await merchantService.mergeMerchants(userId, req.params.id, req.body.source_ids);
+
+    if (!merchant) {
+      throw new APIError('Merchant not found', 404, 'MERCHANT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Merchants merged successfully',
+      data: merchant,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a fuzzy-matched alias
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const confirmAlias = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const alias = await merchantService.confirmAlias(userId, req.params.id, req.params.aliasId);
+
+    if (!alias) {
+      throw new APIError('Alias not found', 404, 'ALIAS_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alias confirmed successfully',
+      data: alias,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Detach a wrongly matched alias into a merchant of its own
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const detachAlias = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const merchant = await merchantService.detachAlias(userId, req.params.id, req.params.aliasId);
+
+    if (!merchant) {
+      throw new APIError('Alias not found', 404, 'ALIAS_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Alias detached successfully',
+      data: merchant,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Link receipts that have no merchant yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const linkReceipts = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const result = await merchantService.linkUnlinkedReceipts(userId);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMerchants,
+  getPendingAliases,
+  getMerchantById,
+  updateMerchant,
+  mergeMerchants,
+  confirmAlias,
+  detachAlias,
+  linkReceipts
+};
@@ -4,6 +4,9 @@
  */
 
 const { ocrService, receiptService } = require('../services');
+const jobQueueService = require('../services/jobQueueService');
+const receiptProcessingService = require('../services/receiptProcessingService');
+const ocrBatchService = require('../services/ocrBatchService');
 const { APIError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 
@@ -31,6 +34,34 @@ const processReceipt = async (req, res, next) => {
       throw new APIError('Authentication required', 401, 'NOT_AUTHENTICATED');
     }
 
+    // Async mode: store the image, answer right away and let the worker run OCR
+    if (req.query.async === 'true' || req.body.async === 'true') {
+      const { receipt, job } = await receiptProcessingService.queueReceipt({
+        userId: req.user.id,
+        imageBuffer: req.file.buffer,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        categoryId: req.body.category_id || null,
+        notes: req.body.notes || null,
+        isBusinessExpense: req.body.is_business_expense === 'true',
+        isReimbursable: req.body.is_reimbursable === 'true',
+        tags: req.body.tags ? req.body.tags.split(',').map(tag => tag.trim()) : []
+      });
+
+      return res.status(202).json({
+        message: 'Receipt accepted for processing',
+        receipt: {
+          id: receipt.id,
+          processingStatus: receipt.processing_status,
+          imageUrl: receipt.image_url,
+          createdAt: receipt.created_at
+        },
+        jobId: job.id,
+        statusUrl: `/api/ocr/status/${receipt.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Process image with OCR service
     const ocrData = await ocrService.processReceiptImage({
       imageBuffer: req.file.buffer,
@@ -140,6 +171,25 @@ const reprocessReceipt = async (req, res, next) => {
       throw new APIError('Receipt not found', 404, 'RECEIPT_NOT_FOUND');
     }
 
+    // Hand the work to the background worker when requested
+    if (req.query.async === 'true') {
+      const job = await jobQueueService.enqueue({
+        jobType: jobQueueService.JOB_TYPES.OCR_PROCESSING,
+        jobName: `reprocess:${receiptId}`,
+        jobData: { receiptId, userId },
+        jobContext: { user_id: userId },
+        priority: 5
+      });
+
+      return res.status(202).json({
+        message: 'Receipt reprocessing queued',
+        jobId: job.id,
+        receiptId,
+        statusUrl: `/api/ocr/jobs/${job.id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Reprocess with current image
     const ocrData = await ocrService.reprocessReceiptImage({
       imageUrl: existingReceipt.image_url,
@@ -213,7 +263,8 @@ const getOCRStatus = async (req, res, next) => {
       itemCount: receipt.processed_data?.items?.length || 0,
       processingMetadata: receipt.ocr_data?.processing_metadata || null,
       needsReprocessing: receipt.ocr_confidence && receipt.ocr_confidence < 0.75,
-      lastProcessed: receipt.updated_at
+      lastProcessed: receipt.updated_at,
+      processing: receiptProcessingService.getProcessingStatus(receipt)
     };
 
     res.status(200).json({
@@ -227,6 +278,42 @@ const getOCRStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Get status of a background OCR job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getJobStatus = async (req, res, next) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.jobId, req.user.id);
+    if (!job) {
+      throw new APIError('Job not found', 404, 'JOB_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      message: 'Job status retrieved successfully',
+      job: {
+        id: job.id,
+        type: job.job_type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        scheduledAt: job.scheduled_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at,
+        processingDurationMs: job.processing_duration_ms,
+        result: job.result,
+        error: job.error_message
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Preview OCR results without saving to database
  * @param {Object} req - Express request object
@@ -290,6 +377,197 @@ const previewOCR = async (req, res, next) => {
   }
 };
 
+/**
+ * Whether the client asked for per-file results as a Server-Sent Events stream
+ */
+const wantsEventStream = (req) =>
+  req.query.stream === 'true' || (req.get('accept') || '').includes('text/event-stream');
+
+/**
+ * Summarize a finished batch run for JSON responses and the final stream event
+ */
+const buildBatchSummary = (batch) => ({
+  batchId: batch.id,
+  status: batch.status,
+  totalFiles: batch.total_files,
+  successful: batch.successful_files,
+  failed: batch.failed_files,
+  successRate: `${Math.round((batch.successful_files / Math.max(batch.total_files, 1)) * 100)}%`
+});
+
+/**
+ * Run a batch and respond either with one JSON document at the end or with
+ * a stream of per-file events as files finish
+ */
+const runBatchAndRespond = async (req, res, batch, files = []) => {
+  const userId = req.user.id;
+
+  if (!wantsEventStream(req)) {
+    const { batch: finishedBatch, results } = await ocrBatchService.runBatch(batch.id, userId, { files });
+    const errors = results.filter(result => !result.success);
+
+    return res.status(200).json({
+      message: 'Batch processing completed',
+      batchId: finishedBatch.id,
+      summary: buildBatchSummary(finishedBatch),
+      results: results.filter(result => result.success),
+      errors: errors.length > 0 ? errors : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Processing carries on if the client goes away; the batch record keeps the results
+  let clientConnected = true;
+  req.on('close', () => {
+    clientConnected = false;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientConnected && !res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  sendEvent('batch', {
+    batchId: batch.id,
+    totalFiles: batch.total_files,
+    statusUrl: `/api/ocr/batches/${batch.id}`
+  });
+
+  try {
+    const { batch: finishedBatch } = await ocrBatchService.runBatch(batch.id, userId, {
+      files,
+      onFileComplete: result => sendEvent('file', result)
+    });
+    sendEvent('complete', buildBatchSummary(finishedBatch));
+  } catch (error) {
+    logger.error('Batch processing failed:', { batchId: batch.id, error: error.message });
+    sendEvent('error', { message: error.message, code: error.code });
+  } finally {
+    // Temp files are normally removed when the response finishes
+    if (!clientConnected && res.cleanup) {
+      res.cleanup();
+    }
+    res.end();
+  }
+};
+
+/**
+ * Process multiple receipt images as a persistent batch
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const processBatch = async (req, res, next) => {
+  try {
+    logger.info('Starting batch OCR processing', {
+      userId: req.user.id,
+      fileCount: req.files.length
+    });
+
+    const { metadata, concurrency, ...defaults } = req.body;
+
+    const { batch } = await ocrBatchService.createBatch({
+      userId: req.user.id,
+      files: req.files,
+      defaults,
+      fileMetadata: ocrBatchService.parseFileMetadata(metadata),
+      concurrency
+    });
+
+    await runBatchAndRespond(req, res, batch, req.files);
+
+  } catch (error) {
+    logger.error('Batch processing failed:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+/**
+ * Resume an interrupted batch, retrying files that did not complete
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const resumeBatch = async (req, res, next) => {
+  try {
+    const batch = await ocrBatchService.getBatch(req.params.batchId, req.user.id);
+    if (!batch) {
+      throw new APIError('Batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+
+    logger.info('Resuming OCR batch', { batchId: batch.id, userId: req.user.id });
+
+    await runBatchAndRespond(req, res, batch);
+
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+};
+
+/**
+ * List batch uploads for the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getBatches = async (req, res, next) => {
+  try {
+    const batches = await ocrBatchService.listBatches(req.user.id, {
+      status: req.query.status,
+      limit: Math.min(parseInt(req.query.limit) || 20, 100),
+      offset: parseInt(req.query.offset) || 0
+    });
+
+    res.status(200).json({
+      message: 'Batches retrieved successfully',
+      batches,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a batch upload with per-file status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getBatch = async (req, res, next) => {
+  try {
+    const batch = await ocrBatchService.getBatch(req.params.batchId, req.user.id);
+    if (!batch) {
+      throw new APIError('Batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      message: 'Batch retrieved successfully',
+      batch,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get OCR processing statistics
  * @param {Object} req - Express request object
@@ -324,6 +602,11 @@ module.exports = {
   processReceipt,
   reprocessReceipt,
   getOCRStatus,
+  getJobStatus,
   previewOCR,
+  processBatch,
+  resumeBatch,
+  getBatches,
+  getBatch,
   getOCRStats
 };
\ No newline at end of file
@@ -3,7 +3,8 @@
  * Handles all receipt-related HTTP endpoints
  */
 
-const { receiptService } = require('../services/receiptService');
+const receiptService = require('../services/receiptService');
+const receiptSplitService = require('../services/receiptSplitService');
 const { APIError } = require('../utils/errorHandler');
 
 /**
@@ -324,6 +325,45 @@ const getAnalytics = async (req, res, next) => {
   }
 };
 
+/**
+ * Get input tax paid by tax type and rate, for expense reports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getTaxSummary = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const {
+      period = 'month',
+      date_from,
+      date_to,
+      business_only = 'true'
+    } = req.query;
+
+    const validPeriods = ['week', 'month', 'quarter', 'year', 'custom'];
+    if (!validPeriods.includes(period)) {
+      throw new APIError('Invalid period. Must be one of: ' + validPeriods.join(', '), 400, 'INVALID_PERIOD');
+    }
+
+    const summary = await receiptService.getTaxSummary(userId, {
+      period,
+      dateFrom: date_from,
+      dateTo: date_to,
+      businessOnly: business_only !== 'false'
+    });
+
+    res.status(200).json({
+      message: 'Tax summary retrieved successfully',
+      data: summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Bulk delete receipts
  * @param {Object} req - Express request object
@@ -410,6 +450,91 @@ const updateReceiptTags = async (req, res, next) => {
   }
 };
 
+/**
+ * Get how a receipt is split across categories
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getReceiptSplits = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const splits = await receiptSplitService.getReceiptSplits(id, userId);
+
+    if (!splits) {
+      throw new APIError('Receipt not found', 404, 'RECEIPT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      message: 'Receipt splits retrieved successfully',
+      data: splits,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Split a receipt across categories by hand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const updateReceiptSplits = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const splits = await receiptSplitService.setReceiptSplits(id, userId, req.body.splits);
+
+    if (!splits) {
+      throw new APIError('Receipt not found', 404, 'RECEIPT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      message: 'Receipt splits updated successfully',
+      data: splits,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Split a receipt by the categories of its line items
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const deriveReceiptSplits = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const overwriteManual = req.body?.overwrite_manual === true;
+
+    const splits = await receiptSplitService.deriveReceiptSplits(id, userId, { overwriteManual });
+
+    if (!splits) {
+      throw new APIError('Receipt not found', 404, 'RECEIPT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      message: 'Receipt splits derived successfully',
+      data: splits,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getReceipts,
   getReceiptById,
@@ -418,6 +543,10 @@ module.exports = {
   deleteReceipt,
   getCategories,
   getAnalytics,
+  getTaxSummary,
   bulkDeleteReceipts,
-  updateReceiptTags
+  updateReceiptTags,
+  getReceiptSplits,
+  updateReceiptSplits,
+  deriveReceiptSplits
 };
\ No newline at end of file
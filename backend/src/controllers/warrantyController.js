@@ -4,6 +4,7 @@
  */
 
 const warrantyService = require('../services/warrantyService');
+const warrantyClaimService = require('../services/warrantyClaimService');
 const { APIError } = require('../../utils/errorHandler');
 
 /**
@@ -238,14 +239,8 @@ const createWarrantyClaim = async (req, res, next) => {
   try {
     const userId = req.user.id;
     const warrantyId = req.params.id;
-    const claimData = {
-      ...req.body,
-      warranty_id: warrantyId,
-      user_id: userId,
-      claim_date: req.body.claim_date || new Date().toISOString().split('T')[0]
-    };
 
-    const claim = await warrantyService.createWarrantyClaim(claimData);
+    const claim = await warrantyClaimService.createClaim(warrantyId, userId, req.body);
 
     res.status(201).json({
       success: true,
@@ -258,6 +253,146 @@ const createWarrantyClaim = async (req, res, next) => {
   }
 };
 
+/**
+ * Get claims filed against a warranty
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getWarrantyClaims = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const warrantyId = req.params.id;
+    const { status } = req.query;
+
+    if (status && !Object.values(warrantyClaimService.CLAIM_STATUSES).includes(status)) {
+      throw new APIError('Invalid status. Must be one of: ' + Object.values(warrantyClaimService.CLAIM_STATUSES).join(', '), 400, 'INVALID_STATUS');
+    }
+
+    const claims = await warrantyClaimService.getClaims(warrantyId, userId, { status });
+
+    res.status(200).json({
+      success: true,
+      data: claims,
+      count: claims.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single claim with its timeline and documents
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const getWarrantyClaim = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: warrantyId, claimId } = req.params;
+
+    const claim = await warrantyClaimService.getClaim(claimId, warrantyId, userId);
+
+    if (!claim) {
+      throw new APIError('Warranty claim not found', 404, 'CLAIM_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a claim's status or details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const updateWarrantyClaim = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: warrantyId, claimId } = req.params;
+
+    const claim = await warrantyClaimService.updateClaim(claimId, warrantyId, userId, req.body);
+
+    if (!claim) {
+      throw new APIError('Warranty claim not found', 404, 'CLAIM_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Warranty claim updated successfully',
+      data: claim,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attach documents to a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const addWarrantyClaimDocuments = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: warrantyId, claimId } = req.params;
+
+    const documents = await warrantyClaimService.addClaimDocuments(claimId, warrantyId, userId, req.body.documents);
+
+    if (!documents) {
+      throw new APIError('Warranty claim not found', 404, 'CLAIM_NOT_FOUND');
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Documents attached successfully',
+      data: documents,
+      count: documents.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a document from a claim
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const removeWarrantyClaimDocument = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { id: warrantyId, claimId, documentId } = req.params;
+
+    const removed = await warrantyClaimService.removeClaimDocument(claimId, warrantyId, userId, documentId);
+
+    if (!removed) {
+      throw new APIError('Claim document not found', 404, 'DOCUMENT_NOT_FOUND');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Document removed successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete warranty
  * @param {Object} req - Express request object
@@ -334,6 +469,11 @@ module.exports = {
   updateWarranty,
   updateWarrantyReminder,
   createWarrantyClaim,
+  getWarrantyClaims,
+  getWarrantyClaim,
+  updateWarrantyClaim,
+  addWarrantyClaimDocuments,
+  removeWarrantyClaimDocument,
   deleteWarranty,
   bulkDeleteWarranties
 };
\ No newline at end of file
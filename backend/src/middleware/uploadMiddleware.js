@@ -13,9 +13,10 @@ const logger = require('../utils/logger');
 // File size and quantity limits (configurable via environment)
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB default
 const MAX_FILES = parseInt(process.env.MAX_FILES_PER_REQUEST) || 10; // Maximum files per request
+const MAX_BATCH_FILES = parseInt(process.env.MAX_FILES_PER_BATCH) || 100; // Maximum files per batch upload
 
 // Allowed MIME types (configurable via environment)
-const ALLOWED_IMAGE_TYPES = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp').split(',');
+const ALLOWED_IMAGE_TYPES = (process.env.ALLOWED_IMAGE_TYPES || 'image/jpeg,image/png,image/webp,image/heic,image/heif').split(',');
 const ALLOWED_DOCUMENT_TYPES = (process.env.ALLOWED_DOCUMENT_TYPES || 'application/pdf').split(',');
 const ALLOWED_MIME_TYPES = [...ALLOWED_IMAGE_TYPES, ...ALLOWED_DOCUMENT_TYPES];
 
@@ -29,6 +30,7 @@ const ALLOWED_EXTENSIONS = [
   '.heif',
   '.pdf'
 ];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
 
 /**
  * Memory storage configuration for processing images in memory
@@ -84,6 +86,12 @@ const fileFilter = (req, file, cb) => {
       fieldName: file.fieldname
     });
 
+    // Some clients don't recognise HEIC and send it as a generic binary
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (file.mimetype === 'application/octet-stream' && HEIC_EXTENSIONS.includes(extension)) {
+      file.mimetype = extension === '.heif' ? 'image/heif' : 'image/heic';
+    }
+
     // Check MIME type
     if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
       const error = new APIError(
@@ -95,7 +103,6 @@ const fileFilter = (req, file, cb) => {
     }
 
     // Check file extension
-    const extension = path.extname(file.originalname).toLowerCase();
     if (!ALLOWED_EXTENSIONS.includes(extension)) {
       const error = new APIError(
         `Invalid file extension. Allowed extensions: ${ALLOWED_EXTENSIONS.join(', ')}`,
@@ -153,6 +160,21 @@ const uploadDisk = multer({
   }
 });
 
+/**
+ * Multer configuration for batch uploads. Files go to disk so a large
+ * month-end batch does not sit in memory while it is processed.
+ */
+const uploadBatch = multer({
+  storage: diskStorage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_BATCH_FILES,
+    fields: 20,
+    parts: MAX_BATCH_FILES + 20
+  }
+});
+
 /**
  * Single file upload middleware for receipts
  */
@@ -161,7 +183,7 @@ const uploadSingleReceipt = uploadMemory.single('receipt');
 /**
  * Multiple files upload middleware for receipts
  */
-const uploadMultipleReceipts = uploadMemory.array('receipts', MAX_FILES);
+const uploadMultipleReceipts = uploadBatch.array('receipts', MAX_BATCH_FILES);
 
 /**
  * Single file upload with disk storage
@@ -282,7 +304,7 @@ const uploadMultipleReceiptsWithValidation = (req, res, next) => {
               ));
             case 'LIMIT_FILE_COUNT':
               return next(new APIError(
-                `Too many files. Maximum allowed: ${MAX_FILES}`,
+                `Too many files. Maximum allowed: ${MAX_BATCH_FILES}`,
                 400,
                 'TOO_MANY_FILES'
               ));
@@ -391,6 +413,7 @@ module.exports = {
   // Basic upload configurations
   uploadMemory,
   uploadDisk,
+  uploadBatch,
   uploadSingleReceipt,
   uploadMultipleReceipts,
   uploadSingleReceiptDisk,
@@ -403,6 +426,7 @@ module.exports = {
   // Configuration constants
   MAX_FILE_SIZE,
   MAX_FILES,
+  MAX_BATCH_FILES,
   ALLOWED_MIME_TYPES,
   ALLOWED_EXTENSIONS
 };
\ No newline at end of file
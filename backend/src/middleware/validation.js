@@ -432,6 +432,417 @@ const validateWarrantyQuery = (req, res, next) => {
   }
 };
 
+// Budget validation functions
+const BUDGET_PERIOD_TYPES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+/**
+ * Validate budget fields that are present in the request body
+ * @param {Object} body - Request body
+ */
+const checkBudgetFields = (body) => {
+  const {
+    name,
+    budget_amount,
+    period_type,
+    start_date,
+    end_date,
+    alert_at_percentage,
+    rollover_enabled,
+    max_rollover_amount,
+    is_active
+  } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+    throw new APIError('name must be a non-empty string of at most 100 characters', 400, 'INVALID_BUDGET_NAME');
+  }
+
+  if (budget_amount !== undefined) {
+    const amount = parseFloat(budget_amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw new APIError('budget_amount must be a positive number', 400, 'INVALID_BUDGET_AMOUNT');
+    }
+  }
+
+  if (period_type !== undefined && !BUDGET_PERIOD_TYPES.includes(period_type)) {
+    throw new APIError(`period_type must be one of: ${BUDGET_PERIOD_TYPES.join(', ')}`, 400, 'INVALID_PERIOD_TYPE');
+  }
+
+  if (start_date !== undefined && !Date.parse(start_date)) {
+    throw new APIError('start_date must be a valid date (YYYY-MM-DD)', 400, 'INVALID_START_DATE');
+  }
+
+  if (end_date !== undefined && end_date !== null) {
+    if (!Date.parse(end_date)) {
+      throw new APIError('end_date must be a valid date (YYYY-MM-DD)', 400, 'INVALID_END_DATE');
+    }
+    if (start_date && new Date(end_date) <= new Date(start_date)) {
+      throw new APIError('end_date must be after start_date', 400, 'INVALID_DATE_RANGE');
+    }
+  }
+
+  if (alert_at_percentage !== undefined && alert_at_percentage !== null) {
+    const percentage = parseInt(alert_at_percentage);
+    if (isNaN(percentage) || percentage < 1 || percentage > 100) {
+      throw new APIError('alert_at_percentage must be between 1 and 100', 400, 'INVALID_ALERT_PERCENTAGE');
+    }
+  }
+
+  if (rollover_enabled !== undefined && typeof rollover_enabled !== 'boolean') {
+    throw new APIError('rollover_enabled must be a boolean', 400, 'INVALID_ROLLOVER_FLAG');
+  }
+
+  if (max_rollover_amount !== undefined && max_rollover_amount !== null) {
+    const maxRollover = parseFloat(max_rollover_amount);
+    if (isNaN(maxRollover) || maxRollover < 0) {
+      throw new APIError('max_rollover_amount must be a non-negative number', 400, 'INVALID_MAX_ROLLOVER');
+    }
+  }
+
+  if (is_active !== undefined && typeof is_active !== 'boolean') {
+    throw new APIError('is_active must be a boolean', 400, 'INVALID_ACTIVE_FLAG');
+  }
+};
+
+const validateBudgetInput = (req, res, next) => {
+  try {
+    const { name, budget_amount, start_date } = req.body;
+
+    if (!name) {
+      throw new APIError('name is required', 400, 'MISSING_BUDGET_NAME');
+    }
+
+    if (budget_amount === undefined || budget_amount === null) {
+      throw new APIError('budget_amount is required', 400, 'MISSING_BUDGET_AMOUNT');
+    }
+
+    if (!start_date) {
+      throw new APIError('start_date is required', 400, 'MISSING_START_DATE');
+    }
+
+    checkBudgetFields(req.body);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateBudgetUpdate = (req, res, next) => {
+  try {
+    // Allow partial updates
+    checkBudgetFields(req.body);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const RULE_TEXT_LIST_FIELDS = ['item_keywords', 'payment_methods', 'match_tags', 'add_tags'];
+const RULE_BOOLEAN_FIELDS = ['is_active', 'stop_processing', 'mark_business_expense', 'mark_reimbursable'];
+const MAX_RULE_PATTERN_LENGTH = 200;
+const MAX_RULE_LIST_LENGTH = 50;
+
+/**
+ * Check the fields of a categorization rule
+ * @param {Object} body - Rule fields
+ */
+const checkRuleFields = (body) => {
+  const { name, priority, merchant_pattern, min_amount, max_amount, set_category_id } = body;
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 100)) {
+    throw new APIError('name must be a non-empty string of at most 100 characters', 400, 'INVALID_RULE_NAME');
+  }
+
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 0)) {
+    throw new APIError('priority must be a non-negative integer', 400, 'INVALID_RULE_PRIORITY');
+  }
+
+  if (merchant_pattern !== undefined && merchant_pattern !== null) {
+    if (typeof merchant_pattern !== 'string' || merchant_pattern.length > MAX_RULE_PATTERN_LENGTH) {
+      throw new APIError(`merchant_pattern must be a string of at most ${MAX_RULE_PATTERN_LENGTH} characters`, 400, 'INVALID_MERCHANT_PATTERN');
+    }
+    if (/^[\s*]+$/.test(merchant_pattern)) {
+      throw new APIError('merchant_pattern must contain text besides wildcards', 400, 'INVALID_MERCHANT_PATTERN');
+    }
+  }
+
+  for (const [field, value] of [['min_amount', min_amount], ['max_amount', max_amount]]) {
+    if (value !== undefined && value !== null) {
+      const amount = parseFloat(value);
+      if (isNaN(amount) || amount < 0) {
+        throw new APIError(`${field} must be a non-negative number`, 400, 'INVALID_RULE_AMOUNT');
+      }
+    }
+  }
+
+  for (const field of RULE_TEXT_LIST_FIELDS) {
+    const value = body[field];
+    if (value !== undefined && value !== null && (
+      !Array.isArray(value) ||
+      value.length > MAX_RULE_LIST_LENGTH ||
+      !value.every(entry => typeof entry === 'string' && entry.trim().length > 0)
+    )) {
+      throw new APIError(`${field} must be an array of at most ${MAX_RULE_LIST_LENGTH} non-empty strings`, 400, 'INVALID_RULE_LIST');
+    }
+  }
+
+  for (const field of RULE_BOOLEAN_FIELDS) {
+    if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+      throw new APIError(`${field} must be a boolean`, 400, 'INVALID_RULE_FLAG');
+    }
+  }
+
+  if (set_category_id !== undefined && set_category_id !== null && typeof set_category_id !== 'string') {
+    throw new APIError('set_category_id must be a category ID', 400, 'INVALID_CATEGORY');
+  }
+};
+
+const validateRuleInput = (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      throw new APIError('name is required', 400, 'MISSING_RULE_NAME');
+    }
+
+    checkRuleFields(req.body);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateRuleUpdate = (req, res, next) => {
+  try {
+    // Allow partial updates
+    checkRuleFields(req.body);
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateRuleOrder = (req, res, next) => {
+  try {
+    const { rule_ids } = req.body;
+
+    if (!Array.isArray(rule_ids) || !rule_ids.every(ruleId => typeof ruleId === 'string')) {
+      throw new APIError('rule_ids must be an array of rule IDs', 400, 'INVALID_RULE_ORDER');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateRuleDryRun = (req, res, next) => {
+  try {
+    const { days, rule } = req.body;
+
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 365)) {
+      throw new APIError('days must be an integer between 1 and 365', 400, 'INVALID_DAYS');
+    }
+
+    if (rule !== undefined && rule !== null) {
+      if (typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new APIError('rule must be an object', 400, 'INVALID_RULE');
+      }
+      checkRuleFields(rule);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateReceiptSplits = (req, res, next) => {
+  try {
+    const { splits } = req.body;
+
+    if (!Array.isArray(splits) || splits.length > 20) {
+      throw new APIError('splits must be an array of at most 20 splits', 400, 'INVALID_SPLITS');
+    }
+
+    for (const split of splits) {
+      if (!split || typeof split.category_id !== 'string') {
+        throw new APIError('Each split requires a category_id', 400, 'INVALID_SPLITS');
+      }
+      const amount = parseFloat(split.amount);
+      if (isNaN(amount) || amount < 0) {
+        throw new APIError('Each split amount must be a non-negative number', 400, 'INVALID_SPLIT_AMOUNT');
+      }
+      if (split.notes !== undefined && split.notes !== null && typeof split.notes !== 'string') {
+        throw new APIError('Split notes must be a string', 400, 'INVALID_SPLITS');
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateMerchantUpdate = (req, res, next) => {
+  try {
+    const { canonical_name } = req.body;
+
+    if (typeof canonical_name !== 'string' || canonical_name.trim().length === 0 || canonical_name.length > 255) {
+      throw new APIError('canonical_name must be a non-empty string of at most 255 characters', 400, 'INVALID_MERCHANT_NAME');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateMerchantMerge = (req, res, next) => {
+  try {
+    const { source_ids } = req.body;
+
+    if (!Array.isArray(source_ids) || source_ids.length === 0 || !source_ids.every(id => typeof id === 'string')) {
+      throw new APIError('source_ids must be a non-empty array of merchant IDs', 400, 'INVALID_MERGE');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const CLAIM_STATUSES = ['submitted', 'acknowledged', 'in_repair', 'resolved', 'rejected'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const checkClaimDocuments = (documents) => {
+  if (!Array.isArray(documents) || documents.length > 20) {
+    throw new APIError('documents must be an array of at most 20 documents', 400, 'INVALID_DOCUMENTS');
+  }
+  for (const document of documents) {
+    if (!document || typeof (document.file_url || document.url) !== 'string') {
+      throw new APIError('Each document requires a file_url', 400, 'INVALID_DOCUMENTS');
+    }
+  }
+};
+
+const validateClaimInput = (req, res, next) => {
+  try {
+    const { claim_reason, claim_description, claim_date, expected_resolution_date, claim_amount, supporting_documents } = req.body;
+
+    if (!claim_reason || typeof claim_reason !== 'string' || claim_reason.trim().length === 0) {
+      throw new APIError('claim_reason is required', 400, 'MISSING_CLAIM_REASON');
+    }
+    if (!claim_description || typeof claim_description !== 'string' || claim_description.trim().length === 0) {
+      throw new APIError('claim_description is required', 400, 'MISSING_CLAIM_DESCRIPTION');
+    }
+    for (const [field, value] of Object.entries({ claim_date, expected_resolution_date })) {
+      if (value !== undefined && value !== null && !DATE_PATTERN.test(value)) {
+        throw new APIError(`${field} must be a date (YYYY-MM-DD)`, 400, 'INVALID_DATE');
+      }
+    }
+    if (claim_amount !== undefined && claim_amount !== null && (typeof claim_amount !== 'number' || claim_amount < 0)) {
+      throw new APIError('claim_amount must be a non-negative number', 400, 'INVALID_CLAIM_AMOUNT');
+    }
+    if (supporting_documents !== undefined) {
+      checkClaimDocuments(supporting_documents);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateClaimUpdate = (req, res, next) => {
+  try {
+    const { status, note, expected_resolution_date, resolution_date, approved_amount } = req.body;
+    const fields = ['status', 'note', 'expected_resolution_date', 'resolution_notes', 'resolution_date', 'provider_reference', 'approved_amount'];
+
+    if (!fields.some(field => req.body[field] !== undefined)) {
+      throw new APIError('Provide at least one of: ' + fields.join(', '), 400, 'EMPTY_UPDATE');
+    }
+    if (status !== undefined && !CLAIM_STATUSES.includes(status)) {
+      throw new APIError('Invalid status. Must be one of: ' + CLAIM_STATUSES.join(', '), 400, 'INVALID_STATUS');
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 2000)) {
+      throw new APIError('note must be a string of at most 2000 characters', 400, 'INVALID_NOTE');
+    }
+    for (const [field, value] of Object.entries({ expected_resolution_date, resolution_date })) {
+      if (value !== undefined && value !== null && !DATE_PATTERN.test(value)) {
+        throw new APIError(`${field} must be a date (YYYY-MM-DD)`, 400, 'INVALID_DATE');
+      }
+    }
+    if (approved_amount !== undefined && approved_amount !== null && (typeof approved_amount !== 'number' || approved_amount < 0)) {
+      throw new APIError('approved_amount must be a non-negative number', 400, 'INVALID_APPROVED_AMOUNT');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const validateClaimDocuments = (req, res, next) => {
+  try {
+    checkClaimDocuments(req.body.documents);
+    if (req.body.documents.length === 0) {
+      throw new APIError('documents must not be empty', 400, 'INVALID_DOCUMENTS');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const REMINDER_DELIVERY_METHODS = ['in_app', 'email', 'push'];
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    return typeof timeZone === 'string' && Boolean(new Intl.DateTimeFormat('en-US', { timeZone }));
+  } catch (error) {
+    return false;
+  }
+};
+
+const validateReminderSettings = (req, res, next) => {
+  try {
+    const settings = req.body.reminder_settings;
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new APIError('reminder_settings object is required', 400, 'MISSING_REMINDER_SETTINGS');
+    }
+    const { enabled, days_before, time, timezone, business_days_only, delivery_method } = settings;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      throw new APIError('enabled must be a boolean', 400, 'INVALID_REMINDER_SETTINGS');
+    }
+    if (days_before !== undefined && (!Array.isArray(days_before) || days_before.length > 10 ||
+      days_before.some(day => !Number.isInteger(day) || day < 0 || day > 365))) {
+      throw new APIError('days_before must be a list of at most 10 whole days between 0 and 365', 400, 'INVALID_REMINDER_SETTINGS');
+    }
+    if (time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+      throw new APIError('time must be HH:MM (24-hour)', 400, 'INVALID_REMINDER_SETTINGS');
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      throw new APIError('timezone must be an IANA time zone such as Europe/Berlin', 400, 'INVALID_TIMEZONE');
+    }
+    if (business_days_only !== undefined && typeof business_days_only !== 'boolean') {
+      throw new APIError('business_days_only must be a boolean', 400, 'INVALID_REMINDER_SETTINGS');
+    }
+    if (delivery_method !== undefined && (!Array.isArray(delivery_method) ||
+      delivery_method.some(method => !REMINDER_DELIVERY_METHODS.includes(method)))) {
+      throw new APIError('delivery_method must be a list of: ' + REMINDER_DELIVERY_METHODS.join(', '), 400, 'INVALID_REMINDER_SETTINGS');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   validateReceiptInput,
   validateReceiptUpdate,
@@ -439,5 +850,18 @@ module.exports = {
   validateAnalyticsQuery,
   validateWarrantyInput,
   validateWarrantyUpdate,
-  validateWarrantyQuery
+  validateWarrantyQuery,
+  validateBudgetInput,
+  validateBudgetUpdate,
+  validateRuleInput,
+  validateRuleUpdate,
+  validateRuleOrder,
+  validateRuleDryRun,
+  validateReceiptSplits,
+  validateMerchantUpdate,
+  validateMerchantMerge,
+  validateClaimInput,
+  validateClaimUpdate,
+  validateClaimDocuments,
+  validateReminderSettings
 };
\ No newline at end of file
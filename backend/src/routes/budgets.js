@@ -0,0 +1,78 @@
+/**
+ * Budget Routes
+ * All routes related to budget management and budget status
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/supabaseAuth');
+const { validateBudgetInput, validateBudgetUpdate } = require('../middleware/validation');
+const budgetController = require('../controllers/budgetController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/budgets
+ * @desc Get all budgets for authenticated user
+ * @access Private
+ * @params {
+ *   is_active: boolean,
+ *   category_id: string,
+ *   period_type: string (weekly|monthly|quarterly|yearly)
+ * }
+ */
+router.get('/', budgetController.getBudgets);
+
+/**
+ * @route GET /api/budgets/status
+ * @desc Get spend against every active budget for its current period
+ * @access Private
+ * @params {
+ *   date: string (YYYY-MM-DD, default: today) - evaluate budgets as of this date
+ * }
+ */
+router.get('/status', budgetController.getBudgetsStatus);
+
+/**
+ * @route GET /api/budgets/:id
+ * @desc Get single budget with its current period status
+ * @access Private
+ */
+router.get('/:id', budgetController.getBudgetById);
+
+/**
+ * @route POST /api/budgets
+ * @desc Create new budget
+ * @access Private
+ * @body {
+ *   name: string (required),
+ *   budget_amount: number (required),
+ *   start_date: string (required, YYYY-MM-DD),
+ *   period_type?: string (weekly|monthly|quarterly|yearly, default: monthly),
+ *   category_id?: string - omit for an overall budget across all categories,
+ *   end_date?: string (YYYY-MM-DD),
+ *   alert_at_percentage?: number (1-100, default: 80),
+ *   rollover_enabled?: boolean,
+ *   max_rollover_amount?: number,
+ *   is_active?: boolean
+ * }
+ */
+router.post('/', validateBudgetInput, budgetController.createBudget);
+
+/**
+ * @route PUT /api/budgets/:id
+ * @desc Update existing budget
+ * @access Private
+ */
+router.put('/:id', validateBudgetUpdate, budgetController.updateBudget);
+
+/**
+ * @route DELETE /api/budgets/:id
+ * @desc Delete single budget
+ * @access Private
+ */
+router.delete('/:id', budgetController.deleteBudget);
+
+module.exports = router;
@@ -0,0 +1,107 @@
+/**
+ * Categorization Routes
+ * Routes for the per-user receipt categorization model and rules
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/supabaseAuth');
+const {
+  validateRuleInput,
+  validateRuleUpdate,
+  validateRuleOrder,
+  validateRuleDryRun
+} = require('../middleware/validation');
+const categorizationController = require('../controllers/categorizationController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/categorization/stats
+ * @desc Get the user's categorization model and how often its automatic
+ *       categories were kept (not corrected) over time
+ * @access Private
+ * @params {
+ *   interval: string (week|month, default: month),
+ *   periods: number (1-24, default: 6)
+ * }
+ */
+router.get('/stats', categorizationController.getStats);
+
+/**
+ * @route GET /api/categorization/rules
+ * @desc Get the user's rules in evaluation order
+ * @access Private
+ */
+router.get('/rules', categorizationController.getRules);
+
+/**
+ * @route PUT /api/categorization/rules/order
+ * @desc Set the evaluation order of all rules
+ * @access Private
+ * @body {
+ *   rule_ids: string[] (required) - every rule ID, first to last
+ * }
+ */
+router.put('/rules/order', validateRuleOrder, categorizationController.reorderRules);
+
+/**
+ * @route POST /api/categorization/rules/dry-run
+ * @desc Show what the active rules (or one unsaved rule) would change on
+ *       receipts from the last 90 days, without changing them
+ * @access Private
+ * @body {
+ *   days?: number (1-365, default: 90),
+ *   rule?: object - unsaved rule to try instead of the saved rules
+ * }
+ */
+router.post('/rules/dry-run', validateRuleDryRun, categorizationController.dryRunRules);
+
+/**
+ * @route GET /api/categorization/rules/:id
+ * @desc Get single rule
+ * @access Private
+ */
+router.get('/rules/:id', categorizationController.getRuleById);
+
+/**
+ * @route POST /api/categorization/rules
+ * @desc Create rule. Every condition that is set must match; at least one
+ *       condition and one action are required.
+ * @access Private
+ * @body {
+ *   name: string (required),
+ *   priority?: number - lower runs first (default: after existing rules),
+ *   is_active?: boolean,
+ *   stop_processing?: boolean - skip later rules when this one matches,
+ *   merchant_pattern?: string - case-insensitive text, `*` matches anything,
+ *   min_amount?: number,
+ *   max_amount?: number,
+ *   item_keywords?: string[],
+ *   payment_methods?: string[],
+ *   match_tags?: string[],
+ *   set_category_id?: string,
+ *   add_tags?: string[],
+ *   mark_business_expense?: boolean,
+ *   mark_reimbursable?: boolean
+ * }
+ */
+router.post('/rules', validateRuleInput, categorizationController.createRule);
+
+/**
+ * @route PUT /api/categorization/rules/:id
+ * @desc Update rule
+ * @access Private
+ */
+router.put('/rules/:id', validateRuleUpdate, categorizationController.updateRule);
+
+/**
+ * @route DELETE /api/categorization/rules/:id
+ * @desc Delete rule
+ * @access Private
+ */
+router.delete('/rules/:id', categorizationController.deleteRule);
+
+module.exports = router;
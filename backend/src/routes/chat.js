@@ -1,6 +1,6 @@
 const express = require('express');
 const chatController = require('../controllers/chatController');
-const supabaseAuth = require('../middleware/supabaseAuth');
+const { authenticateToken } = require('../middleware/supabaseAuth');
 
 const router = express.Router();
 
@@ -10,7 +10,7 @@ const router = express.Router();
  */
 
 // Apply authentication middleware to all chat routes
-router.use(supabaseAuth);
+router.use(authenticateToken);
 
 /**
  * @route   POST /api/chat/message
@@ -20,6 +20,17 @@ router.use(supabaseAuth);
  */
 router.post('/message', chatController.sendMessage);
 
+/**
+ * @route   POST /api/chat/message/stream
+ * @desc    Send a message and stream the AI response as Server-Sent Events
+ * @access  Private
+ * @body    { message: string, conversation_id?: string }
+ * @events  start { conversation_id }, sources { sources, documents, ... },
+ *          token { content } (repeated), metadata { ...same as /message },
+ *          error { error, code } on failure
+ */
+router.post('/message/stream', chatController.sendMessageStream);
+
 /**
  * @route   GET /api/chat/conversations
  * @desc    List user conversations
@@ -0,0 +1,83 @@
+/**
+ * Merchant Routes
+ * Routes for the canonical merchant directory and merchant aliases
+ */
+
+const express = require('express');
+const { authenticateToken } = require('../middleware/supabaseAuth');
+const { validateMerchantUpdate, validateMerchantMerge } = require('../middleware/validation');
+const merchantController = require('../controllers/merchantController');
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route GET /api/merchants
+ * @desc Get the user's merchants with alias and receipt counts
+ * @access Private
+ * @params {
+ *   search?: string - matches canonical names and aliases,
+ *   limit?: number (default: 50, max: 100),
+ *   offset?: number (default: 0)
+ * }
+ */
+router.get('/', merchantController.getMerchants);
+
+/**
+ * @route GET /api/merchants/aliases/pending
+ * @desc Get fuzzy-matched aliases that have not been confirmed yet
+ * @access Private
+ */
+router.get('/aliases/pending', merchantController.getPendingAliases);
+
+/**
+ * @route POST /api/merchants/link
+ * @desc Link a batch of receipts that have no merchant yet
+ * @access Private
+ */
+router.post('/link', merchantController.linkReceipts);
+
+/**
+ * @route GET /api/merchants/:id
+ * @desc Get single merchant with aliases, spending and recent receipts
+ * @access Private
+ */
+router.get('/:id', merchantController.getMerchantById);
+
+/**
+ * @route PATCH /api/merchants/:id
+ * @desc Rename merchant
+ * @access Private
+ * @body {
+ *   canonical_name: string (required)
+ * }
+ */
+router.patch('/:id', validateMerchantUpdate, merchantController.updateMerchant);
+
+/**
+ * @route POST /api/merchants/:id/merge
+ * @desc Merge other merchants, their aliases and receipts into this one
+ * @access Private
+ * @body {
+ *   source_ids: string[] (required) - merchants to merge and delete
+ * }
+ */
+router.post('/:id/merge', validateMerchantMerge, merchantController.mergeMerchants);
+
+/**
+ * @route PATCH /api/merchants/:id/aliases/:aliasId
+ * @desc Confirm a fuzzy-matched alias
+ * @access Private
+ */
+router.patch('/:id/aliases/:aliasId', merchantController.confirmAlias);
+
+/**
+ * @route DELETE /api/merchants/:id/aliases/:aliasId
+ * @desc Detach a wrongly matched alias into a merchant of its own
+ * @access Private
+ */
+router.delete('/:id/aliases/:aliasId', merchantController.detachAlias);
+
+module.exports = router;
@@ -24,13 +24,32 @@ const processReceiptSchema = Joi.object({
   notes: Joi.string().max(1000).optional(),
   is_business_expense: Joi.string().valid('true', 'false').optional(),
   is_reimbursable: Joi.string().valid('true', 'false').optional(),
-  tags: Joi.string().max(500).optional() // Comma-separated tags
+  tags: Joi.string().max(500).optional(), // Comma-separated tags
+  async: Joi.string().valid('true', 'false').optional()
 });
 
 const receiptIdSchema = Joi.object({
   receiptId: Joi.string().uuid().required()
 });
 
+const batchProcessSchema = Joi.object({
+  category_id: Joi.string().uuid().optional(),
+  notes: Joi.string().max(1000).optional(),
+  is_business_expense: Joi.string().valid('true', 'false').optional(),
+  is_reimbursable: Joi.string().valid('true', 'false').optional(),
+  tags: Joi.string().max(500).optional(),
+  metadata: Joi.string().max(100000).optional(), // JSON array of per-file metadata
+  concurrency: Joi.number().integer().min(1).max(10).optional()
+});
+
+const batchIdSchema = Joi.object({
+  batchId: Joi.string().uuid().required()
+});
+
+const jobIdSchema = Joi.object({
+  jobId: Joi.string().uuid().required()
+});
+
 /**
  * Validation middleware for request body
  */
@@ -85,6 +104,8 @@ const validateParams = (schema) => {
  * @body    {string} [is_business_expense] - 'true' or 'false'
  * @body    {string} [is_reimbursable] - 'true' or 'false'  
  * @body    {string} [tags] - Comma-separated tags
+ * @body    {string} [async] - 'true' to return 202 immediately and process in the background
+ *                             (also accepted as ?async=true)
  */
 router.post(
   '/process',
@@ -111,106 +132,63 @@ router.post(
 
 /**
  * @route   POST /api/ocr/batch-process
- * @desc    Process multiple receipt images
+ * @desc    Process multiple receipt images as a persistent, resumable batch.
+ *          Responds with a JSON summary, or with Server-Sent Events
+ *          (batch, file, complete) when ?stream=true or Accept: text/event-stream
  * @access  Private (authenticated users only)
  * @body    {file[]} receipts - Multiple receipt image files
+ * @body    {string} [category_id|notes|is_business_expense|is_reimbursable|tags] - Defaults for every file
+ * @body    {string} [metadata] - JSON array of per-file overrides, each with fileIndex or fileName
+ * @body    {string} [concurrency] - Files processed at once (1-10)
  */
 router.post(
   '/batch-process',
   authenticate,
   cleanupTempFiles,
   uploadMultipleReceiptsWithValidation,
-  async (req, res, next) => {
-    try {
-      logger.info('Starting batch OCR processing', {
-        userId: req.user.id,
-        fileCount: req.files.length
-      });
-
-      const results = [];
-      const errors = [];
-
-      // Process each file
-      for (let i = 0; i < req.files.length; i++) {
-        const file = req.files[i];
-        try {
-          // Create a mock request object for individual processing
-          const mockReq = {
-            ...req,
-            file: file,
-            body: req.body // Use same body for all files
-          };
-
-          // Process individual receipt (reuse existing logic)
-          await new Promise((resolve, reject) => {
-            const mockRes = {
-              status: (code) => ({
-                json: (data) => {
-                  if (code === 201) {
-                    results.push({
-                      fileIndex: i,
-                      fileName: file.originalname,
-                      success: true,
-                      receipt: data.receipt
-                    });
-                  } else {
-                    errors.push({
-                      fileIndex: i,
-                      fileName: file.originalname,
-                      error: data.message || 'Processing failed'
-                    });
-                  }
-                  resolve();
-                }
-              })
-            };
-
-            const mockNext = (error) => {
-              errors.push({
-                fileIndex: i,
-                fileName: file.originalname,
-                error: error.message || 'Processing failed'
-              });
-              resolve();
-            };
-
-            // Call the process receipt controller
-            ocrController.processReceipt(mockReq, mockRes, mockNext);
-          });
-
-        } catch (error) {
-          errors.push({
-            fileIndex: i,
-            fileName: file.originalname,
-            error: error.message || 'Processing failed'
-          });
-        }
-      }
+  validateRequestBody(batchProcessSchema),
+  ocrController.processBatch
+);
 
-      logger.info('Batch OCR processing completed', {
-        totalFiles: req.files.length,
-        successful: results.length,
-        failed: errors.length
-      });
+/**
+ * @route   GET /api/ocr/batches
+ * @desc    List batch uploads for current user
+ * @access  Private (authenticated users only)
+ * @query   {string} [status] - Filter by batch status
+ * @query   {number} [limit] - Page size (max 100)
+ * @query   {number} [offset] - Page offset
+ */
+router.get(
+  '/batches',
+  authenticate,
+  ocrController.getBatches
+);
 
-      res.status(200).json({
-        message: 'Batch processing completed',
-        summary: {
-          totalFiles: req.files.length,
-          successful: results.length,
-          failed: errors.length,
-          successRate: `${Math.round((results.length / req.files.length) * 100)}%`
-        },
-        results,
-        errors: errors.length > 0 ? errors : undefined,
-        timestamp: new Date().toISOString()
-      });
+/**
+ * @route   GET /api/ocr/batches/:batchId
+ * @desc    Get a batch upload with per-file status
+ * @access  Private (authenticated users only)
+ * @params  {string} batchId - UUID of batch
+ */
+router.get(
+  '/batches/:batchId',
+  authenticate,
+  validateParams(batchIdSchema),
+  ocrController.getBatch
+);
 
-    } catch (error) {
-      logger.error('Batch processing failed:', error);
-      next(error);
-    }
-  }
+/**
+ * @route   POST /api/ocr/batches/:batchId/resume
+ * @desc    Resume an interrupted batch, retrying files that did not complete.
+ *          Supports the same streaming options as batch-process
+ * @access  Private (authenticated users only)
+ * @params  {string} batchId - UUID of batch
+ */
+router.post(
+  '/batches/:batchId/resume',
+  authenticate,
+  validateParams(batchIdSchema),
+  ocrController.resumeBatch
 );
 
 /**
@@ -218,6 +196,7 @@ router.post(
  * @desc    Reprocess existing receipt with updated OCR
  * @access  Private (authenticated users only)
  * @params  {string} receiptId - UUID of receipt to reprocess
+ * @query   {boolean} async - Queue reprocessing and return 202 with a job ID
  */
 router.put(
   '/reprocess/:receiptId',
@@ -228,7 +207,8 @@ router.put(
 
 /**
  * @route   GET /api/ocr/status/:receiptId
- * @desc    Get OCR processing status for a receipt
+ * @desc    Get OCR processing status for a receipt, including stage-by-stage
+ *          progress for receipts processed in async mode
  * @access  Private (authenticated users only)
  * @params  {string} receiptId - UUID of receipt
  */
@@ -239,6 +219,19 @@ router.get(
   ocrController.getOCRStatus
 );
 
+/**
+ * @route   GET /api/ocr/jobs/:jobId
+ * @desc    Get status of a queued OCR job
+ * @access  Private (authenticated users only)
+ * @params  {string} jobId - UUID of job
+ */
+router.get(
+  '/jobs/:jobId',
+  authenticate,
+  validateParams(jobIdSchema),
+  ocrController.getJobStatus
+);
+
 /**
  * @route   GET /api/ocr/stats
  * @desc    Get OCR processing statistics for current user
@@ -304,8 +297,9 @@ router.get('/supported-formats', (req, res) => {
         'image/jpeg': 'JPEG images - standard photo format',
         'image/png': 'PNG images - supports transparency',
         'image/webp': 'WebP images - modern efficient format',
-        'image/heic': 'HEIC images - iOS Live Photos format',
-        'application/pdf': 'PDF documents - single page receipts'
+        'image/heic': 'HEIC images - iOS camera format; converted to JPEG on upload',
+        'image/heif': 'HEIF images - converted to JPEG on upload',
+        'application/pdf': 'PDF receipts and invoices - text-based or scanned; multi-page files become one receipt'
       }
     },
     limits: {
@@ -5,7 +5,7 @@
 
 const express = require('express');
 const { authenticateToken } = require('../middleware/supabaseAuth');
-const { validateReceiptInput, validateReceiptUpdate, validateReceiptQuery } = require('../middleware/validation');
+const { validateReceiptInput, validateReceiptUpdate, validateReceiptQuery, validateReceiptSplits } = require('../middleware/validation');
 const receiptController = require('../controllers/receiptController');
 
 const router = express.Router();
@@ -57,6 +57,19 @@ router.get('/categories', receiptController.getCategories);
  */
 router.get('/analytics', receiptController.getAnalytics);
 
+/**
+ * @route GET /api/receipts/tax-summary
+ * @desc Get input tax paid per currency by tax type and rate, and how much of it is reclaimable
+ * @access Private
+ * @params {
+ *   period: string (week|month|quarter|year|custom),
+ *   date_from: string (YYYY-MM-DD),
+ *   date_to: string (YYYY-MM-DD),
+ *   business_only: boolean - defaults to true
+ * }
+ */
+router.get('/tax-summary', receiptController.getTaxSummary);
+
 /**
  * @route GET /api/receipts/:id
  * @desc Get single receipt with items
@@ -97,7 +110,8 @@ router.post('/', validateReceiptInput, receiptController.createReceipt);
 
 /**
  * @route PUT /api/receipts/:id
- * @desc Update existing receipt
+ * @desc Update existing receipt. Changing category_id is treated as a
+ *       categorization correction and trains the user's model.
  * @access Private
  */
 router.put('/:id', validateReceiptUpdate, receiptController.updateReceipt);
@@ -112,6 +126,34 @@ router.put('/:id', validateReceiptUpdate, receiptController.updateReceipt);
  */
 router.patch('/:id/tags', receiptController.updateReceiptTags);
 
+/**
+ * @route GET /api/receipts/:id/splits
+ * @desc Get how a receipt is split across categories
+ * @access Private
+ */
+router.get('/:id/splits', receiptController.getReceiptSplits);
+
+/**
+ * @route PUT /api/receipts/:id/splits
+ * @desc Split a receipt across categories by hand. Amounts must add up to
+ *       the receipt total; an empty list removes the splits.
+ * @access Private
+ * @body {
+ *   splits: [{ category_id: string, amount: number, notes?: string }] (required)
+ * }
+ */
+router.put('/:id/splits', validateReceiptSplits, receiptController.updateReceiptSplits);
+
+/**
+ * @route POST /api/receipts/:id/splits/derive
+ * @desc Split a receipt by the categories of its line items
+ * @access Private
+ * @body {
+ *   overwrite_manual?: boolean - replace splits entered by hand (default: false)
+ * }
+ */
+router.post('/:id/splits/derive', receiptController.deriveReceiptSplits);
+
 /**
  * @route DELETE /api/receipts/:id
  * @desc Delete single receipt
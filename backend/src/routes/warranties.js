@@ -5,7 +5,15 @@
 
 const express = require('express');
 const { authenticateToken } = require('../middleware/supabaseAuth');
-const { validateWarrantyInput, validateWarrantyUpdate, validateWarrantyQuery } = require('../middleware/validation');
+const {
+  validateWarrantyInput,
+  validateWarrantyUpdate,
+  validateWarrantyQuery,
+  validateClaimInput,
+  validateClaimUpdate,
+  validateClaimDocuments,
+  validateReminderSettings
+} = require('../middleware/validation');
 const warrantyController = require('../controllers/warrantyController');
 
 const router = express.Router();
@@ -61,7 +69,8 @@ router.get('/analytics', warrantyController.getWarrantyAnalytics);
 
 /**
  * @route GET /api/warranties/:id
- * @desc Get single warranty with receipt information
+ * @desc Get single warranty with receipt information, claims and the
+ *       protection plans extending its coverage
  * @access Private
  */
 router.get('/:id', warrantyController.getWarrantyById);
@@ -103,13 +112,20 @@ router.put('/:id', validateWarrantyUpdate, warrantyController.updateWarranty);
 
 /**
  * @route PATCH /api/warranties/:id/reminder
- * @desc Update warranty reminder settings
+ * @desc Update warranty expiry reminder settings and reschedule its reminders
  * @access Private
  * @body {
- *   reminder_settings: object (required)
+ *   reminder_settings: {
+ *     enabled?: boolean,
+ *     days_before?: number[] (default [30, 7, 1]),
+ *     time?: string (HH:MM local time, default 09:00),
+ *     timezone?: string (IANA, defaults to the profile time zone),
+ *     business_days_only?: boolean - weekend reminders move to the Friday before,
+ *     delivery_method?: string[] (in_app, email, push)
+ *   } (required)
  * }
  */
-router.patch('/:id/reminder', warrantyController.updateWarrantyReminder);
+router.patch('/:id/reminder', validateReminderSettings, warrantyController.updateWarrantyReminder);
 
 /**
  * @route POST /api/warranties/:id/claim
@@ -119,10 +135,63 @@ router.patch('/:id/reminder', warrantyController.updateWarrantyReminder);
  *   claim_reason: string (required),
  *   claim_description: string (required),
  *   claim_date: string (YYYY-MM-DD),
- *   supporting_documents?: array
+ *   expected_resolution_date?: string (YYYY-MM-DD) - schedules a follow-up reminder,
+ *   provider_reference?: string,
+ *   claim_amount?: number,
+ *   supporting_documents?: array ({ file_url, file_name?, mime_type?, document_type?, description? })
  * }
  */
-router.post('/:id/claim', warrantyController.createWarrantyClaim);
+router.post('/:id/claim', validateClaimInput, warrantyController.createWarrantyClaim);
+
+/**
+ * @route GET /api/warranties/:id/claims
+ * @desc Get claims filed against a warranty, each with its timeline and documents
+ * @access Private
+ * @params {
+ *   status: string (submitted|acknowledged|in_repair|resolved|rejected)
+ * }
+ */
+router.get('/:id/claims', warrantyController.getWarrantyClaims);
+
+/**
+ * @route GET /api/warranties/:id/claims/:claimId
+ * @desc Get a single warranty claim with its timeline and documents
+ * @access Private
+ */
+router.get('/:id/claims/:claimId', warrantyController.getWarrantyClaim);
+
+/**
+ * @route PATCH /api/warranties/:id/claims/:claimId
+ * @desc Move a claim through submitted -> acknowledged -> in_repair -> resolved/rejected, or update its details
+ * @access Private
+ * @body {
+ *   status?: string (submitted|acknowledged|in_repair|resolved|rejected),
+ *   note?: string - added to the timeline,
+ *   expected_resolution_date?: string (YYYY-MM-DD),
+ *   resolution_notes?: string,
+ *   resolution_date?: string (YYYY-MM-DD),
+ *   provider_reference?: string,
+ *   approved_amount?: number
+ * }
+ */
+router.patch('/:id/claims/:claimId', validateClaimUpdate, warrantyController.updateWarrantyClaim);
+
+/**
+ * @route POST /api/warranties/:id/claims/:claimId/documents
+ * @desc Attach documents to a warranty claim
+ * @access Private
+ * @body {
+ *   documents: array (required, max 20 items) ({ file_url, file_name?, mime_type?, document_type?, description? })
+ * }
+ */
+router.post('/:id/claims/:claimId/documents', validateClaimDocuments, warrantyController.addWarrantyClaimDocuments);
+
+/**
+ * @route DELETE /api/warranties/:id/claims/:claimId/documents/:documentId
+ * @desc Remove a document from a warranty claim
+ * @access Private
+ */
+router.delete('/:id/claims/:claimId/documents/:documentId', warrantyController.removeWarrantyClaimDocument);
 
 /**
  * @route DELETE /api/warranties/:id
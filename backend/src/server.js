@@ -11,6 +11,9 @@ const apiRoutes = require('../routes');
 // Import configuration
 const { supabase } = require('../config/supabase');
 
+// Background job worker (optional, can also run as a separate process)
+const { createWorker, createReminderScheduler } = require('./workers');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -85,10 +88,23 @@ const server = app.listen(PORT, () => {
   console.log(`📊 Supabase URL: ${process.env.SUPABASE_URL ? '✅ Connected' : '❌ Not configured'}`);
 });
 
+const jobWorker = process.env.JOB_WORKER_ENABLED === 'true' ? createWorker() : null;
+if (jobWorker) {
+  jobWorker.start();
+  console.log(`⚙️  Job worker running in-process (${jobWorker.workerId})`);
+}
+
+const reminderScheduler = jobWorker ? createReminderScheduler() : null;
+if (reminderScheduler) {
+  reminderScheduler.start();
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    if (reminderScheduler) await reminderScheduler.stop();
+    if (jobWorker) await jobWorker.stop();
     console.log('✅ Process terminated');
     process.exit(0);
   });
@@ -96,7 +112,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    if (reminderScheduler) await reminderScheduler.stop();
+    if (jobWorker) await jobWorker.stop();
     console.log('✅ Process terminated');
     process.exit(0);
   });
@@ -8,6 +8,9 @@ const compromise = require('compromise');
 const { parse: parseDate } = require('chrono-node');
 const fuzzball = require('fuzzball');
 const logger = require('../utils/logger');
+const receiptLayoutService = require('./receiptLayoutService');
+const receiptReconciliationService = require('./receiptReconciliationService');
+const receiptDiscountService = require('./receiptDiscountService');
 const { APIError } = require('../utils/errorHandler');
 
 class AdvancedLineItemService {
@@ -52,14 +55,27 @@ class AdvancedLineItemService {
       // Enhance items with additional data
       const enhancedItems = await this.enhanceLineItems(combinedItems, merchantName);
       
-      // Validate and clean items
-      const validatedItems = this.validateLineItems(enhancedItems, totalAmount);
+      // Validate and clean items, then check them against the printed totals
+      const reconciliation = receiptReconciliationService.reconcile({
+        items: this.validateLineItems(enhancedItems),
+        totalAmount,
+        rawText: ocrText
+      });
+      const validatedItems = reconciliation.items;
+
+      // Attached discounts, discounts on the whole receipt or the printed savings figure
+      const totalSavings = receiptDiscountService.calculateTotalSavings(
+        validatedItems,
+        approaches[0].orderDiscounts,
+        receiptDiscountService.parseSavingsSummary(ocrText.split('\n'))
+      );
       
       // Calculate extraction confidence
       const extractionConfidence = this.calculateExtractionConfidence(validatedItems, ocrText, confidence);
 
       return {
         items: validatedItems,
+        totalSavings,
         metadata: {
           extractionConfidence,
           totalItemsFound: validatedItems.length,
@@ -67,7 +83,8 @@ class AdvancedLineItemService {
           extractionMethods: approaches.length,
           processingTime: Date.now()
         },
-        suggestions: this.generateSuggestions(validatedItems, totalAmount)
+        reconciliation: receiptReconciliationService.summarize(reconciliation),
+        suggestions: this.generateSuggestions(validatedItems, reconciliation)
       };
 
     } catch (error) {
@@ -83,11 +100,26 @@ class AdvancedLineItemService {
    */
   async extractFromTextLines(ocrText) {
     const lines = ocrText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-    const items = [];
+    const entries = [];
 
     for (const line of lines) {
+      // Discounts and multi-buy lines modify the items around them
+      const discount = receiptDiscountService.parseDiscountLine(line);
+      if (discount) {
+        entries.push({ kind: 'discount', discount });
+        continue;
+      }
+      const multiBuy = receiptDiscountService.parseMultiBuyLine(line);
+      if (multiBuy) {
+        entries.push({ kind: 'multi_buy', multiBuy });
+        continue;
+      }
+
       // Skip header/footer lines
-      if (this.isHeaderOrFooterLine(line)) continue;
+      if (this.isHeaderOrFooterLine(line) || receiptDiscountService.isSavingsSummaryLine(line)) {
+        entries.push({ kind: 'break' });
+        continue;
+      }
 
       // Try different line item patterns
       const patterns = [
@@ -101,19 +133,30 @@ class AdvancedLineItemService {
         /^(.+?)\s+(\d+)\s*x\s*\$?(\d+\.?\d*)\s+\$?(\d+\.?\d*)$/
       ];
 
+      let item = null;
       for (const pattern of patterns) {
         const match = pattern.exec(line);
         if (match) {
-          const item = this.parseLineItem(match, pattern, line);
-          if (item) {
-            items.push(item);
-            break; // Found match, move to next line
-          }
+          item = this.parseLineItem(match, pattern, line);
+          if (item) break; // Found match, move to next line
         }
       }
+      entries.push(item ? { kind: 'item', item } : { kind: 'text', text: line });
     }
 
-    return { approach: 'textLines', items };
+    const { items, orderDiscounts } = receiptDiscountService.attachAdjustments(entries, {
+      createItem: (name, multiBuy) => ({
+        name: this.cleanProductName(name),
+        totalPrice: multiBuy.totalPrice,
+        unitPrice: multiBuy.unitPrice,
+        quantity: multiBuy.quantity,
+        originalLine: `${name} ${multiBuy.description}`,
+        confidence: 0.8,
+        source: 'textLines'
+      })
+    });
+
+    return { approach: 'textLines', items, orderDiscounts };
   }
 
   /**
@@ -325,7 +368,13 @@ class AdvancedLineItemService {
    * Group OCR blocks by spatial proximity
    */
   groupBlocksByProximity(blocks) {
-    // This is a simplified grouping - in reality would use spatial coordinates
+    // Blocks with coordinates are grouped into the visual rows they sit on
+    const words = receiptLayoutService.extractWords({ blocks });
+    if (words.length > 0) {
+      return receiptLayoutService.buildRows(words).map(row => row.words);
+    }
+
+    // Without coordinates, fall back to fixed-size groups in reading order
     const groups = [];
     let currentGroup = [];
 
@@ -622,24 +671,10 @@ class AdvancedLineItemService {
   }
 
   /**
-   * Validate line items
+   * Validate line items. Totals are checked by receiptReconciliationService.
    */
-  validateLineItems(items, expectedTotal) {
-    const validated = items.filter(item => this.isValidItem(item));
-    
-    // Check if total matches (within 10% tolerance)
-    const calculatedTotal = validated.reduce((sum, item) => sum + item.totalPrice, 0);
-    const tolerance = expectedTotal * 0.1;
-    
-    if (expectedTotal > 0 && Math.abs(calculatedTotal - expectedTotal) > tolerance) {
-      logger.warn('Item total mismatch', {
-        calculated: calculatedTotal,
-        expected: expectedTotal,
-        difference: Math.abs(calculatedTotal - expectedTotal)
-      });
-    }
-    
-    return validated;
+  validateLineItems(items) {
+    return items.filter(item => this.isValidItem(item));
   }
 
   /**
@@ -654,7 +689,8 @@ class AdvancedLineItemService {
       item.totalPrice &&
       typeof item.totalPrice === 'number' &&
       item.totalPrice > 0 &&
-      item.totalPrice < 10000 // Reasonable upper limit
+      item.totalPrice < 10000 && // Reasonable upper limit
+      !this.discountPatterns.some(({ pattern }) => pattern.test(item.name)) // Discounts attach to items
     );
   }
 
@@ -688,16 +724,17 @@ class AdvancedLineItemService {
   /**
    * Generate suggestions for improvements
    */
-  generateSuggestions(items, expectedTotal) {
+  generateSuggestions(items, reconciliation) {
     const suggestions = [];
     
     if (items.length === 0) {
       suggestions.push('No line items detected - consider manual entry');
     }
     
-    const calculatedTotal = items.reduce((sum, item) => sum + item.totalPrice, 0);
-    if (expectedTotal > 0 && Math.abs(calculatedTotal - expectedTotal) > expectedTotal * 0.1) {
-      suggestions.push('Item total doesn\'t match receipt total - verify accuracy');
+    if (reconciliation.status === 'unbalanced') {
+      suggestions.push(`Item total is off from receipt total by ${reconciliation.difference.toFixed(2)} - verify accuracy`);
+    } else if (reconciliation.corrections.length > 0) {
+      suggestions.push(`${reconciliation.corrections.length} misread amounts were corrected - consider review`);
     }
     
     const lowConfidenceItems = items.filter(item => item.confidence < 0.5);
@@ -759,6 +796,9 @@ class AdvancedLineItemService {
    * Initialize patterns and data
    */
   initializePatterns() {
+    // Discount, coupon, loyalty and BOGO labels, most specific first
+    this.discountPatterns = receiptDiscountService.DISCOUNT_PATTERNS;
+
     // Initialize category patterns for better classification
     this.categoryPatterns.set('Food', [
       'bread', 'milk', 'cheese', 'meat', 'chicken', 'beef', 'pork',
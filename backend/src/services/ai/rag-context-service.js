@@ -1,12 +1,12 @@
 // RAG Context Assembly Service
 // Assembles comprehensive context for AI conversations from multiple data sources
 
-const OpenAIEmbeddingService = require('../embeddings/openai-embedding-service');
-const { supabase } = require('../../config/supabase');
+const embeddingService = require('../embeddingService');
+const { supabase } = require('../../../config/supabase');
 
 class RAGContextService {
   constructor() {
-    this.embeddingService = new OpenAIEmbeddingService();
+    this.embeddingService = embeddingService;
     
     // Context weighting for different sources
     this.contextWeights = {
@@ -434,6 +434,7 @@ class RAGContextService {
           embedding: contextEmbedding,
           content_text: contextText,
           content_hash: this.embeddingService.generateContentHash(contextText),
+          embedding_model: this.embeddingService.getModelVersion(),
           metadata: {
             context_summary: contextData.context_summary,
             context_items_count: contextData.context_items.length,
@@ -1,12 +1,12 @@
 // Semantic Search Service with Intent Classification
 // Provides intelligent search capabilities using vector embeddings and AI
 
-const OpenAIEmbeddingService = require('../embeddings/openai-embedding-service');
-const { supabase } = require('../../config/supabase');
+const embeddingService = require('../embeddingService');
+const { supabase } = require('../../../config/supabase');
 
 class SemanticSearchService {
   constructor() {
-    this.embeddingService = new OpenAIEmbeddingService();
+    this.embeddingService = embeddingService;
     
     // Intent classification patterns
     this.intentPatterns = {
@@ -0,0 +1,593 @@
+/**
+ * Budget Service
+ * Handles budget management and the budget engine that computes
+ * spend per period from receipts
+ */
+
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const PERIOD_TYPES = ['weekly', 'monthly', 'quarterly', 'yearly'];
+
+// Months per period for calendar-based period types
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+// How many past periods are considered when carrying unused budget forward
+const ROLLOVER_LOOKBACK_PERIODS = 12;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD (or ISO) string into a UTC date at midnight
+ * @param {string|Date} value - Date value
+ * @returns {Date} UTC date
+ */
+const toUTCDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Get the start date of the n-th period after the anchor date.
+ * Month-based periods clamp to the last day of shorter months so that a
+ * budget anchored on the 31st starts on Feb 28/29 instead of drifting into March.
+ * @param {Date} anchor - Budget start date
+ * @param {string} periodType - Period type
+ * @param {number} index - Period index (0 = first period)
+ * @returns {Date} Period start date
+ */
+const getNthPeriodStart = (anchor, periodType, index) => {
+  if (periodType === 'weekly') {
+    return new Date(anchor.getTime() + index * 7 * MS_PER_DAY);
+  }
+
+  const totalMonths = anchor.getUTCMonth() + index * PERIOD_MONTHS[periodType];
+  const year = anchor.getUTCFullYear() + Math.floor(totalMonths / 12);
+  const month = ((totalMonths % 12) + 12) % 12;
+  const lastDayOfMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(anchor.getUTCDate(), lastDayOfMonth)));
+};
+
+/**
+ * Get the index of the period containing the reference date
+ * @param {Date} anchor - Budget start date
+ * @param {string} periodType - Period type
+ * @param {Date} referenceDate - Date to locate
+ * @returns {number} Period index (negative if before the anchor)
+ */
+const getPeriodIndex = (anchor, periodType, referenceDate) => {
+  if (periodType === 'weekly') {
+    return Math.floor((referenceDate - anchor) / (7 * MS_PER_DAY));
+  }
+
+  const monthsDiff = (referenceDate.getUTCFullYear() - anchor.getUTCFullYear()) * 12 +
+    (referenceDate.getUTCMonth() - anchor.getUTCMonth());
+  let index = Math.floor(monthsDiff / PERIOD_MONTHS[periodType]);
+
+  if (getNthPeriodStart(anchor, periodType, index) > referenceDate) {
+    index -= 1;
+  }
+
+  return index;
+};
+
+/**
+ * Get the date bounds of a budget period
+ * @param {Object} budget - Budget record
+ * @param {number} index - Period index
+ * @returns {Object} Period bounds { index, start, end } (end is inclusive)
+ */
+const getPeriodByIndex = (budget, index) => {
+  const anchor = toUTCDate(budget.start_date);
+  const start = getNthPeriodStart(anchor, budget.period_type, index);
+  const nextStart = getNthPeriodStart(anchor, budget.period_type, index + 1);
+
+  return {
+    index,
+    start: formatDate(start),
+    end: formatDate(new Date(nextStart.getTime() - MS_PER_DAY))
+  };
+};
+
+/**
+ * Get the budget period containing the reference date
+ * @param {Object} budget - Budget record
+ * @param {string|Date} referenceDate - Reference date (defaults to today)
+ * @returns {Object} Period bounds { index, start, end }
+ */
+const getPeriodBounds = (budget, referenceDate = new Date()) => {
+  if (!PERIOD_TYPES.includes(budget.period_type)) {
+    throw new APIError(`Unsupported budget period type: ${budget.period_type}`, 400, 'INVALID_PERIOD_TYPE');
+  }
+
+  const anchor = toUTCDate(budget.start_date);
+  const index = Math.max(getPeriodIndex(anchor, budget.period_type, toUTCDate(referenceDate)), 0);
+
+  return getPeriodByIndex(budget, index);
+};
+
+/**
+ * Sum receipt totals that belong to a budget within a date range
+ * @param {Object} budget - Budget record
+ * @param {Array} receipts - Receipts with purchase_date, total_amount, category_id
+ * @param {string} start - Range start (YYYY-MM-DD, inclusive)
+ * @param {string} end - Range end (YYYY-MM-DD, inclusive)
+ * @returns {Object} { amount, count }
+ */
+const sumSpend = (budget, receipts, start, end) => {
+  return receipts.reduce((acc, receipt) => {
+    const purchaseDate = String(receipt.purchase_date).substring(0, 10);
+    if (purchaseDate < start || purchaseDate > end) return acc;
+    if (budget.category_id && receipt.category_id !== budget.category_id) return acc;
+
+    acc.amount += parseFloat(receipt.total_amount) || 0;
+    acc.count += 1;
+    return acc;
+  }, { amount: 0, count: 0 });
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compute the amount carried into the current period from unused budget
+ * in earlier periods. Overspending never carries forward as debt.
+ * @param {Object} budget - Budget record
+ * @param {Array} receipts - Receipts covering the lookback window
+ * @param {number} currentIndex - Index of the current period
+ * @returns {number} Carried amount
+ */
+const computeRollover = (budget, receipts, currentIndex) => {
+  if (!budget.rollover_enabled || currentIndex === 0) {
+    return 0;
+  }
+
+  const budgetAmount = parseFloat(budget.budget_amount);
+  const maxRollover = budget.max_rollover_amount !== null && budget.max_rollover_amount !== undefined
+    ? parseFloat(budget.max_rollover_amount)
+    : Infinity;
+
+  let carried = 0;
+  const firstIndex = Math.max(0, currentIndex - ROLLOVER_LOOKBACK_PERIODS);
+
+  for (let index = firstIndex; index < currentIndex; index++) {
+    const period = getPeriodByIndex(budget, index);
+    const { amount } = sumSpend(budget, receipts, period.start, period.end);
+    carried = Math.min(Math.max(budgetAmount + carried - amount, 0), maxRollover);
+  }
+
+  return roundAmount(carried);
+};
+
+/**
+ * Compute the status of a single budget from a set of receipts
+ * @param {Object} budget - Budget record
+ * @param {Array} receipts - Receipts covering the current period and rollover window
+ * @param {string|Date} referenceDate - Reference date (defaults to today)
+ * @returns {Object} Budget status
+ */
+const computeBudgetStatus = (budget, receipts, referenceDate = new Date()) => {
+  const reference = toUTCDate(referenceDate);
+  const period = getPeriodBounds(budget, reference);
+  const budgetAmount = parseFloat(budget.budget_amount);
+  const alertAt = budget.alert_at_percentage || 80;
+
+  const { amount: spent, count } = sumSpend(budget, receipts, period.start, period.end);
+  const rolloverAmount = computeRollover(budget, receipts, period.index);
+  const available = budgetAmount + rolloverAmount;
+  const percentageUsed = available > 0 ? (spent / available) * 100 : 0;
+
+  let status = 'on_track';
+  if (budget.end_date && formatDate(reference) > String(budget.end_date).substring(0, 10)) {
+    status = 'ended';
+  } else if (formatDate(reference) < String(budget.start_date).substring(0, 10)) {
+    status = 'not_started';
+  } else if (percentageUsed >= 100) {
+    status = 'exceeded';
+  } else if (percentageUsed >= alertAt) {
+    status = 'warning';
+  }
+
+  // Linear projection of spend to the end of the period
+  const periodDays = Math.round((toUTCDate(period.end) - toUTCDate(period.start)) / MS_PER_DAY) + 1;
+  const elapsedDays = Math.min(
+    Math.max(Math.round((reference - toUTCDate(period.start)) / MS_PER_DAY) + 1, 1),
+    periodDays
+  );
+
+  return {
+    budget_id: budget.id,
+    name: budget.name,
+    category_id: budget.category_id || null,
+    category: budget.categories || null,
+    period_type: budget.period_type,
+    period: {
+      start: period.start,
+      end: period.end,
+      days_total: periodDays,
+      days_remaining: periodDays - elapsedDays
+    },
+    budget_amount: roundAmount(budgetAmount),
+    rollover_amount: rolloverAmount,
+    available_amount: roundAmount(available),
+    spent_amount: roundAmount(spent),
+    remaining_amount: roundAmount(available - spent),
+    percentage_used: roundAmount(percentageUsed),
+    projected_spend: roundAmount((spent / elapsedDays) * periodDays),
+    alert_at_percentage: alertAt,
+    receipt_count: count,
+    status
+  };
+};
+
+/**
+ * Get the earliest date whose receipts are needed to compute a budget's status
+ * @param {Object} budget - Budget record
+ * @param {Date} referenceDate - Reference date
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+const getLookbackStart = (budget, referenceDate) => {
+  const period = getPeriodBounds(budget, referenceDate);
+  if (!budget.rollover_enabled || period.index === 0) {
+    return period.start;
+  }
+  return getPeriodByIndex(budget, Math.max(0, period.index - ROLLOVER_LOOKBACK_PERIODS)).start;
+};
+
+/**
+ * Get budgets for a user
+ * @param {string} userId - User ID
+ * @param {Object} filters - Filter options
+ * @returns {Promise<Array>} Budgets
+ */
+const getUserBudgets = async (userId, filters = {}) => {
+  try {
+    let query = supabase
+      .from('budgets')
+      .select(`
+        *,
+        categories (
+          id,
+          name,
+          icon,
+          color
+        )
+      `)
+      .eq('user_id', userId);
+
+    if (filters.is_active !== undefined) {
+      query = query.eq('is_active', filters.is_active);
+    }
+
+    if (filters.category_id) {
+      query = query.eq('category_id', filters.category_id);
+    }
+
+    if (filters.period_type) {
+      query = query.eq('period_type', filters.period_type);
+    }
+
+    const { data: budgets, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching budgets:', error);
+      throw new APIError('Failed to fetch budgets', 500, 'DATABASE_ERROR');
+    }
+
+    return budgets || [];
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getUserBudgets:', error);
+    throw new APIError('Failed to fetch budgets', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Get budget by ID
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Budget or null if not found
+ */
+const getBudgetById = async (budgetId, userId) => {
+  try {
+    const { data: budget, error } = await supabase
+      .from('budgets')
+      .select(`
+        *,
+        categories (
+          id,
+          name,
+          icon,
+          color
+        )
+      `)
+      .eq('id', budgetId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error fetching budget by ID:', error);
+      throw new APIError('Failed to fetch budget', 500, 'DATABASE_ERROR');
+    }
+
+    return budget;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getBudgetById:', error);
+    throw new APIError('Failed to fetch budget', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Create new budget
+ * @param {Object} budgetData - Budget data
+ * @returns {Promise<Object>} Created budget
+ */
+const createBudget = async (budgetData) => {
+  try {
+    const { data: budget, error } = await supabase
+      .from('budgets')
+      .insert({
+        ...budgetData,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating budget:', error);
+      throw new APIError('Failed to create budget', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info(`Budget created: ${budget.id} for user: ${budgetData.user_id}`);
+    return budget;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in createBudget:', error);
+    throw new APIError('Failed to create budget', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Update budget
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Object|null>} Updated budget or null if not found
+ */
+const updateBudget = async (budgetId, userId, updateData) => {
+  try {
+    // Remove fields that shouldn't be updated directly
+    const { id, user_id, created_at, ...validUpdateData } = updateData;
+
+    // A partial update can move one end of the range past the stored other end
+    if (validUpdateData.start_date !== undefined || validUpdateData.end_date !== undefined) {
+      const existing = await getBudgetById(budgetId, userId);
+      if (!existing) {
+        return null;
+      }
+
+      const { start_date: startDate, end_date: endDate } = { ...existing, ...validUpdateData };
+      if (endDate && new Date(endDate) <= new Date(startDate)) {
+        throw new APIError('end_date must be after start_date', 400, 'INVALID_DATE_RANGE');
+      }
+    }
+
+    const { data: budget, error } = await supabase
+      .from('budgets')
+      .update({
+        ...validUpdateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', budgetId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error updating budget:', error);
+      throw new APIError('Failed to update budget', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info(`Budget updated: ${budgetId} for user: ${userId}`);
+    return budget;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in updateBudget:', error);
+    throw new APIError('Failed to update budget', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Delete budget
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+const deleteBudget = async (budgetId, userId) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('budgets')
+      .delete()
+      .eq('id', budgetId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      logger.error('Error deleting budget:', error);
+      throw new APIError('Failed to delete budget', 500, 'DATABASE_ERROR');
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return false;
+    }
+
+    logger.info(`Budget deleted: ${budgetId} for user: ${userId}`);
+    return true;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in deleteBudget:', error);
+    throw new APIError('Failed to delete budget', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Fetch the receipts needed to compute the status of a set of budgets
+ * @param {string} userId - User ID
+ * @param {Array} budgets - Budgets to evaluate
+ * @param {Date} referenceDate - Reference date
+ * @returns {Promise<Array>} Receipts
+ */
+const fetchReceiptsForBudgets = async (userId, budgets, referenceDate) => {
+  const lookbackStart = budgets
+    .map(budget => getLookbackStart(budget, referenceDate))
+    .sort()[0];
+  const periodEnd = budgets
+    .map(budget => getPeriodBounds(budget, referenceDate).end)
+    .sort()
+    .pop();
+
+  const { data: receipts, error } = await supabase
+    .from('receipts')
+    .select('id, category_id, total_amount, purchase_date')
+    .eq('user_id', userId)
+    .gte('purchase_date', lookbackStart)
+    .lte('purchase_date', periodEnd);
+
+  if (error) {
+    logger.error('Error fetching receipts for budgets:', error);
+    throw new APIError('Failed to fetch receipts for budget status', 500, 'DATABASE_ERROR');
+  }
+
+  return receipts || [];
+};
+
+/**
+ * Get the current status of a single budget
+ * @param {string} budgetId - Budget ID
+ * @param {string} userId - User ID
+ * @param {string|Date} referenceDate - Reference date (defaults to today)
+ * @returns {Promise<Object|null>} Budget status or null if not found
+ */
+const getBudgetStatus = async (budgetId, userId, referenceDate = new Date()) => {
+  try {
+    const budget = await getBudgetById(budgetId, userId);
+    if (!budget) {
+      return null;
+    }
+
+    const reference = toUTCDate(referenceDate);
+    const receipts = await fetchReceiptsForBudgets(userId, [budget], reference);
+
+    return computeBudgetStatus(budget, receipts, reference);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getBudgetStatus:', error);
+    throw new APIError('Failed to compute budget status', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Get a status summary across all active budgets of a user
+ * @param {string} userId - User ID
+ * @param {string|Date} referenceDate - Reference date (defaults to today)
+ * @returns {Promise<Object>} Status summary with per-budget status and alerts
+ */
+const getBudgetsStatusSummary = async (userId, referenceDate = new Date()) => {
+  try {
+    const reference = toUTCDate(referenceDate);
+    const budgets = await getUserBudgets(userId, { is_active: true });
+
+    if (budgets.length === 0) {
+      return {
+        as_of: formatDate(reference),
+        budgets: [],
+        totals: {
+          budget_count: 0,
+          available_amount: 0,
+          spent_amount: 0,
+          remaining_amount: 0
+        },
+        alerts: []
+      };
+    }
+
+    const receipts = await fetchReceiptsForBudgets(userId, budgets, reference);
+    const statuses = budgets.map(budget => computeBudgetStatus(budget, receipts, reference));
+    const current = statuses.filter(status => !['ended', 'not_started'].includes(status.status));
+
+    const alerts = statuses
+      .filter(status => ['warning', 'exceeded'].includes(status.status))
+      .map(status => ({
+        budget_id: status.budget_id,
+        name: status.name,
+        status: status.status,
+        percentage_used: status.percentage_used,
+        message: status.status === 'exceeded'
+          ? `${status.name} is over budget by ${roundAmount(-status.remaining_amount)}`
+          : `${status.name} has used ${status.percentage_used}% of its budget`
+      }));
+
+    return {
+      as_of: formatDate(reference),
+      budgets: statuses,
+      totals: {
+        budget_count: statuses.length,
+        available_amount: roundAmount(current.reduce((sum, s) => sum + s.available_amount, 0)),
+        spent_amount: roundAmount(current.reduce((sum, s) => sum + s.spent_amount, 0)),
+        remaining_amount: roundAmount(current.reduce((sum, s) => sum + s.remaining_amount, 0))
+      },
+      alerts
+    };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getBudgetsStatusSummary:', error);
+    throw new APIError('Failed to compute budget status', 500, 'INTERNAL_ERROR');
+  }
+};
+
+module.exports = {
+  PERIOD_TYPES,
+  getPeriodBounds,
+  computeBudgetStatus,
+  getUserBudgets,
+  getBudgetById,
+  createBudget,
+  updateBudget,
+  deleteBudget,
+  getBudgetStatus,
+  getBudgetsStatusSummary
+};
@@ -0,0 +1,563 @@
+/**
+ * Categorization Rules Service
+ * User-defined rules that run in priority order before ML categorization.
+ * A rule matches on merchant, amount, line items, payment method or tags
+ * and can set a category, add tags and mark a receipt as a business or
+ * reimbursable expense.
+ */
+
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const DRY_RUN_DEFAULT_DAYS = 90;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const CONDITION_FIELDS = ['merchant_pattern', 'min_amount', 'max_amount', 'item_keywords', 'payment_methods', 'match_tags'];
+
+const lower = (values) => (values || []).map(value => String(value).toLowerCase());
+
+const hasValues = (values) => Array.isArray(values) && values.length > 0;
+
+/**
+ * Case-insensitive merchant pattern match. `*` matches any run of
+ * characters and a pattern with `*` must match the whole name; a pattern
+ * without one matches anywhere in the name. Patterns are user input, so
+ * they are matched as plain text rather than compiled to a RegExp.
+ * @param {string} pattern - Merchant pattern, e.g. "uber*" or "*coffee*"
+ * @param {string} merchantName - Merchant name
+ * @returns {boolean} True if the name matches
+ */
+const matchesMerchantPattern = (pattern, merchantName) => {
+  const name = (merchantName || '').toLowerCase();
+  const parts = pattern.toLowerCase().split('*');
+  if (parts.length === 1) return name.includes(parts[0]);
+
+  const first = parts.shift();
+  const last = parts.pop();
+  if (name.length < first.length + last.length || !name.startsWith(first) || !name.endsWith(last)) return false;
+
+  // Leftmost match of each middle part leaves the most room for the rest
+  let position = first.length;
+  const end = name.length - last.length;
+  for (const part of parts) {
+    const index = name.indexOf(part, position);
+    if (index === -1 || index + part.length > end) return false;
+    position = index + part.length;
+  }
+  return true;
+};
+
+/**
+ * Whether a rule's conditions all hold for a receipt. Conditions that are
+ * not set are ignored.
+ * @param {Object} rule - Rule row
+ * @param {Object} receipt - { merchant_name, total_amount, payment_method, tags, items: [{ name }] }
+ * @returns {boolean} True if the rule matches
+ */
+const matchesRule = (rule, receipt) => {
+  if (rule.merchant_pattern && !matchesMerchantPattern(rule.merchant_pattern, receipt.merchant_name)) {
+    return false;
+  }
+
+  const amount = parseFloat(receipt.total_amount);
+  if (rule.min_amount !== null && rule.min_amount !== undefined) {
+    if (isNaN(amount) || amount < parseFloat(rule.min_amount)) return false;
+  }
+  if (rule.max_amount !== null && rule.max_amount !== undefined) {
+    if (isNaN(amount) || amount > parseFloat(rule.max_amount)) return false;
+  }
+
+  if (hasValues(rule.item_keywords)) {
+    const keywords = lower(rule.item_keywords);
+    const names = lower((receipt.items || []).map(item => item.name).filter(Boolean));
+    if (!names.some(name => keywords.some(keyword => name.includes(keyword)))) return false;
+  }
+
+  if (hasValues(rule.payment_methods)) {
+    if (!receipt.payment_method || !lower(rule.payment_methods).includes(receipt.payment_method.toLowerCase())) {
+      return false;
+    }
+  }
+
+  if (hasValues(rule.match_tags)) {
+    const tags = lower(receipt.tags);
+    if (!lower(rule.match_tags).some(tag => tags.includes(tag))) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Run rules against a receipt in priority order. The first matching rule
+ * that sets a category decides it; tags from every matching rule are
+ * added; a rule with stop_processing ends evaluation.
+ * @param {Array} rules - Rule rows
+ * @param {Object} receipt - Receipt fields, see matchesRule
+ * @returns {Object} { categoryId, addTags, markBusinessExpense, markReimbursable, matchedRules }
+ */
+const applyRules = (rules, receipt) => {
+  const result = {
+    categoryId: null,
+    addTags: [],
+    markBusinessExpense: false,
+    markReimbursable: false,
+    matchedRules: []
+  };
+
+  const ordered = [...rules]
+    .filter(rule => rule.is_active !== false)
+    .sort((a, b) => a.priority - b.priority);
+
+  for (const rule of ordered) {
+    if (!matchesRule(rule, receipt)) continue;
+
+    result.matchedRules.push({ id: rule.id, name: rule.name });
+
+    if (rule.set_category_id && !result.categoryId) {
+      result.categoryId = rule.set_category_id;
+    }
+    for (const tag of rule.add_tags || []) {
+      if (!result.addTags.includes(tag)) {
+        result.addTags.push(tag);
+      }
+    }
+    result.markBusinessExpense = result.markBusinessExpense || Boolean(rule.mark_business_expense);
+    result.markReimbursable = result.markReimbursable || Boolean(rule.mark_reimbursable);
+
+    if (rule.stop_processing) break;
+  }
+
+  return result;
+};
+
+/**
+ * Receipt columns a rule result changes, given the receipt's current values
+ * @param {Object} result - Result of applyRules
+ * @param {Object} receipt - { category_id, tags, is_business_expense, is_reimbursable }
+ * @returns {Object} Column updates (empty when nothing changes)
+ */
+const buildReceiptUpdates = (result, receipt = {}) => {
+  const updates = {};
+  const tags = receipt.tags || [];
+  const newTags = result.addTags.filter(tag => !tags.includes(tag));
+
+  if (result.categoryId && result.categoryId !== receipt.category_id) {
+    updates.category_id = result.categoryId;
+  }
+  if (newTags.length > 0) {
+    updates.tags = [...tags, ...newTags];
+  }
+  if (result.markBusinessExpense && !receipt.is_business_expense) {
+    updates.is_business_expense = true;
+  }
+  if (result.markReimbursable && !receipt.is_reimbursable) {
+    updates.is_reimbursable = true;
+  }
+
+  return updates;
+};
+
+/**
+ * Check that a rule has at least one condition and one action
+ * @param {Object} rule - Complete rule (existing row merged with updates)
+ */
+const assertRuleComplete = (rule) => {
+  const hasCondition = CONDITION_FIELDS.some(field => {
+    const value = rule[field];
+    return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined && value !== '';
+  });
+  if (!hasCondition) {
+    throw new APIError('A rule needs at least one condition', 400, 'RULE_WITHOUT_CONDITIONS');
+  }
+
+  const hasAction = Boolean(rule.set_category_id) || hasValues(rule.add_tags) ||
+    Boolean(rule.mark_business_expense) || Boolean(rule.mark_reimbursable);
+  if (!hasAction) {
+    throw new APIError('A rule needs at least one action', 400, 'RULE_WITHOUT_ACTIONS');
+  }
+
+  if (rule.min_amount !== null && rule.min_amount !== undefined &&
+    rule.max_amount !== null && rule.max_amount !== undefined &&
+    parseFloat(rule.min_amount) > parseFloat(rule.max_amount)) {
+    throw new APIError('min_amount must not exceed max_amount', 400, 'INVALID_AMOUNT_RANGE');
+  }
+};
+
+/**
+ * Check that a category can be assigned by the user
+ * @param {string} categoryId - Category ID
+ * @param {string} userId - User ID
+ */
+const assertCategoryAvailable = async (categoryId, userId) => {
+  const { data: categories, error } = await supabase
+    .from('categories')
+    .select('id')
+    .eq('id', categoryId)
+    .or(`user_id.eq.${userId},is_default.eq.true`);
+
+  if (error) {
+    logger.error('Error checking rule category:', error);
+    throw new APIError('Failed to validate category', 500, 'DATABASE_ERROR');
+  }
+
+  if (!categories || categories.length === 0) {
+    throw new APIError('Category not found', 400, 'INVALID_CATEGORY');
+  }
+};
+
+/**
+ * Get rules for a user in evaluation order
+ * @param {string} userId - User ID
+ * @param {Object} options - { activeOnly }
+ * @returns {Promise<Array>} Rules
+ */
+const getUserRules = async (userId, { activeOnly = false } = {}) => {
+  try {
+    let query = supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('user_id', userId);
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: rules, error } = await query.order('priority', { ascending: true });
+
+    if (error) {
+      logger.error('Error fetching categorization rules:', error);
+      throw new APIError('Failed to fetch rules', 500, 'DATABASE_ERROR');
+    }
+
+    return rules || [];
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getUserRules:', error);
+    throw new APIError('Failed to fetch rules', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Get rule by ID
+ * @param {string} ruleId - Rule ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Rule or null if not found
+ */
+const getRuleById = async (ruleId, userId) => {
+  try {
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error fetching categorization rule:', error);
+      throw new APIError('Failed to fetch rule', 500, 'DATABASE_ERROR');
+    }
+
+    return rule;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getRuleById:', error);
+    throw new APIError('Failed to fetch rule', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Create a rule. Without a priority it is added after the user's other rules.
+ * @param {Object} ruleData - Rule data including user_id
+ * @returns {Promise<Object>} Created rule
+ */
+const createRule = async (ruleData) => {
+  try {
+    assertRuleComplete(ruleData);
+    if (ruleData.set_category_id) {
+      await assertCategoryAvailable(ruleData.set_category_id, ruleData.user_id);
+    }
+
+    let priority = ruleData.priority;
+    if (priority === undefined || priority === null) {
+      const rules = await getUserRules(ruleData.user_id);
+      priority = rules.length > 0 ? rules[rules.length - 1].priority + 1 : 1;
+    }
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .insert({
+        ...ruleData,
+        priority,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating categorization rule:', error);
+      throw new APIError('Failed to create rule', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info(`Categorization rule created: ${rule.id} for user: ${ruleData.user_id}`);
+    return rule;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in createRule:', error);
+    throw new APIError('Failed to create rule', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Update a rule
+ * @param {string} ruleId - Rule ID
+ * @param {string} userId - User ID
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Object|null>} Updated rule or null if not found
+ */
+const updateRule = async (ruleId, userId, updateData) => {
+  try {
+    // Remove fields that shouldn't be updated directly
+    const { id, user_id, created_at, ...validUpdateData } = updateData;
+
+    const existing = await getRuleById(ruleId, userId);
+    if (!existing) {
+      return null;
+    }
+
+    assertRuleComplete({ ...existing, ...validUpdateData });
+    if (validUpdateData.set_category_id) {
+      await assertCategoryAvailable(validUpdateData.set_category_id, userId);
+    }
+
+    const { data: rule, error } = await supabase
+      .from('categorization_rules')
+      .update({
+        ...validUpdateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error updating categorization rule:', error);
+      throw new APIError('Failed to update rule', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info(`Categorization rule updated: ${ruleId} for user: ${userId}`);
+    return rule;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in updateRule:', error);
+    throw new APIError('Failed to update rule', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Delete a rule
+ * @param {string} ruleId - Rule ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if deleted, false if not found
+ */
+const deleteRule = async (ruleId, userId) => {
+  try {
+    const { data: deleted, error } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq('id', ruleId)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) {
+      logger.error('Error deleting categorization rule:', error);
+      throw new APIError('Failed to delete rule', 500, 'DATABASE_ERROR');
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return false;
+    }
+
+    logger.info(`Categorization rule deleted: ${ruleId} for user: ${userId}`);
+    return true;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in deleteRule:', error);
+    throw new APIError('Failed to delete rule', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Set the evaluation order of all of a user's rules
+ * @param {string} userId - User ID
+ * @param {Array<string>} ruleIds - Every rule ID of the user, first to last
+ * @returns {Promise<Array>} Rules in their new order
+ */
+const reorderRules = async (userId, ruleIds) => {
+  const rules = await getUserRules(userId);
+  const known = new Set(rules.map(rule => rule.id));
+
+  if (ruleIds.length !== known.size || new Set(ruleIds).size !== ruleIds.length ||
+    !ruleIds.every(ruleId => known.has(ruleId))) {
+    throw new APIError('rule_ids must list each of your rules exactly once', 400, 'INVALID_RULE_ORDER');
+  }
+
+  try {
+    for (const [index, ruleId] of ruleIds.entries()) {
+      const { error } = await supabase
+        .from('categorization_rules')
+        .update({ priority: index + 1, updated_at: new Date().toISOString() })
+        .eq('id', ruleId)
+        .eq('user_id', userId);
+
+      if (error) {
+        logger.error('Error reordering categorization rules:', error);
+        throw new APIError('Failed to reorder rules', 500, 'DATABASE_ERROR');
+      }
+    }
+
+    return getUserRules(userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in reorderRules:', error);
+    throw new APIError('Failed to reorder rules', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Evaluate a user's active rules for a new receipt. Rule failures never
+ * block receipt processing; they are logged and treated as no match.
+ * @param {string} userId - User ID
+ * @param {Object} receipt - Receipt fields, see matchesRule
+ * @returns {Promise<Object>} Result of applyRules
+ */
+const evaluateRules = async (userId, receipt) => {
+  try {
+    const rules = await getUserRules(userId, { activeOnly: true });
+    const result = applyRules(rules, receipt);
+
+    if (result.matchedRules.length > 0) {
+      logger.debug('Categorization rules matched', { userId, rules: result.matchedRules.map(rule => rule.id) });
+    }
+
+    return result;
+  } catch (error) {
+    logger.warn('Categorization rules skipped:', { userId, error: error.message });
+    return applyRules([], receipt);
+  }
+};
+
+/**
+ * Show what rules would change on the user's recent receipts without
+ * changing anything
+ * @param {string} userId - User ID
+ * @param {Object} options - { days, rule: unsaved rule to try on its own instead of the saved rules, now }
+ * @returns {Promise<Object>} { since, receiptsScanned, receiptsMatched, receiptsChanged, results }
+ */
+const dryRunRules = async (userId, { days = DRY_RUN_DEFAULT_DAYS, rule = null, now = new Date() } = {}) => {
+  try {
+    if (rule) {
+      assertRuleComplete(rule);
+    }
+
+    const rules = rule
+      ? [{ id: null, name: 'Dry run rule', priority: 0, ...rule, is_active: true }]
+      : await getUserRules(userId, { activeOnly: true });
+    const since = new Date(now.getTime() - days * MS_PER_DAY).toISOString().split('T')[0];
+
+    const { data: receipts, error } = await supabase
+      .from('receipts')
+      .select(`
+        id,
+        merchant_name,
+        total_amount,
+        purchase_date,
+        payment_method,
+        tags,
+        category_id,
+        is_business_expense,
+        is_reimbursable,
+        categories (
+          id,
+          name
+        ),
+        receipt_items (
+          item_name
+        )
+      `)
+      .eq('user_id', userId)
+      .gte('purchase_date', since)
+      .order('purchase_date', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching receipts for rule dry run:', error);
+      throw new APIError('Failed to run rules', 500, 'DATABASE_ERROR');
+    }
+
+    const results = [];
+    for (const receipt of receipts || []) {
+      const items = (receipt.receipt_items || []).map(item => ({ name: item.item_name }));
+      const result = applyRules(rules, { ...receipt, items });
+      if (result.matchedRules.length === 0) continue;
+
+      results.push({
+        receiptId: receipt.id,
+        merchantName: receipt.merchant_name,
+        purchaseDate: receipt.purchase_date,
+        totalAmount: receipt.total_amount,
+        currentCategory: receipt.categories?.name || null,
+        matchedRules: result.matchedRules,
+        changes: buildReceiptUpdates(result, receipt)
+      });
+    }
+
+    return {
+      since,
+      receiptsScanned: (receipts || []).length,
+      receiptsMatched: results.length,
+      receiptsChanged: results.filter(result => Object.keys(result.changes).length > 0).length,
+      results
+    };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in dryRunRules:', error);
+    throw new APIError('Failed to run rules', 500, 'INTERNAL_ERROR');
+  }
+};
+
+module.exports = {
+  matchesMerchantPattern,
+  matchesRule,
+  applyRules,
+  buildReceiptUpdates,
+  getUserRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule,
+  reorderRules,
+  evaluateRules,
+  dryRunRules
+};
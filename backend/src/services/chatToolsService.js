@@ -0,0 +1,434 @@
+/**
+ * Chat Tools Service
+ * Read-only tools the chat assistant calls through LLM function calling:
+ * spend totals, receipt listings, warranty lookups and budget status.
+ * Totals come from SQL aggregates, so numeric answers are exact rather than
+ * estimated from a handful of retrieved receipts.
+ *
+ * Every tool is scoped to the user the conversation belongs to. The user ID
+ * is never a tool argument, so the model cannot ask for anyone else's data.
+ */
+
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const budgetService = require('./budgetService');
+const receiptSplitService = require('./receiptSplitService');
+
+const GROUP_BY_OPTIONS = ['category', 'merchant', 'month'];
+const RECEIPT_SORT_OPTIONS = ['newest', 'oldest', 'highest', 'lowest'];
+const WARRANTY_STATUSES = ['active', 'expiring_soon', 'expired'];
+const DEFAULT_RECEIPT_LIMIT = 10;
+const MAX_RECEIPT_LIMIT = 20;
+const MAX_WARRANTY_RESULTS = 5;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ChatToolsService {
+  constructor() {
+    // sum_user_spend is only executable by the service role; every query
+    // below filters on the conversation's user ID explicitly
+    this.client = supabaseAdmin || supabase;
+
+    this.handlers = {
+      sum_spend: this.sumSpend,
+      list_receipts: this.listReceipts,
+      get_warranty: this.getWarranty,
+      get_budget_status: this.getBudgetStatus
+    };
+  }
+
+  /**
+   * Function definitions offered to the model. Category names are listed as
+   * an enum so the model picks a name that exists for this user.
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} OpenAI-style tool definitions
+   */
+  async getToolDefinitions(userId) {
+    const categories = await this.getCategoryNames(userId);
+    const category = categories.length > 0
+      ? { type: 'string', enum: [...categories, 'Uncategorized'], description: 'Spending category' }
+      : { type: 'string', description: 'Spending category name' };
+
+    const dateRange = {
+      start_date: { type: 'string', description: 'First purchase date to include, YYYY-MM-DD' },
+      end_date: { type: 'string', description: 'Last purchase date to include, YYYY-MM-DD' }
+    };
+
+    return [
+      {
+        type: 'function',
+        function: {
+          name: 'sum_spend',
+          description: 'Exact total spent, receipt count and average per receipt, optionally filtered and grouped. Use for any question about how much was spent.',
+          parameters: {
+            type: 'object',
+            properties: {
+              ...dateRange,
+              category,
+              merchant: { type: 'string', description: 'Merchant name or part of it' },
+              group_by: { type: 'string', enum: GROUP_BY_OPTIONS, description: 'Break the total down by category, merchant or month' }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'list_receipts',
+          description: 'List individual receipts matching filters. Use to show which purchases were made, not to total them.',
+          parameters: {
+            type: 'object',
+            properties: {
+              ...dateRange,
+              category,
+              merchant: { type: 'string', description: 'Merchant name or part of it' },
+              min_amount: { type: 'number', description: 'Smallest receipt total to include' },
+              max_amount: { type: 'number', description: 'Largest receipt total to include' },
+              sort: { type: 'string', enum: RECEIPT_SORT_OPTIONS, description: 'Order of results (default newest)' },
+              limit: { type: 'integer', description: `Number of receipts, at most ${MAX_RECEIPT_LIMIT} (default ${DEFAULT_RECEIPT_LIMIT})` }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_warranty',
+          description: 'Look up warranties by product name or status, with their end dates and days remaining.',
+          parameters: {
+            type: 'object',
+            properties: {
+              product: { type: 'string', description: 'Product name or part of it' },
+              status: { type: 'string', enum: WARRANTY_STATUSES, description: 'Only warranties in this state' }
+            }
+          }
+        }
+      },
+      {
+        type: 'function',
+        function: {
+          name: 'get_budget_status',
+          description: 'Current budget periods with amount spent, remaining and percentage used.',
+          parameters: {
+            type: 'object',
+            properties: {
+              budget_name: { type: 'string', description: 'Budget name or part of it; omit for all budgets' }
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * Run a tool call for a user. Invalid arguments and failures are returned
+   * as { error } so the model can correct itself or tell the user.
+   * @param {string} userId - User the conversation belongs to
+   * @param {string} name - Tool name
+   * @param {Object|string} args - Tool arguments, as an object or JSON string
+   * @returns {Promise<Object>} Tool result
+   */
+  async executeTool(userId, name, args = {}) {
+    const handler = this.handlers[name];
+    if (!handler) {
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    try {
+      const parsed = typeof args === 'string' ? JSON.parse(args || '{}') : args;
+      return await handler.call(this, userId, parsed || {});
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        return { error: 'Tool arguments must be a JSON object' };
+      }
+      if (error instanceof APIError && error.statusCode === 400) {
+        return { error: error.message };
+      }
+      logger.error(`Chat tool ${name} failed:`, error);
+      return { error: `${name} is unavailable right now` };
+    }
+  }
+
+  /**
+   * Total spend per currency from sum_user_spend
+   */
+  async sumSpend(userId, args) {
+    const filters = {
+      ...this.parseDateRange(args),
+      category: this.optionalString(args.category),
+      merchant: this.optionalString(args.merchant),
+      group_by: this.optionalEnum(args.group_by, GROUP_BY_OPTIONS, 'group_by')
+    };
+
+    const { data, error } = await this.client.rpc('sum_user_spend', {
+      p_user_id: userId,
+      p_start_date: filters.start_date,
+      p_end_date: filters.end_date,
+      p_category: filters.category,
+      p_merchant: filters.merchant,
+      p_group_by: filters.group_by
+    });
+
+    if (error) {
+      logger.error('Failed to sum spend for chat:', error);
+      throw new APIError('Failed to sum spend', 500, 'DATABASE_ERROR');
+    }
+
+    const rows = (data || []).map(row => ({
+      ...(filters.group_by && { [filters.group_by]: row.group_key }),
+      currency: row.currency,
+      total_amount: parseFloat(row.total_amount),
+      receipt_count: Number(row.receipt_count),
+      average_amount: parseFloat(row.average_amount),
+      first_purchase_date: row.first_purchase_date,
+      last_purchase_date: row.last_purchase_date
+    }));
+
+    return filters.group_by
+      ? { filters, groups: rows, totals: this.totalByCurrency(rows) }
+      : { filters, totals: rows };
+  }
+
+  /**
+   * Receipts matching filters, newest first by default
+   */
+  async listReceipts(userId, args) {
+    const range = this.parseDateRange(args);
+    const merchant = this.optionalString(args.merchant);
+    const minAmount = this.optionalNumber(args.min_amount, 'min_amount');
+    const maxAmount = this.optionalNumber(args.max_amount, 'max_amount');
+    const sort = this.optionalEnum(args.sort, RECEIPT_SORT_OPTIONS, 'sort') || 'newest';
+    const limit = Math.min(Math.max(parseInt(args.limit) || DEFAULT_RECEIPT_LIMIT, 1), MAX_RECEIPT_LIMIT);
+
+    let query = this.client
+      .from('receipts')
+      .select('id, merchant_name, total_amount, currency, purchase_date, payment_method, categories(name)')
+      .eq('user_id', userId);
+
+    if (range.start_date) query = query.gte('purchase_date', range.start_date);
+    if (range.end_date) query = query.lte('purchase_date', range.end_date);
+    if (merchant) query = query.ilike('merchant_name', `%${this.escapeLike(merchant)}%`);
+    if (minAmount !== null) query = query.gte('total_amount', minAmount);
+    if (maxAmount !== null) query = query.lte('total_amount', maxAmount);
+
+    const category = this.optionalString(args.category);
+    if (category) {
+      const categoryId = await this.findCategoryId(userId, category);
+      if (categoryId === undefined) {
+        return { receipts: [], count: 0, message: `No category named ${category}` };
+      }
+      query = categoryId ? await this.filterByCategory(query, userId, categoryId) : query.is('category_id', null);
+    }
+
+    const column = ['newest', 'oldest'].includes(sort) ? 'purchase_date' : 'total_amount';
+    const ascending = ['oldest', 'lowest'].includes(sort);
+
+    // One extra row tells whether more receipts match than were returned
+    const { data, error } = await query
+      .order(column, { ascending })
+      .limit(limit + 1);
+
+    if (error) {
+      logger.error('Failed to list receipts for chat:', error);
+      throw new APIError('Failed to list receipts', 500, 'DATABASE_ERROR');
+    }
+
+    const receipts = (data || []).slice(0, limit).map(receipt => ({
+      id: receipt.id,
+      merchant_name: receipt.merchant_name,
+      total_amount: parseFloat(receipt.total_amount),
+      currency: receipt.currency || 'USD',
+      purchase_date: receipt.purchase_date,
+      category: receipt.categories?.name || null,
+      payment_method: receipt.payment_method || null
+    }));
+
+    return {
+      receipts,
+      count: receipts.length,
+      has_more: (data || []).length > limit
+    };
+  }
+
+  /**
+   * Warranties by product name or status, soonest expiry first
+   */
+  async getWarranty(userId, args) {
+    const product = this.optionalString(args.product);
+    const status = this.optionalEnum(args.status, WARRANTY_STATUSES, 'status');
+
+    let query = this.client
+      .from('warranties')
+      .select('id, receipt_id, product_name, manufacturer, model_number, retailer, purchase_date, warranty_start_date, warranty_end_date, warranty_type, status')
+      .eq('user_id', userId)
+      .eq('is_deleted', false);
+
+    if (product) query = query.ilike('product_name', `%${this.escapeLike(product)}%`);
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query
+      .order('warranty_end_date', { ascending: true })
+      .limit(MAX_WARRANTY_RESULTS);
+
+    if (error) {
+      logger.error('Failed to look up warranties for chat:', error);
+      throw new APIError('Failed to look up warranties', 500, 'DATABASE_ERROR');
+    }
+
+    const today = this.today();
+    const warranties = (data || []).map(warranty => ({
+      ...warranty,
+      days_remaining: Math.round((Date.parse(warranty.warranty_end_date) - Date.parse(today)) / DAY_MS)
+    }));
+
+    return { as_of: today, warranties, count: warranties.length };
+  }
+
+  /**
+   * Current status of active budgets, optionally matched by name
+   */
+  async getBudgetStatus(userId, args) {
+    const name = this.optionalString(args.budget_name);
+    const summary = await budgetService.getBudgetsStatusSummary(userId);
+
+    const budgets = summary.budgets
+      .filter(budget => !name || budget.name.toLowerCase().includes(name.toLowerCase()))
+      .map(budget => ({
+        budget_id: budget.budget_id,
+        name: budget.name,
+        category: budget.category?.name || null,
+        period: budget.period,
+        available_amount: budget.available_amount,
+        spent_amount: budget.spent_amount,
+        remaining_amount: budget.remaining_amount,
+        percentage_used: budget.percentage_used,
+        projected_spend: budget.projected_spend,
+        status: budget.status
+      }));
+
+    return {
+      as_of: summary.as_of,
+      budgets,
+      ...(!name && { totals: summary.totals }),
+      alerts: summary.alerts.filter(alert => budgets.some(budget => budget.budget_id === alert.budget_id))
+    };
+  }
+
+  /**
+   * Names of the user's own and the default categories
+   */
+  async getCategoryNames(userId) {
+    const { data, error } = await this.client
+      .from('categories')
+      .select('name')
+      .or(`user_id.eq.${userId},is_default.eq.true`);
+
+    if (error) {
+      logger.warn('Failed to load categories for chat tools:', error);
+      return [];
+    }
+
+    return [...new Set((data || []).map(category => category.name))].sort();
+  }
+
+  /**
+   * Category ID for a name; null for 'Uncategorized', undefined when unknown.
+   * The user's own category wins over a default with the same name.
+   */
+  async findCategoryId(userId, name) {
+    if (name.toLowerCase() === 'uncategorized') return null;
+
+    const { data, error } = await this.client
+      .from('categories')
+      .select('id, user_id')
+      .or(`user_id.eq.${userId},is_default.eq.true`)
+      .ilike('name', this.escapeLike(name));
+
+    if (error) {
+      logger.error('Failed to find category for chat:', error);
+      throw new APIError('Failed to find category', 500, 'DATABASE_ERROR');
+    }
+
+    const match = (data || []).find(category => category.user_id === userId) || (data || [])[0];
+    return match ? match.id : undefined;
+  }
+
+  /**
+   * Receipts in a category, including split receipts with a share in it
+   */
+  async filterByCategory(query, userId, categoryId) {
+    const splitReceiptIds = await receiptSplitService.findSplitReceiptIds(userId, categoryId);
+
+    return splitReceiptIds.length > 0
+      ? query.or(`category_id.eq.${categoryId},id.in.(${splitReceiptIds.join(',')})`)
+      : query.eq('category_id', categoryId);
+  }
+
+  /**
+   * Sum grouped rows back into one total per currency
+   */
+  totalByCurrency(rows) {
+    const totals = {};
+    for (const row of rows) {
+      totals[row.currency] = (totals[row.currency] || 0) + Math.round(row.total_amount * 100);
+    }
+    return Object.entries(totals).map(([currency, cents]) => ({ currency, total_amount: cents / 100 }));
+  }
+
+  parseDateRange(args) {
+    const range = {
+      start_date: this.optionalDate(args.start_date, 'start_date'),
+      end_date: this.optionalDate(args.end_date, 'end_date')
+    };
+
+    if (range.start_date && range.end_date && range.start_date > range.end_date) {
+      throw new APIError('start_date must not be after end_date', 400, 'INVALID_TOOL_ARGUMENTS');
+    }
+
+    return range;
+  }
+
+  optionalDate(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    if (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+      throw new APIError(`${field} must be a date in YYYY-MM-DD format`, 400, 'INVALID_TOOL_ARGUMENTS');
+    }
+    return value;
+  }
+
+  optionalNumber(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new APIError(`${field} must be a number`, 400, 'INVALID_TOOL_ARGUMENTS');
+    }
+    return number;
+  }
+
+  optionalEnum(value, options, field) {
+    if (value === undefined || value === null || value === '') return null;
+    if (!options.includes(value)) {
+      throw new APIError(`${field} must be one of: ${options.join(', ')}`, 400, 'INVALID_TOOL_ARGUMENTS');
+    }
+    return value;
+  }
+
+  optionalString(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 100) : null;
+  }
+
+  /**
+   * Escape LIKE wildcards so user text matches literally
+   */
+  escapeLike(text) {
+    return text.replace(/[\\%_]/g, match => `\\${match}`);
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+}
+
+module.exports = new ChatToolsService();
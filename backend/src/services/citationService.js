@@ -0,0 +1,279 @@
+/**
+ * Citation Service
+ * Structured citations for chat answers. Receipts and warranties given to
+ * the model are labelled R1, R2, ... and W1, W2, ...; the model cites them
+ * inline as [R1] or [R1, W2]. Each citation found in the answer is resolved
+ * to the cited entity's ID, the entity fields the cited statement uses, and
+ * the character offsets of the marker and the statement, so clients can
+ * link from a sentence to the receipt or warranty it came from.
+ *
+ * Citations are checked against the labelled context: a label that was never
+ * given to the model, or a statement whose amounts or dates differ from the
+ * cited entity's, is flagged as unverified.
+ */
+
+const CITATION_PATTERN = /\[\s*([RW]\d+(?:\s*,\s*[RW]\d+)*)\s*\]/g;
+const REF_PREFIXES = { receipt: 'R', warranty: 'W' };
+
+// Amounts only count with a currency symbol or cents, so day numbers,
+// years and counts are not mistaken for amounts
+const AMOUNT_PATTERN = /(?:[$€£₹]\s?)(\d[\d,]*(?:\.\d+)?)|\b(\d[\d,]*\.\d{2})\b/g;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// Only real month spellings, so "decreased 20" or "marketplace 12" is not a date
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?';
+const DATE_PATTERNS = [
+  // 2025-03-15
+  { regex: /\b(\d{4})-(\d{2})-(\d{2})\b/g, parts: match => [match[1], match[2], match[3]] },
+  // March 15, 2025 / Mar 15
+  {
+    regex: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+    parts: match => [match[3], MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, match[2]]
+  },
+  // 15 March 2025
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME}(?:,?\\s+(\\d{4}))?`, 'gi'),
+    parts: match => [match[3], MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, match[1]]
+  },
+  // 3/15/2025, as toLocaleDateString formats context dates
+  { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g, parts: match => [match[3], match[1], match[2]] }
+];
+
+const receiptItems = item => item.items || item.receipt_items || [];
+
+// Fields of each entity type that a statement can draw on
+const CITABLE_FIELDS = {
+  receipt: [
+    { name: 'merchant_name', kind: 'text', get: item => item.merchant_name },
+    { name: 'total_amount', kind: 'amount', get: item => item.total_amount },
+    { name: 'purchase_date', kind: 'date', get: item => item.purchase_date },
+    { name: 'category', kind: 'text', get: item => item.category?.name || item.category || item.categories?.name },
+    { name: 'payment_method', kind: 'text', get: item => item.payment_method },
+    { name: 'items', kind: 'text', get: item => receiptItems(item).map(line => line.name) },
+    { name: 'item_price', kind: 'amount', get: item => receiptItems(item).flatMap(line => [line.unit_price, line.total_price]) }
+  ],
+  warranty: [
+    { name: 'product_name', kind: 'text', get: item => item.product_name || item.item_name },
+    { name: 'manufacturer', kind: 'text', get: item => item.manufacturer },
+    { name: 'model_number', kind: 'text', get: item => item.model_number },
+    { name: 'retailer', kind: 'text', get: item => item.retailer },
+    { name: 'warranty_end_date', kind: 'date', get: item => item.warranty_end_date },
+    { name: 'warranty_start_date', kind: 'date', get: item => item.warranty_start_date },
+    { name: 'purchase_date', kind: 'date', get: item => item.purchase_date },
+    { name: 'purchase_price', kind: 'amount', get: item => item.purchase_price },
+    { name: 'status', kind: 'text', get: item => item.status && item.status.replace('_', ' ') }
+  ]
+};
+
+class CitationService {
+  /**
+   * Whether a context item can be cited, and as what
+   * @param {Object} item - Context item or tool result entry
+   * @returns {string|null} 'receipt' | 'warranty', or null
+   */
+  getItemType(item) {
+    if (!item || !item.id || item.type === 'spending_summary') return null;
+    return item.warranty_end_date ? 'warranty' : 'receipt';
+  }
+
+  /**
+   * Copy items with a citation_ref label on each citable one. Numbering
+   * continues after the items already labelled for the same answer.
+   * @param {Array} items - Context items
+   * @param {Array} labelled - Items labelled earlier for this answer
+   * @returns {Array} Items, citable ones with citation_ref
+   */
+  labelItems(items, labelled = []) {
+    const counts = { receipt: 0, warranty: 0 };
+    labelled.forEach(item => {
+      const type = this.getItemType(item);
+      if (type) counts[type] += 1;
+    });
+
+    return items.map(item => {
+      const type = this.getItemType(item);
+      if (!type) return item;
+      counts[type] += 1;
+      return { ...item, citation_ref: `${REF_PREFIXES[type]}${counts[type]}` };
+    });
+  }
+
+  /**
+   * Find the citations in an answer and check them against the labelled items
+   * @param {string} answer - Answer text with [R1]-style markers
+   * @param {Array} labelled - Items with citation_ref given to the model
+   * @returns {Array<Object>} One citation per cited entity:
+   *   { ref, type, id, fields, references, verified, issues }
+   */
+  extractCitations(answer, labelled = []) {
+    if (!answer) return [];
+
+    const itemsByRef = new Map(labelled.filter(item => item.citation_ref).map(item => [item.citation_ref, item]));
+    const citations = new Map();
+    let claimStart = 0;
+    let claimEnd = 0;
+    let previousMarkerEnd = null;
+
+    for (const match of answer.matchAll(CITATION_PATTERN)) {
+      const markerStart = match.index;
+      const markerEnd = markerStart + match[0].length;
+
+      // A marker directly after another one cites the same statement
+      if (previousMarkerEnd === null || !/^[\s.,;:!?]*$/.test(answer.slice(previousMarkerEnd, markerStart))) {
+        claimEnd = this.trimEnd(answer, 0, markerStart);
+        claimStart = this.trimStart(
+          answer,
+          Math.max(this.findStatementStart(answer, markerStart), previousMarkerEnd || 0),
+          claimEnd
+        );
+      }
+      previousMarkerEnd = markerEnd;
+
+      const claim = answer.slice(claimStart, claimEnd);
+      const reference = {
+        marker_start: markerStart,
+        marker_end: markerEnd,
+        claim_start: claimStart,
+        claim_end: claimEnd
+      };
+
+      for (const ref of match[1].split(',').map(part => part.trim())) {
+        if (!citations.has(ref)) {
+          const item = itemsByRef.get(ref);
+          citations.set(ref, {
+            ref,
+            type: item ? this.getItemType(item) : (ref.startsWith('W') ? 'warranty' : 'receipt'),
+            id: item ? item.id : null,
+            fields: [],
+            references: [],
+            issues: new Set(item ? [] : ['unknown_reference'])
+          });
+        }
+
+        const citation = citations.get(ref);
+        citation.references.push(reference);
+
+        const item = itemsByRef.get(ref);
+        if (item) {
+          const check = this.checkClaim(claim, item);
+          check.fields.forEach(field => {
+            if (!citation.fields.some(existing => existing.name === field.name && existing.value === field.value)) {
+              citation.fields.push(field);
+            }
+          });
+          check.issues.forEach(issue => citation.issues.add(issue));
+        }
+      }
+    }
+
+    return [...citations.values()].map(citation => ({
+      ...citation,
+      verified: citation.issues.size === 0,
+      issues: [...citation.issues]
+    }));
+  }
+
+  /**
+   * Fields of an item the statement mentions, and amounts or dates in the
+   * statement that belong to none of its fields
+   * @param {string} claim - Statement text without markers
+   * @param {Object} item - Cited item
+   * @returns {Object} { fields: [{ name, value }], issues }
+   */
+  checkClaim(claim, item) {
+    const text = claim.toLowerCase();
+    const amounts = this.findAmounts(claim);
+    const dates = this.findDates(claim);
+    const fields = [];
+    const matchedAmounts = new Set();
+    const matchedDates = new Set();
+
+    for (const field of CITABLE_FIELDS[this.getItemType(item)]) {
+      const values = [].concat(field.get(item) ?? []).filter(value => value !== null && value !== '');
+
+      for (const value of values) {
+        let used = false;
+
+        if (field.kind === 'text') {
+          used = String(value).length > 1 && text.includes(String(value).toLowerCase());
+        } else if (field.kind === 'amount') {
+          amounts.forEach((amount, index) => {
+            if (Math.abs(amount - parseFloat(value)) < 0.005) {
+              matchedAmounts.add(index);
+              used = true;
+            }
+          });
+        } else {
+          dates.forEach((date, index) => {
+            if (this.isSameDate(date, value)) {
+              matchedDates.add(index);
+              used = true;
+            }
+          });
+        }
+
+        if (used) {
+          fields.push({ name: field.name, value: field.kind === 'amount' ? parseFloat(value) : value });
+        }
+      }
+    }
+
+    const issues = [];
+    // A statement citing several entities only needs one of its amounts to match each
+    if (amounts.length > 0 && matchedAmounts.size === 0) issues.push('amount_mismatch');
+    if (dates.length > 0 && matchedDates.size === 0) issues.push('date_mismatch');
+
+    return { fields, issues };
+  }
+
+  findAmounts(text) {
+    return [...text.matchAll(AMOUNT_PATTERN)].map(match => parseFloat((match[1] || match[2]).replace(/,/g, '')));
+  }
+
+  /**
+   * Dates mentioned in text as { year, month, day }; year is null when omitted
+   */
+  findDates(text) {
+    const dates = [];
+    for (const { regex, parts } of DATE_PATTERNS) {
+      for (const match of text.matchAll(regex)) {
+        const [year, month, day] = parts(match);
+        dates.push({ year: year ? parseInt(year) : null, month: parseInt(month), day: parseInt(day) });
+      }
+    }
+    return dates;
+  }
+
+  isSameDate(date, value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+    if (!match) return false;
+    return date.month === parseInt(match[2]) &&
+      date.day === parseInt(match[3]) &&
+      (date.year === null || date.year === parseInt(match[1]));
+  }
+
+  /**
+   * Start of the sentence or list line a marker belongs to. A full stop
+   * right before the marker ends the cited sentence, not the one before it.
+   */
+  findStatementStart(answer, markerStart) {
+    const before = answer.slice(0, markerStart).replace(/[\s.!?]+$/, '');
+    let start = 0;
+    for (const match of before.matchAll(/[.!?](?=\s)|\n/g)) {
+      start = match.index + 1;
+    }
+    return start;
+  }
+
+  trimStart(answer, start, end) {
+    while (start < end && /[\s\-*•]/.test(answer[start])) start++;
+    return start;
+  }
+
+  trimEnd(answer, start, end) {
+    while (end > start && /\s/.test(answer[end - 1])) end--;
+    return end;
+  }
+}
+
+module.exports = new CitationService();
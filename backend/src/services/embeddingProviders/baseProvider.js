@@ -0,0 +1,45 @@
+/**
+ * Base Embedding Provider
+ * Contract shared by every text encoder used by EmbeddingService
+ */
+
+/**
+ * Providers name the model they run and the size of the vectors it returns.
+ * The version string (provider:model@dimensions) is stored with every
+ * embedding, so vectors from different models are never compared.
+ *
+ * Subclasses implement embed(); initialize() reports whether the provider is
+ * usable in this environment (model files, API key, ...).
+ */
+class EmbeddingProvider {
+  constructor(name, { model, dimensions = null } = {}) {
+    this.name = name;
+    this.model = model;
+    this.dimensions = dimensions;
+  }
+
+  get version() {
+    return `${this.name}:${this.model}@${this.dimensions}`;
+  }
+
+  /**
+   * Prepare the encoder
+   * @returns {Promise<boolean>} Whether the provider can be used
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Embed a batch of texts
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+   */
+  async embed() {
+    throw new Error(`${this.name} provider does not implement embed()`);
+  }
+}
+
+module.exports = {
+  EmbeddingProvider
+};
@@ -0,0 +1,35 @@
+/**
+ * Embedding Providers Index
+ * Selects the text encoder named by EMBEDDING_PROVIDER
+ */
+
+const { EmbeddingProvider } = require('./baseProvider');
+const LocalEmbeddingProvider = require('./localProvider');
+const OpenAIEmbeddingProvider = require('./openAIProvider');
+
+const PROVIDERS = {
+  local: LocalEmbeddingProvider,
+  openai: OpenAIEmbeddingProvider
+};
+
+/**
+ * Create the configured provider
+ * @param {string} name - Provider name, defaults to EMBEDDING_PROVIDER ('local')
+ * @param {Object} options - Provider constructor options
+ * @returns {EmbeddingProvider}
+ */
+const createProvider = (name = process.env.EMBEDDING_PROVIDER || 'local', options = {}) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  EmbeddingProvider,
+  LocalEmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,79 @@
+/**
+ * Local Embedding Provider
+ * Runs a sentence encoder in-process with transformers.js (ONNX runtime), so
+ * embeddings need no API key or network once the model files are cached.
+ *
+ * EMBEDDING_LOCAL_MODEL          - Hugging Face model id (ONNX export)
+ * EMBEDDING_MODEL_CACHE_DIR      - Where downloaded model files are kept
+ * EMBEDDING_ALLOW_REMOTE_MODELS  - 'false' to only load models already on disk
+ */
+
+const { EmbeddingProvider } = require('./baseProvider');
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+// Output size of common sentence encoders; other models are sized from their first vector
+const MODEL_DIMENSIONS = {
+  'Xenova/all-MiniLM-L6-v2': 384,
+  'Xenova/all-MiniLM-L12-v2': 384,
+  'Xenova/paraphrase-multilingual-MiniLM-L12-v2': 384,
+  'Xenova/bge-small-en-v1.5': 384,
+  'Xenova/bge-base-en-v1.5': 768,
+  'Xenova/all-mpnet-base-v2': 768
+};
+
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor({
+    model = process.env.EMBEDDING_LOCAL_MODEL || DEFAULT_MODEL,
+    cacheDir = process.env.EMBEDDING_MODEL_CACHE_DIR,
+    allowRemoteModels = process.env.EMBEDDING_ALLOW_REMOTE_MODELS !== 'false'
+  } = {}) {
+    super('local', { model, dimensions: MODEL_DIMENSIONS[model] || null });
+    this.cacheDir = cacheDir;
+    this.allowRemoteModels = allowRemoteModels;
+    this.extractor = null;
+  }
+
+  async initialize() {
+    await this.getExtractor();
+    return true;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once; concurrent callers share the load
+   * @returns {Promise<Function>}
+   */
+  getExtractor() {
+    if (!this.extractor) {
+      this.extractor = this.loadPipeline().catch((error) => {
+        this.extractor = null;
+        throw error;
+      });
+    }
+    return this.extractor;
+  }
+
+  async loadPipeline() {
+    // transformers.js is an ES module
+    const { pipeline, env } = await import('@xenova/transformers');
+
+    if (this.cacheDir) env.cacheDir = this.cacheDir;
+    env.allowRemoteModels = this.allowRemoteModels;
+
+    return pipeline('feature-extraction', this.model, { quantized: true });
+  }
+
+  async embed(texts) {
+    const extractor = await this.getExtractor();
+    // Mean pooling + L2 normalization gives sentence vectors for cosine search
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const vectors = output.tolist();
+
+    if (!this.dimensions && vectors.length > 0) {
+      this.dimensions = vectors[0].length;
+    }
+    return vectors;
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
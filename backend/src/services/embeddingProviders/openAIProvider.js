@@ -0,0 +1,78 @@
+/**
+ * OpenAI Embedding Provider
+ * Calls the OpenAI embeddings API, enabled by OPENAI_API_KEY.
+ *
+ * text-embedding-3 models are shortened to the configured dimensions, so
+ * they can share the vector columns sized for the local encoder.
+ */
+
+const { APIError } = require('../../utils/errorHandler');
+const { EmbeddingProvider } = require('./baseProvider');
+
+const API_URL = 'https://api.openai.com/v1/embeddings';
+const MAX_INPUT_CHARS = 8000; // Roughly the 8191 token input limit
+const MAX_RETRIES = 3;
+
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || null,
+    timeoutMs = parseInt(process.env.EXTERNAL_API_TIMEOUT) || 15000
+  } = {}) {
+    const shortenable = model.startsWith('text-embedding-3');
+    super('openai', { model, dimensions: (shortenable && dimensions) || MODEL_DIMENSIONS[model] || dimensions });
+    this.apiKey = apiKey;
+    this.shortenable = shortenable;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async initialize() {
+    return !!this.apiKey;
+  }
+
+  async embed(texts, attempt = 0) {
+    let response;
+
+    try {
+      response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          model: this.model,
+          input: texts.map(text => text.substring(0, MAX_INPUT_CHARS)),
+          encoding_format: 'float',
+          ...(this.shortenable && this.dimensions ? { dimensions: this.dimensions } : {})
+        }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new APIError('OpenAI embedding request failed', 502, 'EMBEDDING_PROVIDER_ERROR', { error: error.message });
+    }
+
+    if (response.status === 429 && attempt < MAX_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** attempt));
+      return this.embed(texts, attempt + 1);
+    }
+
+    if (!response.ok) {
+      throw new APIError(`OpenAI embeddings responded with ${response.status}`, 502, 'EMBEDDING_PROVIDER_ERROR');
+    }
+
+    const body = await response.json();
+    return body.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+module.exports = OpenAIEmbeddingProvider;
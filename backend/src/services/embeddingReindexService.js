@@ -0,0 +1,372 @@
+/**
+ * Embedding Re-index Service
+ * Finds receipt and warranty embeddings that are missing, were made by
+ * another model version, or were built from content that has since changed,
+ * and regenerates them through embeddingService.batchGenerateEmbeddings.
+ *
+ * Entities are scanned in ID order one page at a time. After each page the
+ * run's checkpoint (entity type, last ID, counters) is saved to
+ * embedding_reindex_runs, so an interrupted run resumes where it stopped.
+ */
+
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const embeddingService = require('./embeddingService');
+
+const ENTITY_TYPES = ['receipt', 'warranty'];
+const RESUMABLE_STATUSES = ['running', 'failed', 'cancelled'];
+const MAX_RECORDED_FAILURES = 50;
+
+const ENTITY_SOURCES = {
+  receipt: {
+    table: 'receipts',
+    select: '*, categories(name), receipt_items(*), receipt_embeddings(content_hash, embedding_model)',
+    embeddings: 'receipt_embeddings'
+  },
+  warranty: {
+    table: 'warranties',
+    select: '*, warranty_embeddings(content_hash, embedding_model)',
+    embeddings: 'warranty_embeddings',
+    activeOnly: true
+  }
+};
+
+class EmbeddingReindexService {
+  constructor() {
+    // Runs cover every user's data, so use the service role
+    this.client = supabaseAdmin || supabase;
+    this.defaultBatchSize = parseInt(process.env.EMBEDDING_REINDEX_BATCH_SIZE) || 100;
+  }
+
+  /**
+   * Why an entity's embedding needs regenerating
+   * @param {string} type - 'receipt' | 'warranty'
+   * @param {Object} item - Entity with its embedding row joined
+   * @param {string} model - Current model version
+   * @returns {string|null} 'missing' | 'model_changed' | 'content_changed', or null when current
+   */
+  getStaleReason(type, item, model) {
+    const joined = item[ENTITY_SOURCES[type].embeddings];
+    const stored = Array.isArray(joined) ? joined[0] : joined;
+
+    if (!stored) return 'missing';
+    if (stored.embedding_model !== model) return 'model_changed';
+
+    const contentHash = embeddingService.generateContentHash(embeddingService.buildContentText(type, item));
+    return stored.content_hash === contentHash ? null : 'content_changed';
+  }
+
+  /**
+   * Start a run, or resume one
+   * @param {Object} options
+   * @param {Array<string>} options.types - Entity types, defaults to receipts and warranties
+   * @param {string} options.userId - Only re-index this user's data
+   * @param {boolean} options.force - Regenerate every embedding, stale or not
+   * @param {number} options.batchSize - Entities per page
+   * @param {string|boolean} options.resume - Run ID, or true for the latest unfinished matching run
+   * @param {boolean} options.dryRun - Only count stale embeddings; nothing is written
+   * @param {Function} options.onProgress - Called with getProgress(run) after each page
+   * @param {Function} options.shouldStop - Checked between pages; true cancels the run
+   * @returns {Promise<Object>} Final progress
+   */
+  async reindex(options = {}) {
+    const { onProgress, shouldStop } = options;
+    const run = await this.prepareRun(options);
+    const types = run.entity_types.slice(run.current_type ? run.entity_types.indexOf(run.current_type) : 0);
+
+    try {
+      for (const type of types) {
+        if (run.current_type !== type) {
+          run.current_type = type;
+          run.last_entity_id = null;
+        }
+
+        let done = false;
+        while (!done) {
+          if (shouldStop && shouldStop()) {
+            run.status = 'cancelled';
+            await this.saveRun(run);
+            return this.getProgress(run);
+          }
+
+          done = await this.processPage(run, type);
+          await this.saveRun(run);
+
+          if (onProgress) onProgress(this.getProgress(run));
+        }
+      }
+
+      run.status = 'completed';
+      run.completed_at = new Date().toISOString();
+      await this.saveRun(run);
+    } catch (error) {
+      logger.error(`Embedding re-index run ${run.id || '(dry run)'} failed:`, error);
+      run.status = 'failed';
+      run.last_error = error.message;
+      await this.saveRun(run).catch(() => {});
+      throw error;
+    }
+
+    return this.getProgress(run);
+  }
+
+  /**
+   * Scan one page of a type and regenerate the stale embeddings on it
+   * @returns {Promise<boolean>} Whether the type has been fully scanned
+   */
+  async processPage(run, type) {
+    const items = await this.fetchPage(type, run);
+    if (items.length === 0) return true;
+
+    const stale = run.force
+      ? items
+      : items.filter(item => this.getStaleReason(type, item, run.embedding_model));
+
+    run.scanned_count += items.length;
+    run.stale_count += stale.length;
+
+    if (!run.dry_run && stale.length > 0) {
+      const results = await embeddingService.batchGenerateEmbeddings(stale, type);
+
+      for (const result of results) {
+        if (result.success) {
+          run.reindexed_count += 1;
+        } else {
+          run.failed_count += 1;
+          run.failures = [
+            ...run.failures,
+            { type, id: result.item.id, error: result.error ? result.error.message : 'Unknown error' }
+          ].slice(-MAX_RECORDED_FAILURES);
+        }
+      }
+    }
+
+    // Failed items are not retried within the run; a later run finds them stale again
+    run.last_entity_id = items[items.length - 1].id;
+    return items.length < run.batch_size;
+  }
+
+  /**
+   * Next page of entities after the run's checkpoint, with their embedding rows
+   */
+  async fetchPage(type, run) {
+    const source = ENTITY_SOURCES[type];
+    let query = this.client
+      .from(source.table)
+      .select(source.select)
+      .order('id', { ascending: true })
+      .limit(run.batch_size);
+
+    if (run.last_entity_id) query = query.gt('id', run.last_entity_id);
+    if (run.user_id) query = query.eq('user_id', run.user_id);
+    if (source.activeOnly) query = query.eq('is_deleted', false);
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error(`Failed to fetch ${source.table} for re-indexing:`, error);
+      throw new APIError(`Failed to fetch ${source.table} for re-indexing`, 500, 'DATABASE_ERROR');
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Number of entities a run will scan
+   */
+  async countEntities(types, userId) {
+    let total = 0;
+
+    for (const type of types) {
+      const source = ENTITY_SOURCES[type];
+      let query = this.client
+        .from(source.table)
+        .select('id', { count: 'exact', head: true });
+
+      if (userId) query = query.eq('user_id', userId);
+      if (source.activeOnly) query = query.eq('is_deleted', false);
+
+      const { count, error } = await query;
+
+      if (error) {
+        logger.error(`Failed to count ${source.table}:`, error);
+        throw new APIError(`Failed to count ${source.table}`, 500, 'DATABASE_ERROR');
+      }
+      total += count || 0;
+    }
+
+    return total;
+  }
+
+  async prepareRun({ types = ENTITY_TYPES, userId = null, force = false, batchSize, resume, dryRun = false }) {
+    const invalid = types.filter(type => !ENTITY_TYPES.includes(type));
+    if (invalid.length > 0) {
+      throw new APIError(`Unknown embedding type: ${invalid.join(', ')}`, 400, 'INVALID_EMBEDDING_TYPE');
+    }
+
+    const model = embeddingService.getModelVersion();
+
+    if (resume && !dryRun) {
+      const run = typeof resume === 'string'
+        ? await this.getRun(resume)
+        : await this.findResumableRun({ types, userId, model });
+
+      if (run) {
+        if (!RESUMABLE_STATUSES.includes(run.status)) {
+          throw new APIError(`Re-index run ${run.id} is already ${run.status}`, 409, 'RUN_NOT_RESUMABLE');
+        }
+        if (run.embedding_model !== model) {
+          throw new APIError(
+            `Re-index run ${run.id} was started for ${run.embedding_model}, current model is ${model}`,
+            409,
+            'EMBEDDING_MODEL_CHANGED'
+          );
+        }
+
+        run.status = 'running';
+        run.last_error = null;
+        await this.saveRun(run);
+        return run;
+      }
+
+      if (typeof resume === 'string') {
+        throw new APIError('Re-index run not found', 404, 'RUN_NOT_FOUND');
+      }
+    }
+
+    const run = {
+      status: 'running',
+      embedding_model: model,
+      entity_types: ENTITY_TYPES.filter(type => types.includes(type)),
+      user_id: userId,
+      force,
+      batch_size: batchSize || this.defaultBatchSize,
+      current_type: null,
+      last_entity_id: null,
+      total_count: await this.countEntities(types, userId),
+      scanned_count: 0,
+      stale_count: 0,
+      reindexed_count: 0,
+      failed_count: 0,
+      failures: [],
+      last_error: null,
+      dry_run: dryRun
+    };
+
+    if (dryRun) return run;
+
+    const fields = { ...run };
+    delete fields.dry_run;
+
+    const { data, error } = await this.client
+      .from('embedding_reindex_runs')
+      .insert(fields)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to start embedding re-index run:', error);
+      throw new APIError('Failed to start embedding re-index run', 500, 'DATABASE_ERROR');
+    }
+
+    return data;
+  }
+
+  /**
+   * Save a run's checkpoint and counters
+   */
+  async saveRun(run) {
+    if (run.dry_run) return;
+
+    const { error } = await this.client
+      .from('embedding_reindex_runs')
+      .update({
+        status: run.status,
+        current_type: run.current_type,
+        last_entity_id: run.last_entity_id,
+        scanned_count: run.scanned_count,
+        stale_count: run.stale_count,
+        reindexed_count: run.reindexed_count,
+        failed_count: run.failed_count,
+        failures: run.failures,
+        last_error: run.last_error,
+        completed_at: run.completed_at || null
+      })
+      .eq('id', run.id);
+
+    if (error) {
+      logger.error('Failed to save embedding re-index run:', error);
+      throw new APIError('Failed to save embedding re-index run', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Run, or null if not found
+   */
+  async getRun(runId) {
+    const { data, error } = await this.client
+      .from('embedding_reindex_runs')
+      .select('*')
+      .eq('id', runId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error('Failed to get embedding re-index run:', error);
+      throw new APIError('Failed to get embedding re-index run', 500, 'DATABASE_ERROR');
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Latest unfinished run with the same scope and model
+   */
+  async findResumableRun({ types, userId, model }) {
+    let query = this.client
+      .from('embedding_reindex_runs')
+      .select('*')
+      .in('status', RESUMABLE_STATUSES)
+      .eq('embedding_model', model)
+      .order('created_at', { ascending: false })
+      .limit(10);
+
+    query = userId ? query.eq('user_id', userId) : query.is('user_id', null);
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Failed to find embedding re-index run:', error);
+      throw new APIError('Failed to find embedding re-index run', 500, 'DATABASE_ERROR');
+    }
+
+    const scope = ENTITY_TYPES.filter(type => types.includes(type)).join(',');
+    return (data || []).find(run => run.entity_types.join(',') === scope) || null;
+  }
+
+  /**
+   * Progress summary of a run
+   */
+  getProgress(run) {
+    return {
+      id: run.id || null,
+      status: run.status,
+      dry_run: !!run.dry_run,
+      embedding_model: run.embedding_model,
+      current_type: run.current_type,
+      total: run.total_count,
+      scanned: run.scanned_count,
+      stale: run.stale_count,
+      reindexed: run.reindexed_count,
+      failed: run.failed_count,
+      percent: run.total_count > 0
+        ? Math.min(100, Math.round((run.scanned_count / run.total_count) * 100))
+        : (run.status === 'completed' ? 100 : 0),
+      failures: run.failures,
+      last_error: run.last_error
+    };
+  }
+}
+
+module.exports = new EmbeddingReindexService();
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
@@ -0,0 +1,455 @@
+/**
+ * Embedding Service
+ * Turns receipts, warranties and search queries into vectors through the
+ * provider selected by EMBEDDING_PROVIDER (see ./embeddingProviders): a local
+ * transformers.js sentence encoder by default, or the OpenAI API.
+ *
+ * Every vector is checked against EMBEDDING_DIMENSIONS, the size of the
+ * embedding columns, and stored with the provider's version string
+ * (provider:model@dimensions) so vectors from different models are never
+ * compared and stale rows can be found when the model changes.
+ */
+
+const { createHash } = require('crypto');
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const { createProvider } = require('./embeddingProviders');
+
+const EMBEDDING_TYPES = ['receipt', 'warranty'];
+
+class EmbeddingService {
+  constructor() {
+    // Embeddings are written by workers as well as requests, so use the service role
+    this.client = supabaseAdmin || supabase;
+    this.dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 384;
+    this.batchSize = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 32;
+    this.provider = null;
+    this.ready = null;
+  }
+
+  /**
+   * Use a different provider (tests, plug-in encoders)
+   * @param {EmbeddingProvider} provider
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.ready = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Version string stored in embedding_model
+   * @returns {string} provider:model@dimensions
+   */
+  getModelVersion() {
+    const provider = this.getProvider();
+    return `${provider.name}:${provider.model}@${this.dimensions}`;
+  }
+
+  /**
+   * Initialize the provider once and check it produces vectors of the configured size
+   * @returns {Promise<EmbeddingProvider>}
+   */
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = this.initializeProvider().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  async initializeProvider() {
+    const provider = this.getProvider();
+    let available = false;
+
+    try {
+      available = (await provider.initialize()) !== false;
+    } catch (error) {
+      logger.warn(`Embedding provider ${provider.name} failed to initialize:`, error.message);
+    }
+
+    if (!available) {
+      throw new APIError(`Embedding provider ${provider.name} is not available`, 503, 'EMBEDDING_PROVIDER_UNAVAILABLE');
+    }
+
+    if (provider.dimensions && provider.dimensions !== this.dimensions) {
+      throw new APIError(
+        `Embedding model ${provider.model} produces ${provider.dimensions} dimensions, expected ${this.dimensions}`,
+        500,
+        'EMBEDDING_DIMENSION_MISMATCH'
+      );
+    }
+
+    logger.info(`Embedding provider ready: ${this.getModelVersion()}`);
+    return provider;
+  }
+
+  /**
+   * Reject vectors that cannot be stored in or compared with the embedding columns
+   * @param {Array<number>} embedding
+   * @returns {Array<number>} The embedding
+   */
+  validateEmbedding(embedding) {
+    if (!Array.isArray(embedding) || embedding.length !== this.dimensions) {
+      throw new APIError(
+        `Embedding has ${Array.isArray(embedding) ? embedding.length : 0} dimensions, expected ${this.dimensions}`,
+        500,
+        'EMBEDDING_DIMENSION_MISMATCH'
+      );
+    }
+
+    if (!embedding.every(Number.isFinite)) {
+      throw new APIError('Embedding contains non-numeric values', 500, 'INVALID_EMBEDDING');
+    }
+
+    return embedding;
+  }
+
+  /**
+   * Embed texts in provider-sized batches
+   * @param {Array<string>} texts
+   * @returns {Promise<Array<Array<number>>>} One vector per text, in order
+   */
+  async generateEmbeddings(texts) {
+    const provider = await this.ensureReady();
+    const embeddings = [];
+
+    for (const batch of this.chunkArray(texts, this.batchSize)) {
+      const vectors = await provider.embed(batch);
+
+      if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+        throw new APIError('Embedding provider returned the wrong number of vectors', 500, 'INVALID_EMBEDDING');
+      }
+      embeddings.push(...vectors.map(vector => this.validateEmbedding(Array.from(vector))));
+    }
+
+    return embeddings;
+  }
+
+  /**
+   * Embed a single text
+   * @param {string} text
+   * @returns {Promise<Array<number>>}
+   */
+  async generateEmbedding(text) {
+    const [embedding] = await this.generateEmbeddings([text || '']);
+    return embedding;
+  }
+
+  /**
+   * Generate query embedding for search
+   */
+  async generateQueryEmbedding(query) {
+    return this.generateEmbedding(this.enhanceSearchQuery(query));
+  }
+
+  /**
+   * Embed a receipt and store it, unless its stored embedding is already current
+   * @param {Object} receipt - Receipt with categories and receipt_items
+   * @returns {Promise<Object>} { embedding, contentText, contentHash, model, cached }
+   */
+  async generateReceiptEmbedding(receipt) {
+    return this.generateEntityEmbedding('receipt', receipt);
+  }
+
+  /**
+   * Embed a warranty and store it, unless its stored embedding is already current
+   */
+  async generateWarrantyEmbedding(warranty) {
+    return this.generateEntityEmbedding('warranty', warranty);
+  }
+
+  async generateEntityEmbedding(type, item) {
+    const contentText = this.buildContentText(type, item);
+    const contentHash = this.generateContentHash(contentText);
+    const model = this.getModelVersion();
+
+    const stored = await this.getStoredEmbedding(type, item.id);
+    if (stored && stored.content_hash === contentHash && stored.embedding_model === model) {
+      // pgvector columns come back from PostgREST as '[0.1,0.2,...]'
+      const embedding = typeof stored.embedding === 'string' ? JSON.parse(stored.embedding) : stored.embedding;
+      return { embedding, contentText, contentHash, model, cached: true };
+    }
+
+    const embedding = await this.generateEmbedding(contentText);
+    const result = { embedding, contentText, contentHash, model, cached: false };
+    await this.storeEmbedding(type, item.id, result);
+
+    return result;
+  }
+
+  /**
+   * Embed and store many receipts or warranties, one provider call per batch
+   * @param {Array<Object>} items - Receipts or warranties
+   * @param {string} type - 'receipt' | 'warranty'
+   * @returns {Promise<Array<Object>>} { item, success, embedding, error } per item
+   */
+  async batchGenerateEmbeddings(items, type) {
+    if (!EMBEDDING_TYPES.includes(type)) {
+      throw new APIError(`Unknown embedding type: ${type}`, 400, 'INVALID_EMBEDDING_TYPE');
+    }
+
+    const results = [];
+    const model = this.getModelVersion();
+
+    for (const batch of this.chunkArray(items, this.batchSize)) {
+      const contents = batch.map(item => {
+        const contentText = this.buildContentText(type, item);
+        return { contentText, contentHash: this.generateContentHash(contentText) };
+      });
+
+      let embeddings;
+      try {
+        embeddings = await this.generateEmbeddings(contents.map(content => content.contentText));
+      } catch (error) {
+        results.push(...batch.map(item => ({ item, success: false, embedding: null, error })));
+        continue;
+      }
+
+      const stored = await Promise.allSettled(batch.map((item, index) => {
+        const result = { ...contents[index], embedding: embeddings[index], model, cached: false };
+        return this.storeEmbedding(type, item.id, result).then(() => result);
+      }));
+
+      results.push(...stored.map((outcome, index) => ({
+        item: batch[index],
+        success: outcome.status === 'fulfilled',
+        embedding: outcome.status === 'fulfilled' ? outcome.value : null,
+        error: outcome.status === 'rejected' ? outcome.reason : null
+      })));
+    }
+
+    return results;
+  }
+
+  buildContentText(type, item) {
+    return type === 'warranty' ? this.buildWarrantyContentText(item) : this.buildReceiptContentText(item);
+  }
+
+  /**
+   * Build comprehensive content text for receipt embedding
+   */
+  buildReceiptContentText(receipt) {
+    const parts = [];
+    const categoryName = receipt.category_name || (receipt.categories && receipt.categories.name) || receipt.category;
+    const items = receipt.receipt_items || receipt.line_items || [];
+
+    if (receipt.merchant_name) {
+      parts.push(`Merchant: ${receipt.merchant_name}`);
+    }
+
+    if (receipt.total_amount) {
+      parts.push(`Amount: ${receipt.currency || '$'}${receipt.total_amount}`);
+    }
+
+    if (receipt.purchase_date) {
+      parts.push(`Date: ${receipt.purchase_date}`);
+    }
+
+    if (categoryName) {
+      parts.push(`Category: ${categoryName}`);
+    }
+
+    if (receipt.ocr_text) {
+      parts.push(`Receipt text: ${receipt.ocr_text}`);
+    }
+
+    if (items.length > 0) {
+      const itemsText = items
+        .map(item => {
+          const name = item.item_name || item.name || item.description;
+          const amount = item.total_price ?? item.amount;
+          return amount != null ? `${name} $${amount}` : name;
+        })
+        .filter(Boolean)
+        .join(', ');
+      parts.push(`Items: ${itemsText}`);
+    }
+
+    if (receipt.tags && receipt.tags.length > 0) {
+      parts.push(`Tags: ${receipt.tags.join(', ')}`);
+    }
+
+    if (receipt.notes) {
+      parts.push(`Notes: ${receipt.notes}`);
+    }
+
+    if (receipt.location_address) {
+      parts.push(`Location: ${receipt.location_address}`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Build content text for warranty embedding
+   */
+  buildWarrantyContentText(warranty) {
+    const parts = [];
+    const brand = warranty.manufacturer || warranty.product_brand;
+    const model = warranty.model_number || warranty.product_model;
+    const category = warranty.category || warranty.product_category;
+    const retailer = warranty.retailer || warranty.purchase_location;
+
+    if (warranty.product_name) {
+      parts.push(`Product: ${warranty.product_name}`);
+    }
+
+    if (brand) {
+      parts.push(`Brand: ${brand}`);
+    }
+
+    if (model) {
+      parts.push(`Model: ${model}`);
+    }
+
+    if (category) {
+      parts.push(`Category: ${category}`);
+    }
+
+    if (warranty.warranty_type) {
+      parts.push(`Warranty type: ${warranty.warranty_type}`);
+    }
+
+    if (warranty.warranty_terms) {
+      parts.push(`Warranty terms: ${warranty.warranty_terms}`);
+    }
+
+    if (warranty.purchase_price) {
+      parts.push(`Purchase price: $${warranty.purchase_price}`);
+    }
+
+    if (retailer) {
+      parts.push(`Purchase location: ${retailer}`);
+    }
+
+    if (warranty.warranty_end_date) {
+      parts.push(`Warranty expires: ${warranty.warranty_end_date}`);
+    }
+
+    if (warranty.notes) {
+      parts.push(`Notes: ${warranty.notes}`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Enhance search query with common synonyms
+   */
+  enhanceSearchQuery(query) {
+    const enhancements = {
+      'restaurant': 'restaurant dining food meal',
+      'gas': 'gas fuel gasoline petrol station',
+      'grocery': 'grocery store food shopping market',
+      'pharmacy': 'pharmacy drug store medicine health',
+      'electronics': 'electronics technology computer phone',
+    };
+
+    let enhanced = query.toLowerCase();
+
+    for (const [key, expansion] of Object.entries(enhancements)) {
+      if (enhanced.includes(key)) {
+        enhanced += ` ${expansion}`;
+      }
+    }
+
+    return enhanced;
+  }
+
+  /**
+   * Generate content hash used to detect changed content
+   */
+  generateContentHash(content) {
+    return createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Upsert the embedding row of a receipt or warranty
+   * @param {string} type - 'receipt' | 'warranty'
+   * @param {string} itemId - Receipt or warranty ID
+   * @param {Object} result - { embedding, contentText, contentHash, model }
+   */
+  async storeEmbedding(type, itemId, { embedding, contentText, contentHash, model }) {
+    this.validateEmbedding(embedding);
+
+    const { error } = await this.client
+      .from(`${type}_embeddings`)
+      .upsert({
+        [`${type}_id`]: itemId,
+        embedding,
+        content_text: contentText,
+        content_hash: contentHash,
+        embedding_model: model || this.getModelVersion(),
+        metadata: {
+          dimensions: embedding.length,
+          generated_at: new Date().toISOString()
+        }
+      }, { onConflict: `${type}_id` });
+
+    if (error) {
+      logger.error(`Failed to store ${type} embedding:`, error);
+      throw new APIError(`Failed to store ${type} embedding`, 500, 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Stored embedding row of a receipt or warranty
+   * @returns {Promise<Object|null>} { embedding, content_hash, embedding_model }
+   */
+  async getStoredEmbedding(type, itemId) {
+    const { data, error } = await this.client
+      .from(`${type}_embeddings`)
+      .select('embedding, content_hash, embedding_model')
+      .eq(`${type}_id`, itemId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error(`Failed to get ${type} embedding:`, error);
+      throw new APIError(`Failed to get ${type} embedding`, 500, 'DATABASE_ERROR');
+    }
+
+    return data || null;
+  }
+
+  /**
+   * Utility functions
+   */
+  chunkArray(array, size) {
+    const chunks = [];
+    for (let i = 0; i < array.length; i += size) {
+      chunks.push(array.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  /**
+   * Health check for the service
+   */
+  async healthCheck() {
+    try {
+      const testEmbedding = await this.generateEmbedding('test');
+      return {
+        status: 'healthy',
+        model: this.getModelVersion(),
+        embeddingLength: testEmbedding.length
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = new EmbeddingService();
@@ -0,0 +1,106 @@
+/**
+ * Image Service
+ * Normalizes uploaded receipt images (HEIC/HEIF decoding) and builds thumbnails
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const HEIC_MIME_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+// ISO base media brands used by HEIC/HEIF stills and sequences
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+const JPEG_QUALITY = parseInt(process.env.IMAGE_QUALITY) || 80;
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH) || 320;
+
+class ImageService {
+
+  /**
+   * Whether a file is HEIC/HEIF, by MIME type, extension or file header
+   * @param {Object} params - { buffer, mimeType, originalName }
+   * @returns {boolean}
+   */
+  isHeic({ buffer, mimeType, originalName }) {
+    if (mimeType && HEIC_MIME_TYPES.includes(mimeType.toLowerCase())) return true;
+    if (originalName && HEIC_EXTENSIONS.includes(path.extname(originalName).toLowerCase())) return true;
+
+    // Header: 4-byte box size, 'ftyp', then the major brand
+    return !!buffer && buffer.length >= 12 &&
+      buffer.subarray(4, 8).toString('latin1') === 'ftyp' &&
+      HEIC_BRANDS.includes(buffer.subarray(8, 12).toString('latin1'));
+  }
+
+  /**
+   * Decode a HEIC/HEIF image to JPEG. Only the primary image is kept, so
+   * Live Photos and bursts become a single still.
+   * @param {Buffer} buffer - HEIC contents
+   * @returns {Promise<Buffer>} JPEG contents
+   */
+  async convertHeicToJpeg(buffer) {
+    try {
+      const { width, height, data } = await decodeHeic({ buffer });
+
+      return await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+        raw: { width, height, channels: 4 }
+      })
+        .jpeg({ quality: Math.max(JPEG_QUALITY, 90) })
+        .toBuffer();
+
+    } catch (error) {
+      logger.error('HEIC decoding failed:', error);
+      throw new APIError('Failed to decode HEIC image', 400, 'HEIC_DECODE_FAILED');
+    }
+  }
+
+  /**
+   * Convert formats the rest of the pipeline cannot read into JPEG.
+   * Other files are returned unchanged.
+   * @param {Object} params - { buffer, mimeType, originalName }
+   * @returns {Promise<Object>} { buffer, mimeType, originalName, convertedFrom }
+   */
+  async normalizeImage({ buffer, mimeType, originalName }) {
+    if (!this.isHeic({ buffer, mimeType, originalName })) {
+      return { buffer, mimeType, originalName, convertedFrom: null };
+    }
+
+    const startTime = Date.now();
+    const jpeg = await this.convertHeicToJpeg(buffer);
+    const baseName = path.basename(originalName || 'receipt', path.extname(originalName || ''));
+
+    logger.info('Converted HEIC image to JPEG', {
+      originalName,
+      originalSize: buffer.length,
+      convertedSize: jpeg.length,
+      durationMs: Date.now() - startTime
+    });
+
+    return {
+      buffer: jpeg,
+      mimeType: 'image/jpeg',
+      originalName: `${baseName}.jpg`,
+      convertedFrom: HEIC_MIME_TYPES.includes(mimeType) ? mimeType : 'image/heic'
+    };
+  }
+
+  /**
+   * Build a small JPEG preview of a receipt image
+   * @param {Buffer} buffer - Image contents (any format sharp can read)
+   * @returns {Promise<Buffer>} Thumbnail JPEG
+   */
+  async createThumbnail(buffer) {
+    return sharp(buffer)
+      .rotate() // Respect EXIF orientation from phone cameras
+      .resize(THUMBNAIL_WIDTH, null, { withoutEnlargement: true, fit: 'inside' })
+      .jpeg({ quality: JPEG_QUALITY })
+      .toBuffer();
+  }
+}
+
+// Export singleton instance
+const imageService = new ImageService();
+
+module.exports = imageService;
@@ -0,0 +1,327 @@
+/**
+ * Job Queue Service
+ * Enqueues, claims and settles background jobs stored in the job_queue table
+ */
+
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+const JOB_TYPES = {
+  OCR_PROCESSING: 'ocr_processing',
+  RECEIPT_PROCESSING: 'receipt_processing',
+  EMBEDDING_GENERATION: 'embedding_generation',
+  NOTIFICATION_SEND: 'notification_send'
+};
+
+class JobQueueService {
+  constructor() {
+    // Workers act on behalf of every user, so prefer the service role client
+    this.client = supabaseAdmin || supabase;
+    this.retryBaseDelayMs = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000;
+    this.retryMaxDelayMs = parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 15 * 60 * 1000;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} params - Job parameters
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue({
+    jobType,
+    jobName = jobType,
+    jobData,
+    jobContext = {},
+    queueName = 'default',
+    priority = 0,
+    scheduledAt = null,
+    maxAttempts = 3,
+    dependsOn = [],
+    dependencyType = 'success'
+  }) {
+    try {
+      const { data: job, error } = await this.client
+        .from('job_queue')
+        .insert({
+          job_type: jobType,
+          job_name: jobName,
+          queue_name: queueName,
+          priority,
+          scheduled_at: scheduledAt || new Date().toISOString(),
+          job_data: jobData,
+          job_context: jobContext,
+          max_attempts: maxAttempts,
+          status: 'pending'
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to enqueue job:', error);
+        throw new APIError('Failed to enqueue job', 500, 'JOB_ENQUEUE_FAILED', { error: error.message });
+      }
+
+      if (dependsOn.length > 0) {
+        const { error: dependencyError } = await this.client
+          .from('job_dependencies')
+          .insert(dependsOn.map(dependencyId => ({
+            job_id: job.id,
+            depends_on_job_id: dependencyId,
+            dependency_type: dependencyType,
+            is_blocking: true
+          })));
+
+        if (dependencyError) {
+          logger.error('Failed to record job dependencies:', dependencyError);
+          throw new APIError('Failed to enqueue job', 500, 'JOB_ENQUEUE_FAILED', { error: dependencyError.message });
+        }
+      }
+
+      logger.debug('Job enqueued', { jobId: job.id, jobType, queueName, priority });
+      return job;
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      throw new APIError('Failed to enqueue job', 500, 'JOB_ENQUEUE_FAILED');
+    }
+  }
+
+  /**
+   * Claim runnable jobs for a worker. Claiming happens in a single
+   * statement with SKIP LOCKED, so concurrent workers never share a job.
+   * @param {string} workerId - Worker identifier
+   * @param {string} queueName - Queue to claim from
+   * @param {number} limit - Maximum number of jobs to claim
+   * @returns {Promise<Array>} Claimed jobs
+   */
+  async claimJobs(workerId, queueName = 'default', limit = 1) {
+    const { data: jobs, error } = await this.client.rpc('claim_jobs', {
+      p_worker_id: workerId,
+      p_queue_name: queueName,
+      p_limit: limit
+    });
+
+    if (error) {
+      logger.error('Failed to claim jobs:', error);
+      throw new APIError('Failed to claim jobs', 500, 'JOB_CLAIM_FAILED', { error: error.message });
+    }
+
+    return jobs || [];
+  }
+
+  /**
+   * Mark a job as completed. Only the worker holding the job may settle it,
+   * so a late result from a worker whose lease expired is ignored.
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker identifier
+   * @param {Object} result - Handler result
+   * @param {number} durationMs - Processing duration
+   * @returns {Promise<boolean>} Whether the job was settled by this worker
+   */
+  async completeJob(job, workerId, result, durationMs) {
+    const { data, error } = await this.client
+      .from('job_queue')
+      .update({
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        result: result === undefined ? null : result,
+        error_message: null,
+        error_details: null,
+        processed_by: workerId,
+        processing_duration_ms: durationMs
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('processed_by', workerId)
+      .select('id');
+
+    if (error) {
+      logger.error('Failed to complete job:', { jobId: job.id, error: error.message });
+      throw new APIError('Failed to complete job', 500, 'JOB_UPDATE_FAILED');
+    }
+
+    return !!(data && data.length > 0);
+  }
+
+  /**
+   * Record a job failure and schedule a retry with exponential backoff,
+   * or fail the job permanently once max_attempts is reached
+   * @param {Object} job - Claimed job
+   * @param {string} workerId - Worker identifier
+   * @param {Error} failure - Error raised by the handler
+   * @param {number} durationMs - Processing duration
+   * @returns {Promise<Object>} { retrying, scheduledAt }
+   */
+  async failJob(job, workerId, failure, durationMs) {
+    const now = new Date();
+    const permanent = failure.retryable === false || job.attempts >= job.max_attempts;
+    const scheduledAt = permanent
+      ? null
+      : new Date(now.getTime() + this.calculateBackoff(job.attempts)).toISOString();
+
+    const { data, error } = await this.client
+      .from('job_queue')
+      .update({
+        status: permanent ? 'failed' : 'retrying',
+        last_error_at: now.toISOString(),
+        error_message: failure.message,
+        error_details: {
+          code: failure.code || null,
+          attempt: job.attempts,
+          details: failure.details || null
+        },
+        processed_by: workerId,
+        processing_duration_ms: durationMs,
+        ...(permanent ? { completed_at: now.toISOString() } : { scheduled_at: scheduledAt })
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('processed_by', workerId)
+      .select('id');
+
+    if (error) {
+      logger.error('Failed to record job failure:', { jobId: job.id, error: error.message });
+      throw new APIError('Failed to update job', 500, 'JOB_UPDATE_FAILED');
+    }
+
+    if (permanent && data && data.length > 0) {
+      await this.failDependentJobs(job.id);
+    }
+
+    return { retrying: !permanent, scheduledAt };
+  }
+
+  /**
+   * Exponential backoff with jitter for the given attempt number
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  calculateBackoff(attempts) {
+    const exponential = this.retryBaseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+    const capped = Math.min(exponential, this.retryMaxDelayMs);
+    const jitter = capped * 0.2 * Math.random();
+    return Math.round(capped + jitter);
+  }
+
+  /**
+   * Fail jobs that required the given job to succeed. Cascades through
+   * the dependency graph so no job waits forever on a failed ancestor.
+   * @param {string} failedJobId - ID of the permanently failed job
+   */
+  async failDependentJobs(failedJobId) {
+    const pending = [failedJobId];
+    const visited = new Set();
+
+    while (pending.length > 0) {
+      const jobId = pending.shift();
+      if (visited.has(jobId)) continue;
+      visited.add(jobId);
+
+      const { data: dependencies, error } = await this.client
+        .from('job_dependencies')
+        .select('job_id')
+        .eq('depends_on_job_id', jobId)
+        .eq('dependency_type', 'success')
+        .eq('is_blocking', true);
+
+      if (error) {
+        logger.error('Failed to load job dependents:', { jobId, error: error.message });
+        return;
+      }
+
+      const dependentIds = (dependencies || []).map(dependency => dependency.job_id);
+      if (dependentIds.length === 0) continue;
+
+      const { data: failed, error: updateError } = await this.client
+        .from('job_queue')
+        .update({
+          status: 'failed',
+          completed_at: new Date().toISOString(),
+          last_error_at: new Date().toISOString(),
+          error_message: `Dependency ${jobId} failed`
+        })
+        .in('id', dependentIds)
+        .in('status', ['pending', 'retrying'])
+        .select('id');
+
+      if (updateError) {
+        logger.error('Failed to fail dependent jobs:', { jobId, error: updateError.message });
+        return;
+      }
+
+      pending.push(...(failed || []).map(job => job.id));
+    }
+  }
+
+  /**
+   * Return jobs abandoned by crashed workers to the queue
+   * @param {number} leaseSeconds - How long a job may stay running
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  async requeueStaleJobs(leaseSeconds) {
+    const { data: recovered, error } = await this.client.rpc('requeue_stale_jobs', {
+      p_lease_seconds: leaseSeconds
+    });
+
+    if (error) {
+      logger.error('Failed to requeue stale jobs:', error);
+      return 0;
+    }
+
+    return recovered || 0;
+  }
+
+  /**
+   * Find a job with the given name that has not finished yet
+   * @param {string} jobName - Job name
+   * @returns {Promise<Object|null>} Pending, running or retrying job, or null
+   */
+  async findActiveJob(jobName) {
+    const { data: jobs, error } = await this.client
+      .from('job_queue')
+      .select('id, status, scheduled_at')
+      .eq('job_name', jobName)
+      .in('status', ['pending', 'running', 'retrying'])
+      .limit(1);
+
+    if (error) {
+      logger.error('Failed to look up job:', error);
+      throw new APIError('Failed to retrieve job', 500, 'DATABASE_ERROR');
+    }
+
+    return jobs && jobs.length > 0 ? jobs[0] : null;
+  }
+
+  /**
+   * Get a job visible to the given user
+   * @param {string} jobId - Job ID
+   * @param {string} userId - User ID stored in the job context
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId, userId) {
+    const { data: job, error } = await this.client
+      .from('job_queue')
+      .select('id, job_type, job_name, status, attempts, max_attempts, scheduled_at, started_at, completed_at, result, error_message, processing_duration_ms, created_at')
+      .eq('id', jobId)
+      .eq('job_context->>user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Failed to get job:', error);
+      throw new APIError('Failed to retrieve job', 500, 'DATABASE_ERROR');
+    }
+
+    return job;
+  }
+}
+
+// Export singleton instance
+const jobQueueService = new JobQueueService();
+
+module.exports = jobQueueService;
+module.exports.JOB_TYPES = JOB_TYPES;
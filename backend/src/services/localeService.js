@@ -0,0 +1,351 @@
+/**
+ * Locale Service
+ * Infers how a receipt writes dates and amounts (DD/MM vs MM/DD, comma or
+ * dot decimals, month names in several languages) and which currency it
+ * uses, from the receipt text and the user's profile locale
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../utils/logger');
+
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_CURRENCY = 'USD';
+
+// Explicit currency markers, most specific first
+const CURRENCY_MARKERS = [
+  { currency: 'INR', pattern: /₹|\bRs\.?\s?(?=\d)|\bINR\b/gi },
+  { currency: 'EUR', pattern: /€|\bEUR\b/g },
+  { currency: 'GBP', pattern: /£|\bGBP\b/g },
+  { currency: 'CHF', pattern: /\bCHF\b/g },
+  { currency: 'PLN', pattern: /zł|\bPLN\b/g },
+  { currency: 'SEK', pattern: /\bSEK\b/g },
+  { currency: 'NOK', pattern: /\bNOK\b/g },
+  { currency: 'DKK', pattern: /\bDKK\b/g },
+  { currency: 'JPY', pattern: /¥|\bJPY\b/g },
+  { currency: 'AUD', pattern: /\bAU?\$|\bAUD\b/g },
+  { currency: 'CAD', pattern: /\bCA?\$|\bCAD\b/g },
+  { currency: 'USD', pattern: /\bUS\$|\bUSD\b/g }
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'AUD', 'NZD', 'SGD', 'HKD'];
+
+// Tax labels that identify a region when no currency is printed
+const REGION_HINTS = [
+  { currency: 'INR', pattern: /\b(GSTIN|CGST|SGST|IGST)\b/i },
+  { currency: 'EUR', pattern: /\b(MwSt|USt|TVA|IVA|BTW)\b/i }
+];
+
+// Currencies whose countries write year-first or month-first dates
+const CURRENCY_DATE_ORDER = {
+  USD: 'MDY',
+  JPY: 'YMD',
+  CNY: 'YMD',
+  KRW: 'YMD'
+};
+
+const PROFILE_DATE_FORMATS = {
+  'MM/DD/YYYY': 'MDY',
+  'DD/MM/YYYY': 'DMY',
+  'DD.MM.YYYY': 'DMY',
+  'DD-MM-YYYY': 'DMY',
+  'YYYY-MM-DD': 'YMD'
+};
+
+// Full month names; abbreviations match by prefix
+const MONTH_NAMES = [
+  ['january', 'janvier', 'januar', 'enero', 'gennaio', 'janeiro', 'januari'],
+  ['february', 'fevrier', 'februar', 'febrero', 'febbraio', 'fevereiro', 'februari'],
+  ['march', 'mars', 'marz', 'marzo', 'marco', 'maart', 'mrt'],
+  ['april', 'avril', 'abril', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'maio', 'mei'],
+  ['june', 'juin', 'juni', 'junio', 'giugno', 'junho'],
+  ['july', 'juillet', 'juli', 'julio', 'luglio', 'julho'],
+  ['august', 'aout', 'agosto', 'augustus'],
+  ['september', 'septembre', 'septiembre', 'settembre', 'setembro'],
+  ['october', 'octobre', 'oktober', 'octubre', 'ottobre', 'outubro'],
+  ['november', 'novembre', 'noviembre', 'novembro'],
+  ['december', 'decembre', 'dezember', 'diciembre', 'dicembre', 'dezembro']
+];
+
+// Amounts: Indian grouping (1,23,456.78), grouped thousands, or plain digits
+const NUMBER_SOURCE = "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?|\\d{1,3}(?:[.,'\\u00a0 ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,3})?";
+
+// Day after today is allowed to absorb time zone differences
+const FUTURE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+const stripDiacritics = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Decimal separator the locale uses, via Intl
+ */
+const localeDecimalSeparator = (locale) => {
+  try {
+    const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(candidate => candidate.type === 'decimal');
+    return part ? part.value : '.';
+  } catch (error) {
+    return '.';
+  }
+};
+
+/**
+ * Order of day, month and year in the locale's short date format
+ */
+const localeDateOrder = (locale) => {
+  try {
+    const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2025, 0, 31))
+      .filter(part => ['day', 'month', 'year'].includes(part.type))
+      .map(part => part.type[0].toUpperCase())
+      .join('');
+    return ['DMY', 'MDY', 'YMD'].includes(order) ? order : 'MDY';
+  } catch (error) {
+    return 'MDY';
+  }
+};
+
+class LocaleService {
+
+  /**
+   * Locale settings from the user's profile
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { locale, currency, dateFormat }, or null when unavailable
+   */
+  async getUserProfileLocale(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_profiles')
+        .select('locale, currency, date_format')
+        .eq('id', userId)
+        .single();
+
+      if (error) {
+        if (error.code !== 'PGRST116') {
+          logger.warn('Failed to load profile locale:', { userId, error: error.message });
+        }
+        return null;
+      }
+
+      return {
+        locale: data.locale || DEFAULT_LOCALE,
+        currency: data.currency || null,
+        dateFormat: data.date_format || null
+      };
+    } catch (error) {
+      logger.warn('Failed to load profile locale:', { userId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Work out the currency, decimal separator and date order of a receipt.
+   * Evidence in the text wins; the profile fills in what the text leaves open.
+   * @param {string} text - Receipt text
+   * @param {Object} profile - { locale, currency, dateFormat } from getUserProfileLocale
+   * @returns {Object} { locale, currency, currencySource, decimalSeparator, dateOrder }
+   */
+  detectLocale(text = '', profile = null) {
+    const locale = (profile && profile.locale) || DEFAULT_LOCALE;
+    const { currency, source: currencySource } = this.detectCurrency(text, profile);
+
+    return {
+      locale,
+      currency,
+      currencySource,
+      decimalSeparator: this.detectDecimalSeparator(text) || localeDecimalSeparator(locale),
+      dateOrder: this.detectDateOrder(text) ||
+        (currencySource !== 'profile' && currencySource !== 'default' ? CURRENCY_DATE_ORDER[currency] || 'DMY' : null) ||
+        (profile && PROFILE_DATE_FORMATS[profile.dateFormat]) ||
+        localeDateOrder(locale)
+    };
+  }
+
+  /**
+   * Currency from printed symbols and codes, then regional tax labels,
+   * then the profile
+   * @returns {Object} { currency, source: 'text' | 'hint' | 'profile' | 'default' }
+   */
+  detectCurrency(text, profile = null) {
+    const profileCurrency = profile && profile.currency;
+    const counts = CURRENCY_MARKERS
+      .map(({ currency, pattern }) => ({ currency, count: (text.match(pattern) || []).length }))
+      .filter(candidate => candidate.count > 0)
+      .sort((a, b) => b.count - a.count);
+
+    if (counts.length > 0) {
+      return { currency: counts[0].currency, source: 'text' };
+    }
+
+    // A bare "$" is the profile's dollar if it has one
+    if (/\$/.test(text)) {
+      return {
+        currency: DOLLAR_CURRENCIES.includes(profileCurrency) ? profileCurrency : 'USD',
+        source: 'text'
+      };
+    }
+
+    const hint = REGION_HINTS.find(({ pattern }) => pattern.test(text));
+    if (hint) {
+      return { currency: hint.currency, source: 'hint' };
+    }
+
+    return profileCurrency
+      ? { currency: profileCurrency, source: 'profile' }
+      : { currency: DEFAULT_CURRENCY, source: 'default' };
+  }
+
+  /**
+   * Which separator marks decimals in the text's amounts, or null if unclear
+   */
+  detectDecimalSeparator(text) {
+    // Dates and times look like amounts ("14.03.2025", "10.30")
+    const amounts = text
+      .replace(/\d{1,4}[./-]\d{1,2}[./-]\d{1,4}/g, ' ')
+      .replace(/\d{1,2}[:.]\d{2}\s*(?:h|uhr|am|pm)\b/gi, ' ');
+
+    const comma = (amounts.match(/\d,\d{2}(?!\d)/g) || []).length;
+    const dot = (amounts.match(/\d\.\d{2}(?!\d)/g) || []).length;
+
+    if (comma === dot) return null;
+    return comma > dot ? ',' : '.';
+  }
+
+  /**
+   * Date order proven by the text: a day above 12 settles DD/MM vs MM/DD,
+   * and dotted dates are day-first
+   * @returns {string|null} 'DMY' | 'MDY' | 'YMD'
+   */
+  detectDateOrder(text) {
+    let dayFirst = 0;
+    let monthFirst = 0;
+    const pattern = /\b(\d{1,4})([./-])(\d{1,2})\2(\d{2,4})\b/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[1].length === 4) return 'YMD';
+
+      const first = parseInt(match[1]);
+      const second = parseInt(match[3]);
+      if (first > 12 && second <= 12) dayFirst += 2;
+      else if (second > 12 && first <= 12) monthFirst += 2;
+      else if (match[2] === '.') dayFirst += 1;
+    }
+
+    if (dayFirst === monthFirst) return null;
+    return dayFirst > monthFirst ? 'DMY' : 'MDY';
+  }
+
+  /**
+   * Parse an amount such as "1.234,56", "1,234.56", "1 234,56" or "1,23,456.78"
+   * @param {string} raw - Amount text
+   * @param {string} decimalSeparator - Separator the receipt uses for decimals
+   * @returns {number|null}
+   */
+  parseAmount(raw, decimalSeparator = '.') {
+    if (raw === null || raw === undefined) return null;
+
+    const negative = /^\s*-|-\s*$/.test(raw);
+    const cleaned = String(raw).replace(/[^\d.,]/g, '');
+    if (!/\d/.test(cleaned)) return null;
+
+    const lastSeparator = Math.max(cleaned.lastIndexOf('.'), cleaned.lastIndexOf(','));
+    let integer = cleaned;
+    let fraction = '';
+
+    if (lastSeparator !== -1) {
+      const digitsAfter = cleaned.length - lastSeparator - 1;
+      const separator = cleaned[lastSeparator];
+      const onlySeparator = cleaned.indexOf(separator) === lastSeparator &&
+        !cleaned.includes(separator === '.' ? ',' : '.');
+
+      // Two digits after the last separator is always a decimal part; three
+      // is a thousands group unless it's the receipt's own decimal mark
+      const isDecimal = digitsAfter > 0 && (digitsAfter <= 2 || (digitsAfter === 3 && onlySeparator && separator === decimalSeparator));
+
+      if (isDecimal) {
+        integer = cleaned.slice(0, lastSeparator);
+        fraction = cleaned.slice(lastSeparator + 1);
+      }
+    }
+
+    const value = parseFloat(`${integer.replace(/[.,]/g, '') || '0'}.${fraction || '0'}`);
+    if (Number.isNaN(value)) return null;
+    return negative ? -value : value;
+  }
+
+  /**
+   * Month number (1-12) of a month name or abbreviation in a supported language
+   */
+  parseMonthName(name) {
+    const token = stripDiacritics(name.toLowerCase()).replace(/\.$/, '');
+    if (token.length < 3) return null;
+
+    const matches = MONTH_NAMES
+      .map((names, index) => (names.some(candidate => candidate === token || candidate.startsWith(token)) ? index + 1 : null))
+      .filter(Boolean);
+
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  /**
+   * Find the purchase date in receipt lines
+   * @param {Array<string>} lines - Receipt lines
+   * @param {Object} options - { dateOrder, now }
+   * @returns {Date|null}
+   */
+  parseDate(lines, { dateOrder = 'MDY', now = new Date() } = {}) {
+    const latest = now.getTime() + FUTURE_TOLERANCE_MS;
+    const build = (year, month, day) => {
+      const fullYear = year < 100 ? year + 2000 : year;
+      const date = new Date(fullYear, month - 1, day);
+      const valid = date.getFullYear() === fullYear && date.getMonth() === month - 1 && date.getDate() === day;
+      return valid && fullYear >= 1990 && date.getTime() <= latest ? date : null;
+    };
+
+    const numeric = /\b(\d{1,4})[./-](\d{1,2})[./-](\d{1,4})\b/;
+    const dayMonthName = /\b(\d{1,2})(?:st|nd|rd|th|er)?\.?[\s-]*(?:de\s+)?([\p{L}]{3,10})\.?,?[\s-]*(?:de\s+)?(\d{4}|\d{2})\b/u;
+    const monthNameDay = /\b([\p{L}]{3,10})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4}|\d{2})\b/u;
+
+    for (const line of lines) {
+      const match = numeric.exec(line);
+      if (match) {
+        const [a, b, c] = [match[1], match[2], match[3]].map(value => parseInt(value));
+        let date = null;
+
+        if (match[1].length === 4) {
+          date = build(a, b, c);
+        } else if (match[3].length !== 3 && match[3].length <= 4) {
+          // Ambiguous dates try the receipt's order first, then the other one
+          const orders = dateOrder === 'DMY' ? ['DMY', 'MDY'] : ['MDY', 'DMY'];
+          for (const order of orders) {
+            date = order === 'DMY' ? build(c, b, a) : build(c, a, b);
+            if (date) break;
+          }
+        }
+
+        if (date) return date;
+      }
+
+      const named = dayMonthName.exec(line);
+      if (named) {
+        const month = this.parseMonthName(named[2]);
+        const date = month && build(parseInt(named[3]), month, parseInt(named[1]));
+        if (date) return date;
+      }
+
+      const reversed = monthNameDay.exec(line);
+      if (reversed) {
+        const month = this.parseMonthName(reversed[1]);
+        const date = month && build(parseInt(reversed[3]), month, parseInt(reversed[2]));
+        if (date) return date;
+      }
+    }
+
+    return null;
+  }
+}
+
+// Export singleton instance
+const localeService = new LocaleService();
+
+module.exports = localeService;
+module.exports.NUMBER_PATTERN = NUMBER_SOURCE;
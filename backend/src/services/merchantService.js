@@ -0,0 +1,701 @@
+/**
+ * Merchant Service
+ * Canonical merchant directory. Names read from receipts are normalized
+ * (case, punctuation, store numbers, generic suffixes), matched against
+ * the user's merchants exactly or fuzzily, and recorded as aliases so
+ * "WAL-MART #1234", "Walmart Supercenter" and "WALMART" are one merchant.
+ */
+
+const fuzzball = require('fuzzball');
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Fuzzy matches at or above this similarity join an existing merchant as
+// an unconfirmed alias
+const FUZZY_MATCH_THRESHOLD = 0.88;
+const LINK_BATCH_SIZE = 200;
+
+// Store and register numbers: "#1234", "STORE 0042", "T-1234", "57442"
+const STORE_NUMBER_PATTERNS = [
+  /#\s*\d+/g,
+  /\b(?:store|str|st|no|num|unit|loc|location)\.?\s*#?\s*\d+\b/gi,
+  /\b[a-z]?-?\d{3,}\b/gi
+];
+
+// Words that do not tell merchants apart
+const GENERIC_WORDS = new Set([
+  'inc', 'llc', 'ltd', 'corp', 'corporation', 'co', 'company',
+  'store', 'stores', 'supercenter', 'superstore', 'wholesale', 'the'
+]);
+
+const stripStoreNumbers = (name) => STORE_NUMBER_PATTERNS
+  .reduce((result, pattern) => result.replace(pattern, ' '), String(name));
+
+/**
+ * Matching key for a merchant name
+ * @param {string} name - Merchant name as printed
+ * @returns {string} Normalized name, empty when nothing identifying is left
+ */
+const normalizeMerchantName = (name) => {
+  if (!name) return '';
+
+  const words = stripStoreNumbers(name)
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/([a-z])-(?=[a-z])/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const significant = words.filter(word => !GENERIC_WORDS.has(word));
+  return (significant.length > 0 ? significant : words).join(' ');
+};
+
+/**
+ * Display name for a new merchant: store numbers removed, shouting
+ * receipt capitals turned into title case
+ * @param {string} name - Merchant name as printed
+ * @returns {string} Display name
+ */
+const formatMerchantName = (name) => {
+  const cleaned = stripStoreNumbers(name)
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-,.:]+|[\s\-,.:]+$/g, '');
+
+  if (cleaned !== cleaned.toUpperCase()) {
+    return cleaned;
+  }
+  return cleaned.toLowerCase().replace(/(^|[\s&-])([a-z])/g, (match, prefix, letter) => prefix + letter.toUpperCase());
+};
+
+/**
+ * Similarity of two normalized names (0-1), ignoring spacing differences
+ */
+const merchantSimilarity = (a, b) => Math.max(
+  fuzzball.ratio(a, b),
+  fuzzball.ratio(a.replace(/\s/g, ''), b.replace(/\s/g, ''))
+) / 100;
+
+/**
+ * Most similar merchant at or above the fuzzy threshold
+ * @param {string} normalized - Normalized name
+ * @param {Array} merchants - [{ id, normalized_name }]
+ * @returns {Object|null} { merchant, score }
+ */
+const findBestMatch = (normalized, merchants) => {
+  let best = null;
+
+  for (const merchant of merchants) {
+    const score = merchantSimilarity(normalized, merchant.normalized_name);
+    if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { merchant, score };
+    }
+  }
+
+  return best;
+};
+
+const isUniqueViolation = (error) => error && error.code === '23505';
+
+/**
+ * Insert an alias; an alias another request inserted first is kept
+ */
+const insertAlias = async ({ userId, merchantId, alias, normalized, confirmed, score = null }) => {
+  const { error } = await supabase
+    .from('merchant_aliases')
+    .insert({
+      user_id: userId,
+      merchant_id: merchantId,
+      alias,
+      normalized_alias: normalized,
+      confirmed,
+      match_score: score
+    });
+
+  if (error && !isUniqueViolation(error)) {
+    logger.error('Error creating merchant alias:', error);
+    throw new APIError('Failed to create merchant alias', 500, 'DATABASE_ERROR');
+  }
+};
+
+/**
+ * Create a merchant, or return the one another request created first
+ */
+const createMerchant = async (userId, rawName, normalized) => {
+  const { data: merchant, error } = await supabase
+    .from('merchants')
+    .insert({
+      user_id: userId,
+      canonical_name: formatMerchantName(rawName) || rawName,
+      normalized_name: normalized
+    })
+    .select()
+    .single();
+
+  if (isUniqueViolation(error)) {
+    const { data: existing, error: fetchError } = await supabase
+      .from('merchants')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('normalized_name', normalized)
+      .single();
+
+    if (fetchError) {
+      logger.error('Error fetching merchant after conflict:', fetchError);
+      throw new APIError('Failed to create merchant', 500, 'DATABASE_ERROR');
+    }
+    return existing;
+  }
+
+  if (error) {
+    logger.error('Error creating merchant:', error);
+    throw new APIError('Failed to create merchant', 500, 'DATABASE_ERROR');
+  }
+
+  return merchant;
+};
+
+/**
+ * Find or create the canonical merchant for a name read from a receipt
+ * @param {string} userId - User ID
+ * @param {string} rawName - Merchant name as printed
+ * @returns {Promise<Object|null>} { merchantId, canonicalName, matchType: 'alias'|'exact'|'fuzzy'|'new', score }
+ */
+const resolveMerchant = async (userId, rawName) => {
+  const normalized = normalizeMerchantName(rawName);
+  if (!normalized) {
+    return null;
+  }
+
+  const { data: alias, error: aliasError } = await supabase
+    .from('merchant_aliases')
+    .select('merchant_id, merchants (id, canonical_name)')
+    .eq('user_id', userId)
+    .eq('normalized_alias', normalized)
+    .maybeSingle();
+
+  if (aliasError) {
+    logger.error('Error looking up merchant alias:', aliasError);
+    throw new APIError('Failed to resolve merchant', 500, 'DATABASE_ERROR');
+  }
+
+  if (alias && alias.merchants) {
+    return { merchantId: alias.merchant_id, canonicalName: alias.merchants.canonical_name, matchType: 'alias', score: 1 };
+  }
+
+  const { data: merchants, error } = await supabase
+    .from('merchants')
+    .select('id, canonical_name, normalized_name')
+    .eq('user_id', userId);
+
+  if (error) {
+    logger.error('Error fetching merchants:', error);
+    throw new APIError('Failed to resolve merchant', 500, 'DATABASE_ERROR');
+  }
+
+  const exact = (merchants || []).find(merchant => merchant.normalized_name === normalized);
+  const match = exact ? { merchant: exact, score: 1 } : findBestMatch(normalized, merchants || []);
+
+  if (match) {
+    await insertAlias({
+      userId,
+      merchantId: match.merchant.id,
+      alias: rawName,
+      normalized,
+      confirmed: Boolean(exact),
+      score: Math.round(match.score * 1000) / 1000
+    });
+
+    return {
+      merchantId: match.merchant.id,
+      canonicalName: match.merchant.canonical_name,
+      matchType: exact ? 'exact' : 'fuzzy',
+      score: match.score
+    };
+  }
+
+  const merchant = await createMerchant(userId, rawName, normalized);
+  await insertAlias({ userId, merchantId: merchant.id, alias: rawName, normalized, confirmed: true, score: 1 });
+
+  return { merchantId: merchant.id, canonicalName: merchant.canonical_name, matchType: 'new', score: 1 };
+};
+
+/**
+ * Resolve a merchant without letting a failure block receipt processing
+ * @returns {Promise<string|null>} Merchant ID
+ */
+const resolveMerchantId = async (userId, rawName) => {
+  try {
+    const merchant = await resolveMerchant(userId, rawName);
+    return merchant ? merchant.merchantId : null;
+  } catch (error) {
+    logger.warn('Merchant resolution skipped:', { userId, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * IDs of the user's merchants whose name or any alias contains the query
+ * @param {string} userId - User ID
+ * @param {string} query - Search text
+ * @returns {Promise<Array<string>>} Merchant IDs
+ */
+const findMerchantIds = async (userId, query) => {
+  const normalized = normalizeMerchantName(query);
+  if (!normalized) {
+    return [];
+  }
+
+  const [merchantsResult, aliasesResult] = await Promise.all([
+    supabase
+      .from('merchants')
+      .select('id')
+      .eq('user_id', userId)
+      .ilike('normalized_name', `%${normalized}%`),
+    supabase
+      .from('merchant_aliases')
+      .select('merchant_id')
+      .eq('user_id', userId)
+      .ilike('normalized_alias', `%${normalized}%`)
+  ]);
+
+  if (merchantsResult.error || aliasesResult.error) {
+    logger.error('Error searching merchants:', merchantsResult.error || aliasesResult.error);
+    throw new APIError('Failed to search merchants', 500, 'DATABASE_ERROR');
+  }
+
+  return [...new Set([
+    ...(merchantsResult.data || []).map(merchant => merchant.id),
+    ...(aliasesResult.data || []).map(alias => alias.merchant_id)
+  ])];
+};
+
+/**
+ * Get the user's merchants with alias and receipt counts
+ * @param {string} userId - User ID
+ * @param {Object} options - { search, limit, offset }
+ * @returns {Promise<Array>} Merchants
+ */
+const getMerchants = async (userId, { search, limit = 50, offset = 0 } = {}) => {
+  try {
+    let query = supabase
+      .from('merchants')
+      .select(`
+        *,
+        merchant_aliases (
+          id,
+          alias,
+          confirmed
+        ),
+        receipts (count)
+      `)
+      .eq('user_id', userId);
+
+    if (search) {
+      const ids = await findMerchantIds(userId, search);
+      if (ids.length === 0) {
+        return [];
+      }
+      query = query.in('id', ids);
+    }
+
+    const { data: merchants, error } = await query
+      .order('canonical_name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      logger.error('Error fetching merchants:', error);
+      throw new APIError('Failed to fetch merchants', 500, 'DATABASE_ERROR');
+    }
+
+    return (merchants || []).map(({ merchant_aliases: aliases, receipts, ...merchant }) => ({
+      ...merchant,
+      alias_count: (aliases || []).length,
+      unconfirmed_alias_count: (aliases || []).filter(alias => !alias.confirmed).length,
+      receipt_count: receipts?.[0]?.count || 0
+    }));
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getMerchants:', error);
+    throw new APIError('Failed to fetch merchants', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Get merchant by ID with its aliases and spending summary
+ * @param {string} merchantId - Merchant ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Merchant or null if not found
+ */
+const getMerchantById = async (merchantId, userId) => {
+  try {
+    const { data: merchant, error } = await supabase
+      .from('merchants')
+      .select(`
+        *,
+        merchant_aliases (
+          id,
+          alias,
+          normalized_alias,
+          confirmed,
+          match_score,
+          created_at
+        )
+      `)
+      .eq('id', merchantId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error fetching merchant:', error);
+      throw new APIError('Failed to fetch merchant', 500, 'DATABASE_ERROR');
+    }
+
+    const { data: receipts, error: receiptsError } = await supabase
+      .from('receipts')
+      .select('id, merchant_name, total_amount, purchase_date')
+      .eq('user_id', userId)
+      .eq('merchant_id', merchantId)
+      .order('purchase_date', { ascending: false });
+
+    if (receiptsError) {
+      logger.error('Error fetching merchant receipts:', receiptsError);
+      throw new APIError('Failed to fetch merchant', 500, 'DATABASE_ERROR');
+    }
+
+    const { merchant_aliases: aliases, ...fields } = merchant;
+    const amounts = (receipts || []).map(receipt => parseFloat(receipt.total_amount) || 0);
+
+    return {
+      ...fields,
+      aliases: aliases || [],
+      receipt_count: amounts.length,
+      total_spent: Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 100) / 100,
+      recent_receipts: (receipts || []).slice(0, 10)
+    };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getMerchantById:', error);
+    throw new APIError('Failed to fetch merchant', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Rename a merchant
+ * @param {string} merchantId - Merchant ID
+ * @param {string} userId - User ID
+ * @param {string} canonicalName - New display name
+ * @returns {Promise<Object|null>} Updated merchant or null if not found
+ */
+const renameMerchant = async (merchantId, userId, canonicalName) => {
+  try {
+    const { data: merchant, error } = await supabase
+      .from('merchants')
+      .update({ canonical_name: canonicalName.trim(), updated_at: new Date().toISOString() })
+      .eq('id', merchantId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error renaming merchant:', error);
+      throw new APIError('Failed to update merchant', 500, 'DATABASE_ERROR');
+    }
+
+    return merchant;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in renameMerchant:', error);
+    throw new APIError('Failed to update merchant', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Merge merchants into a target: their aliases and receipts move to the
+ * target, which keeps its name, and they are deleted
+ * @param {string} userId - User ID
+ * @param {string} targetId - Merchant to keep
+ * @param {Array<string>} sourceIds - Merchants to merge into the target
+ * @returns {Promise<Object|null>} Merged merchant, or null if the target is not found
+ */
+const mergeMerchants = async (userId, targetId, sourceIds) => {
+  const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+  if (ids.length === 0) {
+    throw new APIError('source_ids must name at least one other merchant', 400, 'INVALID_MERGE');
+  }
+
+  try {
+    const { data: found, error } = await supabase
+      .from('merchants')
+      .select('id')
+      .eq('user_id', userId)
+      .in('id', [targetId, ...ids]);
+
+    if (error) {
+      logger.error('Error fetching merchants to merge:', error);
+      throw new APIError('Failed to merge merchants', 500, 'DATABASE_ERROR');
+    }
+
+    const foundIds = new Set((found || []).map(merchant => merchant.id));
+    if (!foundIds.has(targetId)) {
+      return null;
+    }
+    const missing = ids.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+      throw new APIError(`Merchants not found: ${missing.join(', ')}`, 404, 'MERCHANT_NOT_FOUND');
+    }
+
+    // Aliases and receipts move before the sources are deleted
+    for (const table of ['merchant_aliases', 'receipts']) {
+      const { error: moveError } = await supabase
+        .from(table)
+        .update({ merchant_id: targetId })
+        .eq('user_id', userId)
+        .in('merchant_id', ids);
+
+      if (moveError) {
+        logger.error(`Error moving ${table} during merchant merge:`, moveError);
+        throw new APIError('Failed to merge merchants', 500, 'DATABASE_ERROR');
+      }
+    }
+
+    // Merging is an explicit confirmation of every alias involved
+    await supabase
+      .from('merchant_aliases')
+      .update({ confirmed: true })
+      .eq('user_id', userId)
+      .eq('merchant_id', targetId);
+
+    const { error: deleteError } = await supabase
+      .from('merchants')
+      .delete()
+      .eq('user_id', userId)
+      .in('id', ids);
+
+    if (deleteError) {
+      logger.error('Error deleting merged merchants:', deleteError);
+      throw new APIError('Failed to merge merchants', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info(`Merged ${ids.length} merchants into ${targetId} for user: ${userId}`);
+    return getMerchantById(targetId, userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in mergeMerchants:', error);
+    throw new APIError('Failed to merge merchants', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Get an alias of a merchant
+ */
+const getAlias = async (userId, merchantId, aliasId) => {
+  const { data: alias, error } = await supabase
+    .from('merchant_aliases')
+    .select('*')
+    .eq('id', aliasId)
+    .eq('merchant_id', merchantId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error fetching merchant alias:', error);
+    throw new APIError('Failed to fetch merchant alias', 500, 'DATABASE_ERROR');
+  }
+
+  return alias;
+};
+
+/**
+ * Confirm that a fuzzy-matched alias belongs to its merchant
+ * @returns {Promise<Object|null>} Alias or null if not found
+ */
+const confirmAlias = async (userId, merchantId, aliasId) => {
+  const { data: alias, error } = await supabase
+    .from('merchant_aliases')
+    .update({ confirmed: true })
+    .eq('id', aliasId)
+    .eq('merchant_id', merchantId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error confirming merchant alias:', error);
+    throw new APIError('Failed to confirm merchant alias', 500, 'DATABASE_ERROR');
+  }
+
+  return alias;
+};
+
+/**
+ * Reject an alias: it becomes a merchant of its own, together with the
+ * receipts that were linked through it
+ * @returns {Promise<Object|null>} The new merchant, or null if the alias is not found
+ */
+const detachAlias = async (userId, merchantId, aliasId) => {
+  try {
+    const alias = await getAlias(userId, merchantId, aliasId);
+    if (!alias) {
+      return null;
+    }
+
+    const { data: merchant, error } = await supabase
+      .from('merchants')
+      .insert({
+        user_id: userId,
+        canonical_name: formatMerchantName(alias.alias) || alias.alias,
+        normalized_name: alias.normalized_alias
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (isUniqueViolation(error)) {
+        throw new APIError('A merchant with this name already exists; merge instead', 409, 'MERCHANT_EXISTS');
+      }
+      logger.error('Error creating merchant from alias:', error);
+      throw new APIError('Failed to detach merchant alias', 500, 'DATABASE_ERROR');
+    }
+
+    await supabase
+      .from('merchant_aliases')
+      .update({ merchant_id: merchant.id, confirmed: true })
+      .eq('id', aliasId);
+
+    // Receipts keep the printed name, so the ones read through this alias can be found again
+    const { data: receipts } = await supabase
+      .from('receipts')
+      .select('id, merchant_name')
+      .eq('user_id', userId)
+      .eq('merchant_id', merchantId);
+
+    const moved = (receipts || [])
+      .filter(receipt => normalizeMerchantName(receipt.merchant_name) === alias.normalized_alias)
+      .map(receipt => receipt.id);
+
+    if (moved.length > 0) {
+      await supabase
+        .from('receipts')
+        .update({ merchant_id: merchant.id })
+        .eq('user_id', userId)
+        .in('id', moved);
+    }
+
+    logger.info(`Alias ${aliasId} detached into merchant ${merchant.id}`, { receipts: moved.length });
+    return { ...merchant, receipt_count: moved.length };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in detachAlias:', error);
+    throw new APIError('Failed to detach merchant alias', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Fuzzy-matched aliases waiting for the user's review
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Aliases with their merchant
+ */
+const getPendingAliases = async (userId) => {
+  const { data: aliases, error } = await supabase
+    .from('merchant_aliases')
+    .select(`
+      *,
+      merchants (
+        id,
+        canonical_name
+      )
+    `)
+    .eq('user_id', userId)
+    .eq('confirmed', false)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    logger.error('Error fetching pending merchant aliases:', error);
+    throw new APIError('Failed to fetch merchant aliases', 500, 'DATABASE_ERROR');
+  }
+
+  return aliases || [];
+};
+
+/**
+ * Link receipts created before the merchant directory existed
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { linked, hasMore }
+ */
+const linkUnlinkedReceipts = async (userId, { limit = LINK_BATCH_SIZE } = {}) => {
+  const { data: receipts, error } = await supabase
+    .from('receipts')
+    .select('id, merchant_name')
+    .eq('user_id', userId)
+    .is('merchant_id', null)
+    .not('merchant_name', 'is', null)
+    .limit(limit);
+
+  if (error) {
+    logger.error('Error fetching unlinked receipts:', error);
+    throw new APIError('Failed to link receipts', 500, 'DATABASE_ERROR');
+  }
+
+  let linked = 0;
+  for (const receipt of receipts || []) {
+    const merchant = await resolveMerchant(userId, receipt.merchant_name);
+    if (!merchant) continue;
+
+    const { error: updateError } = await supabase
+      .from('receipts')
+      .update({ merchant_id: merchant.merchantId })
+      .eq('id', receipt.id)
+      .eq('user_id', userId);
+
+    if (!updateError) {
+      linked += 1;
+    }
+  }
+
+  return { linked, hasMore: (receipts || []).length === limit };
+};
+
+module.exports = {
+  normalizeMerchantName,
+  formatMerchantName,
+  merchantSimilarity,
+  findBestMatch,
+  resolveMerchant,
+  resolveMerchantId,
+  findMerchantIds,
+  getMerchants,
+  getMerchantById,
+  renameMerchant,
+  mergeMerchants,
+  confirmAlias,
+  detachAlias,
+  getPendingAliases,
+  linkUnlinkedReceipts
+};
@@ -1,6 +1,8 @@
 /**
  * ML-Based Receipt Categorization Service
- * Implements machine learning for automatic receipt categorization
+ * Implements machine learning for automatic receipt categorization.
+ * Category corrections train a per-user model (classifier and merchant
+ * mappings) that is persisted and loaded at startup.
  */
 
 const natural = require('natural');
@@ -8,12 +10,31 @@ const compromise = require('compromise');
 const { Matrix } = require('ml-matrix');
 const logger = require('../utils/logger');
 const { APIError } = require('../utils/errorHandler');
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+
+// Bump when the stored model format changes; older rows are ignored
+const MODEL_VERSION = 1;
+// A user's classifier is only consulted once it has seen this many
+// corrections across at least two categories
+const MIN_USER_TRAINING_EXAMPLES = 3;
+// Saves that lose to a concurrent save are replayed on the stored model
+const MODEL_SAVE_ATTEMPTS = 3;
+const ACCURACY_INTERVALS = ['week', 'month'];
+
+const normalizeMerchant = (name) => String(name)
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
 
 class MLCategorizationService {
   constructor() {
+    // Models of every user are loaded at startup, outside any request
+    this.client = supabaseAdmin || supabase;
     this.classifier = null;
     this.merchantPatterns = new Map();
     this.categoryWeights = new Map();
+    this.userModels = new Map();
     this.isInitialized = false;
     this.initializeService();
   }
@@ -32,6 +53,7 @@ class MLCategorizationService {
       await this.loadCategoryPatterns();
       await this.loadMerchantPatterns();
       await this.trainInitialModel();
+      await this.loadUserModels();
 
       this.isInitialized = true;
       logger.info('ML Categorization Service initialized successfully');
@@ -49,7 +71,8 @@ class MLCategorizationService {
     items = [],
     totalAmount,
     ocrText,
-    existingCategory = null
+    existingCategory = null,
+    userId = null
   }) {
     try {
       if (!this.isInitialized) {
@@ -62,7 +85,8 @@ class MLCategorizationService {
         this.categorizeByItems(items),
         this.categorizeByTextPatterns(ocrText),
         this.categorizeByAmount(totalAmount),
-        this.categorizeByNLP(ocrText, merchantName)
+        this.categorizeByNLP(ocrText, merchantName),
+        this.categorizeByUserModel(userId, merchantName, ocrText)
       ]);
 
       // Combine results with confidence weighting
@@ -271,8 +295,7 @@ class MLCategorizationService {
       
       // Process text for classification
       const features = this.extractNLPFeatures(combinedText);
-      const classification = this.classifier.classify(features);
-      const probabilities = this.classifier.getClassifications(features);
+      const probabilities = this.classifier.getClassifications(features.normalized);
 
       const scores = new Map();
       for (const prob of probabilities) {
@@ -286,12 +309,44 @@ class MLCategorizationService {
     }
   }
 
+  /**
+   * Categorize with the user's own corrections: a merchant the user has
+   * recategorized before maps straight to their category, and the user's
+   * classifier scores the text once it has enough examples
+   */
+  async categorizeByUserModel(userId, merchantName, ocrText) {
+    const scores = new Map();
+    if (!userId) return { approach: 'user', scores };
+
+    const model = await this.getUserModel(userId);
+
+    if (model.classifier && this.isUserClassifierReady(model)) {
+      const features = this.extractNLPFeatures(`${merchantName || ''} ${ocrText || ''}`.toLowerCase());
+      for (const prob of model.classifier.getClassifications(features.normalized)) {
+        scores.set(prob.label, prob.value * 0.5);
+      }
+    }
+
+    const mapped = merchantName && model.merchantMappings.get(normalizeMerchant(merchantName));
+    if (mapped) {
+      scores.set(mapped, 1.0);
+    }
+
+    return { approach: 'user', scores };
+  }
+
+  isUserClassifierReady(model) {
+    const labels = new Set(model.classifier.docs.map(doc => doc.label));
+    return model.trainingExamples >= MIN_USER_TRAINING_EXAMPLES && labels.size >= 2;
+  }
+
   /**
    * Combine results from all approaches
    */
   combineCategorizationResults(approaches) {
     const combinedScores = new Map();
     const approachWeights = {
+      'user': 0.7,
       'merchant': 0.35,
       'items': 0.25,
       'patterns': 0.20,
@@ -357,29 +412,322 @@ class MLCategorizationService {
   }
 
   /**
-   * Learn from user feedback
+   * Learn from user feedback. With a userId the correction trains that
+   * user's model, which is saved, and marks the receipt's recorded
+   * prediction as corrected; otherwise the shared model learns it.
+   * @param {string} correctCategory - Category name chosen by the user
+   * @param {Object} receiptData - { merchantName, items, ocrText, totalAmount }
+   * @param {Object} options - { userId, receiptId }
    */
-  async learnFromFeedback(correctCategory, receiptData) {
+  async learnFromFeedback(correctCategory, receiptData, { userId = null, receiptId = null } = {}) {
     try {
       const features = this.extractNLPFeatures(
         `${receiptData.merchantName || ''} ${receiptData.ocrText || ''}`
       );
-      
-      // Add to training data
-      this.classifier.addDocument(features, correctCategory);
-      this.classifier.train();
 
-      // Update merchant patterns
-      if (receiptData.merchantName) {
-        this.updateMerchantPattern(correctCategory, receiptData.merchantName);
+      if (!userId) {
+        // Add to training data
+        this.classifier.addDocument(features.normalized, correctCategory);
+        this.classifier.train();
+
+        // Update merchant patterns
+        if (receiptData.merchantName) {
+          this.updateMerchantPattern(correctCategory, receiptData.merchantName);
+        }
+
+        logger.debug(`Learned from feedback: ${correctCategory} for ${receiptData.merchantName}`);
+        return;
+      }
+
+      // Another process may have saved corrections since this one loaded the
+      // model; a save only succeeds on top of the stored model it was
+      // trained from, otherwise the correction is replayed on the latest one
+      let model = await this.getUserModel(userId);
+      for (let attempt = 1; ; attempt++) {
+        this.trainUserModel(model, features, correctCategory, receiptData.merchantName);
+        if (await this.saveUserModel(userId, model)) break;
+
+        if (attempt === MODEL_SAVE_ATTEMPTS) {
+          throw new APIError('Categorization model changed while saving', 409, 'MODEL_CONFLICT');
+        }
+        model = await this.fetchUserModel(userId);
+      }
+
+      if (receiptId) {
+        await this.recordCorrection(userId, receiptId, correctCategory);
       }
 
-      logger.debug(`Learned from feedback: ${correctCategory} for ${receiptData.merchantName}`);
+      logger.debug('Learned from user feedback', { userId, category: correctCategory, merchantName: receiptData.merchantName });
     } catch (error) {
       logger.warn('Failed to learn from feedback:', error);
     }
   }
 
+  /**
+   * Add one correction to a user's model
+   */
+  trainUserModel(model, features, category, merchantName) {
+    if (!model.classifier) {
+      model.classifier = new natural.BayesClassifier();
+    }
+    model.classifier.addDocument(features.normalized, category);
+    model.classifier.train();
+
+    if (merchantName) {
+      model.merchantMappings.set(normalizeMerchant(merchantName), category);
+    }
+    model.trainingExamples += 1;
+    model.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Get a user's model. A model this process already holds is reloaded when
+   * the stored one has changed, since every instance saves corrections.
+   * Users without corrections get an empty model.
+   */
+  async getUserModel(userId) {
+    const cached = this.userModels.get(userId);
+
+    try {
+      if (cached) {
+        const { data, error } = await this.client
+          .from('categorization_models')
+          .select('updated_at')
+          .eq('user_id', userId)
+          .maybeSingle();
+
+        if (error) throw error;
+        if ((data ? data.updated_at : null) === cached.storedAt) {
+          return cached;
+        }
+      }
+
+      return await this.fetchUserModel(userId);
+    } catch (error) {
+      logger.warn('Failed to load categorization model:', { userId, error: error.message });
+    }
+
+    if (cached) {
+      return cached;
+    }
+    const model = this.createEmptyModel();
+    this.userModels.set(userId, model);
+    return model;
+  }
+
+  /**
+   * Load a user's stored model into the cache
+   * @returns {Promise<Object>} Model; empty when none is stored or it has an older format
+   */
+  async fetchUserModel(userId) {
+    const { data, error } = await this.client
+      .from('categorization_models')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) {
+      throw new APIError('Failed to load categorization model', 500, 'DATABASE_ERROR');
+    }
+
+    let model = this.createEmptyModel();
+    if (data) {
+      model = data.model_version === MODEL_VERSION
+        ? this.restoreUserModel(data)
+        : { ...model, storedAt: data.updated_at };
+    }
+
+    this.userModels.set(userId, model);
+    return model;
+  }
+
+  /**
+   * Load every user's saved model
+   */
+  async loadUserModels() {
+    try {
+      const { data, error } = await this.client
+        .from('categorization_models')
+        .select('*')
+        .eq('model_version', MODEL_VERSION);
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        this.userModels.set(row.user_id, this.restoreUserModel(row));
+      }
+      logger.info(`Loaded ${this.userModels.size} user categorization models`);
+    } catch (error) {
+      logger.warn('Failed to load user categorization models:', error.message);
+    }
+  }
+
+  /**
+   * Persist a user's model, unless the stored model changed since it was
+   * loaded. The row's updated_at is the version checked.
+   * @returns {Promise<boolean>} False if another save got there first
+   */
+  async saveUserModel(userId, model) {
+    const fields = {
+      model_version: MODEL_VERSION,
+      classifier: model.classifier ? JSON.parse(JSON.stringify(model.classifier)) : null,
+      merchant_mappings: Object.fromEntries(model.merchantMappings),
+      training_examples: model.trainingExamples
+    };
+
+    const query = model.storedAt
+      ? this.client.from('categorization_models').update(fields).eq('user_id', userId).eq('updated_at', model.storedAt)
+      : this.client.from('categorization_models').insert({ user_id: userId, ...fields });
+
+    const { data, error } = await query.select('updated_at');
+
+    if (error) {
+      // Another process saved this user's first model
+      if (error.code === '23505') return false;
+      throw new APIError('Failed to save categorization model', 500, 'DATABASE_ERROR');
+    }
+    if (!data || data.length === 0) {
+      return false;
+    }
+
+    model.storedAt = data[0].updated_at;
+    return true;
+  }
+
+  createEmptyModel() {
+    return { classifier: null, merchantMappings: new Map(), trainingExamples: 0, updatedAt: null, storedAt: null };
+  }
+
+  restoreUserModel(row) {
+    return {
+      classifier: row.classifier ? natural.BayesClassifier.restore(row.classifier) : null,
+      merchantMappings: new Map(Object.entries(row.merchant_mappings || {})),
+      trainingExamples: row.training_examples || 0,
+      updatedAt: row.updated_at || null,
+      storedAt: row.updated_at || null
+    };
+  }
+
+  /**
+   * Record the category assigned to a receipt automatically, so later
+   * corrections can be measured against it
+   */
+  async recordPrediction({ userId, receiptId, category, confidence }) {
+    try {
+      const { error } = await this.client
+        .from('categorization_predictions')
+        .upsert({
+          user_id: userId,
+          receipt_id: receiptId,
+          predicted_category: category,
+          confidence,
+          corrected_category: null,
+          corrected_at: null
+        }, { onConflict: 'receipt_id' });
+
+      if (error) throw error;
+    } catch (error) {
+      logger.warn('Failed to record categorization prediction:', { receiptId, error: error.message });
+    }
+  }
+
+  /**
+   * Mark a receipt's prediction as corrected. Changing the category back
+   * to the predicted one clears the correction.
+   */
+  async recordCorrection(userId, receiptId, category) {
+    const { data: prediction, error } = await this.client
+      .from('categorization_predictions')
+      .select('id, predicted_category')
+      .eq('receipt_id', receiptId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !prediction) {
+      // Receipts categorized by hand have nothing to correct
+      return;
+    }
+
+    const corrected = prediction.predicted_category !== category;
+    await this.client
+      .from('categorization_predictions')
+      .update({
+        corrected_category: corrected ? category : null,
+        corrected_at: corrected ? new Date().toISOString() : null
+      })
+      .eq('id', prediction.id);
+  }
+
+  /**
+   * Share of automatic categorizations the user kept, overall and per
+   * week or month
+   * @param {string} userId - User ID
+   * @param {Object} options - { interval: 'week' | 'month', periods, now }
+   */
+  async getAccuracyHistory(userId, { interval = 'month', periods = 6, now = new Date() } = {}) {
+    if (!ACCURACY_INTERVALS.includes(interval)) {
+      throw new APIError(`interval must be one of: ${ACCURACY_INTERVALS.join(', ')}`, 400, 'INVALID_INTERVAL');
+    }
+
+    const starts = this.periodStarts(interval, periods, now);
+
+    const { data, error } = await this.client
+      .from('categorization_predictions')
+      .select('predicted_category, corrected_category, created_at')
+      .eq('user_id', userId)
+      .gte('created_at', starts[0].toISOString());
+
+    if (error) {
+      throw new APIError('Failed to load categorization accuracy', 500, 'DATABASE_ERROR');
+    }
+
+    const summarize = (rows) => {
+      const corrections = rows.filter(row => row.corrected_category).length;
+      return {
+        predictions: rows.length,
+        corrections,
+        accuracy: rows.length > 0 ? Math.round(((rows.length - corrections) / rows.length) * 1000) / 1000 : null
+      };
+    };
+
+    const rows = data || [];
+    return {
+      interval,
+      overall: summarize(rows),
+      periods: starts.map((start, index) => {
+        const end = starts[index + 1];
+        return {
+          periodStart: start.toISOString().slice(0, 10),
+          ...summarize(rows.filter(row => {
+            const created = new Date(row.created_at);
+            return created >= start && (!end || created < end);
+          }))
+        };
+      })
+    };
+  }
+
+  /**
+   * UTC start dates of the last `count` weeks (Monday) or months, oldest first
+   */
+  periodStarts(interval, count, now) {
+    let current;
+    if (interval === 'week') {
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      current = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+    } else {
+      current = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+
+    const starts = [];
+    for (let i = count - 1; i >= 0; i--) {
+      starts.push(interval === 'week'
+        ? new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), current.getUTCDate() - i * 7))
+        : new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() - i, 1)));
+    }
+    return starts;
+  }
+
   /**
    * Load category patterns
    */
@@ -510,10 +858,13 @@ class MLCategorizationService {
   }
 
   /**
-   * Get categorization statistics
+   * Get categorization statistics, including the user's model and its
+   * accuracy over time when a user is given
+   * @param {string} userId - User ID (optional)
+   * @param {Object} options - Passed to getAccuracyHistory
    */
-  async getCategorizationStats() {
-    return {
+  async getCategorizationStats(userId = null, options = {}) {
+    const stats = {
       totalCategories: this.categoryWeights.size,
       merchantPatterns: Array.from(this.merchantPatterns.entries()).map(([cat, patterns]) => ({
         category: cat,
@@ -522,6 +873,23 @@ class MLCategorizationService {
       isInitialized: this.isInitialized,
       classifierTrained: this.classifier !== null
     };
+
+    if (!userId) {
+      return stats;
+    }
+
+    const model = await this.getUserModel(userId);
+
+    return {
+      ...stats,
+      userModel: {
+        trainingExamples: model.trainingExamples,
+        merchantMappings: model.merchantMappings.size,
+        classifierActive: Boolean(model.classifier && this.isUserClassifierReady(model)),
+        lastTrainedAt: model.updatedAt
+      },
+      accuracy: await this.getAccuracyHistory(userId, options)
+    };
   }
 }
 
@@ -1,72 +1,130 @@
 /**
  * Multi-OCR Service with Quality-Based Selection
- * Integrates multiple OCR providers with intelligent selection
+ * Integrates multiple OCR providers with intelligent selection. Engines are
+ * plugins (see ./ocrProviders) added through registerProvider().
  */
 
-const { GoogleAuth } = require('google-auth-library');
-const { ImageAnnotatorClient } = require('@google-cloud/vision');
-const AWS = require('aws-sdk');
-const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const logger = require('../utils/logger');
 const { APIError } = require('../utils/errorHandler');
+const {
+  SPEED_LEVELS,
+  ACCURACY_LEVELS,
+  createBuiltInProviders,
+  loadProviderModules
+} = require('./ocrProviders');
+const ocrEnsembleService = require('./ocrEnsembleService');
+
+const MAX_ENSEMBLE_PROVIDERS = parseInt(process.env.OCR_ENSEMBLE_MAX_PROVIDERS) || 3;
 
 class MultiOCRService {
   constructor() {
-    this.providers = {
-      tesseract: { available: true, cost: 0, speed: 'slow', accuracy: 'medium' },
-      googleVision: { available: false, cost: 0.0015, speed: 'fast', accuracy: 'high' },
-      awsTextract: { available: false, cost: 0.0015, speed: 'fast', accuracy: 'high' },
-      azureCV: { available: false, cost: 0.001, speed: 'medium', accuracy: 'high' }
-    };
-    
+    // Provider name -> { provider, available }, in registration order
+    this.providers = new Map();
+
     this.qualityThresholds = {
       high: 0.85,
       medium: 0.65,
       low: 0.45
     };
 
-    this.initializeProviders();
+    this.ready = this.initializeProviders();
   }
 
   /**
-   * Initialize available OCR providers
+   * Register the built-in OCR providers and any configured plugin modules
    */
   async initializeProviders() {
+    for (const provider of createBuiltInProviders()) {
+      await this.registerProvider(provider);
+    }
+
     try {
-      // Initialize Google Vision
-      if (process.env.GOOGLE_VISION_API_KEY || process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-        try {
-          this.googleVisionClient = new ImageAnnotatorClient();
-          this.providers.googleVision.available = true;
-          logger.info('Google Vision API initialized');
-        } catch (error) {
-          logger.warn('Google Vision API not available:', error.message);
-        }
+      for (const provider of loadProviderModules()) {
+        await this.registerProvider(provider);
       }
+    } catch (error) {
+      logger.error('Failed to load OCR provider modules:', error);
+    }
 
-      // Initialize AWS Textract
-      if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-        try {
-          this.awsTextract = new AWS.Textract({
-            region: process.env.AWS_REGION || 'us-east-1'
-          });
-          this.providers.awsTextract.available = true;
-          logger.info('AWS Textract initialized');
-        } catch (error) {
-          logger.warn('AWS Textract not available:', error.message);
-        }
-      }
+    logger.info('Multi-OCR Service initialized with providers:',
+      this.getAvailableProviders().map(provider => provider.name)
+    );
+  }
+
+  /**
+   * Add an OCR engine. Providers expose a name, a profile
+   * ({ cost, speed, accuracy }), recognize(input) and optionally
+   * initialize(), which reports whether the engine is configured.
+   * @param {Object} provider - Provider instance
+   * @param {Object} options - { replace: allow replacing a provider with the same name }
+   * @returns {Promise<Object>} Provider status
+   */
+  async registerProvider(provider, { replace = false } = {}) {
+    this.validateProvider(provider);
 
-      logger.info('Multi-OCR Service initialized with providers:', 
-        Object.entries(this.providers)
-          .filter(([_, config]) => config.available)
-          .map(([name, _]) => name)
-      );
+    if (this.providers.has(provider.name) && !replace) {
+      throw new APIError(`OCR provider already registered: ${provider.name}`, 409, 'PROVIDER_EXISTS');
+    }
 
+    let available = false;
+    try {
+      available = typeof provider.initialize === 'function'
+        ? (await provider.initialize()) !== false
+        : true;
     } catch (error) {
-      logger.error('Failed to initialize OCR providers:', error);
+      logger.warn(`OCR provider ${provider.name} not available:`, error.message);
+    }
+
+    this.providers.set(provider.name, { provider, available });
+
+    if (available) {
+      logger.info(`OCR provider registered: ${provider.name}`, provider.profile);
     }
+
+    return this.getProviderStatus().find(status => status.name === provider.name);
+  }
+
+  /**
+   * Remove an OCR engine
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a provider was removed
+   */
+  unregisterProvider(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Check a provider implements the plugin interface
+   */
+  validateProvider(provider) {
+    if (!provider || typeof provider.name !== 'string' || provider.name.trim() === '') {
+      throw new APIError('OCR provider must have a name', 400, 'INVALID_OCR_PROVIDER');
+    }
+    if (typeof provider.recognize !== 'function') {
+      throw new APIError(`OCR provider ${provider.name} must implement recognize()`, 400, 'INVALID_OCR_PROVIDER');
+    }
+
+    const { cost, speed, accuracy } = provider.profile || {};
+    if (typeof cost !== 'number' || !Number.isFinite(cost) || cost < 0) {
+      throw new APIError(`OCR provider ${provider.name} needs a non-negative cost`, 400, 'INVALID_OCR_PROVIDER');
+    }
+    if (!SPEED_LEVELS.includes(speed)) {
+      throw new APIError(`OCR provider ${provider.name} speed must be one of: ${SPEED_LEVELS.join(', ')}`, 400, 'INVALID_OCR_PROVIDER');
+    }
+    if (!ACCURACY_LEVELS.includes(accuracy)) {
+      throw new APIError(`OCR provider ${provider.name} accuracy must be one of: ${ACCURACY_LEVELS.join(', ')}`, 400, 'INVALID_OCR_PROVIDER');
+    }
+  }
+
+  /**
+   * Profiles of the providers that can currently be used
+   * @returns {Array<Object>} [{ name, cost, speed, accuracy }]
+   */
+  getAvailableProviders() {
+    return [...this.providers.values()]
+      .filter(entry => entry.available)
+      .map(({ provider }) => ({ name: provider.name, ...provider.profile }));
   }
 
   /**
@@ -81,13 +139,13 @@ class MultiOCRService {
     timeoutMs = 30000
   }) {
     try {
+      await this.ready;
+
       logger.info('Starting multi-OCR processing', {
         originalName,
         qualityHint,
         budgetLimit,
-        availableProviders: Object.entries(this.providers)
-          .filter(([_, config]) => config.available)
-          .map(([name, _]) => name)
+        availableProviders: this.getAvailableProviders().map(provider => provider.name)
       });
 
       // Analyze image quality
@@ -107,12 +165,30 @@ class MultiOCRService {
         expectedAccuracy: selectedProvider.accuracy
       });
 
-      // Process with selected provider
-      const ocrResult = await this.processWithProvider(selectedProvider.name, {
-        imageBuffer,
-        imagePath,
-        imageQuality
-      });
+      // Process with selected provider; an engine error goes straight to the fallback
+      let ocrResult;
+      try {
+        ocrResult = await this.processWithProvider(selectedProvider.name, {
+          imageBuffer,
+          imagePath,
+          imageQuality
+        });
+      } catch (error) {
+        if (!selectedProvider.fallback) throw error;
+        logger.warn(`OCR provider ${selectedProvider.name} failed, trying fallback provider: ${selectedProvider.fallback}`, {
+          error: error.message
+        });
+      }
+
+      if (!ocrResult) {
+        const fallbackResult = await this.processWithProvider(selectedProvider.fallback, {
+          imageBuffer,
+          imagePath,
+          imageQuality
+        });
+        const fallbackQuality = this.assessResultQuality(fallbackResult, imageQuality);
+        return this.formatResult(fallbackResult, selectedProvider.fallback, fallbackQuality, imageQuality);
+      }
 
       // Validate result quality
       const qualityScore = this.assessResultQuality(ocrResult, imageQuality);
@@ -120,17 +196,21 @@ class MultiOCRService {
       // If quality is too low, try fallback provider
       if (qualityScore < this.qualityThresholds.low && selectedProvider.fallback) {
         logger.warn(`OCR quality too low (${qualityScore}), trying fallback provider: ${selectedProvider.fallback}`);
-        
-        const fallbackResult = await this.processWithProvider(selectedProvider.fallback, {
-          imageBuffer,
-          imagePath,
-          imageQuality
-        });
 
-        const fallbackQuality = this.assessResultQuality(fallbackResult, imageQuality);
-        
-        if (fallbackQuality > qualityScore) {
-          return this.formatResult(fallbackResult, selectedProvider.fallback, fallbackQuality, imageQuality);
+        try {
+          const fallbackResult = await this.processWithProvider(selectedProvider.fallback, {
+            imageBuffer,
+            imagePath,
+            imageQuality
+          });
+
+          const fallbackQuality = this.assessResultQuality(fallbackResult, imageQuality);
+
+          if (fallbackQuality > qualityScore) {
+            return this.formatResult(fallbackResult, selectedProvider.fallback, fallbackQuality, imageQuality);
+          }
+        } catch (error) {
+          logger.warn(`Fallback OCR provider ${selectedProvider.fallback} failed:`, error.message);
         }
       }
 
@@ -144,6 +224,134 @@ class MultiOCRService {
     }
   }
 
+  /**
+   * Run several providers on the same image and vote field by field on
+   * merchant, date, total and line items. Each provider's vote is weighted
+   * by assessResultQuality, so weak reads of thermal receipts are outvoted
+   * rather than trusted.
+   * @param {Object} params - Image input plus options:
+   *   providers   - provider names to use (default: most accurate available)
+   *   budgetLimit - maximum combined cost per image
+   *   precomputed - results already obtained, by provider name, to reuse
+   *   parser      - field extractors (defaults to ocrService)
+   *   profile     - user locale preferences used to parse dates and amounts
+   * @returns {Promise<Object>} Consensus text, voted fields and per-provider details
+   */
+  async processImageWithEnsemble({
+    imageBuffer,
+    imagePath,
+    originalName,
+    providers = null,
+    budgetLimit = null,
+    precomputed = {},
+    parser,
+    profile = null
+  }) {
+    await this.ready;
+
+    const selected = this.selectEnsembleProviders({ providers, budgetLimit, precomputed });
+    if (selected.length < 2) {
+      throw new APIError('Ensemble OCR needs at least two available providers', 503, 'ENSEMBLE_UNAVAILABLE');
+    }
+
+    logger.info('Starting ensemble OCR processing', {
+      originalName,
+      providers: selected.map(provider => provider.name)
+    });
+
+    const imageQuality = await this.analyzeImageQuality(imageBuffer || imagePath);
+
+    const outcomes = await Promise.allSettled(selected.map(provider => (
+      precomputed[provider.name]
+        ? Promise.resolve({ ...precomputed[provider.name], provider: provider.name })
+        : this.processWithProvider(provider.name, { imageBuffer, imagePath, imageQuality })
+    )));
+
+    const results = [];
+    const failures = [];
+    outcomes.forEach((outcome, index) => {
+      if (outcome.status === 'fulfilled') {
+        results.push({ ...outcome.value, weight: this.assessResultQuality(outcome.value, imageQuality) });
+      } else {
+        logger.warn(`Ensemble OCR provider ${selected[index].name} failed:`, outcome.reason.message);
+        failures.push({ provider: selected[index].name, error: outcome.reason.message });
+      }
+    });
+
+    if (results.length === 0) {
+      throw new APIError('All ensemble OCR providers failed', 500, 'ENSEMBLE_FAILED');
+    }
+
+    const consensus = ocrEnsembleService.combine(results, parser ? { parser, profile } : { profile });
+    const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+    const confidence = results.reduce((sum, result) => sum + (result.confidence || 0) * result.weight, 0) / totalWeight;
+    const qualityScore = this.assessResultQuality({ text: consensus.text, confidence }, imageQuality);
+
+    return {
+      text: consensus.text,
+      confidence,
+      qualityScore,
+      fields: consensus.fields,
+      provider: {
+        name: 'ensemble',
+        cost: selected
+          .filter(provider => !precomputed[provider.name])
+          .reduce((sum, provider) => sum + provider.cost, 0)
+      },
+      ensemble: {
+        agreement: consensus.agreement,
+        providers: results.map(result => ({
+          name: result.provider,
+          weight: result.weight,
+          confidence: result.confidence
+        })),
+        failures
+      },
+      imageAnalysis: {
+        qualityScore: imageQuality.score,
+        recommendations: imageQuality.recommendations,
+        resolution: imageQuality.resolution
+      },
+      processingMetadata: {
+        timestamp: new Date().toISOString(),
+        provider: 'ensemble',
+        qualityAssessment: this.getQualityLabel(qualityScore)
+      }
+    };
+  }
+
+  /**
+   * Choose the ensemble members: requested or available providers, most
+   * accurate first, within the combined budget. Providers with a
+   * precomputed result cost nothing extra and are always included.
+   */
+  selectEnsembleProviders({ providers = null, budgetLimit = null, precomputed = {} }) {
+    let candidates = this.getAvailableProviders();
+
+    if (providers) {
+      const unknown = providers.filter(name => !this.providers.has(name));
+      if (unknown.length > 0) {
+        throw new APIError(`Unsupported OCR provider: ${unknown.join(', ')}`, 400, 'INVALID_PROVIDER');
+      }
+      candidates = candidates.filter(provider => providers.includes(provider.name));
+    }
+
+    const reused = candidates.filter(provider => precomputed[provider.name]);
+    const selected = [...reused];
+    let spent = 0;
+
+    for (const provider of this.rankByAccuracy(candidates)) {
+      if (selected.length >= Math.max(MAX_ENSEMBLE_PROVIDERS, reused.length)) break;
+      if (reused.includes(provider)) continue;
+      if (budgetLimit !== null && spent + provider.cost > budgetLimit) continue;
+
+      selected.push(provider);
+      spent += provider.cost;
+    }
+
+    return selected;
+  }
+
   /**
    * Analyze image quality metrics
    */
@@ -218,233 +426,111 @@ class MultiOCRService {
   }
 
   /**
-   * Select optimal OCR provider based on criteria
+   * Select optimal OCR provider based on criteria, using each provider's
+   * declared cost, speed and accuracy profile
    */
   selectOptimalProvider({ imageQuality, qualityHint, budgetLimit, timeoutMs }) {
-    const availableProviders = Object.entries(this.providers)
-      .filter(([_, config]) => config.available);
+    const availableProviders = this.getAvailableProviders();
+
+    if (availableProviders.length === 0) {
+      throw new APIError('No OCR provider available', 503, 'NO_OCR_PROVIDER');
+    }
 
     if (availableProviders.length === 1) {
-      return {
-        name: availableProviders[0][0],
-        reason: 'Only provider available',
-        cost: availableProviders[0][1].cost,
-        accuracy: availableProviders[0][1].accuracy
-      };
+      return this.toSelection(availableProviders[0], 'Only provider available');
     }
 
     // Budget constraints
-    if (budgetLimit !== null && budgetLimit <= 0) {
-      return {
-        name: 'tesseract',
-        reason: 'Budget constraint - free provider only',
-        fallback: null,
-        cost: 0,
-        accuracy: 'medium'
-      };
+    const withinBudget = budgetLimit === null
+      ? availableProviders
+      : availableProviders.filter(provider => provider.cost <= budgetLimit);
+
+    if (withinBudget.length === 0) {
+      const cheapest = [...availableProviders].sort((a, b) => a.cost - b.cost)[0];
+      return this.toSelection(cheapest, 'Budget constraints - using cheapest provider');
     }
 
     // Quality-based selection
     if (imageQuality.score >= this.qualityThresholds.high) {
       // High quality image - any provider will work well
       if (qualityHint === 'fast' || timeoutMs < 10000) {
-        return this.selectFastestProvider(availableProviders, budgetLimit);
-      } else {
-        return this.selectMostAccurateProvider(availableProviders, budgetLimit);
+        return this.selectFastestProvider(withinBudget);
       }
-    } else if (imageQuality.score >= this.qualityThresholds.medium) {
-      // Medium quality - prefer cloud OCR
-      return this.selectMostAccurateProvider(availableProviders, budgetLimit, 'tesseract');
-    } else {
-      // Poor quality - need best OCR with fallback
-      return this.selectMostAccurateProvider(availableProviders, budgetLimit, 'tesseract');
+      return this.selectMostAccurateProvider(withinBudget);
     }
-  }
 
-  /**
-   * Select fastest available provider
-   */
-  selectFastestProvider(availableProviders, budgetLimit) {
-    const speedOrder = ['googleVision', 'awsTextract', 'azureCV', 'tesseract'];
-    
-    for (const providerName of speedOrder) {
-      const provider = availableProviders.find(([name, _]) => name === providerName);
-      if (provider && (budgetLimit === null || provider[1].cost <= budgetLimit)) {
-        return {
-          name: providerName,
-          reason: 'Fastest available provider within budget',
-          fallback: 'tesseract',
-          cost: provider[1].cost,
-          accuracy: provider[1].accuracy
-        };
-      }
-    }
-
-    return {
-      name: 'tesseract',
-      reason: 'Budget constraints - using free provider',
-      cost: 0,
-      accuracy: 'medium'
-    };
+    // Medium or poor quality - need best OCR with fallback
+    return this.selectMostAccurateProvider(withinBudget, { withFallback: true });
   }
 
   /**
-   * Select most accurate available provider
+   * Select fastest provider, preferring accuracy then lower cost on ties
    */
-  selectMostAccurateProvider(availableProviders, budgetLimit, fallback = null) {
-    const accuracyOrder = ['googleVision', 'awsTextract', 'azureCV', 'tesseract'];
-    
-    for (const providerName of accuracyOrder) {
-      const provider = availableProviders.find(([name, _]) => name === providerName);
-      if (provider && (budgetLimit === null || provider[1].cost <= budgetLimit)) {
-        return {
-          name: providerName,
-          reason: 'Most accurate provider within budget',
-          fallback: fallback,
-          cost: provider[1].cost,
-          accuracy: provider[1].accuracy
-        };
-      }
-    }
-
-    return {
-      name: 'tesseract',
-      reason: 'Budget constraints - using free provider',
-      cost: 0,
-      accuracy: 'medium'
-    };
+  selectFastestProvider(candidates) {
+    const [fastest, ...rest] = [...candidates].sort((a, b) =>
+      SPEED_LEVELS.indexOf(b.speed) - SPEED_LEVELS.indexOf(a.speed) ||
+      ACCURACY_LEVELS.indexOf(b.accuracy) - ACCURACY_LEVELS.indexOf(a.accuracy) ||
+      a.cost - b.cost
+    );
+
+    return this.toSelection(fastest, 'Fastest available provider within budget', this.selectFallback(rest));
   }
 
   /**
-   * Process with specific OCR provider
+   * Select most accurate provider, preferring lower cost then speed on ties
    */
-  async processWithProvider(providerName, { imageBuffer, imagePath, imageQuality }) {
-    switch (providerName) {
-      case 'tesseract':
-        return await this.processWithTesseract(imageBuffer || imagePath);
-      case 'googleVision':
-        return await this.processWithGoogleVision(imageBuffer || imagePath);
-      case 'awsTextract':
-        return await this.processWithAWSTextract(imageBuffer);
-      default:
-        throw new APIError(`Unsupported OCR provider: ${providerName}`, 400, 'INVALID_PROVIDER');
-    }
+  selectMostAccurateProvider(candidates, { withFallback = false } = {}) {
+    const [mostAccurate, ...rest] = this.rankByAccuracy(candidates);
+
+    return this.toSelection(
+      mostAccurate,
+      'Most accurate provider within budget',
+      withFallback ? this.selectFallback(rest) : null
+    );
   }
 
   /**
-   * Process with Tesseract OCR
+   * Best remaining provider to retry with
    */
-  async processWithTesseract(imageInput) {
-    try {
-      const worker = await Tesseract.createWorker('eng');
-      await worker.setParameters({
-        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz .,/$%-:',
-        tessedit_pageseg_mode: Tesseract.PSM.SPARSE_TEXT,
-      });
+  selectFallback(candidates) {
+    const [fallback] = this.rankByAccuracy(candidates);
+    return fallback ? fallback.name : null;
+  }
 
-      const result = await worker.recognize(imageInput);
-      await worker.terminate();
+  rankByAccuracy(candidates) {
+    return [...candidates].sort((a, b) =>
+      ACCURACY_LEVELS.indexOf(b.accuracy) - ACCURACY_LEVELS.indexOf(a.accuracy) ||
+      a.cost - b.cost ||
+      SPEED_LEVELS.indexOf(b.speed) - SPEED_LEVELS.indexOf(a.speed)
+    );
+  }
 
-      return {
-        text: result.data.text,
-        confidence: result.data.confidence / 100,
-        provider: 'tesseract',
-        blocks: result.data.blocks,
-        lines: result.data.lines,
-        words: result.data.words
-      };
-    } catch (error) {
-      throw new APIError('Tesseract OCR failed', 500, 'TESSERACT_FAILED', { error: error.message });
-    }
+  toSelection(provider, reason, fallback = null) {
+    return {
+      name: provider.name,
+      reason,
+      fallback,
+      cost: provider.cost,
+      speed: provider.speed,
+      accuracy: provider.accuracy
+    };
   }
 
   /**
-   * Process with Google Vision API
+   * Process with specific OCR provider
    */
-  async processWithGoogleVision(imageInput) {
-    if (!this.providers.googleVision.available) {
-      throw new APIError('Google Vision API not available', 503, 'PROVIDER_UNAVAILABLE');
-    }
-
-    try {
-      let imageBuffer;
-      if (Buffer.isBuffer(imageInput)) {
-        imageBuffer = imageInput;
-      } else {
-        imageBuffer = require('fs').readFileSync(imageInput);
-      }
-
-      const [result] = await this.googleVisionClient.textDetection({
-        image: { content: imageBuffer }
-      });
-
-      const detections = result.textAnnotations;
-      if (!detections || detections.length === 0) {
-        throw new APIError('No text detected by Google Vision', 400, 'NO_TEXT_DETECTED');
-      }
-
-      // Calculate average confidence
-      const confidenceSum = detections.slice(1).reduce((sum, detection) => {
-        return sum + (detection.confidence || 0.8);
-      }, 0);
-      const avgConfidence = confidenceSum / Math.max(1, detections.length - 1);
+  async processWithProvider(providerName, { imageBuffer, imagePath, imageQuality }) {
+    const entry = this.providers.get(providerName);
 
-      return {
-        text: detections[0].description,
-        confidence: avgConfidence,
-        provider: 'googleVision',
-        blocks: this.convertGoogleBlocksFormat(detections),
-        boundingBoxes: detections.map(d => d.boundingPoly),
-        fullResponse: result
-      };
-    } catch (error) {
-      throw new APIError('Google Vision OCR failed', 500, 'GOOGLE_VISION_FAILED', { error: error.message });
+    if (!entry) {
+      throw new APIError(`Unsupported OCR provider: ${providerName}`, 400, 'INVALID_PROVIDER');
     }
-  }
-
-  /**
-   * Process with AWS Textract
-   */
-  async processWithAWSTextract(imageBuffer) {
-    if (!this.providers.awsTextract.available) {
-      throw new APIError('AWS Textract not available', 503, 'PROVIDER_UNAVAILABLE');
+    if (!entry.available) {
+      throw new APIError(`OCR provider not available: ${providerName}`, 503, 'PROVIDER_UNAVAILABLE');
     }
 
-    try {
-      const params = {
-        Document: {
-          Bytes: imageBuffer
-        },
-        FeatureTypes: ['TABLES', 'FORMS']
-      };
-
-      const result = await this.awsTextract.analyzeDocument(params).promise();
-      
-      // Extract text and calculate confidence
-      let fullText = '';
-      let totalConfidence = 0;
-      let lineCount = 0;
-
-      for (const block of result.Blocks) {
-        if (block.BlockType === 'LINE') {
-          fullText += block.Text + '\n';
-          totalConfidence += block.Confidence;
-          lineCount++;
-        }
-      }
-
-      return {
-        text: fullText.trim(),
-        confidence: lineCount > 0 ? totalConfidence / (lineCount * 100) : 0,
-        provider: 'awsTextract',
-        blocks: result.Blocks,
-        tables: result.Blocks.filter(b => b.BlockType === 'TABLE'),
-        keyValuePairs: result.Blocks.filter(b => b.BlockType === 'KEY_VALUE_SET'),
-        fullResponse: result
-      };
-    } catch (error) {
-      throw new APIError('AWS Textract OCR failed', 500, 'AWS_TEXTRACT_FAILED', { error: error.message });
-    }
+    const result = await entry.provider.recognize({ imageBuffer, imagePath, imageQuality });
+    return { ...result, provider: providerName };
   }
 
   /**
@@ -489,8 +575,8 @@ class MultiOCRService {
       qualityScore: qualityScore,
       provider: {
         name: providerName,
-        accuracy: this.providers[providerName].accuracy,
-        cost: this.providers[providerName].cost
+        accuracy: this.providers.get(providerName).provider.profile.accuracy,
+        cost: this.providers.get(providerName).provider.profile.cost
       },
       imageAnalysis: {
         qualityScore: imageQuality.score,
@@ -529,17 +615,6 @@ class MultiOCRService {
     return recommendations.length > 0 ? recommendations : ['Image quality appears good'];
   }
 
-  /**
-   * Convert Google Vision blocks to standard format
-   */
-  convertGoogleBlocksFormat(detections) {
-    return detections.slice(1).map(detection => ({
-      text: detection.description,
-      confidence: detection.confidence || 0.8,
-      boundingBox: detection.boundingPoly
-    }));
-  }
-
   /**
    * Get quality label
    */
@@ -553,16 +628,17 @@ class MultiOCRService {
    * Get provider status
    */
   getProviderStatus() {
-    return Object.entries(this.providers).map(([name, config]) => ({
-      name,
-      available: config.available,
-      cost: config.cost,
-      speed: config.speed,
-      accuracy: config.accuracy
+    return [...this.providers.values()].map(({ provider, available }) => ({
+      name: provider.name,
+      available,
+      cost: provider.profile.cost,
+      speed: provider.profile.speed,
+      accuracy: provider.profile.accuracy
     }));
   }
 }
 
 // Export singleton instance
 const multiOCRService = new MultiOCRService();
-module.exports = multiOCRService;
\ No newline at end of file
+module.exports = multiOCRService;
+module.exports.MultiOCRService = MultiOCRService;
\ No newline at end of file
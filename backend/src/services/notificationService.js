@@ -0,0 +1,193 @@
+/**
+ * Notification Service
+ * Creates notification records and hands delivery off to the job queue
+ */
+
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const jobQueueService = require('./jobQueueService');
+
+const { JOB_TYPES } = jobQueueService;
+
+class NotificationService {
+  constructor() {
+    // Delivery runs in the worker on behalf of every user
+    this.client = supabaseAdmin || supabase;
+  }
+
+  /**
+   * Create a notification and enqueue its delivery. With a dedupeKey, a
+   * second call for the same key returns the existing notification flagged
+   * as a duplicate instead of creating another one.
+   * @param {Object} params - Notification parameters
+   * @returns {Promise<Object>} Created notification with delivery job ID
+   */
+  async createNotification({
+    userId,
+    type,
+    title,
+    message,
+    priority = 'medium',
+    relatedEntityType = null,
+    relatedEntityId = null,
+    deliveryMethod = ['in_app'],
+    scheduledFor = null,
+    metadata = {},
+    reminderId = null,
+    dedupeKey = null
+  }) {
+    try {
+      const { data: notification, error } = await this.client
+        .from('notifications')
+        .insert({
+          user_id: userId,
+          type,
+          title,
+          message,
+          priority,
+          related_entity_type: relatedEntityType,
+          related_entity_id: relatedEntityId,
+          delivery_method: deliveryMethod,
+          scheduled_for: scheduledFor || new Date().toISOString(),
+          metadata,
+          ...(reminderId && { reminder_id: reminderId }),
+          ...(dedupeKey && { dedupe_key: dedupeKey })
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505' && dedupeKey) {
+          return this.getDuplicateNotification(dedupeKey);
+        }
+        logger.error('Failed to create notification:', error);
+        throw new APIError('Failed to create notification', 500, 'DATABASE_ERROR', { error: error.message });
+      }
+
+      const job = await this.enqueueDelivery(notification);
+
+      return { ...notification, delivery_job_id: job.id };
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      throw new APIError('Failed to create notification', 500, 'NOTIFICATION_CREATION_FAILED');
+    }
+  }
+
+  /**
+   * Enqueue the delivery job for a notification
+   * @param {Object} notification - Notification row
+   * @returns {Promise<Object>} Enqueued job
+   */
+  async enqueueDelivery(notification) {
+    return jobQueueService.enqueue({
+      jobType: JOB_TYPES.NOTIFICATION_SEND,
+      jobName: `notification:${notification.id}`,
+      jobData: { notificationId: notification.id },
+      jobContext: { user_id: notification.user_id },
+      priority: notification.priority === 'critical' || notification.priority === 'high' ? 5 : 0,
+      scheduledAt: notification.scheduled_for
+    });
+  }
+
+  /**
+   * Load the notification already created for a dedupe key. The call that
+   * created it may have failed to enqueue delivery (e.g. the process died
+   * between the insert and the enqueue), so delivery is enqueued here unless
+   * a delivery job is already waiting; deliverNotification ignores sent
+   * notifications.
+   * @param {string} dedupeKey - Dedupe key
+   * @returns {Promise<Object>} Existing notification flagged as duplicate, with delivery job ID
+   */
+  async getDuplicateNotification(dedupeKey) {
+    const { data: notification, error } = await this.client
+      .from('notifications')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .single();
+
+    if (error) {
+      throw new APIError('Failed to load notification', 500, 'DATABASE_ERROR');
+    }
+
+    let job = null;
+    if (!notification.is_sent) {
+      job = await jobQueueService.findActiveJob(`notification:${notification.id}`) ||
+        await this.enqueueDelivery(notification);
+    }
+
+    return { ...notification, delivery_job_id: job ? job.id : null, duplicate: true };
+  }
+
+  /**
+   * Deliver a notification through its configured channels. Only in-app
+   * delivery exists today; other channels are recorded as skipped.
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} Delivery summary
+   */
+  async deliverNotification(notificationId) {
+    const { data: notification, error } = await this.client
+      .from('notifications')
+      .select('*')
+      .eq('id', notificationId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        const notFound = new Error(`Notification ${notificationId} not found`);
+        notFound.retryable = false;
+        throw notFound;
+      }
+      throw new APIError('Failed to load notification', 500, 'DATABASE_ERROR');
+    }
+
+    if (notification.is_sent) {
+      return { notificationId, alreadySent: true };
+    }
+
+    if (notification.expires_at && new Date(notification.expires_at) < new Date()) {
+      logger.info('Skipping expired notification', { notificationId });
+      return { notificationId, expired: true };
+    }
+
+    const delivered = [];
+    const skipped = [];
+    for (const method of notification.delivery_method || ['in_app']) {
+      if (method === 'in_app') {
+        // In-app notifications are read straight from the table
+        delivered.push(method);
+      } else {
+        logger.warn('No delivery provider configured for channel', { notificationId, method });
+        skipped.push(method);
+      }
+    }
+
+    const { error: updateError } = await this.client
+      .from('notifications')
+      .update({
+        is_sent: delivered.length > 0,
+        sent_at: delivered.length > 0 ? new Date().toISOString() : null,
+        delivery_attempts: (notification.delivery_attempts || 0) + 1,
+        metadata: {
+          ...(notification.metadata || {}),
+          delivered_channels: delivered,
+          skipped_channels: skipped
+        }
+      })
+      .eq('id', notificationId);
+
+    if (updateError) {
+      throw new APIError('Failed to record notification delivery', 500, 'DATABASE_ERROR');
+    }
+
+    return { notificationId, delivered, skipped };
+  }
+}
+
+// Export singleton instance
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -0,0 +1,548 @@
+/**
+ * OCR Batch Service
+ * Processes multi-file receipt uploads with bounded concurrency and keeps
+ * a persistent batch record so batches can be queried and resumed
+ */
+
+const fs = require('fs').promises;
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const ocrService = require('./ocrService');
+const receiptService = require('./receiptService');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.OCR_BATCH_CONCURRENCY) || 3;
+const MAX_CONCURRENCY = 10;
+
+// A batch still marked processing after this long is assumed abandoned
+const STALE_BATCH_MS = 10 * 60 * 1000;
+
+const METADATA_FIELDS = ['category_id', 'notes', 'is_business_expense', 'is_reimbursable', 'tags'];
+
+/**
+ * Run an async worker over items with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async worker(item, index)
+ * @returns {Promise<Array>} Worker results in input order
+ */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+/**
+ * Normalize form-style metadata ('true' strings, comma-separated tags)
+ */
+const normalizeMetadata = (raw = {}) => {
+  const metadata = {};
+
+  if (raw.category_id) metadata.category_id = raw.category_id;
+  if (raw.notes) metadata.notes = raw.notes;
+  if (raw.is_business_expense !== undefined) {
+    metadata.is_business_expense = raw.is_business_expense === true || raw.is_business_expense === 'true';
+  }
+  if (raw.is_reimbursable !== undefined) {
+    metadata.is_reimbursable = raw.is_reimbursable === true || raw.is_reimbursable === 'true';
+  }
+  if (raw.tags !== undefined) {
+    metadata.tags = Array.isArray(raw.tags)
+      ? raw.tags.map(tag => String(tag).trim()).filter(Boolean)
+      : String(raw.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+
+  return metadata;
+};
+
+class OCRBatchService {
+
+  /**
+   * Parse the `metadata` form field: a JSON array of per-file entries
+   * identified by fileIndex or fileName
+   * @param {string|Array} value - Raw field value
+   * @returns {Array} Per-file metadata entries
+   */
+  parseFileMetadata(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+
+    let entries = value;
+    if (typeof value === 'string') {
+      try {
+        entries = JSON.parse(value);
+      } catch (error) {
+        throw new APIError('metadata must be a JSON array', 400, 'INVALID_METADATA');
+      }
+    }
+
+    if (!Array.isArray(entries) || entries.some(entry => !entry || typeof entry !== 'object')) {
+      throw new APIError('metadata must be a JSON array of objects', 400, 'INVALID_METADATA');
+    }
+
+    for (const entry of entries) {
+      if (entry.fileIndex === undefined && entry.fileName === undefined) {
+        throw new APIError('Each metadata entry needs a fileIndex or fileName', 400, 'INVALID_METADATA');
+      }
+      const unknown = Object.keys(entry).filter(key => !['fileIndex', 'fileName', ...METADATA_FIELDS].includes(key));
+      if (unknown.length > 0) {
+        throw new APIError(`Unsupported metadata fields: ${unknown.join(', ')}`, 400, 'INVALID_METADATA');
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Work out the effective metadata of every file: batch defaults overridden
+   * by the entry matching the file's index, or failing that its name
+   * @param {Array} files - Uploaded files
+   * @param {Object} defaults - Metadata applied to all files
+   * @param {Array} entries - Parsed per-file metadata
+   * @returns {Array<Object>} Metadata per file
+   */
+  resolveFileMetadata(files, defaults = {}, entries = []) {
+    const base = normalizeMetadata(defaults);
+
+    return files.map((file, index) => {
+      const entry = entries.find(candidate => candidate.fileIndex === index) ||
+        entries.find(candidate => candidate.fileIndex === undefined && candidate.fileName === file.originalname);
+
+      return { ...base, ...normalizeMetadata(entry) };
+    });
+  }
+
+  /**
+   * Create a batch record and store every file so the batch can be resumed
+   * @param {Object} params - Batch parameters
+   * @returns {Promise<Object>} { batch, items }
+   */
+  async createBatch({ userId, files, defaults = {}, fileMetadata = [], concurrency }) {
+    const metadataByFile = this.resolveFileMetadata(files, defaults, fileMetadata);
+    const batchConcurrency = Math.min(Math.max(parseInt(concurrency) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+
+    const { data: batch, error } = await supabase
+      .from('ocr_batches')
+      .insert({
+        user_id: userId,
+        status: 'queued',
+        total_files: files.length,
+        defaults: normalizeMetadata(defaults),
+        concurrency: batchConcurrency
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to create OCR batch:', error);
+      throw new APIError('Failed to create batch', 500, 'DATABASE_ERROR');
+    }
+
+    const rows = await mapWithConcurrency(files, batchConcurrency, async (file, index) => {
+      const row = {
+        batch_id: batch.id,
+        file_index: index,
+        file_name: file.originalname,
+        mime_type: file.mimetype,
+        file_size: file.size,
+        metadata: metadataByFile[index],
+        status: 'pending'
+      };
+
+      try {
+        const stored = await ocrService.storeReceiptImage({
+          imageBuffer: file.buffer || await fs.readFile(file.path),
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          userId
+        });
+        row.image_url = stored.imageUrl;
+        row.thumbnail_url = stored.thumbnailUrl;
+        row.mime_type = stored.mimeType;
+      } catch (uploadError) {
+        logger.warn('Failed to store batch file:', { batchId: batch.id, fileName: file.originalname });
+        row.status = 'failed';
+        row.error_code = uploadError.code || 'UPLOAD_FAILED';
+        row.error_message = uploadError.message;
+        row.completed_at = new Date().toISOString();
+      }
+
+      return row;
+    });
+
+    const { data: items, error: itemsError } = await supabase
+      .from('ocr_batch_items')
+      .insert(rows)
+      .select();
+
+    if (itemsError) {
+      logger.error('Failed to create OCR batch items:', itemsError);
+      throw new APIError('Failed to create batch', 500, 'DATABASE_ERROR');
+    }
+
+    logger.info('OCR batch created', { batchId: batch.id, fileCount: files.length });
+
+    return { batch, items: items.sort((a, b) => a.file_index - b.file_index) };
+  }
+
+  /**
+   * Process every unfinished file of a batch. Used both for new batches and
+   * to resume batches that were interrupted.
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - Owner of the batch
+   * @param {Object} options - { files: uploaded files by index, onFileComplete: callback per file }
+   * @returns {Promise<Object>} { batch, results }
+   */
+  async runBatch(batchId, userId, { files = [], onFileComplete = () => {} } = {}) {
+    const batch = await this.getBatch(batchId, userId);
+    if (!batch) {
+      throw new APIError('Batch not found', 404, 'BATCH_NOT_FOUND');
+    }
+
+    await this.claimBatch(batch);
+
+    const items = batch.items;
+    const results = [];
+    const report = (result) => {
+      results.push(result);
+      onFileComplete(result);
+    };
+
+    // Files that never reached storage cannot be processed again
+    items
+      .filter(item => item.status === 'failed' && !item.image_url)
+      .forEach(item => report(this.toFileResult(item)));
+
+    const runnable = items.filter(item => item.status !== 'completed' && item.image_url);
+
+    // Progress writes are chained so a slow write never overwrites a newer count
+    let progressWrite = Promise.resolve();
+    const saveProgress = () => {
+      progressWrite = progressWrite
+        .then(() => this.updateBatch(batch.id, this.countItems(items)))
+        .catch(error => logger.warn('Failed to save batch progress:', { batchId, error: error.message }));
+      return progressWrite;
+    };
+
+    await mapWithConcurrency(runnable, batch.concurrency || DEFAULT_CONCURRENCY, async (item) => {
+      const updated = await this.processItem(batch, item, files[item.file_index]);
+      Object.assign(item, updated);
+      saveProgress();
+      report(this.toFileResult(item, updated.receiptSummary));
+    });
+
+    await progressWrite;
+
+    const counts = this.countItems(items);
+    const status = counts.failed_files === 0
+      ? 'completed'
+      : counts.successful_files === 0 ? 'failed' : 'completed_with_errors';
+
+    const finalBatch = await this.updateBatch(batch.id, {
+      ...counts,
+      status,
+      completed_at: new Date().toISOString()
+    });
+
+    logger.info('OCR batch finished', { batchId, status, ...counts });
+
+    return { batch: finalBatch, results: results.sort((a, b) => a.fileIndex - b.fileIndex) };
+  }
+
+  /**
+   * Mark a batch as processing, unless another run holds it. The check and
+   * the update are one conditional write, so two resumes of the same batch
+   * cannot both start; a run that stopped saving progress is taken over.
+   * @param {Object} batch - Batch record
+   * @returns {Promise<Object>} Updated batch record
+   */
+  async claimBatch(batch) {
+    const staleBefore = new Date(Date.now() - STALE_BATCH_MS).toISOString();
+
+    const { data: claimed, error } = await supabase
+      .from('ocr_batches')
+      .update({
+        status: 'processing',
+        started_at: batch.started_at || new Date().toISOString(),
+        completed_at: null
+      })
+      .eq('id', batch.id)
+      .or(`status.neq.processing,updated_at.lt."${staleBefore}"`)
+      .select();
+
+    if (error) {
+      logger.error('Failed to claim OCR batch:', error);
+      throw new APIError('Failed to update batch', 500, 'DATABASE_ERROR');
+    }
+
+    if (!claimed || claimed.length === 0) {
+      throw new APIError('Batch is already being processed', 409, 'BATCH_IN_PROGRESS');
+    }
+
+    return claimed[0];
+  }
+
+  /**
+   * Receipt already created for a batch file by an earlier attempt. The
+   * stored image URL is unique to the file, so a receipt with it is the one
+   * an interrupted attempt created before it could record receipt_id.
+   * @param {Object} batch - Batch record
+   * @param {Object} item - Batch item record
+   * @returns {Promise<string|null>} Receipt ID, or null if none exists
+   */
+  async findExistingReceipt(batch, item) {
+    if (item.receipt_id) {
+      return item.receipt_id;
+    }
+
+    const { data: receipts, error } = await supabase
+      .from('receipts')
+      .select('id')
+      .eq('user_id', batch.user_id)
+      .eq('image_url', item.image_url)
+      .limit(1);
+
+    if (error) {
+      logger.error('Failed to look up batch file receipt:', error);
+      throw new APIError('Failed to process batch file', 500, 'DATABASE_ERROR');
+    }
+
+    return receipts && receipts.length > 0 ? receipts[0].id : null;
+  }
+
+  /**
+   * OCR a single batch file and create its receipt
+   * @param {Object} batch - Batch record
+   * @param {Object} item - Batch item record
+   * @param {Object} [localFile] - Uploaded file, when still available in this request
+   * @returns {Promise<Object>} Updated item fields
+   */
+  async processItem(batch, item, localFile) {
+    const attempts = (item.attempts || 0) + 1;
+    await this.updateItem(item.id, {
+      status: 'processing',
+      attempts,
+      started_at: new Date().toISOString()
+    });
+
+    try {
+      const existingReceiptId = await this.findExistingReceipt(batch, item);
+      if (existingReceiptId) {
+        const fields = {
+          status: 'completed',
+          receipt_id: existingReceiptId,
+          error_code: null,
+          error_message: null,
+          completed_at: new Date().toISOString()
+        };
+        await this.updateItem(item.id, fields);
+        return { ...fields, attempts };
+      }
+
+      const imageBuffer = localFile
+        ? localFile.buffer || await fs.readFile(localFile.path)
+        : await ocrService.downloadImageFromStorage(item.image_url);
+
+      // The image is already stored with the batch, so OCR runs in preview mode
+      const ocrData = await ocrService.processReceiptImage({
+        imageBuffer,
+        originalName: item.file_name,
+        mimeType: item.mime_type,
+        userId: batch.user_id,
+        previewMode: true
+      });
+
+      const metadata = item.metadata || {};
+      const receipt = await receiptService.createReceipt({
+        userId: batch.user_id,
+        ocrData,
+        imageUrl: item.image_url,
+        thumbnailUrl: item.thumbnail_url || null,
+        categoryId: metadata.category_id || null,
+        notes: metadata.notes || null,
+        isBusinessExpense: !!metadata.is_business_expense,
+        isReimbursable: !!metadata.is_reimbursable,
+        tags: metadata.tags || []
+      });
+
+      const fields = {
+        status: 'completed',
+        receipt_id: receipt.id,
+        error_code: null,
+        error_message: null,
+        completed_at: new Date().toISOString()
+      };
+      await this.updateItem(item.id, fields);
+
+      return {
+        ...fields,
+        attempts,
+        receiptSummary: {
+          id: receipt.id,
+          merchantName: ocrData.merchantName,
+          totalAmount: ocrData.totalAmount,
+          purchaseDate: ocrData.date,
+          category: ocrData.category,
+          confidence: ocrData.confidence,
+          imageUrl: item.image_url
+        }
+      };
+
+    } catch (error) {
+      logger.warn('Batch file processing failed:', {
+        batchId: batch.id,
+        fileName: item.file_name,
+        error: error.message
+      });
+
+      const fields = {
+        status: 'failed',
+        error_code: error.code || 'OCR_PROCESSING_FAILED',
+        error_message: error.message || 'Processing failed',
+        completed_at: new Date().toISOString()
+      };
+
+      try {
+        await this.updateItem(item.id, fields);
+      } catch (updateError) {
+        logger.error('Failed to record batch file failure:', updateError);
+      }
+
+      return { ...fields, attempts };
+    }
+  }
+
+  /**
+   * Shape a batch item as a per-file result
+   */
+  toFileResult(item, receiptSummary = null) {
+    if (item.status === 'completed') {
+      return {
+        fileIndex: item.file_index,
+        fileName: item.file_name,
+        success: true,
+        receipt: receiptSummary || { id: item.receipt_id }
+      };
+    }
+
+    return {
+      fileIndex: item.file_index,
+      fileName: item.file_name,
+      success: false,
+      error: item.error_message || 'Processing failed',
+      code: item.error_code
+    };
+  }
+
+  /**
+   * Aggregate counters for the batch record
+   */
+  countItems(items) {
+    const successful = items.filter(item => item.status === 'completed').length;
+    const failed = items.filter(item => item.status === 'failed').length;
+
+    return {
+      processed_files: successful + failed,
+      successful_files: successful,
+      failed_files: failed
+    };
+  }
+
+  /**
+   * Get a batch with its items
+   * @param {string} batchId - Batch ID
+   * @param {string} userId - Owner of the batch
+   * @returns {Promise<Object|null>} Batch with `items`, or null if not found
+   */
+  async getBatch(batchId, userId) {
+    const { data: batch, error } = await supabase
+      .from('ocr_batches')
+      .select('*, ocr_batch_items (*)')
+      .eq('id', batchId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      logger.error('Failed to get OCR batch:', error);
+      throw new APIError('Failed to retrieve batch', 500, 'DATABASE_ERROR');
+    }
+
+    const { ocr_batch_items: items = [], ...fields } = batch;
+    return { ...fields, items: items.sort((a, b) => a.file_index - b.file_index) };
+  }
+
+  /**
+   * List batches for a user, newest first
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} Batches without items
+   */
+  async listBatches(userId, { status, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+      .from('ocr_batches')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data: batches, error } = await query;
+
+    if (error) {
+      logger.error('Failed to list OCR batches:', error);
+      throw new APIError('Failed to retrieve batches', 500, 'DATABASE_ERROR');
+    }
+
+    return batches || [];
+  }
+
+  async updateBatch(batchId, fields) {
+    const { data: batch, error } = await supabase
+      .from('ocr_batches')
+      .update(fields)
+      .eq('id', batchId)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to update OCR batch:', error);
+      throw new APIError('Failed to update batch', 500, 'DATABASE_ERROR');
+    }
+
+    return batch;
+  }
+
+  async updateItem(itemId, fields) {
+    const { error } = await supabase
+      .from('ocr_batch_items')
+      .update(fields)
+      .eq('id', itemId);
+
+    if (error) {
+      logger.error('Failed to update OCR batch item:', error);
+      throw new APIError('Failed to update batch item', 500, 'DATABASE_ERROR');
+    }
+  }
+}
+
+// Export singleton instance
+const ocrBatchService = new OCRBatchService();
+
+module.exports = ocrBatchService;
+module.exports.mapWithConcurrency = mapWithConcurrency;
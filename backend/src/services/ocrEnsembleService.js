@@ -0,0 +1,297 @@
+/**
+ * OCR Ensemble Service
+ * Combines the output of several OCR providers run on the same image:
+ * lines are aligned across providers and merchant, date, total and line
+ * items are voted on, weighted by each provider's result quality
+ */
+
+const fuzzball = require('fuzzball');
+
+// Lines less similar than this are never treated as the same printed line
+const MIN_LINE_SIMILARITY = 0.5;
+// Share of the total weight a line or item needs to make it into the result
+const MIN_SUPPORT = 0.5;
+const TEXT_MATCH_THRESHOLD = 0.85;
+const ITEM_NAME_MATCH_THRESHOLD = 0.8;
+
+const normalizeText = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+const similarity = (a, b) => fuzzball.ratio(normalizeText(a), normalizeText(b)) / 100;
+
+const sameText = (a, b) => similarity(a, b) >= TEXT_MATCH_THRESHOLD;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const sameDay = (a, b) => a.getFullYear() === b.getFullYear() &&
+  a.getMonth() === b.getMonth() &&
+  a.getDate() === b.getDate();
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class OCREnsembleService {
+
+  /**
+   * Build the consensus of several OCR results
+   * @param {Array<Object>} results - [{ provider, weight, text }]
+   * @param {Object} options - { parser: object with the ocrService field extractors,
+   *   profile: user locale preferences from localeService.getUserProfileLocale }
+   * @returns {Object} { text, fields: { merchantName, date, totalAmount, items }, agreement }
+   */
+  combine(results, { parser = require('./ocrService'), profile = null } = {}) {
+    const ranked = results
+      .filter(result => result.text && result.text.trim().length > 0)
+      .map(result => ({
+        provider: result.provider,
+        weight: Math.max(result.weight || 0, 0.01),
+        lines: result.text.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+      }))
+      .sort((a, b) => b.weight - a.weight);
+
+    const totalWeight = ranked.reduce((sum, result) => sum + result.weight, 0);
+
+    const lines = this.alignLines(ranked)
+      .map(row => this.voteLine(row, totalWeight))
+      .filter(line => line.support >= MIN_SUPPORT);
+
+    // Each reading is parsed as the single-engine path would parse it, with
+    // the profile settling what the text leaves ambiguous. Loaded here, like
+    // the default parser, as it brings in the database client.
+    const localeService = require('./localeService');
+    const candidates = ranked.map(result => {
+      const locale = localeService.detectLocale(result.lines.join('\n'), profile);
+      return {
+        provider: result.provider,
+        weight: result.weight,
+        merchantName: result.lines.length > 0 ? parser.extractMerchantName(result.lines) : null,
+        date: parser.extractDate(result.lines, locale),
+        totalAmount: parser.extractTotalAmount(result.lines, locale) || null,
+        items: parser.extractItems(result.lines, locale)
+      };
+    });
+
+    const fields = {
+      merchantName: this.voteField(this.votesFor(candidates, 'merchantName'), totalWeight, sameText),
+      date: this.voteField(this.votesFor(candidates, 'date'), totalWeight, sameDay),
+      totalAmount: this.voteField(this.votesFor(candidates, 'totalAmount'), totalWeight, sameAmount),
+      items: this.voteItems(candidates, totalWeight)
+    };
+
+    const found = Object.values(fields).filter(field => field.votes.length > 0);
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      fields,
+      agreement: found.length > 0
+        ? round(found.reduce((sum, field) => sum + field.agreement, 0) / found.length)
+        : 0
+    };
+  }
+
+  /**
+   * Align the lines of every result to each other. Results must be sorted
+   * by weight; the first one is the reference the others are aligned to.
+   * @param {Array<Object>} results - [{ provider, weight, lines }]
+   * @returns {Array<Object>} Rows of { readings: [{ provider, weight, text }] }
+   */
+  alignLines(results) {
+    if (results.length === 0) return [];
+
+    const [reference, ...others] = results;
+    let rows = reference.lines.map(text => ({
+      readings: [{ provider: reference.provider, weight: reference.weight, text }]
+    }));
+
+    for (const result of others) {
+      rows = this.alignInto(rows, result);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Align one result's lines into existing rows, keeping order on both
+   * sides and maximizing total line similarity. Lines with no counterpart
+   * become rows of their own.
+   */
+  alignInto(rows, { provider, weight, lines }) {
+    const rowCount = rows.length;
+    const lineCount = lines.length;
+    const scores = Array.from({ length: rowCount + 1 }, () => new Array(lineCount + 1).fill(0));
+    const similarities = Array.from({ length: rowCount }, (_, i) =>
+      lines.map(line => similarity(rows[i].readings[0].text, line))
+    );
+
+    for (let i = 1; i <= rowCount; i++) {
+      for (let j = 1; j <= lineCount; j++) {
+        const sim = similarities[i - 1][j - 1];
+        scores[i][j] = Math.max(
+          scores[i - 1][j],
+          scores[i][j - 1],
+          sim >= MIN_LINE_SIMILARITY ? scores[i - 1][j - 1] + sim : -Infinity
+        );
+      }
+    }
+
+    const aligned = [];
+    let i = rowCount;
+    let j = lineCount;
+
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0) {
+        const sim = similarities[i - 1][j - 1];
+        if (sim >= MIN_LINE_SIMILARITY && scores[i][j] === scores[i - 1][j - 1] + sim) {
+          aligned.unshift({
+            readings: [...rows[i - 1].readings, { provider, weight, text: lines[j - 1] }]
+          });
+          i--;
+          j--;
+          continue;
+        }
+      }
+
+      if (i > 0 && (j === 0 || scores[i][j] === scores[i - 1][j])) {
+        aligned.unshift(rows[i - 1]);
+        i--;
+      } else {
+        aligned.unshift({ readings: [{ provider, weight, text: lines[j - 1] }] });
+        j--;
+      }
+    }
+
+    return aligned;
+  }
+
+  /**
+   * Pick the reading of an aligned row with the most weight behind it
+   * @returns {Object} { text, support }
+   */
+  voteLine(row, totalWeight) {
+    const groups = [];
+
+    for (const reading of row.readings) {
+      const key = normalizeText(reading.text);
+      const group = groups.find(candidate => candidate.key === key);
+      if (group) {
+        group.weight += reading.weight;
+      } else {
+        groups.push({ key, text: reading.text, weight: reading.weight });
+      }
+    }
+
+    const winner = groups.reduce((best, group) => (group.weight > best.weight ? group : best));
+    const rowWeight = row.readings.reduce((sum, reading) => sum + reading.weight, 0);
+
+    return { text: winner.text, support: round(rowWeight / totalWeight) };
+  }
+
+  votesFor(candidates, field) {
+    return candidates
+      .filter(candidate => candidate[field] !== null && candidate[field] !== undefined)
+      .map(candidate => ({ provider: candidate.provider, weight: candidate.weight, value: candidate[field] }));
+  }
+
+  /**
+   * Weighted vote between provider readings of one field. Equal values
+   * (per `equals`) pool their weight; the heaviest provider's value
+   * represents its group.
+   * @param {Array<Object>} votes - [{ provider, weight, value }] sorted by weight
+   * @param {number} totalWeight - Weight of every provider, including ones without a value
+   * @param {Function} equals - Value comparison
+   * @returns {Object} { value, agreement, votes: [{ provider, value }] }
+   */
+  voteField(votes, totalWeight, equals) {
+    const groups = [];
+
+    for (const vote of votes) {
+      const group = groups.find(candidate => equals(candidate.value, vote.value));
+      if (group) {
+        group.weight += vote.weight;
+      } else {
+        groups.push({ value: vote.value, weight: vote.weight });
+      }
+    }
+
+    if (groups.length === 0) {
+      return { value: null, agreement: 0, votes: [] };
+    }
+
+    const winner = groups.reduce((best, group) => (group.weight > best.weight ? group : best));
+
+    return {
+      value: winner.value,
+      agreement: round(winner.weight / totalWeight),
+      votes: votes.map(vote => ({ provider: vote.provider, value: vote.value }))
+    };
+  }
+
+  /**
+   * Match line items across providers, keep items most of the weight
+   * agrees exist, and vote on each item's name and price
+   * @returns {Object} { value: items, agreement, votes }
+   */
+  voteItems(candidates, totalWeight) {
+    const clusters = [];
+
+    for (const candidate of candidates) {
+      const used = new Set();
+
+      for (const item of candidate.items) {
+        const index = clusters.findIndex((cluster, clusterIndex) =>
+          !used.has(clusterIndex) && this.isSameItem(cluster.votes[0].item, item)
+        );
+        const vote = { provider: candidate.provider, weight: candidate.weight, item };
+
+        if (index === -1) {
+          clusters.push({ votes: [vote] });
+          used.add(clusters.length - 1);
+        } else {
+          clusters[index].votes.push(vote);
+          used.add(index);
+        }
+      }
+    }
+
+    const kept = clusters
+      .map(cluster => ({
+        ...cluster,
+        support: cluster.votes.reduce((sum, vote) => sum + vote.weight, 0) / totalWeight
+      }))
+      .filter(cluster => cluster.support >= MIN_SUPPORT);
+
+    const items = kept.map(cluster => {
+      const name = this.voteField(cluster.votes.map(vote => ({ ...vote, value: vote.item.name })), totalWeight, sameText);
+      const price = this.voteField(cluster.votes.map(vote => ({ ...vote, value: vote.item.price })), totalWeight, sameAmount);
+
+      return {
+        ...cluster.votes[0].item,
+        name: name.value,
+        price: price.value
+      };
+    });
+
+    return {
+      value: items,
+      agreement: kept.length > 0
+        ? round(kept.reduce((sum, cluster) => sum + cluster.support, 0) / kept.length)
+        : 0,
+      votes: candidates
+        .filter(candidate => candidate.items.length > 0)
+        .map(candidate => ({ provider: candidate.provider, value: candidate.items.length }))
+    };
+  }
+
+  /**
+   * Whether two providers' items describe the same purchase: close names,
+   * or the same price with loosely similar names
+   */
+  isSameItem(a, b) {
+    const nameSimilarity = similarity(a.name, b.name);
+    return nameSimilarity >= ITEM_NAME_MATCH_THRESHOLD ||
+      (sameAmount(a.price, b.price) && nameSimilarity >= MIN_LINE_SIMILARITY);
+  }
+}
+
+// Export singleton instance
+const ocrEnsembleService = new OCREnsembleService();
+
+module.exports = ocrEnsembleService;
@@ -0,0 +1,67 @@
+/**
+ * AWS Textract OCR Provider
+ * Enabled when AWS credentials are configured
+ */
+
+const fs = require('fs');
+const { APIError } = require('../../utils/errorHandler');
+const { OCRProvider } = require('./baseProvider');
+
+class AWSTextractProvider extends OCRProvider {
+  constructor(profile = {}) {
+    super('awsTextract', { cost: 0.0015, speed: 'fast', accuracy: 'high', ...profile });
+    this.client = null;
+  }
+
+  async initialize() {
+    if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
+      return false;
+    }
+
+    const AWS = require('aws-sdk');
+    this.client = new AWS.Textract({
+      region: process.env.AWS_REGION || 'us-east-1'
+    });
+    return true;
+  }
+
+  async recognize({ imageBuffer, imagePath }) {
+    try {
+      const params = {
+        Document: {
+          Bytes: imageBuffer || fs.readFileSync(imagePath)
+        },
+        FeatureTypes: ['TABLES', 'FORMS']
+      };
+
+      const result = await this.client.analyzeDocument(params).promise();
+
+      // Extract text and calculate confidence
+      let fullText = '';
+      let totalConfidence = 0;
+      let lineCount = 0;
+
+      for (const block of result.Blocks) {
+        if (block.BlockType === 'LINE') {
+          fullText += block.Text + '\n';
+          totalConfidence += block.Confidence;
+          lineCount++;
+        }
+      }
+
+      return {
+        text: fullText.trim(),
+        confidence: lineCount > 0 ? totalConfidence / (lineCount * 100) : 0,
+        provider: this.name,
+        blocks: result.Blocks,
+        tables: result.Blocks.filter(b => b.BlockType === 'TABLE'),
+        keyValuePairs: result.Blocks.filter(b => b.BlockType === 'KEY_VALUE_SET'),
+        fullResponse: result
+      };
+    } catch (error) {
+      throw new APIError('AWS Textract OCR failed', 500, 'AWS_TEXTRACT_FAILED', { error: error.message });
+    }
+  }
+}
+
+module.exports = AWSTextractProvider;
@@ -0,0 +1,51 @@
+/**
+ * Base OCR Provider
+ * Contract shared by every engine registered with MultiOCRService
+ */
+
+const SPEED_LEVELS = ['slow', 'medium', 'fast'];
+const ACCURACY_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Providers describe themselves with a profile that provider selection reads:
+ *   cost     - USD per image (0 for local engines)
+ *   speed    - 'slow' | 'medium' | 'fast'
+ *   accuracy - 'low' | 'medium' | 'high'
+ *
+ * Subclasses implement recognize(); initialize() reports whether the engine
+ * is usable in this environment (credentials, sidecar URL, ...).
+ */
+class OCRProvider {
+  constructor(name, profile = {}) {
+    this.name = name;
+    this.profile = {
+      cost: 0,
+      speed: 'medium',
+      accuracy: 'medium',
+      ...profile
+    };
+  }
+
+  /**
+   * Prepare the engine
+   * @returns {Promise<boolean>} Whether the provider can be used
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Run OCR on an image
+   * @param {Object} input - { imageBuffer, imagePath, imageQuality }
+   * @returns {Promise<Object>} { text, confidence (0-1), blocks, ... }
+   */
+  async recognize() {
+    throw new Error(`${this.name} provider does not implement recognize()`);
+  }
+}
+
+module.exports = {
+  OCRProvider,
+  SPEED_LEVELS,
+  ACCURACY_LEVELS
+};
@@ -0,0 +1,71 @@
+/**
+ * Google Vision OCR Provider
+ * Enabled when Google credentials are configured
+ */
+
+const fs = require('fs');
+const { APIError } = require('../../utils/errorHandler');
+const { OCRProvider } = require('./baseProvider');
+
+class GoogleVisionProvider extends OCRProvider {
+  constructor(profile = {}) {
+    super('googleVision', { cost: 0.0015, speed: 'fast', accuracy: 'high', ...profile });
+    this.client = null;
+  }
+
+  async initialize() {
+    if (!process.env.GOOGLE_VISION_API_KEY && !process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+      return false;
+    }
+
+    // Loaded lazily so the SDK is only needed where Vision is configured
+    const { ImageAnnotatorClient } = require('@google-cloud/vision');
+    this.client = new ImageAnnotatorClient();
+    return true;
+  }
+
+  async recognize({ imageBuffer, imagePath }) {
+    try {
+      const content = imageBuffer || fs.readFileSync(imagePath);
+
+      const [result] = await this.client.textDetection({
+        image: { content }
+      });
+
+      const detections = result.textAnnotations;
+      if (!detections || detections.length === 0) {
+        throw new APIError('No text detected by Google Vision', 400, 'NO_TEXT_DETECTED');
+      }
+
+      // Calculate average confidence
+      const confidenceSum = detections.slice(1).reduce((sum, detection) => {
+        return sum + (detection.confidence || 0.8);
+      }, 0);
+      const avgConfidence = confidenceSum / Math.max(1, detections.length - 1);
+
+      return {
+        text: detections[0].description,
+        confidence: avgConfidence,
+        provider: this.name,
+        blocks: this.convertBlocksFormat(detections),
+        boundingBoxes: detections.map(d => d.boundingPoly),
+        fullResponse: result
+      };
+    } catch (error) {
+      throw new APIError('Google Vision OCR failed', 500, 'GOOGLE_VISION_FAILED', { error: error.message });
+    }
+  }
+
+  /**
+   * Convert Google Vision detections to standard block format
+   */
+  convertBlocksFormat(detections) {
+    return detections.slice(1).map(detection => ({
+      text: detection.description,
+      confidence: detection.confidence || 0.8,
+      boundingBox: detection.boundingPoly
+    }));
+  }
+}
+
+module.exports = GoogleVisionProvider;
@@ -0,0 +1,65 @@
+/**
+ * OCR Providers Index
+ * Built-in engines plus any provider modules listed in OCR_PROVIDER_MODULES
+ */
+
+const path = require('path');
+const { OCRProvider, SPEED_LEVELS, ACCURACY_LEVELS } = require('./baseProvider');
+const TesseractProvider = require('./tesseractProvider');
+const GoogleVisionProvider = require('./googleVisionProvider');
+const AWSTextractProvider = require('./awsTextractProvider');
+const PaddleOCRProvider = require('./paddleOCRProvider');
+const MockOCRProvider = require('./mockProvider');
+
+/**
+ * Providers registered when MultiOCRService starts. Each one decides in
+ * initialize() whether it is configured.
+ * @returns {Array<OCRProvider>}
+ */
+const createBuiltInProviders = () => {
+  const providers = [
+    new TesseractProvider(),
+    new GoogleVisionProvider(),
+    new AWSTextractProvider(),
+    new PaddleOCRProvider()
+  ];
+
+  if (process.env.MOCK_OCR_PROVIDER === 'true') {
+    providers.push(new MockOCRProvider());
+  }
+
+  return providers;
+};
+
+/**
+ * Load external providers from a comma-separated list of module paths
+ * (relative to the working directory). A module exports a provider, a
+ * provider class, or a factory function returning a provider.
+ * @param {string} modules - Module list, defaults to OCR_PROVIDER_MODULES
+ * @returns {Array<Object>}
+ */
+const loadProviderModules = (modules = process.env.OCR_PROVIDER_MODULES) => {
+  if (!modules) return [];
+
+  return modules.split(',').map(modulePath => modulePath.trim()).filter(Boolean).map(modulePath => {
+    const exported = require(path.resolve(process.cwd(), modulePath));
+
+    if (typeof exported !== 'function') return exported;
+    return exported.prototype && typeof exported.prototype.recognize === 'function'
+      ? new exported()
+      : exported();
+  });
+};
+
+module.exports = {
+  OCRProvider,
+  SPEED_LEVELS,
+  ACCURACY_LEVELS,
+  TesseractProvider,
+  GoogleVisionProvider,
+  AWSTextractProvider,
+  PaddleOCRProvider,
+  MockOCRProvider,
+  createBuiltInProviders,
+  loadProviderModules
+};
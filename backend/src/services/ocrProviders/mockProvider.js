@@ -0,0 +1,46 @@
+/**
+ * Mock OCR Provider
+ * Returns canned text without touching any engine. Used by tests and
+ * enabled in development with MOCK_OCR_PROVIDER=true.
+ */
+
+const { OCRProvider } = require('./baseProvider');
+
+const DEFAULT_TEXT = [
+  'MOCK MART',
+  '123 Main St',
+  '01/15/2025',
+  'Milk 3.49',
+  'Bread 2.99',
+  'TOTAL $6.48'
+].join('\n');
+
+class MockOCRProvider extends OCRProvider {
+  /**
+   * @param {Object} options - { name, profile, text, confidence, available }
+   */
+  constructor({ name = 'mock', profile = {}, text = DEFAULT_TEXT, confidence = 0.9, available = true } = {}) {
+    super(name, { cost: 0, speed: 'fast', accuracy: 'low', ...profile });
+    this.text = text;
+    this.confidence = confidence;
+    this.available = available;
+    this.calls = 0;
+  }
+
+  async initialize() {
+    return this.available;
+  }
+
+  async recognize() {
+    this.calls += 1;
+
+    return {
+      text: this.text,
+      confidence: this.confidence,
+      provider: this.name,
+      blocks: this.text.split('\n').map(line => ({ text: line, confidence: this.confidence }))
+    };
+  }
+}
+
+module.exports = MockOCRProvider;
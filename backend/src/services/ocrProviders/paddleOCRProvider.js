@@ -0,0 +1,80 @@
+/**
+ * PaddleOCR Provider
+ * Calls a local PaddleOCR HTTP sidecar, enabled by PADDLE_OCR_URL.
+ *
+ * Sidecar contract:
+ *   POST {PADDLE_OCR_URL}/ocr  { image: <base64> }
+ *   200 { lines: [{ text, confidence, box: [[x, y], [x, y], [x, y], [x, y]] }] }
+ */
+
+const fs = require('fs').promises;
+const { APIError } = require('../../utils/errorHandler');
+const { OCRProvider } = require('./baseProvider');
+
+class PaddleOCRProvider extends OCRProvider {
+  constructor({ url = process.env.PADDLE_OCR_URL, timeoutMs, profile = {} } = {}) {
+    super('paddleOCR', { cost: 0, speed: 'medium', accuracy: 'high', ...profile });
+    this.url = url ? url.replace(/\/+$/, '') : null;
+    this.timeoutMs = timeoutMs || parseInt(process.env.PADDLE_OCR_TIMEOUT) || 20000;
+  }
+
+  async initialize() {
+    return !!this.url;
+  }
+
+  async recognize({ imageBuffer, imagePath }) {
+    const content = imageBuffer || await fs.readFile(imagePath);
+    let body;
+
+    try {
+      const response = await fetch(`${this.url}/ocr`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ image: content.toString('base64') }),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Sidecar responded with ${response.status}`);
+      }
+      body = await response.json();
+    } catch (error) {
+      throw new APIError('PaddleOCR failed', 500, 'PADDLE_OCR_FAILED', { error: error.message });
+    }
+
+    const lines = Array.isArray(body.lines) ? body.lines.filter(line => line && line.text) : [];
+    const confidence = lines.length > 0
+      ? lines.reduce((sum, line) => sum + (Number(line.confidence) || 0), 0) / lines.length
+      : 0;
+
+    return {
+      text: lines.map(line => line.text).join('\n'),
+      confidence,
+      provider: this.name,
+      blocks: lines.map(line => ({
+        text: line.text,
+        confidence: Number(line.confidence) || 0,
+        bbox: this.toBoundingBox(line.box)
+      }))
+    };
+  }
+
+  /**
+   * Convert a four-point polygon to { x0, y0, x1, y1 }, the box format
+   * Tesseract uses
+   */
+  toBoundingBox(box) {
+    if (!Array.isArray(box) || box.length === 0) return null;
+
+    const xs = box.map(point => point[0]);
+    const ys = box.map(point => point[1]);
+    return {
+      x0: Math.min(...xs),
+      y0: Math.min(...ys),
+      x1: Math.max(...xs),
+      y1: Math.max(...ys)
+    };
+  }
+}
+
+module.exports = PaddleOCRProvider;
@@ -0,0 +1,40 @@
+/**
+ * Tesseract OCR Provider
+ * Local engine that is always available and free
+ */
+
+const Tesseract = require('tesseract.js');
+const { APIError } = require('../../utils/errorHandler');
+const { OCRProvider } = require('./baseProvider');
+
+class TesseractProvider extends OCRProvider {
+  constructor(profile = {}) {
+    super('tesseract', { cost: 0, speed: 'slow', accuracy: 'medium', ...profile });
+  }
+
+  async recognize({ imageBuffer, imagePath }) {
+    try {
+      const worker = await Tesseract.createWorker('eng');
+      await worker.setParameters({
+        tessedit_char_whitelist: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz .,/$%-:',
+        tessedit_pageseg_mode: Tesseract.PSM.SPARSE_TEXT,
+      });
+
+      const result = await worker.recognize(imageBuffer || imagePath);
+      await worker.terminate();
+
+      return {
+        text: result.data.text,
+        confidence: result.data.confidence / 100,
+        provider: this.name,
+        blocks: result.data.blocks,
+        lines: result.data.lines,
+        words: result.data.words
+      };
+    } catch (error) {
+      throw new APIError('Tesseract OCR failed', 500, 'TESSERACT_FAILED', { error: error.message });
+    }
+  }
+}
+
+module.exports = TesseractProvider;
@@ -11,6 +11,14 @@ const path = require('path');
 const { supabase } = require('../../config/supabase');
 const { APIError } = require('../../utils/errorHandler');
 const logger = require('../utils/logger');
+const pdfService = require('./pdfService');
+const imageService = require('./imageService');
+const receiptLayoutService = require('./receiptLayoutService');
+const localeService = require('./localeService');
+const receiptReconciliationService = require('./receiptReconciliationService');
+const receiptDiscountService = require('./receiptDiscountService');
+const receiptTaxService = require('./receiptTaxService');
+const { NUMBER_PATTERN } = localeService;
 
 class OCRService {
   constructor() {
@@ -129,32 +137,67 @@ class OCRService {
         throw new APIError('No image provided', 400, 'MISSING_IMAGE');
       }
 
-      // Prepare image for OCR
-      processedImagePath = await this.preprocessImage({
-        imageBuffer,
-        imagePath,
-        originalName
-      });
+      // HEIC photos are decoded up front so every later step works on a JPEG
+      let convertedFrom = null;
+      if (imageService.isHeic({ buffer: imageBuffer, mimeType, originalName })) {
+        const normalized = await imageService.normalizeImage({
+          buffer: imageBuffer || await fs.readFile(imagePath),
+          mimeType,
+          originalName
+        });
+        ({ buffer: imageBuffer, mimeType, originalName, convertedFrom } = normalized);
+      }
 
-      // Extract text using OCR
-      const ocrResult = await this.extractTextFromImage(processedImagePath);
+      const isPdf = pdfService.isPdf({ buffer: imageBuffer, mimeType, originalName });
+      // The user's locale preferences settle dates and amounts the receipt
+      // itself leaves ambiguous
+      const profile = userId ? await localeService.getUserProfileLocale(userId) : null;
+      let ocrResult;
+      let ensemble = null;
+
+      if (isPdf) {
+        // PDFs use their text layer where present and OCR only scanned pages
+        imageBuffer = imageBuffer || await fs.readFile(imagePath);
+        ocrResult = await this.extractTextFromPdf(imageBuffer);
+      } else {
+        // Prepare image for OCR
+        processedImagePath = await this.preprocessImage({
+          imageBuffer,
+          imagePath,
+          originalName
+        });
+
+        // Extract text using OCR
+        ocrResult = await this.extractTextFromImage(processedImagePath);
+
+        // Weak reads are cross-checked against the other OCR engines
+        ensemble = await this.runEnsembleOCR(processedImagePath, ocrResult, { profile });
+        if (ensemble && ensemble.text) {
+          ocrResult = { ...ocrResult, text: ensemble.text };
+        }
+      }
 
       if (!ocrResult.text || ocrResult.text.trim().length === 0) {
         throw new APIError('No text found in image', 400, 'NO_TEXT_FOUND');
       }
 
       // Parse extracted text into structured data
-      const parsedData = this.parseReceiptText(ocrResult);
+      const parsedData = this.parseReceiptText(ocrResult, { profile });
+      if (ensemble) {
+        this.applyEnsembleFields(parsedData, ensemble.fields);
+        this.applyReconciliation(parsedData, ocrResult.text);
+      }
 
       // Upload image to storage (unless preview mode)
       let imageUrl = null;
+      let thumbnailUrl = null;
       if (!previewMode) {
-        imageUrl = await this.uploadImageToStorage({
+        ({ imageUrl, thumbnailUrl } = await this.storeReceiptImage({
           imageBuffer: imageBuffer || await fs.readFile(processedImagePath),
           originalName,
           mimeType,
           userId
-        });
+        }));
       }
 
       const processingTime = Date.now() - startTime;
@@ -166,15 +209,26 @@ class OCRService {
         totalAmount: parsedData.totalAmount,
         date: parsedData.date,
         items: parsedData.items,
+        totalSavings: parsedData.totalSavings,
+        taxBreakdown: parsedData.taxBreakdown,
         category: parsedData.category,
         confidence: parsedData.confidence,
+        currency: parsedData.currency,
         imageUrl,
+        thumbnailUrl,
         processingMetadata: {
           processingTime: processingTime + 'ms',
           linesProcessed: parsedData.linesProcessed,
+          parsingMethod: parsedData.parsingMethod,
+          locale: parsedData.locale,
+          reconciliation: parsedData.reconciliation,
           ocrConfidence: ocrResult.confidence,
           imageHash: this.calculateImageHash(imageBuffer || await fs.readFile(processedImagePath)),
           dimensions: parsedData.imageDimensions,
+          sourceType: isPdf ? 'pdf' : 'image',
+          ...(isPdf && { pdf: ocrResult.pdf }),
+          ...(convertedFrom && { convertedFrom }),
+          ...(ensemble && { ensemble: ensemble.ensemble }),
           processingDate: new Date().toISOString()
         }
       };
@@ -219,16 +273,7 @@ class OCRService {
     try {
       logger.info('Reprocessing receipt', { receiptId, imageUrl });
 
-      // Download image from storage
-      const { data: imageData, error } = await supabase.storage
-        .from('receipts')
-        .download(imageUrl.replace(/^.*\/receipts\//, ''));
-
-      if (error) {
-        throw new APIError('Failed to download image for reprocessing', 404, 'IMAGE_NOT_FOUND');
-      }
-
-      const imageBuffer = Buffer.from(await imageData.arrayBuffer());
+      const imageBuffer = await this.downloadImageFromStorage(imageUrl);
 
       // Process with updated OCR
       return await this.processReceiptImage({
@@ -324,10 +369,131 @@ class OCRService {
     }
   }
 
+  /**
+   * Run ensemble OCR when OCR_ENSEMBLE_MODE asks for it: 'always', or
+   * 'low_confidence' for reads below OCR_CONFIDENCE_THRESHOLD. The Tesseract
+   * result is reused as one of the votes. Any failure keeps the
+   * single-engine result.
+   * @param {string} imagePath - Preprocessed image
+   * @param {Object} ocrResult - Tesseract result
+   * @param {Object} options - { profile: user locale preferences }
+   * @returns {Promise<Object|null>} Ensemble result, or null when not run
+   */
+  async runEnsembleOCR(imagePath, ocrResult, { profile = null } = {}) {
+    const mode = process.env.OCR_ENSEMBLE_MODE || 'off';
+    const threshold = parseFloat(process.env.OCR_CONFIDENCE_THRESHOLD) || 0.6;
+
+    if (mode === 'off' || (mode === 'low_confidence' && ocrResult.confidence >= threshold)) {
+      return null;
+    }
+
+    try {
+      // Loaded on demand so the provider registry only starts when needed
+      const multiOCRService = require('./multiOCRService');
+
+      return await multiOCRService.processImageWithEnsemble({
+        imagePath,
+        precomputed: { tesseract: ocrResult },
+        parser: this,
+        profile
+      });
+    } catch (error) {
+      logger.warn('Ensemble OCR skipped:', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Replace parsed fields with the ensemble's voted values where it found one
+   */
+  applyEnsembleFields(parsedData, fields) {
+    if (fields.merchantName.value) parsedData.merchantName = fields.merchantName.value;
+    if (fields.date.value) parsedData.date = fields.date.value;
+    if (fields.totalAmount.value) parsedData.totalAmount = fields.totalAmount.value;
+    if (fields.items.value.length > 0) parsedData.items = fields.items.value;
+
+    parsedData.category = this.categorizeReceipt(parsedData.merchantName, parsedData.items);
+    return parsedData;
+  }
+
+  /**
+   * Extract text from a PDF receipt or invoice. Pages with an embedded text
+   * layer are read directly; scanned pages are rasterized and OCR'd. All
+   * pages are merged into a single result for one receipt.
+   * @param {Buffer} pdfBuffer - PDF contents
+   * @returns {Promise<Object>} OCR result shaped like extractTextFromImage
+   */
+  async extractTextFromPdf(pdfBuffer) {
+    const { pageCount, pages, truncated } = await pdfService.extractText(pdfBuffer);
+    const pageResults = new Map();
+
+    for (const page of pages.filter(candidate => candidate.hasText)) {
+      // Embedded text is exact, so it gets full confidence
+      pageResults.set(page.pageNumber, { text: page.text, confidence: 1, blocks: [] });
+    }
+
+    const scannedPages = pages.filter(page => !page.hasText).map(page => page.pageNumber);
+    if (scannedPages.length > 0) {
+      const rendered = await pdfService.renderPages(pdfBuffer, scannedPages);
+
+      for (const { pageNumber, image } of rendered) {
+        let processedPath = null;
+        try {
+          processedPath = await this.preprocessImage({
+            imageBuffer: image,
+            originalName: `page-${pageNumber}.png`
+          });
+          const result = await this.extractTextFromImage(processedPath);
+          pageResults.set(pageNumber, {
+            text: result.text || '',
+            confidence: result.confidence,
+            blocks: (result.blocks || []).map(block => ({ ...block, page: pageNumber }))
+          });
+        } finally {
+          if (processedPath) {
+            await fs.unlink(processedPath).catch(cleanupError => {
+              logger.warn('Failed to cleanup temporary file:', cleanupError);
+            });
+          }
+        }
+      }
+    }
+
+    const ordered = [...pageResults.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, result]) => result)
+      .filter(result => result.text.trim().length > 0);
+
+    // Weight page confidence by how much text each page contributed
+    const totalChars = ordered.reduce((sum, result) => sum + result.text.length, 0);
+    const confidence = totalChars > 0
+      ? ordered.reduce((sum, result) => sum + result.confidence * result.text.length, 0) / totalChars
+      : 0;
+
+    logger.info('PDF text extracted', {
+      pageCount,
+      textPages: pages.length - scannedPages.length,
+      scannedPages: scannedPages.length
+    });
+
+    return {
+      text: ordered.map(result => result.text.trim()).join('\n'),
+      confidence,
+      blocks: ordered.flatMap(result => result.blocks),
+      pdf: {
+        pageCount,
+        truncated,
+        textPages: pages.length - scannedPages.length,
+        scannedPages: scannedPages.length,
+        textSource: scannedPages.length === 0 ? 'embedded' : scannedPages.length === pages.length ? 'ocr' : 'mixed'
+      }
+    };
+  }
+
   /**
    * Parse extracted text into structured receipt data
    */
-  parseReceiptText(ocrResult) {
+  parseReceiptText(ocrResult, { profile = null } = {}) {
     const lines = ocrResult.text
       .split('\n')
       .map(line => line.trim())
@@ -335,17 +501,37 @@ class OCRService {
 
     logger.debug(`Processing ${lines.length} text lines`);
 
+    // Date order, decimal separator and currency from the text and profile
+    const locale = localeService.detectLocale(ocrResult.text, profile);
+
     // Extract merchant name
     const merchantName = this.extractMerchantName(lines);
 
+    // Word coordinates, when the OCR engine returns them, pair names with
+    // the price column and find the total by position
+    const layout = receiptLayoutService.parse(ocrResult);
+    const useLayout = !!layout && layout.items.length > 0;
+
     // Extract total amount
-    const totalAmount = this.extractTotalAmount(lines);
+    const totalAmount = (useLayout && layout.totalAmount) || this.extractTotalAmount(lines, locale);
 
     // Extract date
-    const date = this.extractDate(lines) || new Date();
+    const date = this.extractDate(lines, locale) || new Date();
 
-    // Extract items
-    const items = this.extractItems(lines);
+    // Extract items, with discounts attached to the items they modify
+    const { items, orderDiscounts } = useLayout
+      ? { items: layout.items, orderDiscounts: layout.orderDiscounts }
+      : this.extractItemsWithDiscounts(lines, locale);
+    const totalSavings = receiptDiscountService.calculateTotalSavings(
+      items,
+      orderDiscounts,
+      receiptDiscountService.parseSavingsSummary(lines, locale.decimalSeparator)
+    );
+
+    // Tax rate buckets and the seller's tax ID
+    const taxBreakdown = receiptTaxService.extractTaxBreakdown(ocrResult.text, {
+      decimalSeparator: locale.decimalSeparator
+    });
 
     // Determine category
     const category = this.categorizeReceipt(merchantName, items);
@@ -359,16 +545,56 @@ class OCRService {
       textQuality: lines.length
     });
 
-    return {
+    const parsedData = {
       merchantName,
       totalAmount,
       date,
       items,
+      totalSavings,
+      taxBreakdown,
       category,
       confidence,
+      currency: locale.currency,
+      locale: {
+        dateOrder: locale.dateOrder,
+        decimalSeparator: locale.decimalSeparator,
+        currencySource: locale.currencySource
+      },
       linesProcessed: lines.length,
+      parsingMethod: useLayout ? 'layout' : 'text',
       imageDimensions: null // Will be set by preprocessing
     };
+
+    return this.applyReconciliation(parsedData, ocrResult.text, {
+      subtotal: layout ? layout.subtotal : null,
+      tax: layout ? layout.tax : null
+    });
+  }
+
+  /**
+   * Check that items, tax, tip and discounts add up to the total, replacing
+   * items and total with their corrected values
+   * @param {Object} parsedData - Result of parseReceiptText
+   * @param {string} text - OCR text
+   * @param {Object} printed - { subtotal, tax } already read from the layout
+   */
+  applyReconciliation(parsedData, text, printed = {}) {
+    const previous = parsedData.reconciliation || {};
+    const result = receiptReconciliationService.reconcile({
+      items: parsedData.items,
+      totalAmount: parsedData.totalAmount,
+      rawText: text,
+      subtotal: printed.subtotal !== undefined ? printed.subtotal : previous.subtotal,
+      tax: printed.tax !== undefined ? printed.tax : previous.tax,
+      decimalSeparator: parsedData.locale.decimalSeparator
+    });
+
+    parsedData.items = result.items;
+    if (result.totalAmount > 0) {
+      parsedData.totalAmount = result.totalAmount;
+    }
+    parsedData.reconciliation = receiptReconciliationService.summarize(result);
+    return parsedData;
   }
 
   /**
@@ -407,13 +633,17 @@ class OCRService {
 
   /**
    * Extract total amount from receipt lines
+   * @param {Array<string>} lines - Receipt lines
+   * @param {Object} locale - Result of localeService.detectLocale (detected from the lines when omitted)
    */
-  extractTotalAmount(lines) {
+  extractTotalAmount(lines, locale = null) {
+    const { decimalSeparator } = locale || localeService.detectLocale(lines.join('\n'));
     const totalPatterns = [
-      /total[:\s]*\$?(\d+\.?\d*)/i,
-      /amount[:\s]*\$?(\d+\.?\d*)/i,
-      /balance[:\s]*\$?(\d+\.?\d*)/i,
-      /\$(\d+\.?\d*)$/i,
+      new RegExp(`(?:total|summe|gesamt|totale|importe|montant|totaal|valor)[^\\d\\n]*?(${NUMBER_PATTERN})`, 'i'),
+      new RegExp(`(?:amount|betrag|bedrag|payable|a pagar|à payer|zu zahlen|te betalen)[^\\d\\n]*?(${NUMBER_PATTERN})`, 'i'),
+      new RegExp(`(?:balance|saldo)[^\\d\\n]*?(${NUMBER_PATTERN})`, 'i'),
+      new RegExp(`(?:[$€£₹¥]|rs\\.?)\\s?(${NUMBER_PATTERN})\\s*$`, 'i'),
+      new RegExp(`(${NUMBER_PATTERN})\\s?(?:[€£₹]|eur|inr|gbp)\\s*$`, 'i'),
     ];
 
     // Look for total amount patterns (start from bottom)
@@ -422,7 +652,7 @@ class OCRService {
       for (const pattern of totalPatterns) {
         const match = pattern.exec(line);
         if (match) {
-          const amount = parseFloat(match[1]);
+          const amount = localeService.parseAmount(match[1], decimalSeparator);
           if (amount && amount > 0) {
             return amount;
           }
@@ -434,80 +664,73 @@ class OCRService {
   }
 
   /**
-   * Extract date from receipt lines
+   * Extract date from receipt lines. Numeric dates follow the detected
+   * DD/MM or MM/DD order; month names are understood in several languages.
+   * @param {Array<string>} lines - Receipt lines
+   * @param {Object} locale - Result of localeService.detectLocale (detected from the lines when omitted)
    */
-  extractDate(lines) {
-    const datePatterns = [
-      /(\d{1,2})\/(\d{1,2})\/(\d{2,4})/, // MM/DD/YYYY or M/D/YY
-      /(\d{1,2})-(\d{1,2})-(\d{2,4})/, // MM-DD-YYYY
-      /(\d{4})-(\d{1,2})-(\d{1,2})/, // YYYY-MM-DD
-    ];
-
-    for (const line of lines) {
-      for (let i = 0; i < datePatterns.length; i++) {
-        const pattern = datePatterns[i];
-        const match = pattern.exec(line);
-        if (match) {
-          try {
-            let year, month, day;
-            
-            if (i === 2) { // YYYY-MM-DD
-              year = parseInt(match[1]);
-              month = parseInt(match[2]);
-              day = parseInt(match[3]);
-            } else { // MM/DD/YYYY or MM-DD-YYYY
-              month = parseInt(match[1]);
-              day = parseInt(match[2]);
-              year = parseInt(match[3]);
-              
-              // Handle 2-digit years
-              if (year < 100) {
-                year += 2000;
-              }
-            }
-
-            const date = new Date(year, month - 1, day);
-            if (date <= new Date()) { // Don't accept future dates
-              return date;
-            }
-          } catch (e) {
-            continue; // Try next pattern
-          }
-        }
-      }
-    }
-
-    return null;
+  extractDate(lines, locale = null) {
+    const { dateOrder } = locale || localeService.detectLocale(lines.join('\n'));
+    return localeService.parseDate(lines, { dateOrder });
   }
 
   /**
    * Extract line items from receipt
    */
-  extractItems(lines) {
-    const items = [];
-    const itemPattern = /^(.+?)\s+\$?(\d+\.?\d*)$/;
+  extractItems(lines, locale = null) {
+    return this.extractItemsWithDiscounts(lines, locale).items;
+  }
+
+  /**
+   * Extract line items with their discount and multi-buy lines attached
+   * @param {Array<string>} lines - Receipt lines
+   * @param {Object} locale - Result of localeService.detectLocale (detected from the lines when omitted)
+   * @returns {Object} { items, orderDiscounts }
+   */
+  extractItemsWithDiscounts(lines, locale = null) {
+    const entries = [];
+    const { decimalSeparator } = locale || localeService.detectLocale(lines.join('\n'));
+    const itemPattern = new RegExp(`^(.+?)\\s+(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})(?:\\s?[€£₹])?$`);
 
     for (const line of lines) {
+      // Discounts and "2 @ 3.99" lines modify the items around them
+      const discount = receiptDiscountService.parseDiscountLine(line, decimalSeparator);
+      if (discount) {
+        entries.push({ kind: 'discount', discount });
+        continue;
+      }
+      const multiBuy = receiptDiscountService.parseMultiBuyLine(line, decimalSeparator);
+      if (multiBuy) {
+        entries.push({ kind: 'multi_buy', multiBuy });
+        continue;
+      }
+
       // Skip lines that are clearly not items
-      if (this.isHeaderOrFooterLine(line)) continue;
+      if (this.isHeaderOrFooterLine(line) || receiptDiscountService.isSavingsSummaryLine(line)) {
+        entries.push({ kind: 'break' });
+        continue;
+      }
 
       const match = itemPattern.exec(line);
-      if (match) {
-        const itemName = match[1]?.trim();
-        const price = parseFloat(match[2]);
-        
-        if (itemName && price && price > 0 && itemName.length > 0) {
-          items.push({
+      const itemName = match ? match[1]?.trim() : null;
+      const price = match ? localeService.parseAmount(match[2], decimalSeparator) : null;
+
+      if (itemName && price && price > 0) {
+        entries.push({
+          kind: 'item',
+          item: {
             name: itemName,
             price: price,
             quantity: 1, // Default quantity
             category: null
-          });
-        }
+          }
+        });
+      } else {
+        entries.push({ kind: 'text', text: line });
       }
     }
 
-    return items;
+    return receiptDiscountService.attachAdjustments(entries);
   }
 
   /**
@@ -517,6 +740,7 @@ class OCRService {
     const headerFooterPatterns = [
       /(receipt|invoice|thank you|visit|welcome)/i,
       /(total|subtotal|tax|discount)/i,
+      /\b(summe|gesamt|mwst|ust|tva|iva|btw|gst|importe|montant)\b/i,
       /\d{3}[-\s]\d{3}[-\s]\d{4}/, // Phone numbers
       /www\.|\.com|@/, // Websites and emails
     ];
@@ -616,6 +840,65 @@ class OCRService {
     }
   }
 
+  /**
+   * Store a receipt file the way every upload path expects: HEIC/HEIF is
+   * converted to JPEG first, and a thumbnail is stored next to the original
+   * @param {Object} params - { imageBuffer, originalName, mimeType, userId }
+   * @returns {Promise<Object>} { imageUrl, thumbnailUrl, imageHash, mimeType, convertedFrom }
+   */
+  async storeReceiptImage({ imageBuffer, originalName, mimeType, userId }) {
+    const normalized = await imageService.normalizeImage({ buffer: imageBuffer, mimeType, originalName });
+
+    const imageUrl = await this.uploadImageToStorage({
+      imageBuffer: normalized.buffer,
+      originalName: normalized.originalName,
+      mimeType: normalized.mimeType,
+      userId
+    });
+
+    // A missing thumbnail only affects previews, so it never fails the upload
+    let thumbnailUrl = null;
+    try {
+      const previewSource = pdfService.isPdf({ buffer: normalized.buffer, mimeType: normalized.mimeType })
+        ? (await pdfService.renderPages(normalized.buffer, [1]))[0].image
+        : normalized.buffer;
+
+      thumbnailUrl = await this.uploadImageToStorage({
+        imageBuffer: await imageService.createThumbnail(previewSource),
+        originalName: 'thumbnail.jpg',
+        mimeType: 'image/jpeg',
+        userId: `${userId}/thumbnails`
+      });
+    } catch (error) {
+      logger.warn('Failed to create receipt thumbnail:', { originalName, error: error.message });
+    }
+
+    return {
+      imageUrl,
+      thumbnailUrl,
+      imageHash: this.calculateImageHash(normalized.buffer),
+      mimeType: normalized.mimeType,
+      convertedFrom: normalized.convertedFrom
+    };
+  }
+
+  /**
+   * Download a stored receipt image
+   * @param {string} imageUrl - Public URL returned by uploadImageToStorage
+   * @returns {Promise<Buffer>} Image contents
+   */
+  async downloadImageFromStorage(imageUrl) {
+    const { data: imageData, error } = await supabase.storage
+      .from('receipts')
+      .download(imageUrl.replace(/^.*\/receipts\//, ''));
+
+    if (error) {
+      throw new APIError('Failed to download receipt image', 404, 'IMAGE_NOT_FOUND');
+    }
+
+    return Buffer.from(await imageData.arrayBuffer());
+  }
+
   /**
    * Calculate image hash for duplicate detection
    */
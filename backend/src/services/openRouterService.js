@@ -9,6 +9,8 @@ class OpenRouterService {
     this.apiKey = process.env.OPENROUTER_API_KEY;
     this.baseURL = 'https://openrouter.ai/api/v1';
     this.defaultModel = 'meta-llama/llama-3.1-8b-instruct:free'; // Free tier model
+    // Model used when the assistant answers through tools; it must support function calling
+    this.toolModel = process.env.OPENROUTER_TOOL_MODEL || this.defaultModel;
     this.maxTokens = 1000;
     this.temperature = 0.7;
     
@@ -60,6 +62,284 @@ class OpenRouterService {
     }
   }
 
+  /**
+   * One chat completion turn with function calling. The caller runs any
+   * requested tools and calls again with their results appended.
+   * @param {Array} messages - Chat messages, including earlier tool calls and results
+   * @param {Array} tools - OpenAI-style function tool definitions
+   * @param {Object} options - { toolChoice: 'auto' | 'none' }
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, model, usage }
+   */
+  async generateToolCompletion(messages, tools, { toolChoice = 'auto' } = {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenRouter API key not configured');
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.toolModel,
+        messages,
+        tools,
+        tool_choice: toolChoice,
+        max_tokens: this.maxTokens,
+        // Low temperature: answers restate tool results rather than improvise
+        temperature: 0.2,
+        stream: false
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'HTTP-Referer': 'https://heybills.app',
+          'X-Title': 'Hey Bills Assistant'
+        },
+        timeout: 30000
+      }
+    );
+
+    const choice = response.data.choices?.[0];
+    if (!choice) {
+      throw new Error('OpenRouter returned no completion');
+    }
+
+    return {
+      content: choice.message?.content || '',
+      toolCalls: choice.message?.tool_calls || [],
+      finishReason: choice.finish_reason,
+      model: response.data.model || this.toolModel,
+      usage: response.data.usage || null
+    };
+  }
+
+  /**
+   * Streaming variant of generateToolCompletion. Answer text is handed to
+   * onToken as it arrives; tool calls are assembled from their deltas and
+   * returned once the turn is complete. Failures are thrown.
+   * @param {Array} messages - Chat messages, including earlier tool calls and results
+   * @param {Array} tools - OpenAI-style function tool definitions
+   * @param {Object} options - { toolChoice, onToken(text), signal, idleTimeoutMs }
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, model, usage }
+   */
+  async generateToolCompletionStream(messages, tools, {
+    toolChoice = 'auto',
+    onToken = () => {},
+    signal,
+    idleTimeoutMs = 30000
+  } = {}) {
+    if (!this.apiKey) {
+      throw new Error('OpenRouter API key not configured');
+    }
+
+    const response = await axios.post(
+      `${this.baseURL}/chat/completions`,
+      {
+        model: this.toolModel,
+        messages,
+        tools,
+        tool_choice: toolChoice,
+        max_tokens: this.maxTokens,
+        temperature: 0.2,
+        stream: true
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json',
+          'HTTP-Referer': 'https://heybills.app',
+          'X-Title': 'Hey Bills Assistant'
+        },
+        responseType: 'stream',
+        signal,
+        timeout: 30000
+      }
+    );
+
+    const result = { content: '', toolCalls: [], finishReason: null, model: this.toolModel, usage: null };
+
+    await this.readCompletionStream(response.data, idleTimeoutMs, (event) => {
+      if (event.error) {
+        throw Object.assign(new Error(event.error.message || 'Stream error'), { response: { status: event.error.code } });
+      }
+      const choice = event.choices?.[0];
+      const token = choice?.delta?.content;
+      if (token) {
+        result.content += token;
+        onToken(token);
+      }
+      // Each tool call arrives in pieces keyed by index: id and name first, then argument fragments
+      for (const delta of choice?.delta?.tool_calls || []) {
+        const call = result.toolCalls[delta.index] ||
+          (result.toolCalls[delta.index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+      }
+      if (choice?.finish_reason) {
+        result.finishReason = choice.finish_reason;
+      }
+      if (event.model) {
+        result.model = event.model;
+      }
+      if (event.usage) {
+        result.usage = event.usage;
+      }
+    });
+
+    result.toolCalls = result.toolCalls.filter(Boolean);
+    return result;
+  }
+
+  /**
+   * Stream a chat completion token by token. Resolves once the model has
+   * finished with the full text; tokens are handed to onToken as they
+   * arrive. Failures before the first token resolve with the same
+   * apology text generateResponse returns.
+   * @param {string} userQuery - User's question
+   * @param {Array} context - Retrieved context from vector search
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { onToken(text), signal, idleTimeoutMs }
+   * @returns {Promise<Object>} { content, finishReason, model, usage, error }
+   */
+  async generateResponseStream(userQuery, context = [], conversationHistory = [], {
+    onToken = () => {},
+    signal,
+    idleTimeoutMs = 30000
+  } = {}) {
+    if (!this.apiKey) {
+      const content = "I'm sorry, but the AI service is not configured. Please contact support.";
+      onToken(content);
+      return { content, finishReason: 'error', model: null, usage: null, error: true };
+    }
+
+    const systemPrompt = this.buildSystemPrompt(context);
+    const messages = this.buildMessages(systemPrompt, userQuery, conversationHistory);
+    const result = { content: '', finishReason: null, model: this.defaultModel, usage: null, error: false };
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/chat/completions`,
+        {
+          model: this.defaultModel,
+          messages,
+          max_tokens: this.maxTokens,
+          temperature: this.temperature,
+          stream: true
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json',
+            'HTTP-Referer': 'https://heybills.app',
+            'X-Title': 'Hey Bills Assistant'
+          },
+          responseType: 'stream',
+          signal,
+          timeout: 30000
+        }
+      );
+
+      await this.readCompletionStream(response.data, idleTimeoutMs, (event) => {
+        if (event.error) {
+          throw Object.assign(new Error(event.error.message || 'Stream error'), { response: { status: event.error.code } });
+        }
+        const choice = event.choices?.[0];
+        const token = choice?.delta?.content;
+        if (token) {
+          result.content += token;
+          onToken(token);
+        }
+        if (choice?.finish_reason) {
+          result.finishReason = choice.finish_reason;
+        }
+        if (event.model) {
+          result.model = event.model;
+        }
+        if (event.usage) {
+          result.usage = event.usage;
+        }
+      });
+
+      if (!result.content) {
+        result.content = 'I apologize, but I could not generate a response.';
+        onToken(result.content);
+      }
+      return result;
+    } catch (error) {
+      console.error('OpenRouter stream error:', error.response?.status || error.message);
+      // Keep whatever was already streamed; only an empty answer is replaced
+      if (!result.content) {
+        result.content = this.getErrorResponse(error);
+        onToken(result.content);
+      }
+      return { ...result, finishReason: result.finishReason || 'error', error: true };
+    }
+  }
+
+  /**
+   * Read an OpenAI-style server-sent event stream and pass each JSON
+   * payload to onEvent. Resolves on [DONE] or end of stream; rejects when
+   * no data arrives for idleTimeoutMs.
+   * @param {Readable} stream - Response body stream
+   * @param {number} idleTimeoutMs - Maximum silence between chunks
+   * @param {Function} onEvent - Called with each parsed payload; may throw to abort
+   * @returns {Promise<void>}
+   */
+  readCompletionStream(stream, idleTimeoutMs, onEvent) {
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      let settled = false;
+      let idleTimer = null;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(idleTimer);
+        stream.removeAllListeners('data');
+        if (error) {
+          stream.destroy();
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+          finish(Object.assign(new Error('Stream idle timeout'), { code: 'ECONNABORTED' }));
+        }, idleTimeoutMs);
+      };
+
+      stream.on('data', (chunk) => {
+        resetIdleTimer();
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          // Blank lines separate events; lines starting with ":" are keep-alive comments
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') {
+            finish();
+            return;
+          }
+          try {
+            onEvent(JSON.parse(payload));
+          } catch (error) {
+            if (error instanceof SyntaxError) continue;
+            finish(error);
+            return;
+          }
+        }
+      });
+      stream.on('end', () => finish());
+      stream.on('error', (error) => finish(error));
+      resetIdleTimer();
+    });
+  }
+
   /**
    * Build system prompt with context
    * @param {Array} context - Retrieved context
@@ -85,6 +365,7 @@ INSTRUCTIONS:
 7. If asked about specific receipts, reference the merchant, amount, and date
 8. For warranty questions, mention expiration dates and coverage details
 9. For spending analysis, provide insights and trends when possible
+10. When a statement uses a receipt or warranty from the context, cite its tag in square brackets right after it, e.g. [R1] or [R1, W2]; never invent tags
 
 RESPONSE STYLE:
 - Be conversational but professional
@@ -100,6 +381,10 @@ RESPONSE STYLE:
    */
   formatContextItem(item) {
     const parts = [];
+
+    if (item.citation_ref) {
+      parts.push(`[${item.citation_ref}]`);
+    }
     
     if (item.merchant_name) {
       parts.push(`Merchant: ${item.merchant_name}`);
@@ -177,52 +462,6 @@ RESPONSE STYLE:
     return "I encountered an error processing your request. Please try rephrasing your question.";
   }
 
-  /**
-   * Generate embeddings for text (using a simpler approach for free tier)
-   * @param {string} text - Text to embed
-   * @returns {Promise<Array>} Embedding vector
-   */
-  async generateEmbedding(text) {
-    try {
-      // For free tier, we'll use a simple text processing approach
-      // In production, consider upgrading to use actual embedding models
-      const words = text.toLowerCase().split(/\W+/).filter(w => w.length > 2);
-      const uniqueWords = [...new Set(words)];
-      
-      // Create a simple hash-based embedding (384 dimensions for compatibility)
-      const embedding = new Array(384).fill(0);
-      
-      uniqueWords.forEach((word, index) => {
-        const hash = this.simpleHash(word);
-        for (let i = 0; i < 384; i++) {
-          embedding[i] += Math.sin(hash * (i + 1)) * 0.1;
-        }
-      });
-      
-      // Normalize the vector
-      const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-      return embedding.map(val => val / (magnitude || 1));
-    } catch (error) {
-      console.error('Embedding generation error:', error);
-      return new Array(384).fill(0); // Return zero vector on error
-    }
-  }
-
-  /**
-   * Simple hash function for text
-   * @param {string} str - String to hash
-   * @returns {number} Hash value
-   */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
-  }
-
   /**
    * Test connection to OpenRouter API
    * @returns {Promise<boolean>} Connection status
@@ -0,0 +1,190 @@
+/**
+ * PDF Service
+ * Reads embedded text from PDF receipts and invoices, and rasterizes
+ * scanned pages so they can go through OCR
+ */
+
+const { createCanvas, DOMMatrix, Path2D } = require('@napi-rs/canvas');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// pdf.js looks for these browser globals when it is loaded
+globalThis.DOMMatrix = globalThis.DOMMatrix || DOMMatrix;
+globalThis.Path2D = globalThis.Path2D || Path2D;
+
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const MAX_PDF_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 10;
+// Pages with less embedded text than this are treated as scanned images
+const MIN_TEXT_CHARS_PER_PAGE = parseInt(process.env.PDF_MIN_TEXT_CHARS_PER_PAGE) || 20;
+// 2x the PDF's 72 DPI gives roughly 150 DPI, enough for Tesseract on receipt text
+const RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE) || 2;
+
+/**
+ * Canvas factory backed by @napi-rs/canvas for pdf.js rendering in Node
+ */
+const canvasFactory = {
+  create(width, height) {
+    const canvas = createCanvas(Math.ceil(width), Math.ceil(height));
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = Math.ceil(width);
+    canvasAndContext.canvas.height = Math.ceil(height);
+  },
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+};
+
+/**
+ * Rebuild reading-order lines from pdf.js text items by grouping items
+ * that share a baseline
+ * @param {Array} items - Text content items
+ * @returns {Array<string>} Lines from top to bottom
+ */
+const buildLines = (items) => {
+  const rows = [];
+
+  for (const item of items) {
+    if (!item.str || item.str.trim().length === 0) continue;
+
+    const x = item.transform[4];
+    const y = item.transform[5];
+    const tolerance = Math.max(Math.abs(item.transform[3]) / 2, 2);
+    let row = rows.find(candidate => Math.abs(candidate.y - y) <= tolerance);
+
+    if (!row) {
+      row = { y, parts: [] };
+      rows.push(row);
+    }
+    row.parts.push({ x, str: item.str });
+  }
+
+  // PDF coordinates grow upwards
+  return rows
+    .sort((a, b) => b.y - a.y)
+    .map(row => row.parts
+      .sort((a, b) => a.x - b.x)
+      .map(part => part.str)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(line => line.length > 0);
+};
+
+class PDFService {
+
+  /**
+   * Whether a file is a PDF, by MIME type or magic bytes
+   * @param {Object} params - { buffer, mimeType, originalName }
+   * @returns {boolean}
+   */
+  isPdf({ buffer, mimeType, originalName }) {
+    if (mimeType === 'application/pdf') return true;
+    if (originalName && originalName.toLowerCase().endsWith('.pdf')) return true;
+    return !!buffer && buffer.length > 4 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+  }
+
+  /**
+   * Open a PDF document
+   * @param {Buffer} buffer - PDF contents
+   * @returns {Promise<Object>} pdf.js document
+   */
+  async loadDocument(buffer) {
+    try {
+      return await pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        canvasFactory,
+        useSystemFonts: true,
+        isEvalSupported: false,
+        verbosity: 0
+      }).promise;
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        throw new APIError('Password-protected PDFs are not supported', 400, 'PDF_PASSWORD_PROTECTED');
+      }
+      logger.error('Failed to open PDF:', error);
+      throw new APIError('Invalid or corrupted PDF file', 400, 'INVALID_PDF');
+    }
+  }
+
+  /**
+   * Extract the embedded text layer of every page
+   * @param {Buffer} buffer - PDF contents
+   * @returns {Promise<Object>} { pageCount, pages: [{ pageNumber, lines, text, hasText }], truncated }
+   */
+  async extractText(buffer) {
+    const document = await this.loadDocument(buffer);
+
+    try {
+      const pageCount = Math.min(document.numPages, MAX_PDF_PAGES);
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+        const page = await document.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const lines = buildLines(content.items);
+        const text = lines.join('\n');
+
+        pages.push({
+          pageNumber,
+          lines,
+          text,
+          hasText: text.replace(/\s/g, '').length >= MIN_TEXT_CHARS_PER_PAGE
+        });
+        page.cleanup();
+      }
+
+      return { pageCount, pages, truncated: document.numPages > MAX_PDF_PAGES };
+
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  /**
+   * Render selected pages to PNG images for OCR
+   * @param {Buffer} buffer - PDF contents
+   * @param {Array<number>} pageNumbers - 1-based page numbers to render
+   * @returns {Promise<Array<Object>>} [{ pageNumber, image }]
+   */
+  async renderPages(buffer, pageNumbers) {
+    const document = await this.loadDocument(buffer);
+
+    try {
+      const images = [];
+
+      for (const pageNumber of pageNumbers) {
+        const page = await document.getPage(pageNumber);
+        const viewport = page.getViewport({ scale: RENDER_SCALE });
+        const target = canvasFactory.create(viewport.width, viewport.height);
+
+        // Scanned pages are often transparent; OCR needs a white background
+        target.context.fillStyle = '#ffffff';
+        target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+
+        await page.render({ canvasContext: target.context, viewport, canvasFactory }).promise;
+        images.push({ pageNumber, image: target.canvas.toBuffer('image/png') });
+
+        canvasFactory.destroy(target);
+        page.cleanup();
+      }
+
+      logger.debug('Rendered PDF pages', { pages: pageNumbers.length, scale: RENDER_SCALE });
+      return images;
+
+    } finally {
+      await document.destroy();
+    }
+  }
+}
+
+// Export singleton instance
+const pdfService = new PDFService();
+
+module.exports = pdfService;
+module.exports.buildLines = buildLines;
@@ -1,7 +1,18 @@
 const openRouterService = require('./openRouterService');
 const vectorSearchService = require('./vectorSearchService');
+const embeddingService = require('./embeddingService');
+const chatToolsService = require('./chatToolsService');
+const citationService = require('./citationService');
 const { supabase } = require('../../config/supabase');
 
+// Source reported for answers that used each chat tool
+const TOOL_SOURCES = {
+  sum_spend: 'analytics',
+  list_receipts: 'receipts',
+  get_warranty: 'warranties',
+  get_budget_status: 'budgets'
+};
+
 /**
  * RAG (Retrieval-Augmented Generation) Service for Hey-Bills
  * Combines vector search with LLM generation for intelligent chat responses
@@ -10,6 +21,8 @@ class RAGService {
   constructor() {
     this.maxContextItems = 5;
     this.searchTimeout = 10000;
+    this.toolsEnabled = process.env.CHAT_TOOLS_ENABLED !== 'false';
+    this.maxToolRounds = 4;
   }
 
   /**
@@ -23,12 +36,21 @@ class RAGService {
   async processQuery(userId, query, conversationId, conversationHistory = []) {
     try {
       const startTime = Date.now();
+
+      // Questions about the user's own numbers are answered through tools;
+      // retrieval is the fallback when function calling is unavailable
+      const toolAnswer = await this.answerWithTools(userId, query, conversationHistory);
+      if (toolAnswer) {
+        await this.storeConversation(userId, conversationId, query, toolAnswer.answer, toolAnswer.context);
+        return this.formatToolAnswer(toolAnswer, startTime);
+      }
       
       // Step 1: Analyze query to determine search strategy
       const queryAnalysis = await this.analyzeQuery(query);
       
-      // Step 2: Retrieve relevant context based on query type
-      const context = await this.retrieveContext(userId, query, queryAnalysis);
+      // Step 2: Retrieve relevant context based on query type, labelled for citation
+      const retrieved = await this.retrieveContext(userId, query, queryAnalysis);
+      const context = { ...retrieved, items: citationService.labelItems(retrieved.items) };
       
       // Step 3: Generate response using LLM with retrieved context
       const response = await openRouterService.generateResponse(
@@ -36,6 +58,7 @@ class RAGService {
         context.items,
         conversationHistory
       );
+      context.citations = citationService.extractCitations(response, context.items);
       
       // Step 4: Store conversation in database
       await this.storeConversation(userId, conversationId, query, response, context);
@@ -48,7 +71,8 @@ class RAGService {
         search_strategy: queryAnalysis.strategy,
         processing_time_ms: processingTime,
         confidence: context.confidence,
-        sources: context.sources
+        sources: context.sources,
+        citations: context.citations
       };
     } catch (error) {
       console.error('RAG processing error:', error);
@@ -61,6 +85,305 @@ class RAGService {
     }
   }
 
+  /**
+   * Streaming variant of processQuery. Sources are reported once context is
+   * retrieved, then answer tokens as the model produces them. The exchange
+   * is stored when the answer is complete, whether or not anyone is still
+   * listening.
+   * @param {string} userId - User ID
+   * @param {string} query - User's question
+   * @param {string} conversationId - Conversation ID
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} handlers - { onSources(sources), onToken(text) }
+   * @returns {Promise<Object>} Same shape as processQuery
+   */
+  async processQueryStream(userId, query, conversationId, conversationHistory = [], {
+    onSources = () => {},
+    onToken = () => {}
+  } = {}) {
+    const startTime = Date.now();
+
+    // Each tool round is streamed: a reply without tool calls streams as it
+    // is written, and the answer after tool calls streams once their results
+    // are in. Sources go out just before the first token.
+    let sourcesSent = false;
+    const sendSources = (toolCalls) => {
+      if (sourcesSent) return;
+      sourcesSent = true;
+      onSources({
+        sources: this.getToolSources(toolCalls),
+        context_used: toolCalls.length,
+        search_strategy: 'tool_calling',
+        documents: toolCalls.map(call => ({ type: 'tool', name: call.name, arguments: call.arguments }))
+      });
+    };
+
+    const toolAnswer = await this.answerWithTools(userId, query, conversationHistory, {
+      onToken: (token, toolCalls) => {
+        sendSources(toolCalls);
+        onToken(token);
+      }
+    });
+    if (toolAnswer) {
+      sendSources(toolAnswer.toolCalls);
+      await this.storeConversation(userId, conversationId, query, toolAnswer.answer, toolAnswer.context);
+      return this.formatToolAnswer(toolAnswer, startTime);
+    }
+
+    const queryAnalysis = await this.analyzeQuery(query);
+    const retrieved = await this.retrieveContext(userId, query, queryAnalysis);
+    const context = { ...retrieved, items: citationService.labelItems(retrieved.items) };
+
+    onSources({
+      sources: context.sources,
+      context_used: context.items.length,
+      search_strategy: queryAnalysis.strategy,
+      confidence: context.confidence,
+      documents: context.items.map(item => this.describeContextItem(item))
+    });
+
+    const completion = await openRouterService.generateResponseStream(
+      query,
+      context.items,
+      conversationHistory,
+      { onToken }
+    );
+
+    context.citations = citationService.extractCitations(completion.content, context.items);
+    await this.storeConversation(userId, conversationId, query, completion.content, context);
+
+    return {
+      answer: completion.content,
+      context_used: context.items.length,
+      search_strategy: queryAnalysis.strategy,
+      processing_time_ms: Date.now() - startTime,
+      confidence: context.confidence,
+      sources: context.sources,
+      citations: context.citations,
+      finish_reason: completion.finishReason,
+      model: completion.model,
+      usage: completion.usage,
+      ...(completion.error && { error: true })
+    };
+  }
+
+  /**
+   * Answer through function calling: the model picks user-scoped tools,
+   * their results are sent back, and it answers from them. Runs at most
+   * maxToolRounds rounds of tool calls before asking for a final answer.
+   * With onToken, every round is streamed and the answer is the text
+   * streamed across all rounds; once any text has been streamed, a failure
+   * ends the answer there instead of falling back to retrieval.
+   * @param {string} userId - User ID
+   * @param {string} query - User's question
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { onToken(text, toolCalls) } to stream
+   * @returns {Promise<Object|null>} { answer, toolCalls, context, model, usage, error },
+   *   or null when tools are disabled or the model call failed before any text
+   */
+  async answerWithTools(userId, query, conversationHistory = [], { onToken } = {}) {
+    if (!this.toolsEnabled || !openRouterService.apiKey) {
+      return null;
+    }
+
+    const toolCalls = [];
+    const citable = [];
+    let streamed = '';
+    let completion = null;
+
+    try {
+      const tools = await chatToolsService.getToolDefinitions(userId);
+      const messages = openRouterService.buildMessages(this.buildToolSystemPrompt(), query, conversationHistory);
+
+      for (let round = 0; round <= this.maxToolRounds; round++) {
+        const toolChoice = round < this.maxToolRounds ? 'auto' : 'none';
+        completion = onToken
+          ? await openRouterService.generateToolCompletionStream(messages, tools, {
+            toolChoice,
+            onToken: (token) => {
+              streamed += token;
+              onToken(token, toolCalls);
+            }
+          })
+          : await openRouterService.generateToolCompletion(messages, tools, { toolChoice });
+
+        if (completion.toolCalls.length === 0) break;
+
+        messages.push({ role: 'assistant', content: completion.content || null, tool_calls: completion.toolCalls });
+
+        for (const call of completion.toolCalls) {
+          const result = this.labelToolResult(
+            await chatToolsService.executeTool(userId, call.function.name, call.function.arguments),
+            citable
+          );
+          toolCalls.push({
+            name: call.function.name,
+            arguments: this.parseToolArguments(call.function.arguments),
+            result
+          });
+          messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+        }
+      }
+
+      const answer = onToken ? streamed : completion.content;
+      if (!answer) {
+        return null;
+      }
+
+      return this.buildToolAnswer(answer, toolCalls, citable, completion);
+    } catch (error) {
+      if (!streamed) {
+        console.error('Tool calling failed, falling back to retrieval:', error.response?.status || error.message);
+        return null;
+      }
+      // The client already has part of this answer; keep it rather than start another
+      console.error('Tool calling stream failed:', error.response?.status || error.message);
+      return { ...this.buildToolAnswer(streamed, toolCalls, citable, completion), error: true };
+    }
+  }
+
+  /**
+   * Tool answer with the context stored alongside it
+   */
+  buildToolAnswer(answer, toolCalls, citable, completion) {
+    const failed = toolCalls.filter(call => call.result.error).length;
+
+    return {
+      answer,
+      toolCalls,
+      context: {
+        items: toolCalls,
+        // Tool results are exact; an answer without them is the model's own
+        confidence: toolCalls.length === 0 ? 0.5 : failed > 0 ? 0.6 : 0.95,
+        sources: this.getToolSources(toolCalls),
+        tool_calls: toolCalls.map(({ name, arguments: args, result }) => ({
+          name,
+          arguments: args,
+          ...(result.error && { error: result.error })
+        })),
+        citations: citationService.extractCitations(answer, citable)
+      },
+      model: completion ? completion.model : null,
+      usage: completion ? completion.usage : null
+    };
+  }
+
+  /**
+   * Sources reported for the tools an answer used
+   */
+  getToolSources(toolCalls) {
+    return [...new Set(toolCalls.map(call => TOOL_SOURCES[call.name]).filter(Boolean))];
+  }
+
+  /**
+   * Label the receipts and warranties in a tool result for citation and
+   * collect them into citable
+   * @param {Object} result - Tool result
+   * @param {Array} citable - Items labelled so far for this answer
+   * @returns {Object} Result with citation_ref on its receipts and warranties
+   */
+  labelToolResult(result, citable) {
+    const labelled = { ...result };
+
+    for (const key of ['receipts', 'warranties']) {
+      if (Array.isArray(result[key])) {
+        labelled[key] = citationService.labelItems(result[key], citable);
+        citable.push(...labelled[key]);
+      }
+    }
+
+    return labelled;
+  }
+
+  /**
+   * System prompt for answering through tools
+   * @returns {string} System prompt
+   */
+  buildToolSystemPrompt() {
+    const today = new Date().toISOString().split('T')[0];
+
+    return `You are Hey Bills Assistant, an AI helper for managing receipts, warranties, budgets and spending.
+
+Today is ${today}.
+
+INSTRUCTIONS:
+1. Use the tools to look up the user's receipts, spending, warranties and budgets
+2. Every amount, count or date in your answer must come from a tool result; never estimate or add up figures yourself
+3. Use sum_spend for totals and averages, list_receipts to show individual purchases
+4. Resolve relative dates ("March", "last month", "this year") to YYYY-MM-DD ranges; a month without a year means the most recent one that is not in the future
+5. Report each currency separately; never add amounts in different currencies
+6. If a tool returns an error or nothing matches, say so plainly
+7. For general questions that need no data, answer without tools
+8. When a statement uses a receipt or warranty from a tool result, cite its citation_ref in square brackets right after it, e.g. [R1] or [R1, W2]; never invent references
+
+RESPONSE STYLE:
+- Be concise, friendly and professional
+- Format monetary amounts clearly (e.g., $123.45)
+- Include dates in a readable format (e.g., March 15, 2024)
+- Use bullet points for lists`;
+  }
+
+  /**
+   * Tool call arguments as an object; unparseable JSON is kept as text
+   */
+  parseToolArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args || '{}');
+    } catch {
+      return { raw: args };
+    }
+  }
+
+  /**
+   * processQuery result for a tool answer
+   */
+  formatToolAnswer(toolAnswer, startTime) {
+    return {
+      answer: toolAnswer.answer,
+      context_used: toolAnswer.context.items.length,
+      search_strategy: 'tool_calling',
+      processing_time_ms: Date.now() - startTime,
+      confidence: toolAnswer.context.confidence,
+      sources: toolAnswer.context.sources,
+      tool_calls: toolAnswer.context.tool_calls,
+      citations: toolAnswer.context.citations,
+      finish_reason: toolAnswer.error ? 'error' : 'stop',
+      model: toolAnswer.model,
+      usage: toolAnswer.usage,
+      ...(toolAnswer.error && { error: true })
+    };
+  }
+
+  /**
+   * Short description of a context item for clients listing sources
+   * @param {Object} item - Context item from retrieveContext
+   * @returns {Object} Source document
+   */
+  describeContextItem(item) {
+    if (item.type === 'spending_summary') {
+      return { type: 'analytics' };
+    }
+    if (item.warranty_end_date) {
+      return {
+        type: 'warranty',
+        id: item.id,
+        product_name: item.item_name || item.product_name,
+        warranty_end_date: item.warranty_end_date,
+        ...(item.citation_ref && { ref: item.citation_ref })
+      };
+    }
+    return {
+      type: 'receipt',
+      id: item.id,
+      merchant_name: item.merchant_name,
+      total_amount: item.total_amount,
+      purchase_date: item.purchase_date,
+      ...(item.similarity !== undefined && { similarity: item.similarity }),
+      ...(item.citation_ref && { ref: item.citation_ref })
+    };
+  }
+
   /**
    * Analyze user query to determine search strategy
    * @param {string} query - User query
@@ -178,8 +501,10 @@ class RAGService {
       let confidence = 0;
       const sources = [];
 
-      // Generate query embedding
-      const queryEmbedding = await openRouterService.generateEmbedding(query);
+      // Generate query embedding; warranty and analytics context do not need it
+      const queryEmbedding = ['warranty_search', 'spending_analysis'].includes(analysis.strategy)
+        ? null
+        : await this.embedQuery(query);
 
       switch (analysis.strategy) {
         case 'receipt_search':
@@ -268,7 +593,9 @@ class RAGService {
         metadata: {
           context_used: context.items.length,
           confidence: context.confidence,
-          sources: context.sources
+          sources: context.sources,
+          ...(context.tool_calls && { tool_calls: context.tool_calls }),
+          ...(context.citations && { citations: context.citations })
         },
         timestamp: new Date().toISOString()
       });
@@ -338,46 +665,30 @@ class RAGService {
   }
 
   /**
-   * Generate embedding for receipt content
-   * @param {Object} receipt - Receipt object
-   * @returns {Promise<Array>} Embedding vector
+   * Embed the query for receipt similarity search. Without a working
+   * embedding provider, receipt search finds nothing instead of failing.
+   * @param {string} query - User query
+   * @returns {Promise<Array|null>} Query embedding
    */
-  async generateReceiptEmbedding(receipt) {
+  async embedQuery(query) {
     try {
-      // Create comprehensive text representation of receipt
-      const textParts = [
-        receipt.merchant_name || '',
-        receipt.category || '',
-        `$${receipt.total_amount}`,
-        new Date(receipt.purchase_date).toLocaleDateString(),
-        receipt.notes || ''
-      ];
-
-      // Add item information
-      if (receipt.receipt_items) {
-        receipt.receipt_items.forEach(item => {
-          textParts.push(item.name || '');
-          textParts.push(item.category || '');
-        });
-      }
-
-      const combinedText = textParts.filter(text => text).join(' ');
-      return await openRouterService.generateEmbedding(combinedText);
+      return await embeddingService.generateQueryEmbedding(query);
     } catch (error) {
-      console.error('Receipt embedding generation error:', error);
-      return new Array(384).fill(0);
+      console.error('Query embedding error:', error);
+      return null;
     }
   }
 
   /**
-   * Process new receipt for embedding storage
+   * Process new receipt for embedding storage. Unchanged receipts keep
+   * their stored embedding.
    * @param {Object} receipt - Receipt data
    * @returns {Promise<boolean>} Success status
    */
   async processNewReceipt(receipt) {
     try {
-      const embedding = await this.generateReceiptEmbedding(receipt);
-      return await vectorSearchService.storeEmbedding(receipt.id, embedding);
+      await embeddingService.generateReceiptEmbedding(receipt);
+      return true;
     } catch (error) {
       console.error('Receipt processing error:', error);
       return false;
@@ -0,0 +1,320 @@
+/**
+ * Receipt Discount Service
+ * Recognizes discount, coupon, loyalty savings and BOGO lines and
+ * multi-buy lines ("2 @ 3.99", "3 FOR 5.00") on receipts, attaches each to
+ * the item it modifies and totals the savings of a receipt
+ */
+
+const fuzzball = require('fuzzball');
+const localeService = require('./localeService');
+const { NUMBER_PATTERN } = localeService;
+
+const DISCOUNT_TYPES = {
+  COUPON: 'coupon',
+  LOYALTY: 'loyalty',
+  BOGO: 'bogo',
+  DISCOUNT: 'discount'
+};
+
+// Checked in order; the first match sets the discount type
+const DISCOUNT_PATTERNS = [
+  { type: DISCOUNT_TYPES.BOGO, pattern: /\b(bogo\w*|b\d+g\d+|buy\s*\d+\s*get\s*\d+(\s*free)?|2\s*for\s*1)\b/i },
+  { type: DISCOUNT_TYPES.LOYALTY, pattern: /\b(member|club|loyalty|rewards?|card|bonus|extracare|plus)\s*(sav\w*|disc\w*|deal|price|offer)\b/i },
+  { type: DISCOUNT_TYPES.COUPON, pattern: /\b(coupon|cpn|voucher|promo\s*code|e-?coupon)\b/i },
+  { type: DISCOUNT_TYPES.DISCOUNT, pattern: /\b(discount|markdown|mkdn|price\s*cut|instant\s*sav\w*|rebate)\b|\d\s*%?\s*off\b|rabatt|remise|descuento|sconto/i }
+];
+
+// Words that also appear in product names ("BLU-RAY DISC", "PROMO PACK"):
+// they only mark a discount on a label that names nothing else. With a
+// negative amount the line is a discount whatever its label says.
+const BARE_DISCOUNT_PATTERN = /\b(disc|savings?|promo)\b/i;
+
+// Totals of what was saved, printed in the summary block
+const SAVINGS_SUMMARY_PATTERN = /(you saved|total sav\w*|saved today|your sav\w*|savings total)/i;
+
+// Labels of summary and payment lines, which are never item discounts
+const NON_DISCOUNT_PATTERN = /\b(sub\s*-?\s*total|total|tax|vat|gst|change|cash|tender\w*|balance|visa|mastercard|amex|debit|credit)\b/i;
+
+// Words of a discount label that don't name the discounted item
+const DISCOUNT_WORDS = /\b(bogo\w*|b\d+g\d+|buy|get|free|member|club|loyalty|rewards?|card|bonus|sav\w*|disc\w*|deal|price|offer|coupon|cpn|mfr|store|sc|voucher|promo|code|markdown|mkdn|cut|instant|rebate|off|\d+)\b/gi;
+
+// A name is only matched to an item this closely
+const ITEM_MATCH_THRESHOLD = 80;
+
+const amountLine = new RegExp(`^(.*?)\\s*(-)?\\s*(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})\\s?(-)?(?:\\s*[A-Z*])?$`);
+
+const unitWords = '(?:\\s*(?:lb|lbs|kg|g|oz|ea|each|pc|pcs))?';
+const multiBuyPatterns = [
+  // "2 @ 2/5.00" - two items of a 2-for-5.00 deal
+  {
+    pattern: new RegExp(`^(?:qty\\s*)?(\\d+)\\s*@\\s*(\\d+)\\s*/\\s*(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})(?:\\s+(?:[$€£₹]\\s?)?(${NUMBER_PATTERN}))?(?:\\s*[A-Z*])?$`, 'i'),
+    parse: (match, amount) => ({
+      quantity: parseInt(match[1], 10),
+      unitPrice: amount(match[3]) / parseInt(match[2], 10),
+      totalPrice: match[4] ? amount(match[4]) : null
+    })
+  },
+  // "3 FOR 5.00"
+  {
+    pattern: new RegExp(`^(\\d+)\\s*for\\s*(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})(?:\\s+(?:[$€£₹]\\s?)?(${NUMBER_PATTERN}))?(?:\\s*[A-Z*])?$`, 'i'),
+    parse: (match, amount) => ({
+      quantity: parseInt(match[1], 10),
+      unitPrice: amount(match[2]) / parseInt(match[1], 10),
+      totalPrice: match[3] ? amount(match[3]) : amount(match[2])
+    })
+  },
+  // "2 @ 3.99", "2 x 3.99 7.98", "1.52 lb @ 2.99 /lb 4.54"
+  {
+    pattern: new RegExp(`^(?:qty\\s*)?(\\d+(?:[.,]\\d{1,3})?)${unitWords}\\s*(?:@|x|×)\\s*(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})(?:\\s*/\\s*\\w+|${unitWords})?(?:\\s+(?:[$€£₹]\\s?)?(${NUMBER_PATTERN}))?(?:\\s*[A-Z*])?$`, 'i'),
+    parse: (match, amount) => ({
+      quantity: parseFloat(match[1].replace(',', '.')),
+      unitPrice: amount(match[2]),
+      totalPrice: match[3] ? amount(match[3]) : null
+    })
+  }
+];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class ReceiptDiscountService {
+
+  /**
+   * Type of discount a label describes
+   * @param {string} label - Line label
+   * @returns {string|null} Discount type, or null if the label is not a discount
+   */
+  getDiscountType(label) {
+    if (!label || SAVINGS_SUMMARY_PATTERN.test(label) || NON_DISCOUNT_PATTERN.test(label)) {
+      return null;
+    }
+    const match = DISCOUNT_PATTERNS.find(({ pattern }) => pattern.test(label));
+    if (match) return match.type;
+
+    return BARE_DISCOUNT_PATTERN.test(label) && this.getNamedItem(label).length === 0
+      ? DISCOUNT_TYPES.DISCOUNT
+      : null;
+  }
+
+  /**
+   * What a discount label says besides its discount words, i.e. the item it names
+   * @param {string} label - Discount label
+   * @returns {string} Item name, or '' when the label names none
+   */
+  getNamedItem(label) {
+    return String(label).replace(DISCOUNT_WORDS, ' ').replace(/[^a-zA-Z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  isDiscountLabel(label) {
+    return this.getDiscountType(label) !== null;
+  }
+
+  /**
+   * Parse a discount line: a discount label or a negative amount
+   * ("MFR CPN 1.00-", "BOGO FREE -3.99", "MEMBER SAVINGS 0.50")
+   * @param {string} line - Receipt line
+   * @param {string} decimalSeparator - '.' or ','
+   * @returns {Object|null} { description, amount, type }
+   */
+  parseDiscountLine(line, decimalSeparator = '.') {
+    const match = amountLine.exec(String(line).trim());
+    if (!match) return null;
+
+    const description = match[1].trim();
+    const negative = Boolean(match[2] || match[4]);
+    const amount = localeService.parseAmount(match[3], decimalSeparator);
+    if (!amount || !/[a-zA-Z]/.test(description)) return null;
+    if (SAVINGS_SUMMARY_PATTERN.test(description) || NON_DISCOUNT_PATTERN.test(description)) return null;
+
+    const type = this.getDiscountType(description) || (negative ? DISCOUNT_TYPES.DISCOUNT : null);
+    return type ? { description, amount, type } : null;
+  }
+
+  /**
+   * Parse a multi-buy or weighed quantity line
+   * @param {string} line - Receipt line
+   * @param {string} decimalSeparator - '.' or ','
+   * @returns {Object|null} { quantity, unitPrice, totalPrice } (totalPrice null when not printed)
+   */
+  parseMultiBuyLine(line, decimalSeparator = '.') {
+    const text = String(line).trim();
+    const amount = (raw) => localeService.parseAmount(raw, decimalSeparator);
+
+    for (const { pattern, parse } of multiBuyPatterns) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const parsed = parse(match, amount);
+      if (parsed.quantity > 0 && parsed.unitPrice > 0) {
+        return { ...parsed, unitPrice: round(parsed.unitPrice), description: text };
+      }
+    }
+    return null;
+  }
+
+  isSavingsSummaryLine(line) {
+    return SAVINGS_SUMMARY_PATTERN.test(line);
+  }
+
+  /**
+   * Printed "you saved" figure, when the receipt has one
+   * @param {Array<string>} lines - Receipt lines
+   * @returns {number|null} Amount
+   */
+  parseSavingsSummary(lines, decimalSeparator = '.') {
+    let savings = null;
+    for (const line of lines) {
+      const match = amountLine.exec(String(line).trim());
+      if (match && SAVINGS_SUMMARY_PATTERN.test(match[1])) {
+        savings = Math.max(savings || 0, localeService.parseAmount(match[3], decimalSeparator) || 0);
+      }
+    }
+    return savings;
+  }
+
+  /**
+   * Attach discount and multi-buy lines to the items they modify. A
+   * discount naming an item goes to that item, otherwise to the item above
+   * it; discounts before any item apply to the whole receipt. A multi-buy
+   * line sets the quantity of the item above it, or names the item on the
+   * line above when it carries the line total itself.
+   * @param {Array} entries - Receipt lines in order, each one of
+   *   { kind: 'item', item }, { kind: 'discount', discount },
+   *   { kind: 'multi_buy', multiBuy }, { kind: 'text', text } or { kind: 'break' }
+   * @param {Object} options
+   * @param {Function} options.createItem - Builds an item from a name and a multi-buy line with its total
+   * @returns {Object} { items, orderDiscounts }
+   */
+  attachAdjustments(entries, { createItem = this.createMultiBuyItem } = {}) {
+    const items = [];
+    const orderDiscounts = [];
+    let pendingName = null;
+    let pendingMultiBuy = null;
+
+    for (const entry of entries) {
+      if (entry.kind === 'item') {
+        const item = { ...entry.item };
+        if (pendingMultiBuy && this.matchesMultiBuy(item, pendingMultiBuy)) {
+          Object.assign(item, this.getMultiBuyFields(pendingMultiBuy));
+        }
+        items.push(item);
+        pendingName = null;
+        pendingMultiBuy = null;
+      } else if (entry.kind === 'multi_buy') {
+        const multiBuy = entry.multiBuy;
+        const last = items[items.length - 1];
+
+        if (multiBuy.totalPrice !== null && pendingName) {
+          items.push({ ...createItem(pendingName, multiBuy), multiBuy: multiBuy.description });
+          pendingMultiBuy = null;
+        } else if (last && !last.multiBuy && this.matchesMultiBuy(last, multiBuy)) {
+          Object.assign(last, this.getMultiBuyFields(multiBuy));
+          pendingMultiBuy = null;
+        } else {
+          pendingMultiBuy = multiBuy;
+        }
+        pendingName = null;
+      } else if (entry.kind === 'discount') {
+        const target = this.findDiscountTarget(items, entry.discount);
+        if (target) {
+          this.applyDiscount(target, entry.discount);
+        } else {
+          orderDiscounts.push(entry.discount);
+        }
+        pendingName = null;
+      } else if (entry.kind === 'text') {
+        pendingName = /[a-zA-Z]/.test(entry.text) ? entry.text.trim() : null;
+      } else {
+        pendingName = null;
+        pendingMultiBuy = null;
+      }
+    }
+
+    return { items, orderDiscounts };
+  }
+
+  createMultiBuyItem(name, multiBuy) {
+    return {
+      name,
+      price: multiBuy.totalPrice,
+      quantity: multiBuy.quantity,
+      unitPrice: multiBuy.unitPrice,
+      category: null
+    };
+  }
+
+  /**
+   * Whether an item's price fits a multi-buy line: the line total, or the
+   * unit price of an item printed once
+   */
+  matchesMultiBuy(item, multiBuy) {
+    const cents = Math.round(this.getItemAmount(item) * 100);
+    const lineCents = Math.round((multiBuy.totalPrice !== null ? multiBuy.totalPrice : multiBuy.quantity * multiBuy.unitPrice) * 100);
+    return Math.abs(cents - lineCents) <= 1 || Math.abs(cents - Math.round(multiBuy.unitPrice * 100)) <= 1;
+  }
+
+  getMultiBuyFields(multiBuy) {
+    return {
+      quantity: multiBuy.quantity,
+      unitPrice: multiBuy.unitPrice,
+      multiBuy: multiBuy.description
+    };
+  }
+
+  /**
+   * Item a discount applies to: the one its label names, else the last one
+   */
+  findDiscountTarget(items, discount) {
+    if (items.length === 0) return null;
+
+    const name = this.getNamedItem(discount.description);
+    if (name.length >= 3) {
+      let best = null;
+      for (const item of items) {
+        const score = fuzzball.partial_ratio(name.toLowerCase(), String(item.name).toLowerCase());
+        if (score >= ITEM_MATCH_THRESHOLD && (!best || score > best.score)) {
+          best = { item, score };
+        }
+      }
+      if (best) return best.item;
+    }
+
+    return items[items.length - 1];
+  }
+
+  /**
+   * Record a discount on an item; the item keeps its printed price and
+   * gains its net price
+   */
+  applyDiscount(item, discount) {
+    item.discounts = [...(item.discounts || []), discount];
+    item.discountTotal = round(item.discounts.reduce((sum, entry) => sum + entry.amount, 0));
+    item.netPrice = round(Math.max(this.getItemAmount(item) - item.discountTotal, 0));
+    return item;
+  }
+
+  /**
+   * What a receipt saved: its discount lines, or the printed savings
+   * figure when that is larger (loyalty prices are often only in it)
+   * @param {Array} items - Items with attached discounts
+   * @param {Array} orderDiscounts - Discounts on the whole receipt
+   * @param {number|null} printedSavings - Result of parseSavingsSummary
+   * @returns {number} Total savings
+   */
+  calculateTotalSavings(items, orderDiscounts = [], printedSavings = null) {
+    const listed = items.reduce((sum, item) => sum + (item.discountTotal || 0), 0) +
+      orderDiscounts.reduce((sum, discount) => sum + discount.amount, 0);
+    return round(Math.max(listed, printedSavings || 0));
+  }
+
+  getItemAmount(item) {
+    return item.totalPrice !== undefined ? item.totalPrice : item.price;
+  }
+}
+
+// Export singleton instance
+const receiptDiscountService = new ReceiptDiscountService();
+
+module.exports = receiptDiscountService;
+module.exports.DISCOUNT_TYPES = DISCOUNT_TYPES;
+module.exports.DISCOUNT_PATTERNS = DISCOUNT_PATTERNS;
+module.exports.SAVINGS_SUMMARY_PATTERN = SAVINGS_SUMMARY_PATTERN;
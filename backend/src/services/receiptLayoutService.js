@@ -0,0 +1,443 @@
+/**
+ * Receipt Layout Service
+ * Parses receipts from OCR word coordinates instead of plain text lines:
+ * rebuilds visual rows, finds the price column, pairs item names with
+ * their prices (including names wrapped over two lines) and locates the
+ * total by its position in the summary block
+ */
+
+const receiptDiscountService = require('./receiptDiscountService');
+
+// Amounts as printed in a price column, optionally with a currency sign,
+// a trailing minus for discounts and a tax flag (e.g. "3.49 A", "1.00-")
+const PRICE_PATTERN = /^[$€£]?(-)?(\d{1,6}[.,]\d{2})(-)?[A-Z*]?$/;
+const FLAG_PATTERN = /^[A-Z*]$/;
+
+const SUMMARY_PATTERNS = {
+  subtotal: /\bsub\s*-?\s*total\b/i,
+  tax: /\b(tax|vat|gst|hst|pst)\b/i,
+  total: /\b(total|amount\s+due|balance\s+due)\b/i,
+  payment: /\b(cash|change|tender(ed)?|visa|mastercard|amex|debit|credit|card)\b/i
+};
+
+// Lines containing these phrases are never part of an item name
+const NON_ITEM_PATTERNS = [
+  /(receipt|invoice|thank you|visit|welcome|cashier|server|register|store\s*#)/i,
+  /\d{3}[-\s]\d{3}[-\s]\d{4}/, // Phone numbers
+  /www\.|\.com|@/, // Websites and emails
+  /\d{1,2}[/-]\d{1,2}[/-]\d{2,4}/, // Dates
+  /\d{1,2}:\d{2}/, // Times
+  /:\s*\S/ // "Label: value" lines
+];
+
+// Labels that contain "total" but aren't the amount paid
+const NOT_TOTAL_PATTERN = /(savings|saved|items|qty|quantity|discount|points)/i;
+
+// Word geometry is used only when there is enough of it to form rows
+const MIN_WORDS = 3;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Read a bounding box in any of the formats our OCR providers return:
+ * Tesseract/PaddleOCR { x0, y0, x1, y1 }, Google Vision polygon vertices,
+ * or Textract's relative Geometry.BoundingBox
+ */
+const toBox = (node) => {
+  if (node.bbox && node.bbox.x1 !== undefined) {
+    return { x0: node.bbox.x0, y0: node.bbox.y0, x1: node.bbox.x1, y1: node.bbox.y1 };
+  }
+
+  const vertices = (node.boundingBox && node.boundingBox.vertices) || (node.boundingPoly && node.boundingPoly.vertices);
+  if (Array.isArray(vertices) && vertices.length > 0) {
+    const xs = vertices.map(vertex => vertex.x || 0);
+    const ys = vertices.map(vertex => vertex.y || 0);
+    return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+  }
+
+  const relative = node.Geometry && node.Geometry.BoundingBox;
+  if (relative) {
+    // Scale Textract's 0-1 coordinates so tolerances behave like pixels
+    return {
+      x0: relative.Left * 1000,
+      y0: relative.Top * 1000,
+      x1: (relative.Left + relative.Width) * 1000,
+      y1: (relative.Top + relative.Height) * 1000
+    };
+  }
+
+  return null;
+};
+
+const toConfidence = (value) => {
+  if (typeof value !== 'number') return null;
+  return value > 1 ? value / 100 : value;
+};
+
+const parseAmount = (text) => {
+  const match = PRICE_PATTERN.exec(text);
+  if (!match) return null;
+
+  const amount = parseFloat(match[2].replace(',', '.'));
+  return match[1] || match[3] ? -amount : amount;
+};
+
+class ReceiptLayoutService {
+
+  /**
+   * Parse a receipt from OCR geometry
+   * @param {Object} ocrResult - OCR result with blocks/words carrying coordinates
+   * @returns {Object|null} { items, totalAmount, subtotal, tax, layout }, or null
+   *   when the result has no usable geometry
+   */
+  parse(ocrResult) {
+    // Text-layer PDF pages carry no coordinates, so a partial layout would drop them
+    if (!ocrResult || (ocrResult.pdf && ocrResult.pdf.textPages > 0)) {
+      return null;
+    }
+
+    const words = this.extractWords(ocrResult);
+    if (words.length < MIN_WORDS) {
+      return null;
+    }
+
+    const rows = this.buildRows(words);
+    const column = this.findPriceColumn(rows, words);
+    if (!column) {
+      return null;
+    }
+
+    for (const row of rows) {
+      this.splitRow(row, column);
+    }
+
+    const { items, summaries, orderDiscounts } = this.pairItems(rows, column);
+    const totals = this.findTotals(summaries);
+
+    return {
+      items,
+      orderDiscounts,
+      ...totals,
+      layout: {
+        rows: rows.length,
+        priceColumn: Math.round(column.x),
+        pages: new Set(words.map(word => word.page)).size
+      }
+    };
+  }
+
+  /**
+   * Flatten provider output into words with boxes
+   * @param {Object} ocrResult - OCR result
+   * @returns {Array<Object>} [{ text, confidence, page, x0, y0, x1, y1 }]
+   */
+  extractWords(ocrResult) {
+    const words = [];
+
+    const visit = (node, page) => {
+      if (!node || typeof node !== 'object') return;
+      // Tesseract also links nodes to a page object; only PDF page numbers count
+      const nodePage = typeof node.page === 'number' ? node.page : page;
+
+      // Tesseract nests blocks > paragraphs > lines > words
+      const children = node.paragraphs || node.lines || node.words;
+      if (Array.isArray(children)) {
+        children.forEach(child => visit(child, nodePage));
+        return;
+      }
+
+      // Textract returns every block type; only words are wanted
+      if (node.BlockType && node.BlockType !== 'WORD') return;
+
+      const text = (node.text !== undefined ? node.text : node.Text || '').trim();
+      const box = toBox(node);
+      if (!text || !box) return;
+
+      // Line-level boxes (e.g. PaddleOCR) are split into words of equal width per character
+      const parts = text.split(/\s+/);
+      const charWidth = (box.x1 - box.x0) / Math.max(text.length, 1);
+      let offset = 0;
+      for (const part of parts) {
+        const start = text.indexOf(part, offset);
+        words.push({
+          text: part,
+          confidence: toConfidence(node.confidence !== undefined ? node.confidence : node.Confidence),
+          page: nodePage || 1,
+          x0: box.x0 + start * charWidth,
+          x1: box.x0 + (start + part.length) * charWidth,
+          y0: box.y0,
+          y1: box.y1
+        });
+        offset = start + part.length;
+      }
+    };
+
+    const sources = Array.isArray(ocrResult.words) && ocrResult.words.length > 0
+      ? ocrResult.words
+      : ocrResult.blocks || [];
+    sources.forEach(node => visit(node, 1));
+
+    return words;
+  }
+
+  /**
+   * Group words into visual rows by vertical overlap, in reading order
+   * @param {Array<Object>} words - Words with boxes
+   * @returns {Array<Object>} [{ page, words, x0, y0, x1, y1, height, text }]
+   */
+  buildRows(words) {
+    const rows = [];
+    const sorted = [...words].sort((a, b) => a.page - b.page || (a.y0 + a.y1) - (b.y0 + b.y1));
+
+    for (const word of sorted) {
+      const center = (word.y0 + word.y1) / 2;
+      const height = word.y1 - word.y0;
+      const row = rows.find(candidate => candidate.page === word.page &&
+        Math.abs(candidate.center - center) <= Math.max(candidate.height, height) / 2);
+
+      if (row) {
+        row.words.push(word);
+        row.center = (row.center * (row.words.length - 1) + center) / row.words.length;
+        row.height = Math.max(row.height, height);
+      } else {
+        rows.push({ page: word.page, words: [word], center, height });
+      }
+    }
+
+    return rows
+      .map(row => {
+        row.words.sort((a, b) => a.x0 - b.x0);
+        return {
+          ...row,
+          x0: Math.min(...row.words.map(word => word.x0)),
+          y0: Math.min(...row.words.map(word => word.y0)),
+          x1: Math.max(...row.words.map(word => word.x1)),
+          y1: Math.max(...row.words.map(word => word.y1)),
+          text: row.words.map(word => word.text).join(' ')
+        };
+      })
+      .sort((a, b) => a.page - b.page || a.center - b.center);
+  }
+
+  /**
+   * Locate the price column from the right edges of amounts that end rows
+   * @returns {Object|null} { x, tolerance, indent }
+   */
+  findPriceColumn(rows, words) {
+    const rightEdges = rows
+      .map(row => this.lastAmountWord(row))
+      .filter(Boolean)
+      .map(word => word.x1);
+
+    if (rightEdges.length === 0) {
+      return null;
+    }
+
+    const charWidth = median(words.map(word => (word.x1 - word.x0) / Math.max(word.text.length, 1)));
+    const pageWidth = Math.max(...words.map(word => word.x1)) - Math.min(...words.map(word => word.x0));
+
+    return {
+      x: median(rightEdges),
+      tolerance: Math.max(charWidth * 3, pageWidth * 0.03),
+      indent: charWidth * 1.5
+    };
+  }
+
+  /**
+   * Rightmost amount of a row, skipping a trailing tax flag
+   */
+  lastAmountWord(row) {
+    for (let i = row.words.length - 1; i >= Math.max(0, row.words.length - 2); i--) {
+      const word = row.words[i];
+      if (parseAmount(word.text) !== null) return word;
+      if (!FLAG_PATTERN.test(word.text)) return null;
+    }
+    return null;
+  }
+
+  /**
+   * Split a row into its label and the amount sitting in the price column
+   */
+  splitRow(row, column) {
+    const priceWord = this.lastAmountWord(row);
+
+    if (priceWord && Math.abs(priceWord.x1 - column.x) <= column.tolerance) {
+      const labelWords = row.words.filter(word => word.x1 <= priceWord.x0);
+      row.amount = parseAmount(priceWord.text);
+      row.labelWords = labelWords;
+    } else {
+      row.amount = null;
+      row.labelWords = row.words;
+    }
+
+    row.label = row.labelWords.map(word => word.text).join(' ').trim();
+    row.labelX = row.labelWords.length > 0 ? row.labelWords[0].x0 : row.x0;
+  }
+
+  summaryKind(label) {
+    if (SUMMARY_PATTERNS.subtotal.test(label)) return 'subtotal';
+    if (SUMMARY_PATTERNS.tax.test(label)) return 'tax';
+    if (SUMMARY_PATTERNS.total.test(label) && !NOT_TOTAL_PATTERN.test(label)) return 'total';
+    if (SUMMARY_PATTERNS.payment.test(label)) return 'payment';
+    return null;
+  }
+
+  /**
+   * Walk rows top to bottom pairing names with prices. A priceless row
+   * directly above an item and aligned with its name starts a wrapped
+   * name; an indented priceless row directly below an item continues it.
+   * @returns {Object} { items, summaries, orderDiscounts }
+   */
+  pairItems(rows, column) {
+    const items = [];
+    const summaries = [];
+    const orderDiscounts = [];
+    let pending = [];
+    let lastItemRow = null;
+    let itemsMargin = Infinity;
+    let summaryStarted = false;
+
+    const isAdjacent = (upper, lower) => upper.page === lower.page &&
+      lower.y0 - upper.y1 <= Math.max(upper.height, lower.height) * 0.8;
+
+    for (const row of rows) {
+      const kind = this.summaryKind(row.label);
+
+      if (row.amount !== null) {
+        // Discounts attach to the item above or named; in the summary block they apply to the receipt
+        const discountType = this.discountType(row, kind);
+        if (discountType) {
+          const discount = { description: row.label, amount: Math.abs(row.amount), type: discountType };
+          const target = summaryStarted ? null : receiptDiscountService.findDiscountTarget(items, discount);
+          if (target) {
+            receiptDiscountService.applyDiscount(target, discount);
+          } else {
+            orderDiscounts.push(discount);
+          }
+          pending = [];
+          continue;
+        }
+
+        if (kind) {
+          summaries.push({ kind, label: row.label, amount: row.amount, row });
+          summaryStarted = true;
+          pending = [];
+          continue;
+        }
+        // Unlabelled amounts below the totals block (e.g. a total on its own row)
+        if (summaryStarted) {
+          summaries.push({ kind: 'amount', label: row.label, amount: row.amount, row });
+          continue;
+        }
+
+        // Only rows chained directly above this one, starting at the same x, belong to its name
+        const prefix = [];
+        let below = row;
+        for (let i = pending.length - 1; i >= 0; i--) {
+          const candidate = pending[i];
+          if (!isAdjacent(candidate, below)) break;
+          if (row.label && Math.abs(candidate.labelX - row.labelX) > column.indent) break;
+          prefix.unshift(candidate);
+          below = candidate;
+        }
+        pending = [];
+
+        const name = [...prefix.map(candidate => candidate.label), row.label].join(' ').trim();
+        if (!/[a-zA-Z]/.test(name) || row.amount <= 0) continue;
+
+        const nameWords = [...prefix.flatMap(candidate => candidate.labelWords), ...row.labelWords];
+        const confidences = nameWords.map(word => word.confidence).filter(value => value !== null);
+
+        items.push({
+          name,
+          price: row.amount,
+          quantity: 1,
+          category: null,
+          confidence: confidences.length > 0
+            ? Math.round((confidences.reduce((sum, value) => sum + value, 0) / confidences.length) * 100) / 100
+            : null,
+          source: 'layout'
+        });
+        lastItemRow = row;
+        itemsMargin = Math.min(itemsMargin, prefix.length > 0 ? prefix[0].labelX : row.labelX);
+        continue;
+      }
+
+      if (kind || summaryStarted || !row.label || NON_ITEM_PATTERNS.some(pattern => pattern.test(row.label))) {
+        pending = [];
+        continue;
+      }
+
+      // Indented line right under an item: the rest of that item's name
+      if (lastItemRow && pending.length === 0 && isAdjacent(lastItemRow, row) &&
+        row.labelX - itemsMargin > column.indent) {
+        items[items.length - 1].name += ` ${row.label}`;
+        lastItemRow = { ...lastItemRow, y1: row.y1 };
+        continue;
+      }
+
+      pending.push(row);
+      if (pending.length > 2) pending.shift();
+    }
+
+    return { items, summaries, orderDiscounts };
+  }
+
+  /**
+   * Discount type of a labelled row with an amount: a discount label or a
+   * negative amount, unless the row is a subtotal, tax or total
+   */
+  discountType(row, kind) {
+    if (!row.label || !/[a-zA-Z]/.test(row.label) || ['subtotal', 'tax', 'total'].includes(kind)) {
+      return null;
+    }
+    return receiptDiscountService.getDiscountType(row.label) ||
+      (row.amount < 0 && !kind ? receiptDiscountService.DISCOUNT_TYPES.DISCOUNT : null);
+  }
+
+  /**
+   * Pick subtotal, tax and total from the summary block. The total is the
+   * largest "total" amount; without a labelled total, the last unlabelled
+   * amount before payment lines is used, which is where receipts print it.
+   */
+  findTotals(summaries) {
+    const subtotal = summaries.find(summary => summary.kind === 'subtotal');
+    const taxes = summaries.filter(summary => summary.kind === 'tax');
+    const tax = taxes.length > 0
+      ? Math.round(taxes.reduce((sum, summary) => sum + summary.amount, 0) * 100) / 100
+      : null;
+
+    let totalAmount = summaries
+      .filter(summary => summary.kind === 'total' && summary.amount > 0)
+      .reduce((best, summary) => Math.max(best, summary.amount), 0) || null;
+
+    if (!totalAmount) {
+      const paymentIndex = summaries.findIndex(summary => summary.kind === 'payment');
+      const unlabelled = summaries
+        .slice(0, paymentIndex === -1 ? summaries.length : paymentIndex)
+        .filter(summary => summary.kind === 'amount' && summary.amount > 0);
+
+      if (unlabelled.length > 0) {
+        totalAmount = unlabelled[unlabelled.length - 1].amount;
+      } else if (subtotal && tax !== null) {
+        totalAmount = Math.round((subtotal.amount + tax) * 100) / 100;
+      }
+    }
+
+    return {
+      totalAmount,
+      subtotal: subtotal ? subtotal.amount : null,
+      tax
+    };
+  }
+}
+
+// Export singleton instance
+const receiptLayoutService = new ReceiptLayoutService();
+
+module.exports = receiptLayoutService;
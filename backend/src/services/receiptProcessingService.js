@@ -0,0 +1,403 @@
+/**
+ * Receipt Processing Service
+ * Runs the OCR pipeline for receipts uploaded in async mode and tracks
+ * the progress of each stage on the receipt row
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const ocrService = require('./ocrService');
+const pdfService = require('./pdfService');
+const localeService = require('./localeService');
+const receiptService = require('./receiptService');
+const mlCategorizationService = require('./mlCategorizationService');
+const categorizationRulesService = require('./categorizationRulesService');
+const advancedLineItemService = require('./advancedLineItemService');
+const warrantyDetectionService = require('./warrantyDetectionService');
+const jobQueueService = require('./jobQueueService');
+
+const { JOB_TYPES } = jobQueueService;
+
+// Pipeline stages in execution order
+const PROCESSING_STAGES = [
+  'preprocessing',
+  'ocr',
+  'line_items',
+  'categorization',
+  'warranty_detection'
+];
+
+// Stages whose failure falls back to basic OCR results instead of failing the receipt
+const OPTIONAL_STAGES = new Set(['line_items', 'categorization', 'warranty_detection']);
+
+class ReceiptProcessingService {
+
+  /**
+   * Build the initial stage map stored in receipts.processing_stages
+   */
+  createStageState() {
+    return PROCESSING_STAGES.reduce((stages, stage) => {
+      stages[stage] = { status: 'pending' };
+      return stages;
+    }, {});
+  }
+
+  /**
+   * Store an uploaded image and queue it for background processing
+   * @param {Object} params - Upload parameters
+   * @returns {Promise<Object>} { receipt, job }
+   */
+  async queueReceipt({
+    userId,
+    imageBuffer,
+    originalName,
+    mimeType,
+    categoryId = null,
+    notes = null,
+    isBusinessExpense = false,
+    isReimbursable = false,
+    tags = []
+  }) {
+    const { imageUrl, thumbnailUrl, imageHash } = await ocrService.storeReceiptImage({
+      imageBuffer,
+      originalName,
+      mimeType,
+      userId
+    });
+
+    const receipt = await receiptService.createPendingReceipt({
+      userId,
+      imageUrl,
+      thumbnailUrl,
+      imageHash,
+      categoryId,
+      notes,
+      isBusinessExpense,
+      isReimbursable,
+      tags,
+      processingStages: this.createStageState()
+    });
+
+    let job;
+    try {
+      job = await jobQueueService.enqueue({
+        jobType: JOB_TYPES.RECEIPT_PROCESSING,
+        jobName: `receipt:${receipt.id}`,
+        jobData: { receiptId: receipt.id, userId },
+        jobContext: { user_id: userId },
+        priority: 5
+      });
+    } catch (error) {
+      // No job will ever pick the receipt up, so it must not stay queued
+      try {
+        await receiptService.updateProcessingState(receipt.id, userId, {
+          processing_status: 'failed',
+          processing_error: error.message
+        });
+      } catch (stateError) {
+        logger.error('Failed to record receipt queueing failure:', { receiptId: receipt.id, error: stateError.message });
+      }
+
+      throw error;
+    }
+
+    // Embeddings need the extracted fields, so wait for the pipeline to succeed
+    await jobQueueService.enqueue({
+      jobType: JOB_TYPES.EMBEDDING_GENERATION,
+      jobName: `embedding:${receipt.id}`,
+      jobData: { receiptId: receipt.id, userId },
+      jobContext: { user_id: userId },
+      dependsOn: [job.id]
+    });
+
+    await receiptService.updateProcessingState(receipt.id, userId, { processing_job_id: job.id });
+
+    logger.info('Receipt queued for processing', { receiptId: receipt.id, jobId: job.id });
+
+    return { receipt: { ...receipt, processing_job_id: job.id }, job };
+  }
+
+  /**
+   * Run every pipeline stage for a queued receipt
+   * @param {Object} params - { receiptId, userId }
+   * @param {Object} job - Claimed job row, used to tell the final attempt apart
+   * @returns {Promise<Object>} Summary stored as the job result
+   */
+  async processReceipt({ receiptId, userId }, job = {}) {
+    const receipt = await receiptService.getReceiptById(receiptId, userId);
+    if (!receipt) {
+      const error = new Error(`Receipt ${receiptId} not found`);
+      error.retryable = false;
+      throw error;
+    }
+
+    if (receipt.processing_status === 'completed') {
+      return { receiptId, alreadyProcessed: true };
+    }
+
+    const startTime = Date.now();
+    const stages = this.createStageState();
+    const saveStages = (extra = {}) => receiptService.updateProcessingState(receiptId, userId, {
+      processing_stages: stages,
+      ...extra
+    });
+
+    const runStage = async (stage, work) => {
+      const stageStart = Date.now();
+      stages[stage] = { status: 'running', started_at: new Date().toISOString() };
+      await saveStages();
+
+      try {
+        const result = await work();
+        stages[stage] = {
+          ...stages[stage],
+          status: result === undefined ? 'skipped' : 'completed',
+          completed_at: new Date().toISOString(),
+          duration_ms: Date.now() - stageStart
+        };
+        await saveStages();
+        return result;
+      } catch (error) {
+        stages[stage] = {
+          ...stages[stage],
+          status: 'failed',
+          completed_at: new Date().toISOString(),
+          duration_ms: Date.now() - stageStart,
+          error: error.message
+        };
+
+        if (!OPTIONAL_STAGES.has(stage)) {
+          throw error;
+        }
+
+        logger.warn(`Optional stage ${stage} failed, continuing:`, { receiptId, error: error.message });
+        await saveStages();
+        return undefined;
+      }
+    };
+
+    let processedImagePath = null;
+
+    try {
+      await saveStages({ processing_status: 'processing', processing_error: null });
+
+      let isPdf = false;
+      const imageBuffer = await runStage('preprocessing', async () => {
+        const buffer = await ocrService.downloadImageFromStorage(receipt.image_url);
+        isPdf = pdfService.isPdf({ buffer, originalName: receipt.image_url });
+
+        // PDF pages are rasterized and preprocessed during text extraction
+        if (!isPdf) {
+          processedImagePath = await ocrService.preprocessImage({
+            imageBuffer: buffer,
+            originalName: path.basename(receipt.image_url)
+          });
+        }
+        return buffer;
+      });
+
+      const { ocrResult, ocrData } = await runStage('ocr', async () => {
+        const result = isPdf
+          ? await ocrService.extractTextFromPdf(imageBuffer)
+          : await ocrService.extractTextFromImage(processedImagePath);
+        if (!result.text || result.text.trim().length === 0) {
+          throw new APIError('No text found in image', 400, 'NO_TEXT_FOUND');
+        }
+
+        const profile = await localeService.getUserProfileLocale(userId);
+        const parsed = ocrService.parseReceiptText(result, { profile });
+        return {
+          ocrResult: result,
+          ocrData: {
+            rawText: result.text,
+            merchantName: parsed.merchantName,
+            totalAmount: parsed.totalAmount,
+            date: parsed.date,
+            items: parsed.items,
+            totalSavings: parsed.totalSavings,
+            taxBreakdown: parsed.taxBreakdown,
+            category: parsed.category,
+            confidence: parsed.confidence,
+            currency: parsed.currency,
+            imageUrl: receipt.image_url,
+            processingMetadata: {
+              linesProcessed: parsed.linesProcessed,
+              parsingMethod: parsed.parsingMethod,
+              locale: parsed.locale,
+              reconciliation: parsed.reconciliation,
+              ocrConfidence: result.confidence,
+              imageHash: receipt.image_hash || ocrService.calculateImageHash(imageBuffer),
+              sourceType: isPdf ? 'pdf' : 'image',
+              ...(isPdf && { pdf: result.pdf }),
+              processingDate: new Date().toISOString()
+            }
+          }
+        };
+      });
+
+      const lineItemResult = await runStage('line_items', () => advancedLineItemService.extractLineItems({
+        ocrText: ocrData.rawText,
+        ocrBlocks: ocrResult.blocks || [],
+        merchantName: ocrData.merchantName,
+        totalAmount: ocrData.totalAmount
+      }));
+
+      // Items paired from word coordinates are kept over text heuristics
+      const useLineItems = lineItemResult && ocrData.processingMetadata.parsingMethod !== 'layout' &&
+        lineItemResult.items.length > ocrData.items.length;
+      const items = useLineItems ? lineItemResult.items : ocrData.items;
+      if (useLineItems && lineItemResult.reconciliation) {
+        ocrData.processingMetadata.reconciliation = lineItemResult.reconciliation;
+      }
+      if (useLineItems) {
+        ocrData.totalSavings = lineItemResult.totalSavings;
+      }
+
+      let ruleUpdates = {};
+      const categoryId = await runStage('categorization', async () => {
+        // User rules run before ML and may also add tags and flags
+        const ruleResult = await categorizationRulesService.evaluateRules(userId, {
+          ...receipt,
+          merchant_name: ocrData.merchantName,
+          total_amount: ocrData.totalAmount,
+          items
+        });
+        const { category_id: ruleCategoryId, ...otherUpdates } =
+          categorizationRulesService.buildReceiptUpdates(ruleResult, receipt);
+        ruleUpdates = otherUpdates;
+
+        // Keep the category the user picked at upload time
+        if (receipt.category_id) {
+          return undefined;
+        }
+
+        if (ruleCategoryId) {
+          return ruleCategoryId;
+        }
+
+        const categoryResult = await mlCategorizationService.categorizeReceipt({
+          merchantName: ocrData.merchantName,
+          items,
+          totalAmount: ocrData.totalAmount,
+          ocrText: ocrData.rawText,
+          userId
+        });
+
+        if (categoryResult.confidence > 0.6) {
+          await mlCategorizationService.recordPrediction({
+            userId,
+            receiptId,
+            category: categoryResult.category,
+            confidence: categoryResult.confidence
+          });
+        }
+
+        const categoryName = categoryResult.confidence > 0.6 ? categoryResult.category : ocrData.category;
+        if (!categoryName) {
+          return null;
+        }
+
+        const category = await receiptService.getOrCreateCategory(userId, categoryName);
+        return category.id;
+      });
+
+      const warrantyInfo = await runStage('warranty_detection', () => warrantyDetectionService.detectWarrantyInfo({
+        ocrText: ocrData.rawText,
+        items,
+        merchantName: ocrData.merchantName,
+        receiptDate: ocrData.date,
+        totalAmount: ocrData.totalAmount
+      }));
+
+      ocrData.processingMetadata.processingTime = `${Date.now() - startTime}ms`;
+
+      await receiptService.completeReceiptProcessing({
+        receiptId,
+        userId,
+        ocrData,
+        categoryId,
+        ruleUpdates,
+        items,
+        warranties: warrantyInfo?.warranties || [],
+        protectionPlans: warrantyInfo?.protectionPlans || [],
+        processingStages: stages
+      });
+
+      logger.info('Receipt processing completed', { receiptId, durationMs: Date.now() - startTime });
+
+      return {
+        receiptId,
+        confidence: ocrData.confidence,
+        itemCount: items.length,
+        warrantyCount: warrantyInfo?.warranties.length || 0
+      };
+
+    } catch (error) {
+      // Bad input will not improve on retry
+      if (error instanceof APIError && error.statusCode < 500) {
+        error.retryable = false;
+      }
+
+      const isFinalAttempt = error.retryable === false || job.attempts >= job.max_attempts;
+
+      try {
+        await saveStages({
+          processing_status: isFinalAttempt ? 'failed' : 'queued',
+          processing_error: error.message
+        });
+      } catch (stateError) {
+        logger.error('Failed to record receipt processing failure:', { receiptId, error: stateError.message });
+      }
+
+      throw error;
+
+    } finally {
+      if (processedImagePath) {
+        try {
+          await fs.unlink(processedImagePath);
+        } catch (cleanupError) {
+          logger.warn('Failed to cleanup temporary file:', cleanupError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Describe processing progress of a receipt for status polling
+   * @param {Object} receipt - Receipt row
+   * @returns {Object} Status summary
+   */
+  getProcessingStatus(receipt) {
+    // Receipts created before async processing existed have no stage data
+    const status = receipt.processing_status || 'completed';
+    const stored = receipt.processing_stages || {};
+    const stages = PROCESSING_STAGES.map(name => ({
+      name,
+      status: stored[name]?.status || (status === 'completed' ? 'completed' : 'pending'),
+      startedAt: stored[name]?.started_at || null,
+      completedAt: stored[name]?.completed_at || null,
+      durationMs: stored[name]?.duration_ms ?? null,
+      error: stored[name]?.error || null
+    }));
+
+    const finished = stages.filter(stage => ['completed', 'skipped', 'failed'].includes(stage.status)).length;
+    const current = stages.find(stage => stage.status === 'running');
+
+    return {
+      status,
+      currentStage: current ? current.name : null,
+      progress: Math.round((finished / PROCESSING_STAGES.length) * 100),
+      stages,
+      error: receipt.processing_error || null,
+      jobId: receipt.processing_job_id || null
+    };
+  }
+}
+
+// Export singleton instance
+const receiptProcessingService = new ReceiptProcessingService();
+
+module.exports = receiptProcessingService;
+module.exports.PROCESSING_STAGES = PROCESSING_STAGES;
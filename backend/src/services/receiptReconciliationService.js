@@ -0,0 +1,500 @@
+/**
+ * Receipt Reconciliation Service
+ * Checks that line items, tax and tip less discounts add up to the receipt
+ * total. When they don't, it tries the OCR misreads that usually explain
+ * the gap: a dropped decimal point, O/0 and S/5 swaps, a missed discount
+ * line or a quantity × unit price mismatch.
+ */
+
+const localeService = require('./localeService');
+const receiptDiscountService = require('./receiptDiscountService');
+const { SAVINGS_SUMMARY_PATTERN } = receiptDiscountService;
+const { NUMBER_PATTERN } = localeService;
+
+// Items may differ from the printed figures by rounding
+const TOLERANCE_CENTS = 2;
+
+// Combinations of fixes are only searched over this many candidates
+const MAX_PAIR_CANDIDATES = 40;
+
+const RECONCILIATION_STATUS = {
+  BALANCED: 'balanced',
+  CORRECTED: 'corrected',
+  UNBALANCED: 'unbalanced',
+  INSUFFICIENT_DATA: 'insufficient_data'
+};
+
+const CORRECTION_TYPES = {
+  DROPPED_DECIMAL: 'dropped_decimal',
+  CHARACTER_SWAP: 'ocr_character_swap',
+  MISSED_DISCOUNT: 'missed_discount',
+  QUANTITY_MISMATCH: 'quantity_mismatch'
+};
+
+const SUMMARY_LABELS = {
+  subtotal: /\bsub\s*-?\s*total\b|zwischensumme|sous-total/i,
+  tip: /\b(tip|gratuity|service charge|trinkgeld|pourboire|propina)\b/i,
+  tax: /\b(tax|vat|gst|hst|pst|cgst|sgst|igst|mwst|ust|tva|iva|btw)\b/i,
+  total: /\b(total|amount due|balance due)\b|summe|gesamt/i,
+  payment: /\b(cash|change|tender(ed)?|visa|mastercard|amex|debit|credit|card)\b/i
+};
+
+const AMOUNT_LINE = new RegExp(`^(.*?)\\s*(-)?\\s*(?:[$€£₹]\\s?)?(${NUMBER_PATTERN})\\s?(-)?(?:\\s*[A-Z*])?$`);
+
+// A price whose digits were read as O or S ("3.O9", "1S.99")
+const MISREAD_AMOUNT_LINE = /^(.*[A-Za-z].*?)\s+(?:[$€£]\s?)?([\dOoSs]{1,4}[.,][\dOoSs]{2})(-)?(?:\s*[A-Z*])?$/;
+
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+const fromCents = (cents) => Math.round(cents) / 100;
+
+class ReceiptReconciliationService {
+
+  /**
+   * Reconcile line items against the receipt's printed figures
+   * @param {Object} params
+   * @param {Array} params.items - Items ({ name, price } or { name, totalPrice, unitPrice, quantity })
+   * @param {number} params.totalAmount - Printed total
+   * @param {string} params.rawText - OCR text, for summary lines and misread prices
+   * @param {number} params.subtotal - Printed subtotal, when already known
+   * @param {number} params.tax - Printed tax, when already known
+   * @param {string} params.decimalSeparator - '.' or ','
+   * @returns {Object} { status, items, totalAmount, subtotal, tax, taxIncluded, tip, discounts,
+   *   totalDiscount, calculatedTotal, difference, corrections }
+   */
+  reconcile({ items = [], totalAmount = 0, rawText = '', subtotal = null, tax = null, decimalSeparator = '.' }) {
+    const summary = this.extractSummary(rawText, decimalSeparator);
+    const figures = {
+      subtotal: subtotal !== null && subtotal !== undefined ? subtotal : summary.subtotal,
+      tax: tax !== null && tax !== undefined ? tax : summary.tax,
+      tip: summary.tip
+    };
+    const state = {
+      items: items.map(item => ({ ...item })),
+      discounts: summary.discounts,
+      totalCents: toCents(totalAmount)
+    };
+
+    if (state.items.length === 0 || (state.totalCents <= 0 && figures.subtotal === null)) {
+      return this.buildResult(RECONCILIATION_STATUS.INSUFFICIENT_DATA, state, figures, [], null);
+    }
+
+    const balance = this.checkBalance(state, figures);
+    if (balance) {
+      const corrections = [];
+      const fixedState = this.fixQuantities(state, corrections);
+      return this.buildResult(
+        corrections.length > 0 ? RECONCILIATION_STATUS.CORRECTED : RECONCILIATION_STATUS.BALANCED,
+        fixedState, figures, corrections, balance
+      );
+    }
+
+    const fix = this.findFix(state, figures, summary, rawText);
+    if (fix) {
+      const corrections = fix.candidates.map(candidate => candidate.correction);
+      const fixedState = this.fixQuantities(
+        fix.candidates.reduce((current, candidate) => candidate.apply(current), state),
+        corrections
+      );
+      return this.buildResult(RECONCILIATION_STATUS.CORRECTED, fixedState, figures, corrections, this.checkBalance(fixedState, figures));
+    }
+
+    return this.buildResult(RECONCILIATION_STATUS.UNBALANCED, state, figures, [], this.getResiduals(state, figures)[0]);
+  }
+
+  /**
+   * Read subtotal, tax, tip and discount lines from the receipt text
+   * @returns {Object} { subtotal, tax, tip, discounts: [{ description, amount }], savingsSummaries }
+   */
+  extractSummary(rawText, decimalSeparator = '.') {
+    const summary = { subtotal: null, tax: null, tip: null, discounts: [], savingsSummaries: [] };
+    const lines = String(rawText || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const match = AMOUNT_LINE.exec(line);
+      if (!match) continue;
+
+      const label = match[1].trim();
+      const amount = localeService.parseAmount(match[3], decimalSeparator);
+      const negative = Boolean(match[2] || match[4]);
+      if (!amount || !/[a-zA-Z]/.test(label)) continue;
+
+      if (SAVINGS_SUMMARY_PATTERN.test(label)) {
+        summary.savingsSummaries.push({ description: label, amount });
+      } else if (SUMMARY_LABELS.subtotal.test(label)) {
+        summary.subtotal = amount;
+      } else if (SUMMARY_LABELS.tip.test(label)) {
+        summary.tip = fromCents(toCents(summary.tip) + toCents(amount));
+      } else if (SUMMARY_LABELS.tax.test(label) && !SUMMARY_LABELS.total.test(label)) {
+        summary.tax = fromCents(toCents(summary.tax) + toCents(amount));
+      } else if (negative || receiptDiscountService.isDiscountLabel(label)) {
+        if (!SUMMARY_LABELS.total.test(label) && !SUMMARY_LABELS.payment.test(label)) {
+          summary.discounts.push({ description: label, amount });
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Line total of an item, whichever parser produced it
+   */
+  getItemAmount(item) {
+    return item.totalPrice !== undefined ? item.totalPrice : item.price;
+  }
+
+  /**
+   * Copy of an item with a new line total
+   */
+  setItemAmount(item, amount) {
+    const updated = { ...item };
+    if (item.totalPrice !== undefined) updated.totalPrice = amount;
+    if (item.price !== undefined || item.totalPrice === undefined) updated.price = amount;
+    if (item.unitPrice !== undefined) updated.unitPrice = fromCents(toCents(amount / (item.quantity || 1)));
+    return updated;
+  }
+
+  /**
+   * Once the line totals balance, a quantity that disagrees with its unit
+   * price and line total is the misread figure
+   */
+  fixQuantities(state, corrections) {
+    const items = state.items.map((item, index) => {
+      const fixed = this.fixQuantity(item);
+      if (!fixed) return item;
+
+      corrections.push({
+        type: CORRECTION_TYPES.QUANTITY_MISMATCH,
+        itemIndex: index,
+        field: 'quantity',
+        from: item.quantity,
+        to: fixed.quantity,
+        description: `Quantity of "${item.name}" read as ${item.quantity}, line total implies ${fixed.quantity}`
+      });
+      return fixed;
+    });
+
+    return { ...state, items };
+  }
+
+  /**
+   * Quantity implied by a unit price and line total that disagree with the
+   * printed quantity, e.g. "4 x 1.25 = 2.50"
+   * @returns {Object|null} Item with the corrected quantity
+   */
+  fixQuantity(item) {
+    const quantity = parseFloat(item.quantity);
+    const unitCents = toCents(item.unitPrice);
+    const totalCents = toCents(this.getItemAmount(item));
+    if (!quantity || unitCents <= 0 || totalCents <= 0) return null;
+    if (Math.abs(Math.round(quantity * unitCents) - totalCents) <= 1) return null;
+
+    const implied = totalCents / unitCents;
+    if (Math.abs(implied - Math.round(implied)) > 0.001 || Math.round(implied) < 1) return null;
+
+    return { ...item, quantity: Math.round(implied), correction: { type: CORRECTION_TYPES.QUANTITY_MISMATCH, from: item.quantity } };
+  }
+
+  /**
+   * Whether items less discounts plus tax and tip match the printed
+   * figures. Some receipts print discounts already taken off the item
+   * prices, and VAT receipts print tax already included in them.
+   * @returns {Object|null} { discountsApplied, taxIncluded, differenceCents }
+   */
+  checkBalance(state, figures) {
+    return this.getResiduals(state, figures)
+      .find(residual => Math.abs(residual.differenceCents) <= TOLERANCE_CENTS) || null;
+  }
+
+  /**
+   * Printed amount minus calculated amount, in cents, for each way the
+   * receipt may apply its discounts and tax. The first is the usual one.
+   * @returns {Array} [{ discountsApplied, taxIncluded, differenceCents }]
+   */
+  getResiduals(state, figures) {
+    const itemsCents = state.items.reduce((sum, item) => sum + toCents(this.getItemAmount(item)), 0);
+    const discountCents = state.discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+    const variants = [{ discountsApplied: true, taxIncluded: false }];
+
+    if (state.discounts.length > 0) {
+      variants.push({ discountsApplied: false, taxIncluded: false });
+    }
+
+    let taxCents = 0;
+    let tipCents = 0;
+    let printedCents = toCents(figures.subtotal);
+
+    if (state.totalCents > 0) {
+      printedCents = state.totalCents;
+      tipCents = toCents(figures.tip);
+      // Without a printed tax, the gap between subtotal and total is the tax
+      taxCents = figures.tax !== null
+        ? toCents(figures.tax)
+        : figures.subtotal !== null ? state.totalCents - toCents(figures.subtotal) - tipCents : 0;
+
+      if (figures.tax !== null) {
+        variants.push({ discountsApplied: true, taxIncluded: true });
+      }
+    }
+
+    return variants.map(variant => ({
+      ...variant,
+      differenceCents: printedCents - tipCents - (variant.taxIncluded ? 0 : taxCents) -
+        (itemsCents - (variant.discountsApplied ? discountCents : 0))
+    }));
+  }
+
+  /**
+   * Smallest set of likely OCR fixes (one, else two) that balances the receipt
+   * @returns {Object|null} { candidates }
+   */
+  findFix(state, figures, summary, rawText) {
+    const candidates = this.buildCandidates(state, summary, rawText);
+    const score = (chosen) => {
+      const fixedState = chosen.reduce((current, candidate) => candidate.apply(current), state);
+      const balance = this.checkBalance(fixedState, figures);
+      return balance ? Math.abs(balance.differenceCents) : null;
+    };
+
+    let best = null;
+    for (const candidate of candidates) {
+      const residual = score([candidate]);
+      if (residual !== null && (!best || residual < best.residual)) {
+        best = { candidates: [candidate], residual };
+      }
+    }
+    if (best || candidates.length > MAX_PAIR_CANDIDATES) {
+      return best;
+    }
+
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        if (candidates[i].key === candidates[j].key) continue;
+        const residual = score([candidates[i], candidates[j]]);
+        if (residual !== null && (!best || residual < best.residual)) {
+          best = { candidates: [candidates[i], candidates[j]], residual };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Possible corrections, each changing one item, discount or the total.
+   * Candidates with the same key are alternatives for the same figure.
+   */
+  buildCandidates(state, summary, rawText) {
+    const candidates = [];
+
+    state.items.forEach((item, index) => {
+      const amount = this.getItemAmount(item);
+      const cents = toCents(amount);
+
+      // "MILK 399" for 3.99
+      if (cents >= 10000 && cents % 100 === 0) {
+        const fixed = fromCents(cents / 100);
+        candidates.push({
+          key: `item:${index}`,
+          correction: {
+            type: CORRECTION_TYPES.DROPPED_DECIMAL,
+            itemIndex: index,
+            field: 'price',
+            from: amount,
+            to: fixed,
+            description: `Price of "${item.name}" read as ${amount}, likely ${fixed.toFixed(2)}`
+          },
+          apply: (current) => this.replaceItem(current, index, {
+            ...this.setItemAmount(current.items[index], fixed),
+            correction: { type: CORRECTION_TYPES.DROPPED_DECIMAL, from: amount }
+          })
+        });
+      }
+
+      // Line total that disagrees with quantity × unit price
+      const quantity = parseFloat(item.quantity);
+      const unitCents = toCents(item.unitPrice);
+      if (quantity > 1 && unitCents > 0 && Math.abs(Math.round(quantity * unitCents) - cents) > 1) {
+        const fixed = fromCents(Math.round(quantity * unitCents));
+        candidates.push({
+          key: `item:${index}`,
+          correction: {
+            type: CORRECTION_TYPES.QUANTITY_MISMATCH,
+            itemIndex: index,
+            field: 'price',
+            from: amount,
+            to: fixed,
+            description: `"${item.name}" is ${quantity} × ${fromCents(unitCents).toFixed(2)} = ${fixed.toFixed(2)}, read as ${amount}`
+          },
+          apply: (current) => this.replaceItem(current, index, {
+            ...this.setItemAmount(current.items[index], fixed),
+            correction: { type: CORRECTION_TYPES.QUANTITY_MISMATCH, from: amount }
+          })
+        });
+      }
+
+      // A coupon or discount line parsed as an item
+      if (receiptDiscountService.isDiscountLabel(item.name)) {
+        candidates.push({
+          key: `item:${index}`,
+          correction: {
+            type: CORRECTION_TYPES.MISSED_DISCOUNT,
+            itemIndex: index,
+            field: 'discount',
+            from: amount,
+            to: -amount,
+            description: `"${item.name}" is a discount, not an item`
+          },
+          apply: (current) => {
+            // The discount line may already have been read from the text
+            const known = current.discounts.some(discount =>
+              toCents(discount.amount) === cents && discount.description.toLowerCase() === String(item.name).toLowerCase());
+            return {
+              ...current,
+              items: current.items.filter((_, itemIndex) => itemIndex !== index),
+              discounts: known ? current.discounts : [...current.discounts, { description: item.name, amount }]
+            };
+          }
+        });
+      }
+    });
+
+    // A savings line the discount lines did not cover
+    const discountCents = state.discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+    for (const savings of summary.savingsSummaries) {
+      if (toCents(savings.amount) === discountCents) continue;
+      candidates.push({
+        key: 'savings',
+        correction: {
+          type: CORRECTION_TYPES.MISSED_DISCOUNT,
+          field: 'discount',
+          from: 0,
+          to: -savings.amount,
+          description: `Discount of ${savings.amount.toFixed(2)} ("${savings.description}") not taken off the items`
+        },
+        apply: (current) => ({
+          ...current,
+          discounts: [{ description: savings.description, amount: savings.amount }]
+        })
+      });
+    }
+
+    // Item lines skipped because a digit in the price was read as a letter
+    const usesTotalPrice = state.items.some(item => item.totalPrice !== undefined);
+    for (const recovered of this.findMisreadItems(rawText)) {
+      candidates.push({
+        key: `line:${recovered.line}`,
+        correction: {
+          type: CORRECTION_TYPES.CHARACTER_SWAP,
+          field: 'price',
+          from: recovered.printed,
+          to: recovered.price,
+          description: `"${recovered.name}" price read as ${recovered.printed}, likely ${recovered.price.toFixed(2)}`
+        },
+        apply: (current) => ({
+          ...current,
+          items: [...current.items, {
+            ...this.setItemAmount({
+              name: recovered.name,
+              quantity: 1,
+              category: null,
+              // Same shape as the items it joins
+              ...(usesTotalPrice && { totalPrice: 0, unitPrice: 0 })
+            }, recovered.price),
+            source: 'reconciliation',
+            correction: { type: CORRECTION_TYPES.CHARACTER_SWAP, from: recovered.printed }
+          }]
+        })
+      });
+    }
+
+    // A total printed without its decimal point
+    if (state.totalCents >= 10000 && state.totalCents % 100 === 0) {
+      const fixed = fromCents(state.totalCents / 100);
+      candidates.push({
+        key: 'total',
+        correction: {
+          type: CORRECTION_TYPES.DROPPED_DECIMAL,
+          field: 'totalAmount',
+          from: fromCents(state.totalCents),
+          to: fixed,
+          description: `Total read as ${fromCents(state.totalCents)}, likely ${fixed.toFixed(2)}`
+        },
+        apply: (current) => ({ ...current, totalCents: state.totalCents / 100 })
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Item lines whose price contains O or S where a digit belongs
+   * @returns {Array} [{ line, name, printed, price }]
+   */
+  findMisreadItems(rawText) {
+    const recovered = [];
+    const lines = String(rawText || '').split('\n').map(line => line.trim());
+
+    lines.forEach((line, index) => {
+      const match = MISREAD_AMOUNT_LINE.exec(line);
+      if (!match || match[3]) return;
+
+      const [, label, printed] = match;
+      if (!/\d/.test(printed) || !/[OoSs]/.test(printed)) return;
+      if (Object.values(SUMMARY_LABELS).some(pattern => pattern.test(label))) return;
+
+      const price = parseFloat(printed.replace(/[Oo]/g, '0').replace(/[Ss]/g, '5').replace(',', '.'));
+      if (price > 0) {
+        recovered.push({ line: index, name: label.trim(), printed, price });
+      }
+    });
+
+    return recovered;
+  }
+
+  replaceItem(state, index, item) {
+    const items = [...state.items];
+    items[index] = item;
+    return { ...state, items };
+  }
+
+  /**
+   * @param {Object|null} balance - Result of checkBalance, null when there is nothing to compare
+   */
+  buildResult(status, state, figures, corrections, balance) {
+    const discounts = !balance || balance.discountsApplied ? state.discounts : [];
+    const taxIncluded = Boolean(balance && balance.taxIncluded);
+    const discountCents = discounts.reduce((sum, discount) => sum + toCents(discount.amount), 0);
+    const printedCents = state.totalCents > 0 ? state.totalCents : toCents(figures.subtotal);
+
+    return {
+      status,
+      items: state.items,
+      totalAmount: fromCents(state.totalCents),
+      subtotal: figures.subtotal,
+      tax: figures.tax,
+      taxIncluded,
+      tip: figures.tip,
+      discounts,
+      totalDiscount: fromCents(discountCents),
+      calculatedTotal: balance ? fromCents(printedCents - balance.differenceCents) : null,
+      difference: balance ? fromCents(balance.differenceCents) : null,
+      corrections
+    };
+  }
+
+  /**
+   * Compact form of a reconciliation result for receipt metadata
+   */
+  summarize(result) {
+    const { items, ...summary } = result;
+    return summary;
+  }
+}
+
+// Export singleton instance
+const receiptReconciliationService = new ReceiptReconciliationService();
+
+module.exports = receiptReconciliationService;
+module.exports.RECONCILIATION_STATUS = RECONCILIATION_STATUS;
+module.exports.CORRECTION_TYPES = CORRECTION_TYPES;
@@ -7,8 +7,14 @@ const { supabase } = require('../../config/supabase');
 const { APIError } = require('../../utils/errorHandler');
 const logger = require('../utils/logger');
 const mlCategorizationService = require('./mlCategorizationService');
+const categorizationRulesService = require('./categorizationRulesService');
+const merchantService = require('./merchantService');
+const receiptSplitService = require('./receiptSplitService');
 const advancedLineItemService = require('./advancedLineItemService');
 const warrantyDetectionService = require('./warrantyDetectionService');
+const jobQueueService = require('./jobQueueService');
+
+const { JOB_TYPES } = jobQueueService;
 
 class ReceiptService {
   
@@ -19,6 +25,7 @@ class ReceiptService {
     userId,
     ocrData,
     imageUrl,
+    thumbnailUrl = null,
     categoryId = null,
     notes = null,
     isBusinessExpense = false,
@@ -33,17 +40,26 @@ class ReceiptService {
         totalAmount: ocrData.totalAmount
       });
 
+      // User rules run before ML; a category they set is not second-guessed
+      const ruleResult = await categorizationRulesService.evaluateRules(userId, {
+        merchant_name: ocrData.merchantName,
+        total_amount: ocrData.totalAmount,
+        tags,
+        items: ocrData.items
+      });
+
       // Enhanced ML categorization
-      let finalCategoryId = categoryId;
+      let finalCategoryId = categoryId || ruleResult.categoryId;
       let mlCategoryResult = null;
       
-      if (enableMLEnhancement && !categoryId) {
+      if (enableMLEnhancement && !finalCategoryId) {
         try {
           mlCategoryResult = await mlCategorizationService.categorizeReceipt({
             merchantName: ocrData.merchantName,
             items: ocrData.items,
             totalAmount: ocrData.totalAmount,
-            ocrText: ocrData.rawText
+            ocrText: ocrData.rawText,
+            userId
           });
           
           if (mlCategoryResult.confidence > 0.6) {
@@ -57,11 +73,13 @@ class ReceiptService {
             finalCategoryId = category.id;
           }
         }
-      } else if (!categoryId && ocrData.category) {
+      } else if (!finalCategoryId && ocrData.category) {
         const category = await this.getOrCreateCategory(userId, ocrData.category);
         finalCategoryId = category.id;
       }
 
+      const merchantId = await merchantService.resolveMerchantId(userId, ocrData.merchantName);
+
       // Insert receipt
       const { data: receipt, error } = await supabase
         .from('receipts')
@@ -69,10 +87,14 @@ class ReceiptService {
           user_id: userId,
           category_id: finalCategoryId,
           image_url: imageUrl,
+          image_thumbnail_url: thumbnailUrl || ocrData.thumbnailUrl || null,
           image_hash: ocrData.processingMetadata?.imageHash,
+          merchant_id: merchantId,
           merchant_name: ocrData.merchantName,
           total_amount: ocrData.totalAmount,
-          currency: 'USD',
+          total_savings: ocrData.totalSavings || 0,
+          ...this.buildTaxFields(ocrData),
+          currency: ocrData.currency || 'USD',
           purchase_date: ocrData.date,
           ocr_data: {
             raw_text: ocrData.rawText,
@@ -86,10 +108,10 @@ class ReceiptService {
             items: ocrData.items,
             category: ocrData.category
           },
-          is_business_expense: isBusinessExpense,
-          is_reimbursable: isReimbursable,
+          is_business_expense: isBusinessExpense || ruleResult.markBusinessExpense,
+          is_reimbursable: isReimbursable || ruleResult.markReimbursable,
           notes: notes,
-          tags: tags
+          tags: [...tags, ...ruleResult.addTags.filter(tag => !tags.includes(tag))]
         })
         .select()
         .single();
@@ -99,6 +121,16 @@ class ReceiptService {
         throw new APIError('Failed to create receipt', 500, 'DATABASE_ERROR', { error: error.message });
       }
 
+      // Track automatic categorizations so corrections can be measured
+      if (!categoryId && mlCategoryResult && mlCategoryResult.confidence > 0.6) {
+        await mlCategorizationService.recordPrediction({
+          userId,
+          receiptId: receipt.id,
+          category: mlCategoryResult.category,
+          confidence: mlCategoryResult.confidence
+        });
+      }
+
       // Enhanced line item processing
       let enhancedItems = ocrData.items;
       let warrantyInfo = null;
@@ -113,7 +145,9 @@ class ReceiptService {
             totalAmount: ocrData.totalAmount
           });
           
-          if (lineItemResult.items.length > enhancedItems.length) {
+          // Items paired from word coordinates are kept over text heuristics
+          if (ocrData.processingMetadata?.parsingMethod !== 'layout' &&
+            lineItemResult.items.length > enhancedItems.length) {
             enhancedItems = lineItemResult.items;
             logger.info('Enhanced line items extracted', { count: enhancedItems.length });
           }
@@ -132,21 +166,29 @@ class ReceiptService {
         }
       }
       
-      // Insert receipt items
+      // Insert receipt items, splitting the receipt when they span categories
       if (enhancedItems && enhancedItems.length > 0) {
         await this.createReceiptItems(receipt.id, enhancedItems);
+        await receiptSplitService.applyLineItemSplits(receipt.id, userId);
       }
       
-      // Save warranty information
-      if (warrantyInfo && warrantyInfo.warranties.length > 0) {
-        await this.saveWarrantyInformation(receipt.id, userId, warrantyInfo.warranties);
+      // Save warranty information and link protection plans to the items they cover
+      if (warrantyInfo && (warrantyInfo.warranties.length > 0 || warrantyInfo.protectionPlans?.length > 0)) {
+        await this.saveWarrantyInformation(receipt.id, userId, warrantyInfo.warranties, {
+          protectionPlans: warrantyInfo.protectionPlans,
+          purchaseDate: ocrData.date
+        });
       }
 
+      // Embeddings are generated by the background worker
+      await this.enqueueEmbeddingGeneration(receipt.id, userId);
+
       logger.info('Receipt created successfully', { receiptId: receipt.id });
 
       // Return enhanced receipt data
       return {
         ...receipt,
+        matchedRules: ruleResult.matchedRules,
         mlEnhancements: enableMLEnhancement ? {
           categoryResult: mlCategoryResult,
           lineItemCount: enhancedItems?.length || 0,
@@ -163,20 +205,220 @@ class ReceiptService {
     }
   }
 
+  /**
+   * Create a receipt row for an image that has not been processed yet.
+   * Extracted fields are filled in by completeReceiptProcessing.
+   */
+  async createPendingReceipt({
+    userId,
+    imageUrl,
+    thumbnailUrl = null,
+    imageHash = null,
+    categoryId = null,
+    notes = null,
+    isBusinessExpense = false,
+    isReimbursable = false,
+    tags = [],
+    processingStages = {}
+  }) {
+    try {
+      const { data: receipt, error } = await supabase
+        .from('receipts')
+        .insert({
+          user_id: userId,
+          category_id: categoryId,
+          image_url: imageUrl,
+          image_thumbnail_url: thumbnailUrl,
+          image_hash: imageHash,
+          currency: 'USD',
+          is_business_expense: isBusinessExpense,
+          is_reimbursable: isReimbursable,
+          notes,
+          tags,
+          processing_status: 'queued',
+          processing_stages: processingStages
+        })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to create pending receipt:', error);
+        throw new APIError('Failed to create receipt', 500, 'DATABASE_ERROR', { error: error.message });
+      }
+
+      return receipt;
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      throw new APIError('Failed to create receipt', 500, 'RECEIPT_CREATION_FAILED');
+    }
+  }
+
+  /**
+   * Update background processing fields of a receipt
+   * @param {string} receiptId - Receipt ID
+   * @param {string} userId - Owner of the receipt
+   * @param {Object} fields - Columns to update (processing_status, processing_stages, ...)
+   */
+  async updateProcessingState(receiptId, userId, fields) {
+    const { error } = await supabase
+      .from('receipts')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', receiptId)
+      .eq('user_id', userId);
+
+    if (error) {
+      logger.error('Failed to update receipt processing state:', error);
+      throw new APIError('Failed to update receipt', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  /**
+   * Store the results of background processing on a pending receipt
+   */
+  async completeReceiptProcessing({
+    receiptId,
+    userId,
+    ocrData,
+    categoryId = null,
+    ruleUpdates = {},
+    items = [],
+    warranties = [],
+    protectionPlans = [],
+    processingStages
+  }) {
+    try {
+      const merchantId = await merchantService.resolveMerchantId(userId, ocrData.merchantName);
+
+      const { data: receipt, error } = await supabase
+        .from('receipts')
+        .update({
+          ...ruleUpdates,
+          ...(categoryId && { category_id: categoryId }),
+          merchant_id: merchantId,
+          merchant_name: ocrData.merchantName,
+          total_amount: ocrData.totalAmount,
+          total_savings: ocrData.totalSavings || 0,
+          ...this.buildTaxFields(ocrData),
+          ...(ocrData.currency && { currency: ocrData.currency }),
+          purchase_date: ocrData.date,
+          ocr_data: {
+            raw_text: ocrData.rawText,
+            processing_metadata: ocrData.processingMetadata
+          },
+          ocr_confidence: ocrData.confidence,
+          processed_data: {
+            merchant_name: ocrData.merchantName,
+            total_amount: ocrData.totalAmount,
+            date: ocrData.date,
+            items,
+            category: ocrData.category
+          },
+          processing_status: 'completed',
+          processing_stages: processingStages,
+          processing_error: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', receiptId)
+        .eq('user_id', userId)
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Failed to complete receipt processing:', error);
+        throw new APIError('Failed to update receipt', 500, 'DATABASE_ERROR');
+      }
+
+      // A retried job may already have written items for this receipt
+      await supabase
+        .from('receipt_items')
+        .delete()
+        .eq('receipt_id', receiptId);
+
+      if (items.length > 0) {
+        await this.createReceiptItems(receiptId, items);
+      }
+      await receiptSplitService.applyLineItemSplits(receiptId, userId);
+
+      if (warranties.length > 0 || protectionPlans.length > 0) {
+        await this.saveWarrantyInformation(receiptId, userId, warranties, {
+          protectionPlans,
+          purchaseDate: ocrData.date
+        });
+      }
+
+      return receipt;
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      throw new APIError('Failed to update receipt', 500, 'RECEIPT_UPDATE_FAILED');
+    }
+  }
+
+  /**
+   * Queue embedding generation for a receipt. Failures are logged rather
+   * than raised so a queue outage never blocks receipt creation.
+   */
+  async enqueueEmbeddingGeneration(receiptId, userId) {
+    try {
+      return await jobQueueService.enqueue({
+        jobType: JOB_TYPES.EMBEDDING_GENERATION,
+        jobName: `embedding:${receiptId}`,
+        jobData: { receiptId, userId },
+        jobContext: { user_id: userId }
+      });
+    } catch (error) {
+      logger.warn('Failed to enqueue embedding generation:', { receiptId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Tax columns of a receipt from its OCR tax breakdown; the reconciled
+   * tax stands in for receipts without tax lines it could read
+   * @param {Object} ocrData - OCR data
+   * @returns {Object} Receipt columns
+   */
+  buildTaxFields(ocrData) {
+    const breakdown = ocrData.taxBreakdown;
+    if (!breakdown) {
+      return {};
+    }
+
+    const reconciledTax = ocrData.processingMetadata?.reconciliation?.tax;
+    return {
+      tax_amount: breakdown.totalTax !== null ? breakdown.totalTax : reconciledTax || null,
+      tax_breakdown: breakdown.taxes,
+      tax_ids: breakdown.taxIds,
+      seller_tax_id: breakdown.sellerTaxId ? breakdown.sellerTaxId.value : null,
+      seller_tax_id_type: breakdown.sellerTaxId ? breakdown.sellerTaxId.type : null
+    };
+  }
+
   /**
    * Create receipt items
    */
   async createReceiptItems(receiptId, items) {
     try {
-      const receiptItems = items.map((item, index) => ({
-        receipt_id: receiptId,
-        item_name: item.name,
-        item_category: item.category,
-        quantity: item.quantity || 1,
-        unit_price: item.price / (item.quantity || 1),
-        total_price: item.price,
-        line_number: index + 1
-      }));
+      const receiptItems = items.map((item, index) => {
+        // Text parsers return price, advanced line item extraction totalPrice
+        const price = item.totalPrice !== undefined ? item.totalPrice : item.price;
+        return {
+          receipt_id: receiptId,
+          item_name: item.name,
+          item_category: item.category,
+          quantity: item.quantity || 1,
+          unit_price: price / (item.quantity || 1),
+          total_price: price,
+          discount_amount: item.discountTotal || 0,
+          discounts: item.discounts || [],
+          line_number: index + 1
+        };
+      });
 
       const { error } = await supabase
         .from('receipt_items')
@@ -230,6 +472,66 @@ class ReceiptService {
     }
   }
 
+  /**
+   * Update receipt fields. A category change is a correction and trains
+   * the user's categorization model.
+   * @returns {Object|null} Updated receipt, or null if not found
+   */
+  async updateReceipt(receiptId, userId, updates) {
+    try {
+      const existing = await this.getReceiptById(receiptId, userId);
+      if (!existing) {
+        return null;
+      }
+
+      // A corrected merchant name links to its canonical merchant
+      if (updates.merchant_name !== undefined && updates.merchant_id === undefined) {
+        updates.merchant_id = await merchantService.resolveMerchantId(userId, updates.merchant_name);
+      }
+
+      const { data: receipt, error } = await supabase
+        .from('receipts')
+        .update(updates)
+        .eq('id', receiptId)
+        .eq('user_id', userId)
+        .select(`
+          *,
+          categories (
+            id,
+            name,
+            icon,
+            color
+          )
+        `)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null;
+        }
+        logger.error('Failed to update receipt:', error);
+        throw new APIError('Failed to update receipt', 500, 'DATABASE_ERROR');
+      }
+
+      if (updates.category_id && updates.category_id !== existing.category_id && receipt.categories) {
+        await mlCategorizationService.learnFromFeedback(receipt.categories.name, {
+          merchantName: receipt.merchant_name,
+          items: existing.receipt_items || [],
+          ocrText: receipt.ocr_data?.raw_text,
+          totalAmount: receipt.total_amount
+        }, { userId, receiptId });
+      }
+
+      return receipt;
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      throw new APIError('Failed to update receipt', 500, 'RECEIPT_UPDATE_FAILED');
+    }
+  }
+
   /**
    * Update receipt OCR data
    */
@@ -237,11 +539,17 @@ class ReceiptService {
     try {
       logger.info('Updating receipt OCR data', { receiptId });
 
+      const merchantId = await merchantService.resolveMerchantId(userId, ocrData.merchantName);
+
       const { data: receipt, error } = await supabase
         .from('receipts')
         .update({
+          merchant_id: merchantId,
           merchant_name: ocrData.merchantName,
           total_amount: ocrData.totalAmount,
+          total_savings: ocrData.totalSavings || 0,
+          ...this.buildTaxFields(ocrData),
+          ...(ocrData.currency && { currency: ocrData.currency }),
           purchase_date: ocrData.date,
           ocr_data: {
             raw_text: ocrData.rawText,
@@ -277,6 +585,7 @@ class ReceiptService {
 
         // Create new items
         await this.createReceiptItems(receiptId, ocrData.items);
+        await receiptSplitService.applyLineItemSplits(receiptId, userId);
       }
 
       return receipt;
@@ -433,7 +742,7 @@ class ReceiptService {
   /**
    * Search receipts by text
    */
-  async searchReceipts({ userId, query, categoryId, dateFrom, dateTo, minAmount, maxAmount, limit = 50, offset = 0 }) {
+  async searchReceipts({ userId, query, merchantId, categoryId, dateFrom, dateTo, minAmount, maxAmount, limit = 50, offset = 0 }) {
     try {
       let queryBuilder = supabase
         .from('receipts')
@@ -448,11 +757,19 @@ class ReceiptService {
         `)
         .eq('user_id', userId);
 
-      // Text search in merchant name or OCR data
+      // Text search in merchant name or OCR data, plus every receipt of a
+      // merchant whose name or alias matches
       if (query) {
-        queryBuilder = queryBuilder.or(
-          `merchant_name.ilike.%${query}%,ocr_data->>raw_text.ilike.%${query}%`
-        );
+        const merchantIds = await merchantService.findMerchantIds(userId, query);
+        queryBuilder = queryBuilder.or([
+          `merchant_name.ilike.%${query}%`,
+          `ocr_data->>raw_text.ilike.%${query}%`,
+          ...(merchantIds.length > 0 ? [`merchant_id.in.(${merchantIds.join(',')})`] : [])
+        ].join(','));
+      }
+
+      if (merchantId) {
+        queryBuilder = queryBuilder.eq('merchant_id', merchantId);
       }
 
       // Category filter
@@ -557,14 +874,18 @@ class ReceiptService {
   }
 
   /**
-   * Save warranty information for receipt
+   * Save warranty information for receipt, then link protection plans
+   * (AppleCare+, Geek Squad, ...) to the warranties of the items they cover
    */
-  async saveWarrantyInformation(receiptId, userId, warranties) {
+  async saveWarrantyInformation(receiptId, userId, warranties, { protectionPlans = [], purchaseDate = null } = {}) {
     try {
       for (const warranty of warranties) {
-        await warrantyDetectionService.saveWarranty(userId, receiptId, warranty);
+        await warrantyDetectionService.saveWarranty(userId, receiptId, warranty, { purchaseDate });
+      }
+      for (const plan of protectionPlans) {
+        await warrantyDetectionService.linkProtectionPlan(userId, receiptId, plan, { purchaseDate });
       }
-      logger.info(`Saved ${warranties.length} warranties for receipt ${receiptId}`);
+      logger.info(`Saved ${warranties.length} warranties and ${protectionPlans.length} protection plans for receipt ${receiptId}`);
     } catch (error) {
       logger.error('Failed to save warranty information:', error);
       // Don't fail receipt creation for warranty save errors
@@ -588,7 +909,8 @@ class ReceiptService {
           items: receipt.receipt_items || [],
           totalAmount: receipt.total_amount,
           ocrText: receipt.ocr_data?.raw_text,
-          existingCategory: receipt.categories?.name
+          existingCategory: receipt.categories?.name,
+          userId
         }),
         
         advancedLineItemService.extractLineItems({
@@ -685,6 +1007,247 @@ class ReceiptService {
     return recommendations;
   }
 
+  /**
+   * Get spending for a period grouped by category, merchant, date or
+   * business expense. Split receipts count toward each of their categories.
+   * @param {string} userId - User ID
+   * @param {Object} options - { period, dateFrom, dateTo, categoryId, groupBy, now }
+   * @returns {Promise<Object>} { period, dateFrom, dateTo, groupBy, totalAmount, totalSavings, receiptCount, groups }
+   */
+  async getAnalytics(userId, { period = 'month', dateFrom, dateTo, categoryId, groupBy = 'category', now = new Date() } = {}) {
+    try {
+      const range = this.getAnalyticsRange(period, now);
+      const from = dateFrom || range.from;
+      const to = dateTo || range.to;
+
+      let query = supabase
+        .from('receipts')
+        .select(`
+          id,
+          merchant_name,
+          total_amount,
+          total_savings,
+          purchase_date,
+          category_id,
+          is_business_expense,
+          categories (name),
+          merchants (canonical_name),
+          receipt_category_splits (
+            category_id,
+            amount,
+            categories (name)
+          )
+        `)
+        .eq('user_id', userId);
+
+      if (from) query = query.gte('purchase_date', from);
+      if (to) query = query.lte('purchase_date', to);
+      if (categoryId) query = await this.filterByCategory(query, userId, categoryId);
+
+      const { data, error } = await query.order('purchase_date', { ascending: true });
+
+      if (error) {
+        logger.error('Failed to fetch receipts for analytics:', error);
+        throw new APIError('Failed to fetch analytics', 500, 'DATABASE_ERROR');
+      }
+
+      const receipts = categoryId ? this.restrictToCategory(data || [], categoryId) : data || [];
+      const groups = {};
+
+      const addToGroup = (key, label, amount, receiptId) => {
+        if (!groups[key]) {
+          groups[key] = { key, label, amount: 0, receiptIds: new Set() };
+        }
+        groups[key].amount += amount;
+        groups[key].receiptIds.add(receiptId);
+      };
+
+      for (const receipt of receipts) {
+        const amount = parseFloat(receipt.total_amount) || 0;
+
+        if (groupBy === 'category') {
+          for (const allocation of receiptSplitService.getReceiptAllocations(receipt)) {
+            addToGroup(allocation.categoryId || 'uncategorized', allocation.categoryName || 'Uncategorized', allocation.amount, receipt.id);
+          }
+        } else if (groupBy === 'merchant') {
+          const merchant = receipt.merchants?.canonical_name || receipt.merchant_name || 'Unknown';
+          addToGroup(merchant.toLowerCase(), merchant, amount, receipt.id);
+        } else if (groupBy === 'date') {
+          // Daily within a week or month, monthly over longer ranges
+          const date = String(receipt.purchase_date).substring(0, ['week', 'month'].includes(period) ? 10 : 7);
+          addToGroup(date, date, amount, receipt.id);
+        } else {
+          const key = receipt.is_business_expense ? 'business' : 'personal';
+          addToGroup(key, key === 'business' ? 'Business' : 'Personal', amount, receipt.id);
+        }
+      }
+
+      const totalAmount = receipts.reduce((sum, receipt) => sum + (parseFloat(receipt.total_amount) || 0), 0);
+      const totalSavings = receipts.reduce((sum, receipt) => sum + (parseFloat(receipt.total_savings) || 0), 0);
+
+      return {
+        period,
+        dateFrom: from,
+        dateTo: to,
+        groupBy,
+        totalAmount: Math.round(totalAmount * 100) / 100,
+        totalSavings: Math.round(totalSavings * 100) / 100,
+        receiptCount: receipts.length,
+        groups: Object.values(groups)
+          .map(({ key, label, amount, receiptIds }) => ({
+            key,
+            label,
+            amount: Math.round(amount * 100) / 100,
+            count: receiptIds.size,
+            percentage: totalAmount > 0 ? Math.round((amount / totalAmount) * 1000) / 10 : 0
+          }))
+          .sort((a, b) => groupBy === 'date' ? a.key.localeCompare(b.key) : b.amount - a.amount)
+      };
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      logger.error('Analytics generation failed:', error);
+      throw new APIError('Failed to generate analytics', 500, 'ANALYTICS_FAILED');
+    }
+  }
+
+  /**
+   * Calendar period containing a date (weeks start on Monday)
+   * @returns {Object} { from, to } as YYYY-MM-DD, empty for custom periods
+   */
+  getAnalyticsRange(period, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const format = (date) => date.toISOString().substring(0, 10);
+
+    switch (period) {
+      case 'week': {
+        const start = new Date(Date.UTC(year, month, now.getUTCDate() - ((now.getUTCDay() + 6) % 7)));
+        return { from: format(start), to: format(new Date(start.getTime() + 6 * 24 * 60 * 60 * 1000)) };
+      }
+      case 'month':
+        return { from: format(new Date(Date.UTC(year, month, 1))), to: format(new Date(Date.UTC(year, month + 1, 0))) };
+      case 'quarter': {
+        const quarterStart = month - (month % 3);
+        return { from: format(new Date(Date.UTC(year, quarterStart, 1))), to: format(new Date(Date.UTC(year, quarterStart + 3, 0))) };
+      }
+      case 'year':
+        return { from: `${year}-01-01`, to: `${year}-12-31` };
+      default:
+        return { from: null, to: null };
+    }
+  }
+
+  /**
+   * Input tax paid over a period, bucketed by tax type and rate, for
+   * expense reports. Tax is reclaimable when the receipt names a valid
+   * seller tax ID. Amounts are never added up across currencies, so totals
+   * and buckets are given per currency.
+   * @param {string} userId - User ID
+   * @param {Object} options - { period, dateFrom, dateTo, businessOnly, now }
+   * @returns {Promise<Object>} { period, dateFrom, dateTo, receiptCount, receiptsWithoutTaxId,
+   *   currencies: [{ currency, receiptCount, totalTax, reclaimableTax, receiptsWithoutTaxId, taxes }] }
+   */
+  async getTaxSummary(userId, { period = 'month', dateFrom, dateTo, businessOnly = true, now = new Date() } = {}) {
+    try {
+      const range = this.getAnalyticsRange(period, now);
+      const from = dateFrom || range.from;
+      const to = dateTo || range.to;
+
+      let query = supabase
+        .from('receipts')
+        .select('id, currency, tax_amount, tax_breakdown, tax_ids, seller_tax_id')
+        .eq('user_id', userId)
+        .not('tax_amount', 'is', null);
+
+      if (from) query = query.gte('purchase_date', from);
+      if (to) query = query.lte('purchase_date', to);
+      if (businessOnly) query = query.eq('is_business_expense', true);
+
+      const { data: receipts, error } = await query;
+
+      if (error) {
+        logger.error('Failed to fetch receipts for tax summary:', error);
+        throw new APIError('Failed to fetch tax summary', 500, 'DATABASE_ERROR');
+      }
+
+      const currencies = new Map();
+      let receiptsWithoutTaxId = 0;
+
+      for (const receipt of receipts || []) {
+        const currency = receipt.currency || 'USD';
+        if (!currencies.has(currency)) {
+          currencies.set(currency, { currency, receiptCount: 0, totalTax: 0, reclaimableTax: 0, receiptsWithoutTaxId: 0, buckets: new Map() });
+        }
+        const summary = currencies.get(currency);
+
+        const taxAmount = parseFloat(receipt.tax_amount) || 0;
+        const sellerTaxId = (receipt.tax_ids || []).find(taxId => taxId.value === receipt.seller_tax_id);
+        const reclaimable = Boolean(sellerTaxId && sellerTaxId.valid);
+
+        summary.receiptCount++;
+        summary.totalTax += taxAmount;
+        if (reclaimable) {
+          summary.reclaimableTax += taxAmount;
+        } else {
+          summary.receiptsWithoutTaxId++;
+          receiptsWithoutTaxId++;
+        }
+
+        const taxes = receipt.tax_breakdown && receipt.tax_breakdown.length > 0
+          ? receipt.tax_breakdown
+          : [{ type: 'UNSPECIFIED', rate: null, taxableAmount: null, taxAmount }];
+
+        for (const tax of taxes) {
+          const key = `${tax.type}:${tax.rate}`;
+          if (!summary.buckets.has(key)) {
+            summary.buckets.set(key, { type: tax.type, rate: tax.rate, taxableAmount: 0, taxAmount: 0, reclaimableAmount: 0, receiptIds: new Set() });
+          }
+          const bucket = summary.buckets.get(key);
+          bucket.taxableAmount += tax.taxableAmount || 0;
+          bucket.taxAmount += tax.taxAmount || 0;
+          if (reclaimable) bucket.reclaimableAmount += tax.taxAmount || 0;
+          bucket.receiptIds.add(receipt.id);
+        }
+      }
+
+      const round = (amount) => Math.round(amount * 100) / 100;
+
+      return {
+        period,
+        dateFrom: from,
+        dateTo: to,
+        receiptCount: (receipts || []).length,
+        receiptsWithoutTaxId,
+        currencies: [...currencies.values()]
+          .map(({ buckets, ...summary }) => ({
+            ...summary,
+            totalTax: round(summary.totalTax),
+            reclaimableTax: round(summary.reclaimableTax),
+            taxes: [...buckets.values()]
+              .map(({ receiptIds, ...bucket }) => ({
+                ...bucket,
+                taxableAmount: round(bucket.taxableAmount),
+                taxAmount: round(bucket.taxAmount),
+                reclaimableAmount: round(bucket.reclaimableAmount),
+                receiptCount: receiptIds.size
+              }))
+              .sort((a, b) => a.type.localeCompare(b.type) || (b.rate || 0) - (a.rate || 0))
+          }))
+          .sort((a, b) => b.receiptCount - a.receiptCount || a.currency.localeCompare(b.currency))
+      };
+
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      logger.error('Tax summary generation failed:', error);
+      throw new APIError('Failed to generate tax summary', 500, 'TAX_SUMMARY_FAILED');
+    }
+  }
+
   /**
    * Get receipt insights and analytics
    */
@@ -696,16 +1259,23 @@ class ReceiptService {
           id,
           merchant_name,
           total_amount,
+          total_savings,
           purchase_date,
           category_id,
           categories (name),
+          merchants (canonical_name),
+          receipt_category_splits (
+            category_id,
+            amount,
+            categories (name)
+          ),
           receipt_items (*)
         `)
         .eq('user_id', userId);
 
       if (dateFrom) query = query.gte('purchase_date', dateFrom);
       if (dateTo) query = query.lte('purchase_date', dateTo);
-      if (categoryId) query = query.eq('category_id', categoryId);
+      if (categoryId) query = await this.filterByCategory(query, userId, categoryId);
 
       const { data: receipts, error } = await query.order('purchase_date', { ascending: false });
 
@@ -713,7 +1283,7 @@ class ReceiptService {
         throw new APIError('Failed to fetch receipts for insights', 500, 'INSIGHTS_FETCH_FAILED');
       }
 
-      return this.generateInsights(receipts);
+      return this.generateInsights(categoryId ? this.restrictToCategory(receipts, categoryId) : receipts);
 
     } catch (error) {
       logger.error('Receipt insights generation failed:', error);
@@ -730,6 +1300,7 @@ class ReceiptService {
         totalReceipts: receipts.length,
         totalAmount: receipts.reduce((sum, r) => sum + r.total_amount, 0),
         averageAmount: receipts.length > 0 ? receipts.reduce((sum, r) => sum + r.total_amount, 0) / receipts.length : 0,
+        totalSavings: Math.round(receipts.reduce((sum, r) => sum + (parseFloat(r.total_savings) || 0), 0) * 100) / 100,
         dateRange: {
           from: receipts.length > 0 ? receipts[receipts.length - 1].purchase_date : null,
           to: receipts.length > 0 ? receipts[0].purchase_date : null
@@ -752,18 +1323,44 @@ class ReceiptService {
   }
 
   /**
-   * Calculate category breakdown
+   * Match receipts in a category, including split receipts with a portion in it
+   */
+  async filterByCategory(query, userId, categoryId) {
+    const splitReceiptIds = await receiptSplitService.findSplitReceiptIds(userId, categoryId);
+
+    return splitReceiptIds.length > 0
+      ? query.or(`category_id.eq.${categoryId},id.in.(${splitReceiptIds.join(',')})`)
+      : query.eq('category_id', categoryId);
+  }
+
+  /**
+   * Count only the portion of each receipt that belongs to a category
+   */
+  restrictToCategory(receipts, categoryId) {
+    return receipts
+      .map(receipt => ({
+        ...receipt,
+        total_amount: receiptSplitService.getCategoryAmount(receipt, categoryId)
+      }))
+      .filter(receipt => receipt.total_amount > 0);
+  }
+
+  /**
+   * Calculate category breakdown. Split receipts count toward each of their
+   * categories with the split amount.
    */
   calculateCategoryBreakdown(receipts) {
     const breakdown = {};
     
     for (const receipt of receipts) {
-      const category = receipt.categories?.name || 'Uncategorized';
-      if (!breakdown[category]) {
-        breakdown[category] = { count: 0, amount: 0 };
+      for (const allocation of receiptSplitService.getReceiptAllocations(receipt)) {
+        const category = allocation.categoryName || 'Uncategorized';
+        if (!breakdown[category]) {
+          breakdown[category] = { count: 0, amount: 0 };
+        }
+        breakdown[category].count += 1;
+        breakdown[category].amount += allocation.amount;
       }
-      breakdown[category].count += 1;
-      breakdown[category].amount += receipt.total_amount;
     }
 
     return Object.entries(breakdown)
@@ -772,13 +1369,14 @@ class ReceiptService {
   }
 
   /**
-   * Calculate merchant frequency
+   * Calculate merchant frequency, counting every spelling of a canonical
+   * merchant together
    */
   calculateMerchantFrequency(receipts) {
     const frequency = {};
     
     for (const receipt of receipts) {
-      const merchant = receipt.merchant_name || 'Unknown';
+      const merchant = receipt.merchants?.canonical_name || receipt.merchant_name || 'Unknown';
       if (!frequency[merchant]) {
         frequency[merchant] = { count: 0, amount: 0 };
       }
@@ -0,0 +1,427 @@
+/**
+ * Receipt Split Service
+ * Splits a receipt's total across categories. Splits are derived from the
+ * categories of its line items or entered by hand; receipts without splits
+ * count entirely toward their own category.
+ */
+
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+
+// Allowed difference between the split amounts and the receipt total
+const SPLIT_TOLERANCE = 0.01;
+
+// Line item categories (advancedLineItemService.categorizeItem) and the
+// default receipt category they count toward
+const ITEM_CATEGORY_MAP = {
+  'food': 'Food & Dining',
+  'beverage': 'Food & Dining',
+  'personal care': 'Healthcare',
+  'health': 'Healthcare',
+  'household': 'Home & Garden',
+  'electronics': 'Technology',
+  'clothing': 'Clothing',
+  'automotive': 'Transportation'
+};
+
+const toCents = (amount) => Math.round((parseFloat(amount) || 0) * 100);
+
+/**
+ * Distribute a total over weights, rounding to cents so the parts add up
+ * exactly (largest remainder)
+ * @param {Array<number>} weights - Non-negative weights
+ * @param {number} total - Amount to distribute
+ * @returns {Array<number>} Amounts in the order of the weights
+ */
+const allocateAmount = (weights, total) => {
+  const totalCents = toCents(total);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map(weight => (weight / weightSum) * totalCents);
+  const cents = exact.map(Math.floor);
+  let remaining = totalCents - cents.reduce((sum, value) => sum + value, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (let i = 0; remaining > 0; i = (i + 1) % byRemainder.length, remaining -= 1) {
+    cents[byRemainder[i].index] += 1;
+  }
+
+  return cents.map(value => value / 100);
+};
+
+/**
+ * Receipt category a line item counts toward
+ * @param {string} itemCategory - Line item category
+ * @returns {string|null} Category name, or null to use the receipt's category
+ */
+const mapItemCategory = (itemCategory) => {
+  if (!itemCategory) return null;
+  return ITEM_CATEGORY_MAP[String(itemCategory).toLowerCase()] || null;
+};
+
+/**
+ * Group line items by the category they count toward and scale the groups
+ * to the receipt total, so tax and discounts are shared proportionally
+ * @param {Array} items - Receipt items ({ item_category, total_price } or { category, price })
+ * @param {number} totalAmount - Receipt total
+ * @returns {Array} [{ categoryName, amount }], empty when all items share one category
+ */
+const deriveSplitsFromItems = (items, totalAmount) => {
+  const groups = new Map();
+
+  for (const item of items || []) {
+    const categoryName = mapItemCategory(item.item_category || item.category);
+    const cents = toCents(item.total_price !== undefined ? item.total_price : item.price);
+    if (cents <= 0) continue;
+    groups.set(categoryName, (groups.get(categoryName) || 0) + cents);
+  }
+
+  if (groups.size < 2) {
+    return [];
+  }
+
+  const entries = [...groups.entries()];
+  const amounts = allocateAmount(entries.map(([, cents]) => cents), totalAmount);
+
+  return entries
+    .map(([categoryName], index) => ({ categoryName, amount: amounts[index] }))
+    .sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * How a receipt's total is spread across categories. Stored splits are
+ * scaled to the current total in case it was corrected after splitting.
+ * @param {Object} receipt - Receipt with total_amount, category_id, categories and receipt_category_splits
+ * @returns {Array} [{ categoryId, categoryName, amount }]
+ */
+const getReceiptAllocations = (receipt) => {
+  const total = parseFloat(receipt.total_amount) || 0;
+  const splits = receipt.receipt_category_splits || [];
+
+  if (splits.length === 0) {
+    return [{
+      categoryId: receipt.category_id || null,
+      categoryName: receipt.categories?.name || null,
+      amount: total
+    }];
+  }
+
+  const amounts = allocateAmount(splits.map(split => Math.max(parseFloat(split.amount) || 0, 0)), total);
+
+  return splits.map((split, index) => ({
+    categoryId: split.category_id || null,
+    categoryName: split.categories?.name || null,
+    amount: amounts[index]
+  }));
+};
+
+/**
+ * Amount of a receipt that counts toward one category
+ * @param {Object} receipt - Receipt as for getReceiptAllocations
+ * @param {string} categoryId - Category ID
+ * @returns {number} Amount
+ */
+const getCategoryAmount = (receipt, categoryId) => {
+  const cents = getReceiptAllocations(receipt)
+    .filter(allocation => allocation.categoryId === categoryId)
+    .reduce((sum, allocation) => sum + toCents(allocation.amount), 0);
+  return cents / 100;
+};
+
+/**
+ * IDs of the user's receipts with a split in a category
+ * @param {string} userId - User ID
+ * @param {string} categoryId - Category ID
+ * @returns {Promise<Array<string>>} Receipt IDs
+ */
+const findSplitReceiptIds = async (userId, categoryId) => {
+  const { data: splits, error } = await supabase
+    .from('receipt_category_splits')
+    .select('receipt_id')
+    .eq('user_id', userId)
+    .eq('category_id', categoryId);
+
+  if (error) {
+    logger.error('Error fetching receipt splits by category:', error);
+    throw new APIError('Failed to fetch receipt splits', 500, 'DATABASE_ERROR');
+  }
+
+  return [...new Set((splits || []).map(split => split.receipt_id))];
+};
+
+const getReceipt = async (receiptId, userId) => {
+  const { data: receipt, error } = await supabase
+    .from('receipts')
+    .select(`
+      id,
+      total_amount,
+      category_id,
+      receipt_items (
+        item_category,
+        total_price
+      )
+    `)
+    .eq('id', receiptId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      return null;
+    }
+    logger.error('Error fetching receipt for splits:', error);
+    throw new APIError('Failed to fetch receipt', 500, 'DATABASE_ERROR');
+  }
+
+  return receipt;
+};
+
+const fetchSplits = async (receiptId, userId) => {
+  const { data: splits, error } = await supabase
+    .from('receipt_category_splits')
+    .select(`
+      *,
+      categories (
+        id,
+        name,
+        icon,
+        color
+      )
+    `)
+    .eq('receipt_id', receiptId)
+    .eq('user_id', userId)
+    .order('amount', { ascending: false });
+
+  if (error) {
+    logger.error('Error fetching receipt splits:', error);
+    throw new APIError('Failed to fetch receipt splits', 500, 'DATABASE_ERROR');
+  }
+
+  return splits || [];
+};
+
+/**
+ * Replace a receipt's splits
+ */
+const replaceSplits = async (receiptId, userId, rows) => {
+  const { error: deleteError } = await supabase
+    .from('receipt_category_splits')
+    .delete()
+    .eq('receipt_id', receiptId)
+    .eq('user_id', userId);
+
+  if (deleteError) {
+    logger.error('Error deleting receipt splits:', deleteError);
+    throw new APIError('Failed to save receipt splits', 500, 'DATABASE_ERROR');
+  }
+
+  if (rows.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('receipt_category_splits')
+    .insert(rows.map(row => ({ ...row, receipt_id: receiptId, user_id: userId })));
+
+  if (error) {
+    logger.error('Error creating receipt splits:', error);
+    throw new APIError('Failed to save receipt splits', 500, 'DATABASE_ERROR');
+  }
+};
+
+/**
+ * Categories the user can assign, keyed by lowercase name
+ */
+const getCategoriesByName = async (userId) => {
+  const { data: categories, error } = await supabase
+    .from('categories')
+    .select('id, name, user_id')
+    .or(`user_id.eq.${userId},is_default.eq.true`);
+
+  if (error) {
+    logger.error('Error fetching categories for splits:', error);
+    throw new APIError('Failed to fetch categories', 500, 'DATABASE_ERROR');
+  }
+
+  // The user's own category wins over a default with the same name
+  const byName = new Map();
+  for (const category of categories || []) {
+    const key = category.name.toLowerCase();
+    if (!byName.has(key) || category.user_id) {
+      byName.set(key, category);
+    }
+  }
+  return byName;
+};
+
+/**
+ * Get a receipt's splits
+ * @param {string} receiptId - Receipt ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} { receipt_id, total_amount, source, splits }, or null if the receipt is not found
+ */
+const getReceiptSplits = async (receiptId, userId) => {
+  try {
+    const receipt = await getReceipt(receiptId, userId);
+    if (!receipt) {
+      return null;
+    }
+
+    const splits = await fetchSplits(receiptId, userId);
+
+    return {
+      receipt_id: receiptId,
+      total_amount: receipt.total_amount,
+      source: splits.length > 0 ? splits[0].source : null,
+      splits
+    };
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getReceiptSplits:', error);
+    throw new APIError('Failed to fetch receipt splits', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Split a receipt by hand. The amounts must add up to the receipt total;
+ * an empty list removes the splits.
+ * @param {string} receiptId - Receipt ID
+ * @param {string} userId - User ID
+ * @param {Array} splits - [{ category_id, amount, notes }]
+ * @returns {Promise<Object|null>} Splits as for getReceiptSplits, or null if the receipt is not found
+ */
+const setReceiptSplits = async (receiptId, userId, splits) => {
+  try {
+    const receipt = await getReceipt(receiptId, userId);
+    if (!receipt) {
+      return null;
+    }
+
+    if (splits.length > 0) {
+      const splitCents = splits.reduce((sum, split) => sum + toCents(split.amount), 0);
+      if (Math.abs(splitCents - toCents(receipt.total_amount)) > toCents(SPLIT_TOLERANCE)) {
+        throw new APIError(
+          `Split amounts (${(splitCents / 100).toFixed(2)}) must add up to the receipt total (${parseFloat(receipt.total_amount).toFixed(2)})`,
+          400,
+          'SPLIT_TOTAL_MISMATCH'
+        );
+      }
+
+      const categoryIds = [...new Set(splits.map(split => split.category_id))];
+      const { data: categories, error } = await supabase
+        .from('categories')
+        .select('id')
+        .in('id', categoryIds)
+        .or(`user_id.eq.${userId},is_default.eq.true`);
+
+      if (error) {
+        logger.error('Error checking split categories:', error);
+        throw new APIError('Failed to validate categories', 500, 'DATABASE_ERROR');
+      }
+
+      if ((categories || []).length !== categoryIds.length) {
+        throw new APIError('Category not found', 400, 'INVALID_CATEGORY');
+      }
+    }
+
+    await replaceSplits(receiptId, userId, splits.map(split => ({
+      category_id: split.category_id,
+      amount: toCents(split.amount) / 100,
+      source: 'manual',
+      notes: split.notes || null
+    })));
+
+    logger.info(`Receipt ${receiptId} split by hand`, { splits: splits.length });
+    return getReceiptSplits(receiptId, userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in setReceiptSplits:', error);
+    throw new APIError('Failed to save receipt splits', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Derive a receipt's splits from the categories of its line items. Items
+ * without a matching category count toward the receipt's own category.
+ * Splits entered by hand are kept unless overwriteManual is set.
+ * @param {string} receiptId - Receipt ID
+ * @param {string} userId - User ID
+ * @param {Object} options - { overwriteManual }
+ * @returns {Promise<Object|null>} Splits as for getReceiptSplits, or null if the receipt is not found
+ */
+const deriveReceiptSplits = async (receiptId, userId, { overwriteManual = false } = {}) => {
+  try {
+    const receipt = await getReceipt(receiptId, userId);
+    if (!receipt) {
+      return null;
+    }
+
+    const existing = await fetchSplits(receiptId, userId);
+    if (!overwriteManual && existing.some(split => split.source === 'manual')) {
+      return { receipt_id: receiptId, total_amount: receipt.total_amount, source: 'manual', splits: existing };
+    }
+
+    const derived = deriveSplitsFromItems(receipt.receipt_items, receipt.total_amount);
+    const categoriesByName = derived.length > 0 ? await getCategoriesByName(userId) : new Map();
+
+    // Names without a category of the user's fall back to the receipt's category
+    const byCategory = new Map();
+    for (const split of derived) {
+      const category = split.categoryName && categoriesByName.get(split.categoryName.toLowerCase());
+      const categoryId = category ? category.id : receipt.category_id || null;
+      byCategory.set(categoryId, (byCategory.get(categoryId) || 0) + toCents(split.amount));
+    }
+
+    const rows = byCategory.size < 2 ? [] : [...byCategory.entries()].map(([categoryId, cents]) => ({
+      category_id: categoryId,
+      amount: cents / 100,
+      source: 'line_items'
+    }));
+
+    await replaceSplits(receiptId, userId, rows);
+    return getReceiptSplits(receiptId, userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in deriveReceiptSplits:', error);
+    throw new APIError('Failed to derive receipt splits', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Derive splits without letting a failure block receipt processing
+ */
+const applyLineItemSplits = async (receiptId, userId) => {
+  try {
+    return await deriveReceiptSplits(receiptId, userId);
+  } catch (error) {
+    logger.warn('Receipt split derivation skipped:', { receiptId, error: error.message });
+    return null;
+  }
+};
+
+module.exports = {
+  ITEM_CATEGORY_MAP,
+  allocateAmount,
+  mapItemCategory,
+  deriveSplitsFromItems,
+  getReceiptAllocations,
+  getCategoryAmount,
+  findSplitReceiptIds,
+  getReceiptSplits,
+  setReceiptSplits,
+  deriveReceiptSplits,
+  applyLineItemSplits
+};
@@ -0,0 +1,277 @@
+/**
+ * Receipt Tax Service
+ * Reads the tax breakdown of VAT, GST and sales tax receipts into rate
+ * buckets (e.g. CGST 9% + SGST 9%, VAT 19% and 7%) and finds the seller's
+ * tax registration (GSTIN, VAT number), so business receipts can be used
+ * to reclaim input tax
+ */
+
+const localeService = require('./localeService');
+
+const TAX_TYPES = {
+  CGST: 'CGST',
+  SGST: 'SGST',
+  IGST: 'IGST',
+  UTGST: 'UTGST',
+  GST: 'GST',
+  HST: 'HST',
+  PST: 'PST',
+  QST: 'QST',
+  VAT: 'VAT',
+  SALES_TAX: 'SALES_TAX'
+};
+
+const TAX_ID_TYPES = {
+  GSTIN: 'GSTIN',
+  VAT: 'VAT',
+  ABN: 'ABN',
+  TAX_NUMBER: 'TAX_NUMBER'
+};
+
+// Checked in order; the first matching label sets the tax type
+const TAX_LABELS = [
+  { type: TAX_TYPES.CGST, pattern: /\bCGST\b/i },
+  { type: TAX_TYPES.SGST, pattern: /\bSGST\b/i },
+  { type: TAX_TYPES.IGST, pattern: /\bIGST\b/i },
+  { type: TAX_TYPES.UTGST, pattern: /\bUTGST\b/i },
+  { type: TAX_TYPES.HST, pattern: /\bHST\b/i },
+  { type: TAX_TYPES.PST, pattern: /\bPST\b/i },
+  { type: TAX_TYPES.QST, pattern: /\b(QST|TVQ)\b/i },
+  { type: TAX_TYPES.GST, pattern: /\b(GST|TPS)\b/i },
+  { type: TAX_TYPES.VAT, pattern: /\b(VAT|MwSt|USt|TVA|IVA|BTW|MVA|MOMS|DPH|PTU|ALV)\b|mehrwertsteuer|umsatzsteuer/i },
+  { type: TAX_TYPES.SALES_TAX, pattern: /\b(sales\s*tax|tax)\b/i }
+];
+
+// Lines that mention tax without being a tax amount
+const NON_TAX_LINE = /\b(gstin|vat\s*(reg|no|number|id)|ust-?id|tax\s*(id|reg|no|number)|tin|before\s+tax|pre-?tax|tax\s*invoice|tax\s*exempt)\b|st\.?-?\s*nr|steuer-?nr/i;
+
+// A printed tax total, used when the receipt has no per-rate lines
+const TOTAL_TAX_LINE = /\btotal\s+(sales\s+)?(tax|vat|gst|mwst)\b|\b(tax|vat|gst|mwst)\s+total\b/i;
+const TOTAL_LINE = /\b(sub\s*-?\s*total|total|summe|gesamt)\b/i;
+
+// Labels on a tax ID that belong to the buyer, not the seller
+const BUYER_LABEL = /\b(buyer|customer|recipient|bill(ed)?\s*to|ship(ped)?\s*to|consignee|client|kunde|empfänger)\b/i;
+
+const RATE_PATTERN = /(\d{1,2}(?:[.,]\d{1,3})?)\s*%/;
+const AMOUNT_PATTERN = /-?\d{1,3}(?:[.,' ]\d{3})*[.,]\d{2}(?!\d)|-?\d+[.,]\d{2}(?!\d)/g;
+
+// Valid single tax rates; anything else on a line is not a rate
+const MAX_RATE = 30;
+
+// Tax amounts may differ from net × rate by rounding
+const RATE_TOLERANCE = 0.02;
+
+const GSTIN_PATTERN = /\b(\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z])\b/;
+const TAX_ID_PATTERNS = [
+  { type: TAX_ID_TYPES.VAT, pattern: /\b(?:VAT|USt-?Id(?:Nr)?\.?|UID|TVA|N°\s*TVA|IVA|P\.?\s*IVA|BTW|NIF|CIF|MVA|MOMS)\b(?:[\s.:#-]*(?:Reg(?:istration)?|No|Nr|Number|ID)\b)*[^A-Z0-9\n]*((?:[A-Z]{2}\s?)?[0-9A-Z][0-9A-Z ]{7,14}[0-9A-Z])/i },
+  { type: TAX_ID_TYPES.ABN, pattern: /\bABN\b[^0-9\n]*(\d{2}\s?\d{3}\s?\d{3}\s?\d{3})\b/i },
+  { type: TAX_ID_TYPES.TAX_NUMBER, pattern: /(?:St\.?-?\s*Nr|Steuer-?(?:nummer|nr)|\bTIN|\bEIN|\bTax\s*(?:ID|Reg(?:istration)?)(?:\s*(?:No|Number))?)\.?[^A-Z0-9\n]*([0-9][0-9A-Z/ -]{6,18}[0-9A-Z])/i }
+];
+
+const EU_VAT_PREFIX = /^(AT|BE|BG|CY|CZ|DE|DK|EE|EL|ES|FI|FR|GB|HR|HU|IE|IT|LT|LU|LV|MT|NL|PL|PT|RO|SE|SI|SK|XI|CH|NO)/;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class ReceiptTaxService {
+
+  /**
+   * Read tax rate buckets and tax IDs from receipt text
+   * @param {string} rawText - OCR text
+   * @param {Object} options
+   * @param {string} options.decimalSeparator - '.' or ','
+   * @returns {Object} { taxes: [{ type, rate, taxableAmount, taxAmount }], totalTax, taxIds: [{ type, value, valid, party }], sellerTaxId }
+   */
+  extractTaxBreakdown(rawText, { decimalSeparator = '.' } = {}) {
+    const lines = String(rawText || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const buckets = new Map();
+    let printedTotal = null;
+
+    for (const line of lines) {
+      if (TOTAL_TAX_LINE.test(line) && !RATE_PATTERN.test(line)) {
+        printedTotal = printedTotal || this.parseTaxLine(line.replace(TOTAL_LINE, ' '), decimalSeparator);
+        continue;
+      }
+
+      const tax = this.parseTaxLine(line, decimalSeparator);
+      if (!tax) continue;
+
+      const key = `${tax.type}:${tax.rate}`;
+      const bucket = buckets.get(key);
+      // A rate printed in the items list and again in the summary counts once
+      if (bucket && bucket.taxAmount === tax.taxAmount) continue;
+      if (bucket) {
+        bucket.taxAmount = round(bucket.taxAmount + tax.taxAmount);
+        bucket.taxableAmount = bucket.taxableAmount !== null && tax.taxableAmount !== null
+          ? round(bucket.taxableAmount + tax.taxableAmount)
+          : null;
+      } else {
+        buckets.set(key, { ...tax });
+      }
+    }
+
+    if (buckets.size === 0 && printedTotal) {
+      buckets.set('total', printedTotal);
+    }
+
+    const taxes = [...buckets.values()];
+    const taxIds = this.extractTaxIds(lines);
+
+    return {
+      taxes,
+      totalTax: taxes.length > 0 ? round(taxes.reduce((sum, tax) => sum + tax.taxAmount, 0)) : null,
+      taxIds,
+      sellerTaxId: taxIds.find(taxId => taxId.party === 'seller') || null
+    };
+  }
+
+  /**
+   * Parse one tax line: "CGST @ 9% 45.00", "MwSt 19% 8,40 1,60 10,00",
+   * "GST 18% on 500.00 90.00" or "Sales Tax 1.65"
+   * @returns {Object|null} { type, rate, taxableAmount, taxAmount }
+   */
+  parseTaxLine(line, decimalSeparator = '.') {
+    if (NON_TAX_LINE.test(line) || (TOTAL_LINE.test(line) && !RATE_PATTERN.test(line))) {
+      return null;
+    }
+
+    const label = TAX_LABELS.find(({ pattern }) => pattern.test(line));
+    if (!label) return null;
+
+    const rateMatch = RATE_PATTERN.exec(line);
+    const rate = rateMatch ? parseFloat(rateMatch[1].replace(',', '.')) : null;
+    if (rate !== null && (rate <= 0 || rate > MAX_RATE)) return null;
+
+    const rest = rateMatch ? line.slice(0, rateMatch.index) + ' ' + line.slice(rateMatch.index + rateMatch[0].length) : line;
+    const amounts = (rest.match(AMOUNT_PATTERN) || [])
+      .map(raw => localeService.parseAmount(raw, decimalSeparator))
+      .filter(amount => amount !== null && amount > 0);
+    if (amounts.length === 0) return null;
+
+    const { taxableAmount, taxAmount } = this.resolveAmounts(amounts, rate);
+    if (!taxAmount) return null;
+
+    return { type: label.type, rate, taxableAmount, taxAmount };
+  }
+
+  /**
+   * Tell net and tax apart among a line's amounts. With a rate, the pair
+   * where tax ≈ net × rate wins (a gross amount may also be printed);
+   * a lone amount is the tax. Without a rate, the last amount is the tax.
+   * @returns {Object} { taxableAmount, taxAmount }
+   */
+  resolveAmounts(amounts, rate) {
+    if (rate === null) {
+      return { taxableAmount: null, taxAmount: amounts[amounts.length - 1] };
+    }
+
+    for (let i = 0; i < amounts.length; i++) {
+      for (let j = 0; j < amounts.length; j++) {
+        if (i === j) continue;
+        const expected = amounts[i] * rate / 100;
+        if (Math.abs(expected - amounts[j]) <= Math.max(RATE_TOLERANCE, expected * 0.005)) {
+          return { taxableAmount: amounts[i], taxAmount: amounts[j] };
+        }
+      }
+    }
+
+    // Only a gross amount and its tax, e.g. "19% 1,60 10,00"
+    if (amounts.length === 2) {
+      const [first, second] = amounts;
+      const gross = Math.max(first, second);
+      const tax = Math.min(first, second);
+      if (Math.abs(gross * rate / (100 + rate) - tax) <= RATE_TOLERANCE) {
+        return { taxableAmount: round(gross - tax), taxAmount: tax };
+      }
+    }
+
+    const taxAmount = amounts[amounts.length - 1];
+    return { taxableAmount: round(taxAmount * 100 / rate), taxAmount };
+  }
+
+  /**
+   * Find tax registration numbers. The first ID not labelled as the
+   * buyer's is taken to be the seller's.
+   * @param {Array<string>} lines - Receipt lines
+   * @returns {Array} [{ type, value, valid, party }]
+   */
+  extractTaxIds(lines) {
+    const found = new Map();
+
+    lines.forEach((line, index) => {
+      // "Bill to" usually heads the block holding the buyer's ID
+      const party = BUYER_LABEL.test(`${lines[index - 1] || ''} ${line}`) ? 'buyer' : 'seller';
+
+      const gstin = GSTIN_PATTERN.exec(line.toUpperCase());
+      if (gstin) {
+        this.addTaxId(found, { type: TAX_ID_TYPES.GSTIN, value: gstin[1], valid: this.isValidGstin(gstin[1]), party });
+        return;
+      }
+
+      for (const { type, pattern } of TAX_ID_PATTERNS) {
+        const match = pattern.exec(line);
+        if (!match) continue;
+
+        const value = this.normalizeTaxId(type, match[1]);
+        if (value.replace(/\D/g, '').length < 5) continue;
+        this.addTaxId(found, { type, value, valid: this.isValidTaxId(type, value), party });
+        break;
+      }
+    });
+
+    return [...found.values()];
+  }
+
+  addTaxId(found, taxId) {
+    const key = `${taxId.type}:${taxId.value}`;
+    if (!found.has(key)) {
+      found.set(key, taxId);
+    }
+  }
+
+  normalizeTaxId(type, raw) {
+    const value = String(raw).trim().toUpperCase();
+    return type === TAX_ID_TYPES.TAX_NUMBER ? value.replace(/\s+/g, ' ') : value.replace(/[\s.-]/g, '');
+  }
+
+  isValidTaxId(type, value) {
+    if (type === TAX_ID_TYPES.VAT) {
+      // Country prefix plus 8-12 characters; UK numbers are often printed without the prefix
+      return (EU_VAT_PREFIX.test(value) && /^[A-Z]{2}[0-9A-Z]{8,12}$/.test(value)) || /^\d{9}(\d{3})?$/.test(value);
+    }
+    if (type === TAX_ID_TYPES.ABN) {
+      return this.isValidAbn(value);
+    }
+    return /\d{6,}/.test(value.replace(/\D/g, ''));
+  }
+
+  /**
+   * GSTIN check digit: base-36 weighted sum over the first 14 characters
+   */
+  isValidGstin(gstin) {
+    const chars = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+      const product = chars.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+      sum += Math.floor(product / 36) + (product % 36);
+    }
+    return chars[(36 - (sum % 36)) % 36] === gstin[14];
+  }
+
+  /**
+   * ABN check: weighted sum of the digits, first digit less one, divisible by 89
+   */
+  isValidAbn(abn) {
+    const digits = abn.replace(/\D/g, '').split('').map(Number);
+    if (digits.length !== 11) return false;
+    const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+    digits[0] -= 1;
+    return digits.reduce((sum, digit, index) => sum + digit * weights[index], 0) % 89 === 0;
+  }
+}
+
+// Export singleton instance
+const receiptTaxService = new ReceiptTaxService();
+
+module.exports = receiptTaxService;
+module.exports.TAX_TYPES = TAX_TYPES;
+module.exports.TAX_ID_TYPES = TAX_ID_TYPES;
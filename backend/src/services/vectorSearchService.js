@@ -1,4 +1,5 @@
-const { supabase } = require('../../config/supabase');
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const embeddingService = require('./embeddingService');
 
 /**
  * Vector Search Service for Hey-Bills RAG System
@@ -19,16 +20,23 @@ class VectorSearchService {
    */
   async searchSimilarReceipts(queryEmbedding, userId, options = {}) {
     try {
+      if (!queryEmbedding || !userId) {
+        return [];
+      }
+
       const limit = options.limit || this.defaultLimit;
       const threshold = options.threshold || this.similarityThreshold;
 
-      // First, search in receipt embeddings
-      const { data: receiptEmbeddings, error: embeddingError } = await supabase
+      // First, search in receipt embeddings made by the same model as the
+      // query. The search function is restricted to the service role and
+      // scoped by the user ID passed to it.
+      const { data: receiptEmbeddings, error: embeddingError } = await (supabaseAdmin || supabase)
         .rpc('search_receipt_embeddings', {
           query_embedding: queryEmbedding,
           match_threshold: threshold,
           match_count: limit,
-          user_id: userId
+          user_id: userId,
+          embedding_model: embeddingService.getModelVersion()
         });
 
       if (embeddingError) {
@@ -280,27 +288,12 @@ class VectorSearchService {
   /**
    * Store receipt embedding
    * @param {string} receiptId - Receipt ID
-   * @param {Array} embedding - Embedding vector
-   * @param {string} contentType - Type of content
+   * @param {Object} result - { embedding, contentText, contentHash, model } from embeddingService
    * @returns {Promise<boolean>} Success status
    */
-  async storeEmbedding(receiptId, embedding, contentType = 'receipt_full') {
+  async storeEmbedding(receiptId, result) {
     try {
-      const { error } = await supabase
-        .from('receipt_embeddings')
-        .upsert({
-          receipt_id: receiptId,
-          embedding,
-          content_type: contentType,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-
-      if (error) {
-        console.error('Embedding storage error:', error);
-        return false;
-      }
-
+      await embeddingService.storeEmbedding('receipt', receiptId, result);
       return true;
     } catch (error) {
       console.error('Embedding storage error:', error);
@@ -0,0 +1,543 @@
+/**
+ * Warranty Claim Service
+ * Claim lifecycle (submitted → acknowledged → in repair → resolved or
+ * rejected), its timeline of events, attached documents and reminders for
+ * the expected resolution date
+ */
+
+const { supabase } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+
+const CLAIM_STATUSES = {
+  SUBMITTED: 'submitted',
+  ACKNOWLEDGED: 'acknowledged',
+  IN_REPAIR: 'in_repair',
+  RESOLVED: 'resolved',
+  REJECTED: 'rejected'
+};
+
+// Statuses a claim may move to from each status; a provider can reject an open claim at any point
+const CLAIM_TRANSITIONS = {
+  submitted: ['acknowledged', 'rejected'],
+  acknowledged: ['in_repair', 'resolved', 'rejected'],
+  in_repair: ['resolved', 'rejected'],
+  resolved: [],
+  rejected: []
+};
+
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+
+const DOCUMENT_TYPES = ['receipt', 'photo', 'invoice', 'correspondence', 'repair_report', 'other'];
+
+const EVENT_TYPES = {
+  STATUS_CHANGE: 'status_change',
+  NOTE: 'note',
+  DOCUMENT_ADDED: 'document_added',
+  DOCUMENT_REMOVED: 'document_removed',
+  REMINDER_SCHEDULED: 'reminder_scheduled'
+};
+
+// Reminders go out in the morning (UTC) of the expected resolution date
+const REMINDER_TIME = 'T09:00:00.000Z';
+
+const CLAIM_SELECT = `
+  *,
+  warranty_claim_events (
+    id,
+    event_type,
+    from_status,
+    to_status,
+    note,
+    metadata,
+    created_at
+  ),
+  warranty_claim_documents (
+    id,
+    document_type,
+    file_url,
+    file_name,
+    mime_type,
+    description,
+    created_at
+  )
+`;
+
+/**
+ * Whether a claim may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (CLAIM_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Shape a claim row for responses: timeline oldest first, documents newest first
+ * @param {Object} claim - Claim row with events and documents
+ * @returns {Object} Claim
+ */
+const formatClaim = (claim) => {
+  const { warranty_claim_events: events, warranty_claim_documents: documents, ...fields } = claim;
+  return {
+    ...fields,
+    is_open: !CLOSED_STATUSES.includes(claim.claim_status),
+    allowed_transitions: CLAIM_TRANSITIONS[claim.claim_status] || [],
+    timeline: [...(events || [])].sort((a, b) => new Date(a.created_at) - new Date(b.created_at)),
+    documents: [...(documents || [])].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+  };
+};
+
+/**
+ * Load the warranty a claim belongs to
+ * @returns {Promise<Object>} { id, product_name }
+ */
+const getClaimWarranty = async (warrantyId, userId) => {
+  const { data: warranty, error } = await supabase
+    .from('warranties')
+    .select('id, product_name')
+    .eq('id', warrantyId)
+    .eq('user_id', userId)
+    .eq('is_deleted', false)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') {
+      throw new APIError('Warranty not found', 404, 'WARRANTY_NOT_FOUND');
+    }
+    logger.error('Error fetching warranty for claim:', error);
+    throw new APIError('Failed to fetch warranty', 500, 'DATABASE_ERROR');
+  }
+
+  return warranty;
+};
+
+/**
+ * Append an event to a claim's timeline
+ */
+const recordEvent = async (claimId, userId, { eventType, fromStatus = null, toStatus = null, note = null, metadata = {} }) => {
+  const { error } = await supabase
+    .from('warranty_claim_events')
+    .insert({
+      claim_id: claimId,
+      user_id: userId,
+      event_type: eventType,
+      from_status: fromStatus,
+      to_status: toStatus,
+      note,
+      metadata
+    });
+
+  if (error) {
+    logger.error('Error recording warranty claim event:', error);
+    throw new APIError('Failed to record claim event', 500, 'DATABASE_ERROR');
+  }
+};
+
+/**
+ * Expire a claim's scheduled reminder so it is never delivered
+ */
+const cancelReminder = async (claim) => {
+  if (!claim.reminder_notification_id) return;
+
+  const { error } = await supabase
+    .from('notifications')
+    .update({ expires_at: new Date().toISOString() })
+    .eq('id', claim.reminder_notification_id)
+    .eq('is_sent', false);
+
+  if (error) {
+    logger.warn('Failed to cancel warranty claim reminder', { claimId: claim.id, error: error.message });
+  }
+};
+
+/**
+ * Schedule a reminder for the claim's expected resolution date, replacing
+ * any earlier one. Reminder failures never fail the claim update.
+ * @param {Object} claim - Claim row
+ * @param {Object} warranty - { id, product_name }
+ */
+const scheduleReminder = async (claim, warranty) => {
+  try {
+    await cancelReminder(claim);
+
+    const today = new Date().toISOString().split('T')[0];
+    if (!claim.expected_resolution_date || claim.expected_resolution_date < today ||
+      CLOSED_STATUSES.includes(claim.claim_status)) {
+      if (claim.reminder_notification_id) {
+        await supabase.from('warranty_claims').update({ reminder_notification_id: null }).eq('id', claim.id);
+      }
+      return null;
+    }
+
+    const notification = await notificationService.createNotification({
+      userId: claim.user_id,
+      type: 'warranty_claim',
+      title: `Warranty claim follow-up: ${warranty.product_name}`,
+      message: `Your claim "${claim.claim_reason}" was expected to be resolved by ${claim.expected_resolution_date}. Check in with the provider if you have not heard back.`,
+      relatedEntityType: 'warranty_claim',
+      relatedEntityId: claim.id,
+      scheduledFor: `${claim.expected_resolution_date}${REMINDER_TIME}`,
+      metadata: {
+        warranty_id: warranty.id,
+        claim_id: claim.id,
+        expected_resolution_date: claim.expected_resolution_date
+      }
+    });
+
+    await supabase
+      .from('warranty_claims')
+      .update({ reminder_notification_id: notification.id })
+      .eq('id', claim.id);
+
+    await recordEvent(claim.id, claim.user_id, {
+      eventType: EVENT_TYPES.REMINDER_SCHEDULED,
+      metadata: { notification_id: notification.id, scheduled_for: notification.scheduled_for }
+    });
+
+    return notification;
+  } catch (error) {
+    logger.warn('Failed to schedule warranty claim reminder', { claimId: claim.id, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Insert documents attached to a claim
+ * @param {Array<Object>} documents - [{ file_url, file_name, mime_type, document_type, description }]
+ * @returns {Promise<Array>} Created documents
+ */
+const insertDocuments = async (claimId, userId, documents) => {
+  const rows = documents.map(document => ({
+    claim_id: claimId,
+    user_id: userId,
+    document_type: DOCUMENT_TYPES.includes(document.document_type) ? document.document_type : 'other',
+    file_url: document.file_url || document.url,
+    file_name: document.file_name || document.name || null,
+    mime_type: document.mime_type || null,
+    description: document.description || null
+  }));
+
+  if (rows.some(row => !row.file_url)) {
+    throw new APIError('Each document requires a file_url', 400, 'INVALID_DOCUMENT');
+  }
+
+  const { data, error } = await supabase
+    .from('warranty_claim_documents')
+    .insert(rows)
+    .select();
+
+  if (error) {
+    logger.error('Error attaching warranty claim documents:', error);
+    throw new APIError('Failed to attach documents', 500, 'DATABASE_ERROR');
+  }
+
+  for (const document of data) {
+    await recordEvent(claimId, userId, {
+      eventType: EVENT_TYPES.DOCUMENT_ADDED,
+      metadata: { document_id: document.id, file_name: document.file_name, document_type: document.document_type }
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Get a claim with its timeline and documents
+ * @param {string} claimId - Claim ID
+ * @param {string} warrantyId - Warranty ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Claim, or null if not found
+ */
+const getClaim = async (claimId, warrantyId, userId) => {
+  try {
+    const { data: claim, error } = await supabase
+      .from('warranty_claims')
+      .select(CLAIM_SELECT)
+      .eq('id', claimId)
+      .eq('warranty_id', warrantyId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null; // Not found
+      }
+      logger.error('Error fetching warranty claim:', error);
+      throw new APIError('Failed to fetch warranty claim', 500, 'DATABASE_ERROR');
+    }
+
+    return formatClaim(claim);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getClaim:', error);
+    throw new APIError('Failed to fetch warranty claim', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * List a warranty's claims, newest first
+ * @param {string} warrantyId - Warranty ID
+ * @param {string} userId - User ID
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} Claims
+ */
+const getClaims = async (warrantyId, userId, { status } = {}) => {
+  try {
+    await getClaimWarranty(warrantyId, userId);
+
+    let query = supabase
+      .from('warranty_claims')
+      .select(CLAIM_SELECT)
+      .eq('warranty_id', warrantyId)
+      .eq('user_id', userId);
+
+    if (status) {
+      query = query.eq('claim_status', status);
+    }
+
+    const { data: claims, error } = await query.order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Error fetching warranty claims:', error);
+      throw new APIError('Failed to fetch warranty claims', 500, 'DATABASE_ERROR');
+    }
+
+    return (claims || []).map(formatClaim);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in getClaims:', error);
+    throw new APIError('Failed to fetch warranty claims', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * File a claim against a warranty
+ * @param {string} warrantyId - Warranty ID
+ * @param {string} userId - User ID
+ * @param {Object} claimData - { claim_reason, claim_description, claim_date, expected_resolution_date,
+ *   provider_reference, claim_amount, supporting_documents }
+ * @returns {Promise<Object>} Created claim
+ */
+const createClaim = async (warrantyId, userId, claimData) => {
+  try {
+    const warranty = await getClaimWarranty(warrantyId, userId);
+    const { supporting_documents: documents = [], ...fields } = claimData;
+
+    const { data: claim, error } = await supabase
+      .from('warranty_claims')
+      .insert({
+        warranty_id: warrantyId,
+        user_id: userId,
+        claim_reason: fields.claim_reason,
+        claim_description: fields.claim_description,
+        claim_date: fields.claim_date || new Date().toISOString().split('T')[0],
+        expected_resolution_date: fields.expected_resolution_date || null,
+        provider_reference: fields.provider_reference || null,
+        claim_amount: fields.claim_amount ?? null,
+        claim_status: CLAIM_STATUSES.SUBMITTED,
+        status_changed_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Error creating warranty claim:', error);
+      throw new APIError('Failed to create warranty claim', 500, 'DATABASE_ERROR');
+    }
+
+    await recordEvent(claim.id, userId, {
+      eventType: EVENT_TYPES.STATUS_CHANGE,
+      toStatus: CLAIM_STATUSES.SUBMITTED,
+      note: fields.claim_reason
+    });
+
+    if (documents.length > 0) {
+      await insertDocuments(claim.id, userId, documents);
+    }
+
+    await scheduleReminder(claim, warranty);
+
+    logger.info(`Warranty claim created: ${claim.id} for warranty: ${warrantyId}`);
+    return getClaim(claim.id, warrantyId, userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in createClaim:', error);
+    throw new APIError('Failed to create warranty claim', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Move a claim through its lifecycle or update its details. Closed claims
+ * only accept notes.
+ * @param {string} claimId - Claim ID
+ * @param {string} warrantyId - Warranty ID
+ * @param {string} userId - User ID
+ * @param {Object} updates - { status, note, expected_resolution_date, resolution_notes,
+ *   resolution_date, provider_reference, approved_amount }
+ * @returns {Promise<Object|null>} Updated claim, or null if not found
+ */
+const updateClaim = async (claimId, warrantyId, userId, updates) => {
+  try {
+    const claim = await getClaim(claimId, warrantyId, userId);
+    if (!claim) {
+      return null;
+    }
+
+    const { status, note, ...details } = updates;
+    const statusChanged = status !== undefined && status !== claim.claim_status;
+    const detailKeys = ['expected_resolution_date', 'resolution_notes', 'resolution_date', 'provider_reference', 'approved_amount']
+      .filter(key => details[key] !== undefined);
+
+    if (!claim.is_open && (statusChanged || detailKeys.length > 0)) {
+      throw new APIError(`Claim is ${claim.claim_status}; only notes can be added`, 409, 'CLAIM_CLOSED');
+    }
+
+    if (statusChanged && !canTransition(claim.claim_status, status)) {
+      const allowed = CLAIM_TRANSITIONS[claim.claim_status] || [];
+      throw new APIError(
+        `Cannot move a claim from ${claim.claim_status} to ${status}; allowed: ${allowed.join(', ') || 'none'}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    const changes = {};
+    for (const key of detailKeys) {
+      changes[key] = details[key];
+    }
+    if (statusChanged) {
+      changes.claim_status = status;
+      changes.status_changed_at = new Date().toISOString();
+      if (CLOSED_STATUSES.includes(status) && !changes.resolution_date) {
+        changes.resolution_date = new Date().toISOString().split('T')[0];
+      }
+    }
+
+    let updated = claim;
+    if (Object.keys(changes).length > 0) {
+      // Only update the claim in the status it was checked in, so two
+      // concurrent transitions cannot both apply
+      const { data, error } = await supabase
+        .from('warranty_claims')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', claimId)
+        .eq('user_id', userId)
+        .eq('claim_status', claim.claim_status)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Error updating warranty claim:', error);
+        throw new APIError('Failed to update warranty claim', 500, 'DATABASE_ERROR');
+      }
+      if (!data) {
+        throw new APIError('Claim was changed by another request; reload it and try again', 409, 'CLAIM_CHANGED');
+      }
+      updated = data;
+    }
+
+    if (statusChanged) {
+      await recordEvent(claimId, userId, {
+        eventType: EVENT_TYPES.STATUS_CHANGE,
+        fromStatus: claim.claim_status,
+        toStatus: status,
+        note: note || changes.resolution_notes || null
+      });
+    } else if (note) {
+      await recordEvent(claimId, userId, { eventType: EVENT_TYPES.NOTE, note });
+    }
+
+    const closed = statusChanged && CLOSED_STATUSES.includes(status);
+    if (closed || changes.expected_resolution_date !== undefined) {
+      const warranty = await getClaimWarranty(warrantyId, userId);
+      await scheduleReminder(updated, warranty);
+    }
+
+    return getClaim(claimId, warrantyId, userId);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in updateClaim:', error);
+    throw new APIError('Failed to update warranty claim', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Attach documents to a claim
+ * @returns {Promise<Array|null>} Created documents, or null if the claim was not found
+ */
+const addClaimDocuments = async (claimId, warrantyId, userId, documents) => {
+  try {
+    const claim = await getClaim(claimId, warrantyId, userId);
+    if (!claim) {
+      return null;
+    }
+
+    return insertDocuments(claimId, userId, documents);
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in addClaimDocuments:', error);
+    throw new APIError('Failed to attach documents', 500, 'INTERNAL_ERROR');
+  }
+};
+
+/**
+ * Remove a document from a claim
+ * @returns {Promise<boolean>} Whether the document existed
+ */
+const removeClaimDocument = async (claimId, warrantyId, userId, documentId) => {
+  try {
+    const claim = await getClaim(claimId, warrantyId, userId);
+    const document = claim && claim.documents.find(candidate => candidate.id === documentId);
+    if (!document) {
+      return false;
+    }
+
+    const { error } = await supabase
+      .from('warranty_claim_documents')
+      .delete()
+      .eq('id', documentId)
+      .eq('user_id', userId);
+
+    if (error) {
+      logger.error('Error removing warranty claim document:', error);
+      throw new APIError('Failed to remove document', 500, 'DATABASE_ERROR');
+    }
+
+    await recordEvent(claimId, userId, {
+      eventType: EVENT_TYPES.DOCUMENT_REMOVED,
+      metadata: { document_id: documentId, file_name: document.file_name }
+    });
+
+    return true;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    logger.error('Error in removeClaimDocument:', error);
+    throw new APIError('Failed to remove document', 500, 'INTERNAL_ERROR');
+  }
+};
+
+module.exports = {
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  DOCUMENT_TYPES,
+  canTransition,
+  getClaims,
+  getClaim,
+  createClaim,
+  updateClaim,
+  addClaimDocuments,
+  removeClaimDocument
+};
@@ -11,6 +11,37 @@ const fuzzball = require('fuzzball');
 const logger = require('../utils/logger');
 const { APIError } = require('../utils/errorHandler');
 const { supabase } = require('../../config/supabase');
+const warrantyReminderService = require('./warrantyReminderService');
+
+// Protection plans sold as their own receipt line, with the term they
+// usually run for when the line does not say
+const PROTECTION_PLANS = [
+  { provider: 'AppleCare', pattern: /\bapple\s*care\s*(\+|plus)?/i, defaultTermMonths: 24 },
+  { provider: 'Geek Squad', pattern: /\bgeek\s*squad\b|\bgsp\b/i, defaultTermMonths: 24 },
+  { provider: 'Samsung Care+', pattern: /\bsamsung\s*care\s*(\+|plus)/i, defaultTermMonths: 24 },
+  { provider: 'Allstate', pattern: /\b(allstate|square\s*trade)\b/i, defaultTermMonths: 24 },
+  { provider: 'Asurion', pattern: /\basurion\b/i, defaultTermMonths: 24 },
+  { provider: null, pattern: /\b(protection|replacement|service|care)\s*plan\b|\bext(ended)?\.?\s*warranty\b/i, defaultTermMonths: 12 }
+];
+
+const PLAN_TERM_PATTERNS = [
+  { pattern: /\b(\d{1,2})\s*-?\s*(?:yr|yrs|year|years)\b/i, months: 12 },
+  { pattern: /\b(\d{1,3})\s*-?\s*(?:mo|mos|mth|month|months)\b/i, months: 1 }
+];
+
+/**
+ * Calendar date (YYYY-MM-DD) of a date string or Date, without shifting
+ * date-only strings through UTC
+ */
+const toDateString = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.slice(0, 10);
+  }
+  return format(new Date(value), 'yyyy-MM-dd');
+};
+
+// Words in a plan line that say nothing about the product it covers
+const PLAN_NOISE = /\b(apple\s*care|geek\s*squad|gsp|samsung\s*care|allstate|square\s*trade|asurion|protection|replacement|service|care|plan|extended|ext|warranty|accidental|damage|adh|for|with|theft|loss|plus|\d+\s*-?\s*(yr|yrs|year|years|mo|mos|month|months))\b|\+/gi;
 
 class WarrantyDetectionService {
   constructor() {
@@ -37,13 +68,17 @@ class WarrantyDetectionService {
         textLength: ocrText.length
       });
 
+      // Protection plan lines are not products with a warranty of their own
+      const protectionPlans = this.detectProtectionPlans(items, merchantName);
+      const productItems = items.filter(item => !this.matchProtectionPlan(this.getItemName(item)));
+
       // Multiple detection approaches
       const detectionResults = await Promise.all([
         this.detectFromText(ocrText),
-        this.detectFromItems(items, merchantName),
+        this.detectFromItems(productItems, merchantName),
         this.detectFromMerchant(merchantName, totalAmount),
         this.detectFromPatterns(ocrText),
-        this.detectFromProductDatabase(items)
+        this.detectFromProductDatabase(productItems)
       ]);
 
       // Combine and process results
@@ -57,13 +92,15 @@ class WarrantyDetectionService {
 
       return {
         warranties: enhancedWarranties,
+        protectionPlans,
         metadata: {
           detectionMethods: detectionResults.length,
           totalWarrantiesFound: enhancedWarranties.length,
+          protectionPlansFound: protectionPlans.length,
           averageConfidence: this.calculateAverageConfidence(enhancedWarranties),
           processingTime: Date.now()
         },
-        recommendations: this.generateWarrantyRecommendations(enhancedWarranties, items)
+        recommendations: this.generateWarrantyRecommendations(enhancedWarranties, productItems)
       };
 
     } catch (error) {
@@ -155,6 +192,115 @@ class WarrantyDetectionService {
     return { approach: 'items', warranties };
   }
 
+  /**
+   * Find protection plans bought as separate lines (AppleCare+, Geek Squad
+   * Protection, ...) and the item each one covers
+   * @param {Array} items - Receipt line items
+   * @param {string} merchantName - Merchant name, used as provider of unbranded plans
+   * @returns {Array<Object>} Plans with provider, planName, cost, termMonths and coveredItemName
+   */
+  detectProtectionPlans(items, merchantName = '') {
+    const plans = [];
+
+    items.forEach((item, index) => {
+      const name = this.getItemName(item);
+      const plan = this.matchProtectionPlan(name);
+      if (!plan) {
+        return;
+      }
+
+      const { coveredItem, matchedByName } = this.findCoveredItem(items, index);
+      plans.push({
+        provider: plan.provider || merchantName || null,
+        planName: name.trim(),
+        cost: this.getItemPrice(item),
+        termMonths: this.extractPlanTermMonths(name) || plan.defaultTermMonths,
+        coveredItemName: coveredItem ? this.getItemName(coveredItem) : null,
+        warrantyType: 'extended',
+        source: 'protection_plan',
+        confidence: coveredItem ? (matchedByName ? 0.9 : 0.7) : 0.4
+      });
+    });
+
+    return plans;
+  }
+
+  /**
+   * Protection plan definition matching an item name, if any
+   */
+  matchProtectionPlan(itemName) {
+    if (!itemName) {
+      return null;
+    }
+    return PROTECTION_PLANS.find(plan => plan.pattern.test(itemName)) || null;
+  }
+
+  /**
+   * Plan term from the line text, e.g. "2YR" or "36 MO"
+   * @returns {number|null} Term in months
+   */
+  extractPlanTermMonths(itemName) {
+    for (const { pattern, months } of PLAN_TERM_PATTERNS) {
+      const match = pattern.exec(itemName);
+      if (match) {
+        return parseInt(match[1]) * months;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Item a plan line covers: the product named in the plan line when there
+   * is one ("APPLECARE+ IPHONE 15"), otherwise the nearest product above it
+   * (plans are rung up right after the product), otherwise the priciest one
+   */
+  findCoveredItem(items, planIndex) {
+    const products = items
+      .map((item, index) => ({ item, index }))
+      .filter(({ item }) => !this.matchProtectionPlan(this.getItemName(item)));
+
+    if (products.length === 0) {
+      return { coveredItem: null, matchedByName: false };
+    }
+
+    // Whole words match short names like "TV"; substrings only longer ones
+    const productWords = this.getItemName(items[planIndex]).replace(PLAN_NOISE, ' ').replace(/\s+/g, ' ').trim().toLowerCase();
+    if (productWords.length >= 2) {
+      const scored = products
+        .map(product => {
+          const name = this.getItemName(product.item).toLowerCase();
+          const score = Math.max(
+            fuzzball.token_set_ratio(productWords, name),
+            productWords.length >= 5 ? fuzzball.partial_ratio(productWords, name) : 0
+          );
+          return { ...product, score };
+        })
+        .sort((a, b) => b.score - a.score);
+      if (scored[0].score >= 80) {
+        return { coveredItem: scored[0].item, matchedByName: true };
+      }
+    }
+
+    const preceding = products.filter(product => product.index < planIndex);
+    if (preceding.length > 0) {
+      return { coveredItem: preceding[preceding.length - 1].item, matchedByName: false };
+    }
+
+    const priciest = products.reduce((best, product) => (
+      (this.getItemPrice(product.item) || 0) > (this.getItemPrice(best.item) || 0) ? product : best
+    ));
+    return { coveredItem: priciest.item, matchedByName: false };
+  }
+
+  getItemName(item) {
+    return item.name || item.item_name || '';
+  }
+
+  getItemPrice(item) {
+    const price = [item.totalPrice, item.price, item.total_price].find(value => value !== undefined && value !== null);
+    return price !== undefined ? parseFloat(price) : null;
+  }
+
   /**
    * Detect warranty based on merchant
    */
@@ -716,10 +862,23 @@ class WarrantyDetectionService {
   }
 
   /**
-   * Save warranty to database
+   * Save warranty to database. Detections without a product or an end date
+   * cannot form a warranty record and are skipped, and a product that
+   * already has a warranty from this receipt keeps it.
+   * @returns {Promise<Object|null>} Saved or existing warranty
    */
-  async saveWarranty(userId, receiptId, warrantyData) {
+  async saveWarranty(userId, receiptId, warrantyData, { purchaseDate = null } = {}) {
     try {
+      if (!warrantyData.itemName || !warrantyData.expirationDate) {
+        return null;
+      }
+
+      const existing = await this.findReceiptWarranty(userId, receiptId, warrantyData.itemName);
+      if (existing) {
+        return existing;
+      }
+
+      const startDate = toDateString(warrantyData.startDate || purchaseDate || new Date());
       const { data: warranty, error } = await supabase
         .from('warranties')
         .insert({
@@ -730,13 +889,11 @@ class WarrantyDetectionService {
           model_number: warrantyData.productModel,
           serial_number: warrantyData.serialNumber,
           warranty_type: warrantyData.warrantyType,
-          coverage_details: warrantyData.coverage,
-          start_date: warrantyData.startDate || new Date(),
-          expiration_date: warrantyData.expirationDate,
-          warranty_document: warrantyData.originalText,
-          detection_confidence: warrantyData.confidence,
-          detection_method: warrantyData.detectionMethod,
-          status: 'active'
+          warranty_terms: warrantyData.coverage,
+          purchase_date: toDateString(purchaseDate || startDate),
+          warranty_start_date: startDate,
+          warranty_end_date: toDateString(warrantyData.expirationDate),
+          notes: warrantyData.originalText
         })
         .select()
         .single();
@@ -753,6 +910,115 @@ class WarrantyDetectionService {
     }
   }
 
+  /**
+   * Link a detected protection plan to the warranty of the item it covers,
+   * creating that warranty when the item has none. The plan is recorded as
+   * an extension and the warranty end date moves out to the plan end date;
+   * the date before any extension is kept in base_warranty_end_date.
+   * Linking the same plan again (a retried job) changes nothing.
+   * @param {string} userId - User ID
+   * @param {string} receiptId - Receipt the plan was bought on
+   * @param {Object} plan - Plan from detectProtectionPlans
+   * @param {Object} options - { purchaseDate }
+   * @returns {Promise<Object|null>} { warranty, extension }, or null when the covered item is unknown
+   */
+  async linkProtectionPlan(userId, receiptId, plan, { purchaseDate = null } = {}) {
+    try {
+      if (!plan.coveredItemName) {
+        logger.info('Protection plan without a covered item left unlinked', { receiptId, planName: plan.planName });
+        return null;
+      }
+
+      const coverageStart = toDateString(purchaseDate || new Date());
+      const coverageEnd = format(addMonths(new Date(`${coverageStart}T00:00:00`), plan.termMonths), 'yyyy-MM-dd');
+
+      let warranty = await this.findReceiptWarranty(userId, receiptId, plan.coveredItemName);
+      if (!warranty) {
+        warranty = await this.saveWarranty(userId, receiptId, {
+          itemName: plan.coveredItemName,
+          warrantyType: 'extended',
+          coverage: plan.planName,
+          startDate: coverageStart,
+          expirationDate: coverageEnd
+        }, { purchaseDate: coverageStart });
+      }
+
+      const { data: extension, error: extensionError } = await supabase
+        .from('warranty_extensions')
+        .upsert({
+          warranty_id: warranty.id,
+          user_id: userId,
+          receipt_id: receiptId,
+          provider: plan.provider || 'Unknown',
+          plan_name: plan.planName,
+          plan_cost: plan.cost,
+          term_months: plan.termMonths,
+          coverage_start_date: coverageStart,
+          coverage_end_date: coverageEnd,
+          covered_item_name: plan.coveredItemName,
+          detection_confidence: plan.confidence,
+          source: 'receipt_detection'
+        }, { onConflict: 'warranty_id,receipt_id,provider' })
+        .select()
+        .single();
+
+      if (extensionError) {
+        throw new APIError('Failed to link protection plan', 500, 'WARRANTY_SAVE_FAILED', { error: extensionError.message });
+      }
+
+      if (coverageEnd > warranty.warranty_end_date) {
+        const { data: extended, error: updateError } = await supabase
+          .from('warranties')
+          .update({
+            base_warranty_end_date: warranty.base_warranty_end_date || warranty.warranty_end_date,
+            warranty_end_date: coverageEnd,
+            updated_at: new Date().toISOString()
+          })
+          .eq('id', warranty.id)
+          .select()
+          .single();
+
+        if (updateError) {
+          throw new APIError('Failed to extend warranty', 500, 'WARRANTY_SAVE_FAILED', { error: updateError.message });
+        }
+        warranty = extended;
+
+        await warrantyReminderService.syncWarrantyReminder(warranty).catch(error => {
+          logger.warn('Could not refresh reminder of extended warranty', { warrantyId: warranty.id, error: error.message });
+        });
+      }
+
+      logger.info('Protection plan linked to warranty', { warrantyId: warranty.id, provider: extension.provider, coverageEnd });
+      return { warranty, extension };
+
+    } catch (error) {
+      logger.error('Protection plan linking failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Warranty saved from the same receipt for the covered item
+   */
+  async findReceiptWarranty(userId, receiptId, productName) {
+    const { data: warranties, error } = await supabase
+      .from('warranties')
+      .select('id, product_name, warranty_end_date, base_warranty_end_date')
+      .eq('user_id', userId)
+      .eq('receipt_id', receiptId)
+      .eq('is_deleted', false);
+
+    if (error) {
+      throw new APIError('Failed to load receipt warranties', 500, 'DATABASE_ERROR', { error: error.message });
+    }
+
+    const scored = (warranties || [])
+      .map(warranty => ({ warranty, score: fuzzball.token_set_ratio(warranty.product_name, productName) }))
+      .sort((a, b) => b.score - a.score);
+
+    return scored.length > 0 && scored[0].score >= 80 ? scored[0].warranty : null;
+  }
+
   /**
    * Initialize patterns and data
    */
@@ -0,0 +1,481 @@
+/**
+ * Warranty Reminder Service
+ * Turns warranty reminder settings into a reminders row with the next
+ * trigger time, and fires due triggers as notifications. Every trigger has
+ * a stable key recorded in trigger_history and used as the notification
+ * dedupe key, so running the same trigger twice never notifies twice.
+ */
+
+const { supabase, supabaseAdmin } = require('../../config/supabase');
+const { APIError } = require('../../utils/errorHandler');
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+
+const REMINDER_TYPE = 'warranty_expiring';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DELIVERY_METHODS = ['in_app', 'email', 'push'];
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  days_before: [30, 7, 1],
+  time: '09:00',
+  timezone: 'UTC',
+  business_days_only: false
+};
+
+const WARRANTY_FIELDS = 'id, user_id, product_name, warranty_end_date, reminder_settings, alert_preferences, is_active, is_deleted';
+
+/**
+ * Check that a time zone is known to the runtime
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} Whether it can be used with Intl
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value, 10)]));
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a local date and time in a time zone to a UTC instant. The offset
+ * is re-read at the result so times just after a DST change land correctly.
+ * @param {string} dateString - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:MM)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} UTC instant
+ */
+const zonedTimeToUtc = (dateString, time, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const firstGuess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Local calendar date of an instant in a time zone
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const getLocalDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+};
+
+const addDays = (dateString, days) => {
+  return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+};
+
+const daysBetween = (fromDate, toDate) => {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+};
+
+/**
+ * Move a date back to the previous Friday when it falls on a weekend, so a
+ * business-day reminder arrives early rather than late
+ */
+const toBusinessDay = (dateString) => {
+  const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  if (weekday === 6) return addDays(dateString, -1);
+  if (weekday === 0) return addDays(dateString, -2);
+  return dateString;
+};
+
+class WarrantyReminderService {
+  constructor() {
+    // The scheduler fires reminders on behalf of every user
+    this.client = supabaseAdmin || supabase;
+  }
+
+  /**
+   * Merge a warranty's reminder_settings with its legacy alert_preferences,
+   * the owner's profile time zone and the defaults
+   * @param {Object} warranty - Warranty row
+   * @param {string} [profileTimeZone] - Time zone from the user's profile
+   * @returns {Object} Normalized settings
+   */
+  normalizeSettings(warranty, profileTimeZone = null) {
+    const settings = warranty.reminder_settings || {};
+    const alerts = warranty.alert_preferences || {};
+
+    const days = settings.days_before || settings.days || alerts.days || DEFAULT_SETTINGS.days_before;
+    const daysBefore = [...new Set((Array.isArray(days) ? days : [days])
+      .map(value => parseInt(value, 10))
+      .filter(value => Number.isInteger(value) && value >= 0 && value <= 365))]
+      .sort((a, b) => b - a);
+
+    const timeZone = [settings.timezone, profileTimeZone].find(isValidTimeZone) || DEFAULT_SETTINGS.timezone;
+
+    let deliveryMethod = Array.isArray(settings.delivery_method)
+      ? settings.delivery_method.filter(method => DELIVERY_METHODS.includes(method))
+      : ['in_app', ...(alerts.email ? ['email'] : []), ...(alerts.push ? ['push'] : [])];
+    if (deliveryMethod.length === 0) {
+      deliveryMethod = ['in_app'];
+    }
+
+    return {
+      enabled: settings.enabled !== false && daysBefore.length > 0,
+      days_before: daysBefore,
+      time: TIME_PATTERN.test(settings.time) ? settings.time : DEFAULT_SETTINGS.time,
+      timezone: timeZone,
+      business_days_only: settings.business_days_only === true,
+      delivery_method: deliveryMethod
+    };
+  }
+
+  /**
+   * Every trigger of a warranty, earliest first. The key includes the end
+   * date, so extending a warranty schedules a fresh set of reminders.
+   * @param {Object} warranty - Warranty row
+   * @param {Object} settings - Normalized settings
+   * @returns {Array<Object>} Triggers with key, days_before, local_date and trigger_at
+   */
+  buildTriggers(warranty, settings) {
+    return settings.days_before.map(daysBefore => {
+      let localDate = addDays(warranty.warranty_end_date, -daysBefore);
+      if (settings.business_days_only) {
+        localDate = toBusinessDay(localDate);
+      }
+
+      return {
+        key: `warranty:${warranty.id}:${warranty.warranty_end_date}:${daysBefore}`,
+        days_before: daysBefore,
+        local_date: localDate,
+        trigger_at: zonedTimeToUtc(localDate, settings.time, settings.timezone).toISOString()
+      };
+    }).sort((a, b) => a.trigger_at.localeCompare(b.trigger_at));
+  }
+
+  /**
+   * Earliest trigger that is not yet in the history
+   * @param {Array<Object>} triggers - Triggers from buildTriggers
+   * @param {Array<Object>} history - Reminder trigger_history
+   * @returns {string|null} ISO timestamp, or null when every trigger is done
+   */
+  getNextTriggerAt(triggers, history = []) {
+    const done = new Set(history.map(entry => entry.key));
+    const pending = triggers.find(trigger => !done.has(trigger.key));
+    return pending ? pending.trigger_at : null;
+  }
+
+  /**
+   * Whether a warranty should still get expiry reminders
+   */
+  isReminderActive(warranty, settings, now) {
+    return Boolean(warranty.is_active !== false && !warranty.is_deleted && settings.enabled &&
+      warranty.warranty_end_date >= getLocalDate(now, settings.timezone));
+  }
+
+  /**
+   * Create or refresh the reminders row of a warranty from its current
+   * settings. trigger_history is left untouched.
+   * @param {Object} warranty - Warranty row
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} Reminder row
+   */
+  async syncWarrantyReminder(warranty, { now = new Date() } = {}) {
+    try {
+      const [profileTimeZone, existing] = await Promise.all([
+        this.getProfileTimeZone(warranty.user_id),
+        this.getWarrantyReminder(warranty.id)
+      ]);
+
+      const settings = this.normalizeSettings(warranty, profileTimeZone);
+      const triggers = this.buildTriggers(warranty, settings);
+      const nextTriggerAt = this.getNextTriggerAt(triggers, existing?.trigger_history);
+      const isActive = this.isReminderActive(warranty, settings, now) && nextTriggerAt !== null;
+
+      const { data: reminder, error } = await this.client
+        .from('reminders')
+        .upsert({
+          user_id: warranty.user_id,
+          warranty_id: warranty.id,
+          reminder_type: REMINDER_TYPE,
+          title: `Warranty for ${warranty.product_name} expires ${warranty.warranty_end_date}`,
+          scheduled_at: triggers[0]?.trigger_at || zonedTimeToUtc(warranty.warranty_end_date, settings.time, settings.timezone).toISOString(),
+          delivery_methods: settings.delivery_method,
+          timezone: settings.timezone,
+          business_days_only: settings.business_days_only,
+          custom_schedule_rules: { days_before: settings.days_before, time: settings.time },
+          next_trigger_at: isActive ? nextTriggerAt : null,
+          is_active: isActive,
+          is_completed: nextTriggerAt === null
+        }, { onConflict: 'warranty_id,reminder_type' })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error('Error syncing warranty reminder:', error);
+        throw new APIError('Failed to sync warranty reminder', 500, 'DATABASE_ERROR');
+      }
+
+      return reminder;
+    } catch (error) {
+      if (error instanceof APIError) {
+        throw error;
+      }
+      logger.error('Error in syncWarrantyReminder:', error);
+      throw new APIError('Failed to sync warranty reminder', 500, 'INTERNAL_ERROR');
+    }
+  }
+
+  /**
+   * Sync reminders for warranties changed since a point in time, page by
+   * page. Without `since`, every warranty that has not expired is synced.
+   * @param {Object} options - { since, now, pageSize }
+   * @returns {Promise<Object>} { synced, failed }
+   */
+  async syncReminders({ since = null, now = new Date(), pageSize = 200 } = {}) {
+    let synced = 0;
+    let failed = 0;
+
+    for (let offset = 0; ; offset += pageSize) {
+      let query = this.client
+        .from('warranties')
+        .select(WARRANTY_FIELDS)
+        .order('id', { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      query = since
+        ? query.gte('updated_at', since)
+        : query.gte('warranty_end_date', addDays(now.toISOString().slice(0, 10), -1));
+
+      const { data: warranties, error } = await query;
+      if (error) {
+        logger.error('Error loading warranties for reminder sync:', error);
+        throw new APIError('Failed to sync warranty reminders', 500, 'DATABASE_ERROR');
+      }
+
+      for (const warranty of warranties) {
+        try {
+          await this.syncWarrantyReminder(warranty, { now });
+          synced += 1;
+        } catch (syncError) {
+          failed += 1;
+          logger.warn('Skipping warranty reminder sync', { warrantyId: warranty.id, error: syncError.message });
+        }
+      }
+
+      if (warranties.length < pageSize) {
+        break;
+      }
+    }
+
+    return { synced, failed };
+  }
+
+  /**
+   * Fire every reminder whose next trigger time has passed
+   * @param {Object} options - { now, limit }
+   * @returns {Promise<Object>} { processed, sent, skipped }
+   */
+  async runDueReminders({ now = new Date(), limit = 100 } = {}) {
+    const { data: reminders, error } = await this.client
+      .from('reminders')
+      .select(`*, warranty:warranties(${WARRANTY_FIELDS})`)
+      .eq('reminder_type', REMINDER_TYPE)
+      .eq('is_active', true)
+      .lte('next_trigger_at', now.toISOString())
+      .order('next_trigger_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Error loading due reminders:', error);
+      throw new APIError('Failed to load due reminders', 500, 'DATABASE_ERROR');
+    }
+
+    const summary = { processed: 0, sent: 0, skipped: 0 };
+    for (const reminder of reminders) {
+      try {
+        const result = await this.processReminder(reminder, { now });
+        summary.processed += 1;
+        summary.sent += result.sent;
+        summary.skipped += result.skipped;
+      } catch (processError) {
+        logger.error('Failed to process warranty reminder', { reminderId: reminder.id, error: processError.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Fire the due triggers of one reminder. When several are due at once
+   * (the scheduler was down, or the warranty was added late) only the
+   * latest is sent and the older ones are recorded as skipped.
+   * @param {Object} reminder - Reminder row with its warranty
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { sent, skipped }
+   */
+  async processReminder(reminder, { now = new Date() } = {}) {
+    const { warranty } = reminder;
+    const history = reminder.trigger_history || [];
+
+    if (!warranty) {
+      await this.updateReminder(reminder.id, { is_active: false, next_trigger_at: null });
+      return { sent: 0, skipped: 0 };
+    }
+
+    const settings = this.normalizeSettings(warranty, reminder.timezone);
+    const triggers = this.buildTriggers(warranty, settings);
+    const done = new Set(history.map(entry => entry.key));
+    const due = triggers.filter(trigger => !done.has(trigger.key) && trigger.trigger_at <= now.toISOString());
+    const active = this.isReminderActive(warranty, settings, now);
+
+    const entries = [];
+    const latest = active ? due[due.length - 1] : null;
+    for (const trigger of due) {
+      const entry = {
+        key: trigger.key,
+        days_before: trigger.days_before,
+        trigger_at: trigger.trigger_at,
+        triggered_at: now.toISOString()
+      };
+
+      if (trigger === latest) {
+        const notification = await this.sendReminderNotification(reminder, warranty, trigger, settings, now);
+        entries.push({ ...entry, status: 'sent', notification_id: notification.id });
+      } else {
+        entries.push({ ...entry, status: 'skipped' });
+      }
+    }
+
+    const updatedHistory = [...history, ...entries];
+    const nextTriggerAt = this.getNextTriggerAt(triggers, updatedHistory);
+    const stillActive = active && nextTriggerAt !== null;
+    const sent = entries.filter(entry => entry.status === 'sent').length;
+
+    await this.updateReminder(reminder.id, {
+      trigger_history: updatedHistory,
+      next_trigger_at: stillActive ? nextTriggerAt : null,
+      is_active: stillActive,
+      is_completed: nextTriggerAt === null,
+      ...(sent > 0 && {
+        last_triggered_at: now.toISOString(),
+        occurrence_count: (reminder.occurrence_count || 0) + sent
+      })
+    });
+
+    return { sent, skipped: entries.length - sent };
+  }
+
+  /**
+   * Create the notification for one trigger, keyed by the trigger key
+   */
+  async sendReminderNotification(reminder, warranty, trigger, settings, now) {
+    const daysRemaining = daysBetween(getLocalDate(now, settings.timezone), warranty.warranty_end_date);
+    const when = daysRemaining === 0 ? 'today' : daysRemaining === 1 ? 'tomorrow' : `in ${daysRemaining} days`;
+
+    const notification = await notificationService.createNotification({
+      userId: warranty.user_id,
+      type: REMINDER_TYPE,
+      title: `Warranty expires ${when}`,
+      message: `The warranty for ${warranty.product_name} expires on ${warranty.warranty_end_date}.`,
+      priority: daysRemaining <= 7 ? 'high' : 'medium',
+      relatedEntityType: 'warranty',
+      relatedEntityId: warranty.id,
+      deliveryMethod: settings.delivery_method,
+      metadata: {
+        days_before: trigger.days_before,
+        days_remaining: daysRemaining,
+        warranty_end_date: warranty.warranty_end_date,
+        trigger_key: trigger.key
+      },
+      reminderId: reminder.id,
+      dedupeKey: trigger.key
+    });
+
+    if (notification.duplicate) {
+      logger.info('Warranty reminder already sent', { reminderId: reminder.id, key: trigger.key });
+    }
+
+    return notification;
+  }
+
+  async updateReminder(reminderId, fields) {
+    const { error } = await this.client
+      .from('reminders')
+      .update(fields)
+      .eq('id', reminderId);
+
+    if (error) {
+      logger.error('Error updating reminder:', error);
+      throw new APIError('Failed to update reminder', 500, 'DATABASE_ERROR');
+    }
+  }
+
+  async getWarrantyReminder(warrantyId) {
+    const { data: reminder, error } = await this.client
+      .from('reminders')
+      .select('id, trigger_history')
+      .eq('warranty_id', warrantyId)
+      .eq('reminder_type', REMINDER_TYPE)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Error loading warranty reminder:', error);
+      throw new APIError('Failed to load warranty reminder', 500, 'DATABASE_ERROR');
+    }
+
+    return reminder;
+  }
+
+  async getProfileTimeZone(userId) {
+    const { data: profile, error } = await this.client
+      .from('user_profiles')
+      .select('timezone')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) {
+      logger.warn('Could not load profile time zone, using UTC', { userId, error: error.message });
+      return null;
+    }
+
+    return profile?.timezone || null;
+  }
+}
+
+// Export singleton instance
+const warrantyReminderService = new WarrantyReminderService();
+
+module.exports = warrantyReminderService;
+module.exports.REMINDER_TYPE = REMINDER_TYPE;
+module.exports.isValidTimeZone = isValidTimeZone;
+module.exports.zonedTimeToUtc = zonedTimeToUtc;
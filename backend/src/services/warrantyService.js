@@ -5,7 +5,21 @@
 
 const { supabase } = require('../../config/supabase');
 const { APIError } = require('../../utils/errorHandler');
-const { logger } = require('../utils/logger');
+const logger = require('../utils/logger');
+const warrantyReminderService = require('./warrantyReminderService');
+
+/**
+ * Refresh the expiry reminder of a saved warranty. The scheduler resyncs
+ * changed warranties on its own, so a failure here only delays reminders.
+ * @param {Object} warranty - Saved warranty row
+ */
+const refreshWarrantyReminder = async (warranty) => {
+  try {
+    await warrantyReminderService.syncWarrantyReminder(warranty);
+  } catch (error) {
+    logger.warn('Could not refresh warranty reminder', { warrantyId: warranty.id, error: error.message });
+  }
+};
 
 /**
  * Get warranties for a specific user with filtering and pagination
@@ -360,8 +374,21 @@ const getWarrantyById = async (warrantyId, userId) => {
           claim_description,
           claim_date,
           claim_status,
+          expected_resolution_date,
           resolution_date,
           resolution_notes
+        ),
+        warranty_extensions (
+          id,
+          receipt_id,
+          provider,
+          plan_name,
+          plan_cost,
+          term_months,
+          coverage_start_date,
+          coverage_end_date,
+          covered_item_name,
+          source
         )
       `)
       .eq('id', warrantyId)
@@ -389,8 +416,19 @@ const getWarrantyById = async (warrantyId, userId) => {
       status = 'expiring_soon';
     }
 
+    // Protection plans that push coverage past the original warranty
+    const extensions = (warranty.warranty_extensions || [])
+      .sort((a, b) => a.coverage_end_date.localeCompare(b.coverage_end_date));
+
     return {
       ...warranty,
+      warranty_extensions: extensions,
+      coverage: {
+        base_end_date: warranty.base_warranty_end_date || warranty.warranty_end_date,
+        end_date: warranty.warranty_end_date,
+        is_extended: extensions.length > 0,
+        extension_cost: Math.round(extensions.reduce((sum, extension) => sum + (parseFloat(extension.plan_cost) || 0), 0) * 100) / 100
+      },
       status,
       days_until_expiry: daysUntilExpiry
     };
@@ -441,6 +479,7 @@ const createWarranty = async (warrantyData) => {
     }
 
     logger.info(`Warranty created: ${warranty.id} for user: ${warrantyData.user_id}`);
+    await refreshWarrantyReminder(warranty);
     return warranty;
   } catch (error) {
     if (error instanceof APIError) {
@@ -494,6 +533,7 @@ const updateWarranty = async (warrantyId, userId, updateData) => {
     }
 
     logger.info(`Warranty updated: ${warrantyId} for user: ${userId}`);
+    await refreshWarrantyReminder(warranty);
     return warranty;
   } catch (error) {
     if (error instanceof APIError) {
@@ -533,6 +573,7 @@ const updateWarrantyReminder = async (warrantyId, userId, reminderSettings) => {
       throw new APIError('Failed to update warranty reminder', 500, 'DATABASE_ERROR');
     }
 
+    await refreshWarrantyReminder(warranty);
     return warranty;
   } catch (error) {
     if (error instanceof APIError) {
@@ -543,40 +584,6 @@ const updateWarrantyReminder = async (warrantyId, userId, reminderSettings) => {
   }
 };
 
-/**
- * Create warranty claim
- * @param {Object} claimData - Claim data
- * @returns {Promise<Object>} Created claim
- */
-const createWarrantyClaim = async (claimData) => {
-  try {
-    const { data: claim, error } = await supabase
-      .from('warranty_claims')
-      .insert({
-        ...claimData,
-        claim_status: 'submitted',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-
-    if (error) {
-      logger.error('Error creating warranty claim:', error);
-      throw new APIError('Failed to create warranty claim', 500, 'DATABASE_ERROR');
-    }
-
-    logger.info(`Warranty claim created: ${claim.id} for warranty: ${claimData.warranty_id}`);
-    return claim;
-  } catch (error) {
-    if (error instanceof APIError) {
-      throw error;
-    }
-    logger.error('Error in createWarrantyClaim:', error);
-    throw new APIError('Failed to create warranty claim', 500, 'INTERNAL_ERROR');
-  }
-};
-
 /**
  * Delete warranty
  * @param {string} warrantyId - Warranty ID
@@ -663,7 +670,6 @@ module.exports = {
   createWarranty,
   updateWarranty,
   updateWarrantyReminder,
-  createWarrantyClaim,
   deleteWarranty,
   bulkDeleteWarranties
 };
\ No newline at end of file
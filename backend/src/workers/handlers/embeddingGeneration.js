@@ -0,0 +1,31 @@
+/**
+ * Embedding Generation Job Handler
+ * Generates and stores the search embedding for a receipt
+ */
+
+const receiptService = require('../../services/receiptService');
+
+/**
+ * @param {Object} jobData - { receiptId, userId }
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+const handleEmbeddingGeneration = async ({ receiptId, userId }) => {
+  // Loaded lazily so the worker starts even when the AI stack is not configured
+  const ragService = require('../../services/ragService');
+
+  const receipt = await receiptService.getReceiptById(receiptId, userId);
+  if (!receipt) {
+    const error = new Error(`Receipt ${receiptId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const stored = await ragService.processNewReceipt(receipt);
+  if (!stored) {
+    throw new Error(`Failed to store embedding for receipt ${receiptId}`);
+  }
+
+  return { receiptId };
+};
+
+module.exports = handleEmbeddingGeneration;
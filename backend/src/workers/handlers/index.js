@@ -0,0 +1,17 @@
+/**
+ * Job Handlers Index
+ * Maps each job type to the handler that processes it
+ */
+
+const { JOB_TYPES } = require('../../services/jobQueueService');
+const handleOCRProcessing = require('./ocrProcessing');
+const handleReceiptProcessing = require('./receiptProcessing');
+const handleEmbeddingGeneration = require('./embeddingGeneration');
+const handleNotificationSend = require('./notificationSend');
+
+module.exports = {
+  [JOB_TYPES.OCR_PROCESSING]: handleOCRProcessing,
+  [JOB_TYPES.RECEIPT_PROCESSING]: handleReceiptProcessing,
+  [JOB_TYPES.EMBEDDING_GENERATION]: handleEmbeddingGeneration,
+  [JOB_TYPES.NOTIFICATION_SEND]: handleNotificationSend
+};
@@ -0,0 +1,16 @@
+/**
+ * Notification Send Job Handler
+ * Delivers a notification created by notificationService
+ */
+
+const notificationService = require('../../services/notificationService');
+
+/**
+ * @param {Object} jobData - { notificationId }
+ * @returns {Promise<Object>} Delivery summary stored as the job result
+ */
+const handleNotificationSend = async ({ notificationId }) => {
+  return notificationService.deliverNotification(notificationId);
+};
+
+module.exports = handleNotificationSend;
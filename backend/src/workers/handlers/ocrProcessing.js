@@ -0,0 +1,36 @@
+/**
+ * OCR Processing Job Handler
+ * Re-runs OCR on a stored receipt image and saves the extracted data
+ */
+
+const receiptService = require('../../services/receiptService');
+const ocrService = require('../../services/ocrService');
+
+/**
+ * @param {Object} jobData - { receiptId, userId }
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+const handleOCRProcessing = async ({ receiptId, userId }) => {
+  const receipt = await receiptService.getReceiptById(receiptId, userId);
+  if (!receipt) {
+    const error = new Error(`Receipt ${receiptId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const ocrData = await ocrService.reprocessReceiptImage({
+    imageUrl: receipt.image_url,
+    receiptId
+  });
+
+  await receiptService.updateReceiptOCR({ receiptId, ocrData, userId });
+
+  return {
+    receiptId,
+    confidence: ocrData.confidence,
+    previousConfidence: receipt.ocr_confidence,
+    itemCount: ocrData.items?.length || 0
+  };
+};
+
+module.exports = handleOCRProcessing;
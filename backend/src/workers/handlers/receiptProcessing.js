@@ -0,0 +1,17 @@
+/**
+ * Receipt Processing Job Handler
+ * Runs the staged OCR pipeline for a receipt uploaded in async mode
+ */
+
+const receiptProcessingService = require('../../services/receiptProcessingService');
+
+/**
+ * @param {Object} jobData - { receiptId, userId }
+ * @param {Object} job - Claimed job row
+ * @returns {Promise<Object>} Summary stored as the job result
+ */
+const handleReceiptProcessing = async (jobData, job) => {
+  return receiptProcessingService.processReceipt(jobData, job);
+};
+
+module.exports = handleReceiptProcessing;
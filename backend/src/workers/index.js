@@ -0,0 +1,47 @@
+/**
+ * Background Worker Entry Point
+ * Run standalone with `npm run worker`, or embedded in the API server
+ * by setting JOB_WORKER_ENABLED=true. The reminder scheduler runs alongside
+ * the job worker unless REMINDER_SCHEDULER_ENABLED=false.
+ */
+
+require('dotenv').config();
+
+const JobWorker = require('./jobWorker');
+const ReminderScheduler = require('./reminderScheduler');
+const handlers = require('./handlers');
+
+/**
+ * Create a worker with every built-in job handler registered
+ * @param {Object} options - JobWorker options
+ * @returns {JobWorker} Worker instance (not started)
+ */
+const createWorker = (options = {}) => new JobWorker({ handlers, ...options });
+
+/**
+ * Create the warranty reminder scheduler, or null when it is disabled
+ * @param {Object} options - ReminderScheduler options
+ * @returns {ReminderScheduler|null} Scheduler instance (not started)
+ */
+const createReminderScheduler = (options = {}) => (
+  process.env.REMINDER_SCHEDULER_ENABLED === 'false' ? null : new ReminderScheduler(options)
+);
+
+if (require.main === module) {
+  const worker = createWorker();
+  const reminderScheduler = createReminderScheduler();
+  worker.start();
+  if (reminderScheduler) reminderScheduler.start();
+
+  const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received, stopping job worker`);
+    if (reminderScheduler) await reminderScheduler.stop();
+    await worker.stop();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+module.exports = { createWorker, createReminderScheduler };
@@ -0,0 +1,251 @@
+/**
+ * Job Worker
+ * Polls the job queue, dispatches jobs to registered handlers and settles
+ * them with retry/backoff. Any number of workers may run side by side.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const jobQueueService = require('../services/jobQueueService');
+const logger = require('../utils/logger');
+
+// A finished job's result is worth a few tries to save before giving up
+const COMPLETE_ATTEMPTS = 3;
+const COMPLETE_RETRY_DELAY_MS = 1000;
+
+class JobWorker {
+  /**
+   * @param {Object} options - Worker options
+   * @param {string} [options.workerId] - Identifier stored in processed_by
+   * @param {string} [options.queueName] - Queue to consume
+   * @param {number} [options.concurrency] - Maximum jobs running at once
+   * @param {number} [options.pollIntervalMs] - Delay between polls when idle
+   * @param {number} [options.leaseSeconds] - Time after which a running job is considered abandoned
+   * @param {Object} [options.handlers] - Map of job_type to async handler(jobData, job)
+   */
+  constructor({
+    workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`,
+    queueName = process.env.JOB_QUEUE_NAME || 'default',
+    concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2,
+    pollIntervalMs = parseInt(process.env.JOB_WORKER_POLL_INTERVAL_MS) || 2000,
+    leaseSeconds = parseInt(process.env.JOB_WORKER_LEASE_SECONDS) || 600,
+    handlers = {}
+  } = {}) {
+    this.workerId = workerId;
+    this.queueName = queueName;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.leaseSeconds = leaseSeconds;
+    this.handlers = new Map(Object.entries(handlers));
+
+    this.running = false;
+    this.polling = false;
+    this.activeJobs = new Map();
+    this.pollTimer = null;
+    this.lastStaleCheck = 0;
+    this.stats = { completed: 0, failed: 0, retried: 0 };
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} jobType - Job type
+   * @param {Function} handler - Async handler(jobData, job) returning a JSON-serializable result
+   */
+  registerHandler(jobType, handler) {
+    this.handlers.set(jobType, handler);
+    return this;
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('Job worker started', {
+      workerId: this.workerId,
+      queueName: this.queueName,
+      concurrency: this.concurrency,
+      jobTypes: [...this.handlers.keys()]
+    });
+
+    this.schedulePoll(0);
+  }
+
+  /**
+   * Stop polling and wait for in-flight jobs to settle
+   * @param {number} timeoutMs - Maximum time to wait for in-flight jobs
+   */
+  async stop(timeoutMs = 30000) {
+    this.running = false;
+    clearTimeout(this.pollTimer);
+
+    if (this.activeJobs.size > 0) {
+      logger.info('Waiting for in-flight jobs', { count: this.activeJobs.size });
+      await Promise.race([
+        Promise.allSettled([...this.activeJobs.values()]),
+        new Promise(resolve => setTimeout(resolve, timeoutMs))
+      ]);
+    }
+
+    logger.info('Job worker stopped', { workerId: this.workerId, stats: this.stats });
+  }
+
+  schedulePoll(delayMs) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delayMs);
+  }
+
+  /**
+   * Claim as many jobs as there are free slots and run them
+   */
+  async poll() {
+    // A finishing job may trigger a poll while another one is still claiming
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+    let claimed = [];
+
+    try {
+      await this.recoverStaleJobs();
+
+      const freeSlots = this.concurrency - this.activeJobs.size;
+      if (freeSlots > 0) {
+        claimed = await jobQueueService.claimJobs(this.workerId, this.queueName, freeSlots);
+      }
+
+      for (const job of claimed) {
+        const execution = this.runJob(job).finally(() => {
+          this.activeJobs.delete(job.id);
+          // A slot just opened up; look for more work right away
+          this.schedulePoll(0);
+        });
+        this.activeJobs.set(job.id, execution);
+      }
+    } catch (error) {
+      logger.error('Job worker poll failed:', { workerId: this.workerId, error: error.message });
+    } finally {
+      this.polling = false;
+    }
+
+    const hasFreeSlots = this.activeJobs.size < this.concurrency;
+    this.schedulePoll(claimed.length > 0 && hasFreeSlots ? 0 : this.pollIntervalMs);
+  }
+
+  /**
+   * Requeue jobs left running by crashed workers, at most once per lease period
+   */
+  async recoverStaleJobs() {
+    const now = Date.now();
+    if (now - this.lastStaleCheck < this.leaseSeconds * 1000) {
+      return;
+    }
+    this.lastStaleCheck = now;
+
+    const recovered = await jobQueueService.requeueStaleJobs(this.leaseSeconds);
+    if (recovered > 0) {
+      logger.warn('Recovered stale jobs', { count: recovered });
+    }
+  }
+
+  /**
+   * Run a single claimed job and record its outcome
+   * @param {Object} job - Claimed job row
+   */
+  async runJob(job) {
+    const startTime = Date.now();
+    const handler = this.handlers.get(job.job_type);
+    let result;
+
+    try {
+      if (!handler) {
+        const error = new Error(`No handler registered for job type ${job.job_type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      logger.debug('Running job', { jobId: job.id, jobType: job.job_type, attempt: job.attempts });
+      result = await handler(job.job_data || {}, job);
+    } catch (error) {
+      await this.settleFailure(job, error, Date.now() - startTime);
+      return;
+    }
+
+    // The handler succeeded, so a failure to save that is never a job failure
+    await this.settleCompletion(job, result, Date.now() - startTime);
+  }
+
+  /**
+   * Mark a job whose handler succeeded as completed, retrying the write a
+   * few times. If it still fails, the job is left running and its lease
+   * expiry will requeue it.
+   * @param {Object} job - Claimed job row
+   * @param {Object} result - Handler result
+   * @param {number} durationMs - Processing duration
+   */
+  async settleCompletion(job, result, durationMs) {
+    for (let attempt = 1; attempt <= COMPLETE_ATTEMPTS; attempt++) {
+      try {
+        const settled = await jobQueueService.completeJob(job, this.workerId, result, durationMs);
+
+        if (!settled) {
+          logger.warn('Job completed after its lease was lost', { jobId: job.id, jobType: job.job_type });
+          return;
+        }
+
+        this.stats.completed += 1;
+        logger.info('Job completed', { jobId: job.id, jobType: job.job_type, durationMs });
+        return;
+      } catch (error) {
+        if (attempt === COMPLETE_ATTEMPTS) {
+          logger.error('Failed to record job completion:', { jobId: job.id, error: error.message });
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, COMPLETE_RETRY_DELAY_MS * attempt));
+      }
+    }
+  }
+
+  /**
+   * Record a handler failure, scheduling a retry or failing the job
+   * @param {Object} job - Claimed job row
+   * @param {Error} error - Error raised by the handler
+   * @param {number} durationMs - Processing duration
+   */
+  async settleFailure(job, error, durationMs) {
+    try {
+      const { retrying, scheduledAt } = await jobQueueService.failJob(job, this.workerId, error, durationMs);
+
+      if (retrying) {
+        this.stats.retried += 1;
+        logger.warn('Job failed, retry scheduled', {
+          jobId: job.id,
+          jobType: job.job_type,
+          attempt: job.attempts,
+          scheduledAt,
+          error: error.message
+        });
+      } else {
+        this.stats.failed += 1;
+        logger.error('Job failed permanently', {
+          jobId: job.id,
+          jobType: job.job_type,
+          attempts: job.attempts,
+          error: error.message
+        });
+      }
+    } catch (settleError) {
+      // The lease will expire and the job will be recovered by requeue_stale_jobs
+      logger.error('Failed to settle job:', { jobId: job.id, error: settleError.message });
+    }
+  }
+}
+
+module.exports = JobWorker;
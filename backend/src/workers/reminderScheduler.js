@@ -0,0 +1,105 @@
+/**
+ * Reminder Scheduler
+ * Periodically syncs warranty reminders with their warranties and fires
+ * the ones that are due. Safe to run in several processes at once: a
+ * trigger is only ever turned into one notification.
+ */
+
+const warrantyReminderService = require('../services/warrantyReminderService');
+const logger = require('../utils/logger');
+
+class ReminderScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} [options.intervalMs] - Delay between ticks
+   * @param {number} [options.syncIntervalMs] - Minimum delay between warranty syncs
+   * @param {number} [options.batchSize] - Due reminders fired per query
+   */
+  constructor({
+    intervalMs = parseInt(process.env.REMINDER_SCHEDULER_INTERVAL_MS) || 60000,
+    syncIntervalMs = parseInt(process.env.REMINDER_SYNC_INTERVAL_MS) || 5 * 60 * 1000,
+    batchSize = parseInt(process.env.REMINDER_SCHEDULER_BATCH_SIZE) || 100
+  } = {}) {
+    this.intervalMs = intervalMs;
+    this.syncIntervalMs = syncIntervalMs;
+    this.batchSize = batchSize;
+
+    this.running = false;
+    this.ticking = null;
+    this.timer = null;
+    this.lastSyncAt = null;
+    this.stats = { sent: 0, skipped: 0 };
+  }
+
+  /**
+   * Start ticking. The first tick syncs every unexpired warranty, which also
+   * catches up on reminders missed while no scheduler was running.
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    logger.info('Reminder scheduler started', { intervalMs: this.intervalMs });
+    this.scheduleTick(0);
+  }
+
+  /**
+   * Stop ticking and wait for the current tick to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+
+    if (this.ticking) {
+      await this.ticking;
+    }
+
+    logger.info('Reminder scheduler stopped', { stats: this.stats });
+  }
+
+  scheduleTick(delayMs) {
+    if (!this.running) {
+      return;
+    }
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.ticking = this.tick().finally(() => {
+        this.ticking = null;
+        this.scheduleTick(this.intervalMs);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Sync warranties changed since the last sync, then fire due reminders
+   * until none are left
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    try {
+      if (!this.lastSyncAt || now - this.lastSyncAt >= this.syncIntervalMs) {
+        // Look back one interval so a warranty saved mid-sync is not missed
+        const since = this.lastSyncAt
+          ? new Date(this.lastSyncAt.getTime() - this.syncIntervalMs).toISOString()
+          : null;
+        const { synced, failed } = await warrantyReminderService.syncReminders({ since, now });
+        this.lastSyncAt = now;
+        logger.debug('Warranty reminders synced', { synced, failed, full: since === null });
+      }
+
+      let processed;
+      do {
+        const summary = await warrantyReminderService.runDueReminders({ now, limit: this.batchSize });
+        processed = summary.processed;
+        this.stats.sent += summary.sent;
+        this.stats.skipped += summary.skipped;
+      } while (this.running && processed === this.batchSize);
+    } catch (error) {
+      logger.error('Reminder scheduler tick failed:', { error: error.message });
+    }
+  }
+}
+
+module.exports = ReminderScheduler;
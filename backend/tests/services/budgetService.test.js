@@ -0,0 +1,162 @@
+/**
+ * Budget Service Unit Tests
+ * Tests for budget period calculation, rollover and status computation
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../../config/supabase');
+const {
+  getPeriodBounds,
+  computeBudgetStatus,
+  updateBudget
+} = require('../../src/services/budgetService');
+
+const createBudget = (overrides = {}) => ({
+  id: 'budget-1',
+  name: 'Groceries',
+  category_id: 'cat-groceries',
+  budget_amount: '400.00',
+  period_type: 'monthly',
+  start_date: '2024-01-01',
+  end_date: null,
+  alert_at_percentage: 80,
+  rollover_enabled: false,
+  max_rollover_amount: null,
+  ...overrides
+});
+
+describe('BudgetService', () => {
+  describe('getPeriodBounds', () => {
+    it('should return the calendar month for a monthly budget anchored on the 1st', () => {
+      const period = getPeriodBounds(createBudget(), '2024-03-18');
+
+      expect(period).toEqual({ index: 2, start: '2024-03-01', end: '2024-03-31' });
+    });
+
+    it('should anchor monthly periods on the budget start day', () => {
+      const period = getPeriodBounds(createBudget({ start_date: '2024-01-15' }), '2024-03-10');
+
+      expect(period.start).toBe('2024-02-15');
+      expect(period.end).toBe('2024-03-14');
+    });
+
+    it('should clamp month-end anchors to shorter months', () => {
+      const period = getPeriodBounds(createBudget({ start_date: '2024-01-31' }), '2024-02-29');
+
+      expect(period.start).toBe('2024-02-29');
+      expect(period.end).toBe('2024-03-30');
+    });
+
+    it('should compute weekly, quarterly and yearly periods', () => {
+      expect(getPeriodBounds(createBudget({ period_type: 'weekly', start_date: '2024-01-01' }), '2024-01-10'))
+        .toMatchObject({ start: '2024-01-08', end: '2024-01-14' });
+      expect(getPeriodBounds(createBudget({ period_type: 'quarterly' }), '2024-05-05'))
+        .toMatchObject({ start: '2024-04-01', end: '2024-06-30' });
+      expect(getPeriodBounds(createBudget({ period_type: 'yearly' }), '2025-02-01'))
+        .toMatchObject({ start: '2025-01-01', end: '2025-12-31' });
+    });
+
+    it('should reject unsupported period types', () => {
+      expect(() => getPeriodBounds(createBudget({ period_type: 'daily' }), '2024-01-10'))
+        .toThrow('Unsupported budget period type');
+    });
+  });
+
+  describe('computeBudgetStatus', () => {
+    const receipts = [
+      { id: 'r1', category_id: 'cat-groceries', total_amount: '150.00', purchase_date: '2024-03-02' },
+      { id: 'r2', category_id: 'cat-groceries', total_amount: '200.00', purchase_date: '2024-03-10' },
+      { id: 'r3', category_id: 'cat-dining', total_amount: '80.00', purchase_date: '2024-03-11' },
+      { id: 'r4', category_id: 'cat-groceries', total_amount: '300.00', purchase_date: '2024-02-20' }
+    ];
+
+    it('should sum only receipts in the current period and category', () => {
+      const status = computeBudgetStatus(createBudget(), receipts, '2024-03-15');
+
+      expect(status.spent_amount).toBe(350);
+      expect(status.receipt_count).toBe(2);
+      expect(status.remaining_amount).toBe(50);
+      expect(status.percentage_used).toBe(87.5);
+      expect(status.status).toBe('warning');
+    });
+
+    it('should include all categories for an overall budget', () => {
+      const status = computeBudgetStatus(createBudget({ category_id: null, budget_amount: 400 }), receipts, '2024-03-15');
+
+      expect(status.spent_amount).toBe(430);
+      expect(status.status).toBe('exceeded');
+    });
+
+    it('should carry unused budget from the previous period when rollover is enabled', () => {
+      const status = computeBudgetStatus(
+        createBudget({ rollover_enabled: true, start_date: '2024-02-01' }),
+        receipts,
+        '2024-03-15'
+      );
+
+      expect(status.rollover_amount).toBe(100);
+      expect(status.available_amount).toBe(500);
+      expect(status.status).toBe('on_track');
+    });
+
+    it('should cap the carried amount at max_rollover_amount', () => {
+      const status = computeBudgetStatus(
+        createBudget({ rollover_enabled: true, max_rollover_amount: 25 }),
+        receipts,
+        '2024-03-15'
+      );
+
+      expect(status.rollover_amount).toBe(25);
+    });
+
+    it('should report ended budgets', () => {
+      const status = computeBudgetStatus(createBudget({ end_date: '2024-02-29' }), receipts, '2024-03-15');
+
+      expect(status.status).toBe('ended');
+    });
+  });
+
+  describe('updateBudget', () => {
+    let query;
+
+    beforeEach(() => {
+      query = {
+        select: jest.fn(() => query),
+        update: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        single: jest.fn()
+      };
+      supabase.from = jest.fn(() => query);
+    });
+
+    afterEach(() => {
+      delete supabase.from;
+    });
+
+    it('should reject an end_date before the stored start_date', async () => {
+      query.single.mockResolvedValueOnce({ data: createBudget({ start_date: '2024-06-01' }), error: null });
+
+      await expect(updateBudget('budget-1', 'user-1', { end_date: '2024-05-31' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DATE_RANGE' });
+      expect(query.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject a start_date after the stored end_date', async () => {
+      query.single.mockResolvedValueOnce({ data: createBudget({ end_date: '2024-03-31' }), error: null });
+
+      await expect(updateBudget('budget-1', 'user-1', { start_date: '2024-04-01' }))
+        .rejects.toMatchObject({ code: 'INVALID_DATE_RANGE' });
+    });
+
+    it('should update a budget whose merged range is valid', async () => {
+      const updated = createBudget({ end_date: '2024-12-31' });
+      query.single
+        .mockResolvedValueOnce({ data: createBudget(), error: null })
+        .mockResolvedValueOnce({ data: updated, error: null });
+
+      await expect(updateBudget('budget-1', 'user-1', { end_date: '2024-12-31' })).resolves.toBe(updated);
+      expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ end_date: '2024-12-31' }));
+    });
+  });
+});
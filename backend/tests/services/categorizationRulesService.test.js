@@ -0,0 +1,154 @@
+/**
+ * Categorization Rules Service Unit Tests
+ * Tests for rule matching, ordering and receipt updates
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../../config/supabase');
+const {
+  matchesMerchantPattern,
+  matchesRule,
+  applyRules,
+  buildReceiptUpdates,
+  dryRunRules
+} = require('../../src/services/categorizationRulesService');
+
+const createRule = (overrides = {}) => ({
+  id: 'rule-1',
+  name: 'Rule',
+  priority: 1,
+  is_active: true,
+  stop_processing: false,
+  merchant_pattern: null,
+  min_amount: null,
+  max_amount: null,
+  item_keywords: null,
+  payment_methods: null,
+  match_tags: null,
+  set_category_id: null,
+  add_tags: null,
+  mark_business_expense: false,
+  mark_reimbursable: false,
+  ...overrides
+});
+
+const receipt = {
+  merchant_name: 'Uber Trip 4821',
+  total_amount: '24.50',
+  payment_method: 'Credit Card',
+  tags: ['work'],
+  items: [{ name: 'UberX ride' }]
+};
+
+describe('CategorizationRulesService', () => {
+  describe('matchesRule', () => {
+    it('should match a case-insensitive merchant pattern', () => {
+      expect(matchesRule(createRule({ merchant_pattern: 'uber *' }), receipt)).toBe(true);
+      expect(matchesRule(createRule({ merchant_pattern: 'lyft*' }), receipt)).toBe(false);
+    });
+
+    it('should require every condition that is set', () => {
+      const rule = createRule({ merchant_pattern: 'uber', min_amount: '10.00', max_amount: '20.00' });
+
+      expect(matchesRule(rule, receipt)).toBe(false);
+      expect(matchesRule({ ...rule, max_amount: '30.00' }, receipt)).toBe(true);
+    });
+
+    it('should match item keywords, payment methods and tags', () => {
+      expect(matchesRule(createRule({ item_keywords: ['ride'] }), receipt)).toBe(true);
+      expect(matchesRule(createRule({ item_keywords: ['coffee'] }), receipt)).toBe(false);
+      expect(matchesRule(createRule({ payment_methods: ['credit card'] }), receipt)).toBe(true);
+      expect(matchesRule(createRule({ payment_methods: ['cash'] }), receipt)).toBe(false);
+      expect(matchesRule(createRule({ match_tags: ['Work', 'travel'] }), receipt)).toBe(true);
+      expect(matchesRule(createRule({ match_tags: ['travel'] }), { ...receipt, tags: null })).toBe(false);
+    });
+
+    it('should treat regular expression syntax as plain text', () => {
+      expect(matchesRule(createRule({ merchant_pattern: '(' }), receipt)).toBe(false);
+      expect(matchesRule(createRule({ merchant_pattern: 'uber.trip' }), receipt)).toBe(false);
+      expect(matchesRule(createRule({ merchant_pattern: '(a+)+$' }), { ...receipt, merchant_name: `${'a'.repeat(40)}!` })).toBe(false);
+    });
+  });
+
+  describe('matchesMerchantPattern', () => {
+    it('should match text anywhere and wildcard patterns against the whole name', () => {
+      expect(matchesMerchantPattern('trip', 'Uber Trip 4821')).toBe(true);
+      expect(matchesMerchantPattern('*trip*', 'Uber Trip 4821')).toBe(true);
+      expect(matchesMerchantPattern('*trip', 'Uber Trip 4821')).toBe(false);
+      expect(matchesMerchantPattern('uber*48*1', 'Uber Trip 4821')).toBe(true);
+      expect(matchesMerchantPattern('uber*r*r', 'Uber Trip')).toBe(false);
+      expect(matchesMerchantPattern('ab*ba', 'aba')).toBe(false);
+    });
+  });
+
+  describe('applyRules', () => {
+    it('should let the first matching rule set the category and collect every rule\'s tags', () => {
+      const result = applyRules([
+        createRule({ id: 'late', priority: 5, merchant_pattern: 'uber', set_category_id: 'cat-other', add_tags: ['ride'] }),
+        createRule({ id: 'early', priority: 1, merchant_pattern: 'uber', set_category_id: 'cat-travel', add_tags: ['travel'] }),
+        createRule({ id: 'inactive', priority: 0, is_active: false, merchant_pattern: 'uber', set_category_id: 'cat-x' }),
+        createRule({ id: 'business', priority: 3, match_tags: ['work'], mark_business_expense: true, add_tags: ['travel'] })
+      ], receipt);
+
+      expect(result.categoryId).toBe('cat-travel');
+      expect(result.addTags).toEqual(['travel', 'ride']);
+      expect(result.markBusinessExpense).toBe(true);
+      expect(result.markReimbursable).toBe(false);
+      expect(result.matchedRules.map(rule => rule.id)).toEqual(['early', 'business', 'late']);
+    });
+
+    it('should stop after a matching rule with stop_processing', () => {
+      const result = applyRules([
+        createRule({ id: 'first', priority: 1, merchant_pattern: 'uber', add_tags: ['a'], stop_processing: true }),
+        createRule({ id: 'second', priority: 2, merchant_pattern: 'uber', mark_reimbursable: true })
+      ], receipt);
+
+      expect(result.matchedRules.map(rule => rule.id)).toEqual(['first']);
+      expect(result.markReimbursable).toBe(false);
+    });
+  });
+
+  describe('buildReceiptUpdates', () => {
+    it('should only include what changes', () => {
+      const result = {
+        categoryId: 'cat-travel',
+        addTags: ['work', 'travel'],
+        markBusinessExpense: true,
+        markReimbursable: true,
+        matchedRules: []
+      };
+
+      expect(buildReceiptUpdates(result, {
+        category_id: 'cat-travel',
+        tags: ['work'],
+        is_business_expense: true,
+        is_reimbursable: false
+      })).toEqual({ tags: ['work', 'travel'], is_reimbursable: true });
+    });
+  });
+
+  describe('dryRunRules', () => {
+    afterEach(() => {
+      delete supabase.from;
+    });
+
+    it('should match item keywords against the receipt item names', async () => {
+      const query = {};
+      ['select', 'eq', 'gte', 'order'].forEach(method => {
+        query[method] = jest.fn(() => query);
+      });
+      query.then = (resolve, reject) => Promise.resolve({
+        data: [{ id: 'receipt-1', merchant_name: 'Corner Shop', total_amount: '8.00', tags: [], receipt_items: [{ item_name: 'Oat milk' }] }],
+        error: null
+      }).then(resolve, reject);
+      supabase.from = jest.fn(() => query);
+
+      const result = await dryRunRules('user-1', { rule: createRule({ item_keywords: ['milk'], add_tags: ['dairy'] }) });
+
+      expect(query.select.mock.calls[0][0]).toContain('item_name');
+      expect(result.receiptsMatched).toBe(1);
+      expect(result.results[0].changes).toEqual({ tags: ['dairy'] });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Chat Tools Service Unit Tests
+ * Tests for the user-scoped tools the chat assistant calls
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/budgetService', () => ({ getBudgetsStatusSummary: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const budgetService = require('../../src/services/budgetService');
+const chatToolsService = require('../../src/services/chatToolsService');
+
+/**
+ * Chainable query recording each filter call and resolving to the given rows
+ */
+const mockTable = (rows) => {
+  const calls = [];
+  const query = {};
+  ['select', 'eq', 'gte', 'lte', 'ilike', 'is', 'or', 'order', 'limit'].forEach(method => {
+    query[method] = jest.fn((...args) => {
+      calls.push([method, ...args]);
+      return query;
+    });
+  });
+  query.then = (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+  return { query, calls };
+};
+
+describe('ChatToolsService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    delete supabase.rpc;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('sum_spend', () => {
+    it('should total spend through the SQL aggregate for the conversation user only', async () => {
+      supabase.rpc = jest.fn().mockResolvedValue({
+        data: [
+          { group_key: 'Groceries', currency: 'USD', total_amount: '412.35', receipt_count: '9', average_amount: '45.82', first_purchase_date: '2025-03-02', last_purchase_date: '2025-03-29' },
+          { group_key: 'Dining', currency: 'USD', total_amount: '87.10', receipt_count: '3', average_amount: '29.03', first_purchase_date: '2025-03-05', last_purchase_date: '2025-03-21' }
+        ],
+        error: null
+      });
+
+      const result = await chatToolsService.executeTool(
+        'user-1',
+        'sum_spend',
+        JSON.stringify({ start_date: '2025-03-01', end_date: '2025-03-31', group_by: 'category', user_id: 'user-2' })
+      );
+
+      expect(supabase.rpc).toHaveBeenCalledWith('sum_user_spend', {
+        p_user_id: 'user-1',
+        p_start_date: '2025-03-01',
+        p_end_date: '2025-03-31',
+        p_category: null,
+        p_merchant: null,
+        p_group_by: 'category'
+      });
+      expect(result.groups[0]).toMatchObject({ category: 'Groceries', total_amount: 412.35, receipt_count: 9 });
+      expect(result.totals).toEqual([{ currency: 'USD', total_amount: 499.45 }]);
+    });
+
+    it('should return invalid arguments as an error for the model', async () => {
+      supabase.rpc = jest.fn();
+
+      await expect(chatToolsService.executeTool('user-1', 'sum_spend', { start_date: 'March 2025' }))
+        .resolves.toEqual({ error: 'start_date must be a date in YYYY-MM-DD format' });
+      await expect(chatToolsService.executeTool('user-1', 'sum_spend', { start_date: '2025-04-01', end_date: '2025-03-01' }))
+        .resolves.toEqual({ error: 'start_date must not be after end_date' });
+      await expect(chatToolsService.executeTool('user-1', 'drop_tables', {}))
+        .resolves.toEqual({ error: 'Unknown tool: drop_tables' });
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('list_receipts', () => {
+    it('should scope receipts to the user, escape merchant text and cap the limit', async () => {
+      const rows = Array.from({ length: 21 }, (_, index) => ({
+        id: `r${index}`,
+        merchant_name: 'Whole Foods',
+        total_amount: '10.00',
+        purchase_date: '2025-03-10',
+        categories: { name: 'Groceries' }
+      }));
+      const { query, calls } = mockTable(rows);
+      supabase.from = jest.fn(() => query);
+
+      const result = await chatToolsService.executeTool('user-1', 'list_receipts', { merchant: '100%_Fresh', sort: 'highest', limit: 500 });
+
+      expect(calls).toContainEqual(['eq', 'user_id', 'user-1']);
+      expect(calls).toContainEqual(['ilike', 'merchant_name', '%100\\%\\_Fresh%']);
+      expect(calls).toContainEqual(['order', 'total_amount', { ascending: false }]);
+      expect(calls).toContainEqual(['limit', 21]);
+      expect(result.count).toBe(20);
+      expect(result.has_more).toBe(true);
+      expect(result.receipts[0]).toMatchObject({ id: 'r0', total_amount: 10, currency: 'USD', category: 'Groceries' });
+    });
+  });
+
+  describe('get_warranty', () => {
+    it('should look up active warranties of the user with days remaining', async () => {
+      jest.spyOn(chatToolsService, 'today').mockReturnValue('2025-03-01');
+      const { query, calls } = mockTable([
+        { id: 'w1', product_name: 'Sony TV', warranty_end_date: '2025-03-31', status: 'expiring_soon' }
+      ]);
+      supabase.from = jest.fn(() => query);
+
+      const result = await chatToolsService.executeTool('user-1', 'get_warranty', { product: 'sony' });
+
+      expect(calls).toEqual(expect.arrayContaining([
+        ['eq', 'user_id', 'user-1'],
+        ['eq', 'is_deleted', false],
+        ['ilike', 'product_name', '%sony%']
+      ]));
+      expect(result.warranties[0]).toMatchObject({ id: 'w1', days_remaining: 30 });
+    });
+  });
+
+  describe('get_budget_status', () => {
+    it('should filter budget status by name', async () => {
+      budgetService.getBudgetsStatusSummary.mockResolvedValue({
+        as_of: '2025-03-15',
+        budgets: [
+          { budget_id: 'b1', name: 'Groceries', spent_amount: 320, remaining_amount: 80, percentage_used: 80, status: 'warning' },
+          { budget_id: 'b2', name: 'Travel', spent_amount: 0, remaining_amount: 500, percentage_used: 0, status: 'on_track' }
+        ],
+        totals: { budget_count: 2 },
+        alerts: [{ budget_id: 'b1', status: 'warning' }]
+      });
+
+      const result = await chatToolsService.executeTool('user-1', 'get_budget_status', { budget_name: 'grocer' });
+
+      expect(budgetService.getBudgetsStatusSummary).toHaveBeenCalledWith('user-1');
+      expect(result.budgets.map(budget => budget.budget_id)).toEqual(['b1']);
+      expect(result.alerts).toHaveLength(1);
+      expect(result.totals).toBeUndefined();
+    });
+  });
+});
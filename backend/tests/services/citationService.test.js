@@ -0,0 +1,96 @@
+/**
+ * Citation Service Unit Tests
+ * Tests for labelling chat context and resolving citations in answers
+ */
+
+const citationService = require('../../src/services/citationService');
+
+const receipt = {
+  id: 'receipt-1',
+  merchant_name: 'Whole Foods',
+  total_amount: 45.82,
+  purchase_date: '2025-03-15',
+  items: [{ name: 'Avocados', unit_price: 1.99 }]
+};
+const otherReceipt = { id: 'receipt-2', merchant_name: 'Target', total_amount: 30, purchase_date: '2025-03-18' };
+const warranty = { id: 'warranty-1', product_name: 'Sony TV', warranty_end_date: '2026-01-31', status: 'active' };
+
+describe('CitationService', () => {
+  describe('labelItems', () => {
+    it('should label receipts and warranties separately and skip analytics', () => {
+      const labelled = citationService.labelItems([receipt, { type: 'spending_summary', analytics: {} }, warranty, otherReceipt]);
+
+      expect(labelled.map(item => item.citation_ref)).toEqual(['R1', undefined, 'W1', 'R2']);
+      expect(receipt.citation_ref).toBeUndefined();
+    });
+
+    it('should continue numbering after items labelled earlier', () => {
+      const first = citationService.labelItems([receipt]);
+
+      expect(citationService.labelItems([otherReceipt, warranty], first).map(item => item.citation_ref)).toEqual(['R2', 'W1']);
+    });
+  });
+
+  describe('extractCitations', () => {
+    const labelled = citationService.labelItems([receipt, otherReceipt, warranty]);
+
+    it('should resolve markers to entity IDs, used fields and statement offsets', () => {
+      const answer = 'You spent $45.82 at Whole Foods on March 15 [R1], and $30.00 at Target [R2]. Your Sony TV is covered until January 31, 2026 [W1].';
+
+      const citations = citationService.extractCitations(answer, labelled);
+
+      expect(citations.map(citation => [citation.ref, citation.type, citation.id, citation.verified]))
+        .toEqual([['R1', 'receipt', 'receipt-1', true], ['R2', 'receipt', 'receipt-2', true], ['W1', 'warranty', 'warranty-1', true]]);
+      expect(citations[0].fields).toEqual([
+        { name: 'merchant_name', value: 'Whole Foods' },
+        { name: 'total_amount', value: 45.82 },
+        { name: 'purchase_date', value: '2025-03-15' }
+      ]);
+      expect(citations[2].fields.map(field => field.name)).toEqual(['product_name', 'warranty_end_date']);
+
+      const [reference] = citations[1].references;
+      expect(answer.slice(reference.marker_start, reference.marker_end)).toBe('[R2]');
+      expect(answer.slice(reference.claim_start, reference.claim_end)).toBe(', and $30.00 at Target');
+      const [warrantyReference] = citations[2].references;
+      expect(answer.slice(warrantyReference.claim_start, warrantyReference.claim_end))
+        .toBe('Your Sony TV is covered until January 31, 2026');
+    });
+
+    it('should share one statement between grouped and adjacent markers', () => {
+      const answer = '- Groceries at Whole Foods and Target. [R1][R2]\n- Sony TV warranty is active [W1, R1]';
+
+      const citations = citationService.extractCitations(answer, labelled);
+      const claimOf = ref => citations.find(citation => citation.ref === ref).references
+        .map(reference => answer.slice(reference.claim_start, reference.claim_end));
+
+      expect(claimOf('R2')).toEqual(['Groceries at Whole Foods and Target.']);
+      expect(claimOf('R1')).toEqual(['Groceries at Whole Foods and Target.', 'Sony TV warranty is active']);
+      expect(citations.find(citation => citation.ref === 'W1').fields.map(field => field.name)).toEqual(['product_name', 'status']);
+    });
+
+    it('should flag unknown references and amounts or dates the cited entity does not have', () => {
+      const answer = 'You spent $52.10 at Whole Foods on March 15 [R1]. Target charged you on April 2 [R2]. The blender warranty [W4] has expired.';
+
+      const citations = citationService.extractCitations(answer, labelled);
+
+      expect(citations.map(citation => [citation.ref, citation.verified, citation.issues])).toEqual([
+        ['R1', false, ['amount_mismatch']],
+        ['R2', false, ['date_mismatch']],
+        ['W4', false, ['unknown_reference']]
+      ]);
+      expect(citations[2]).toMatchObject({ type: 'warranty', id: null, fields: [] });
+    });
+
+    it('should not read words that start like a month as dates', () => {
+      const answer = 'Target spending decreased 20 percent, approximately 3 trips, all in the marketplace 12 aisle [R2].';
+
+      const [citation] = citationService.extractCitations(answer, labelled);
+
+      expect(citation).toMatchObject({ ref: 'R2', verified: true, issues: [] });
+    });
+
+    it('should return no citations for an answer without markers', () => {
+      expect(citationService.extractCitations('You have no receipts from March.', labelled)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Embedding Re-index Service Unit Tests
+ * Tests for stale embedding detection and resumable batch runs
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/embeddingService', () => {
+  const actual = jest.requireActual('../../src/services/embeddingService');
+  return {
+    getModelVersion: jest.fn(() => 'local:encoder@384'),
+    generateContentHash: actual.generateContentHash.bind(actual),
+    buildContentText: actual.buildContentText.bind(actual),
+    batchGenerateEmbeddings: jest.fn()
+  };
+});
+
+const { supabase } = require('../../config/supabase');
+const embeddingService = require('../../src/services/embeddingService');
+const embeddingReindexService = require('../../src/services/embeddingReindexService');
+
+const MODEL = 'local:encoder@384';
+
+const hashOf = (type, item) => embeddingService.generateContentHash(embeddingService.buildContentText(type, item));
+
+/**
+ * Receipt with its embedding row: 'current', 'old_model' or none
+ */
+const createReceipt = (id, embedding) => {
+  const receipt = { id, user_id: 'user-1', merchant_name: `Store ${id}`, total_amount: 10, receipt_items: [] };
+  const embeddingRow = embedding && {
+    embedding_model: embedding === 'old_model' ? 'openai:text-embedding-ada-002@1536' : MODEL,
+    content_hash: hashOf('receipt', receipt)
+  };
+  return { ...receipt, receipt_embeddings: embeddingRow || null };
+};
+
+/**
+ * In-memory tables supporting the filters the service uses; run updates are recorded
+ */
+const mockTables = (tables) => {
+  const runUpdates = [];
+
+  supabase.from = jest.fn((table) => {
+    const state = { filters: [], limit: null, head: false, update: null, inserted: null };
+    const query = {
+      select: jest.fn((columns, options = {}) => {
+        state.head = !!options.head;
+        return query;
+      }),
+      order: jest.fn(() => query),
+      limit: jest.fn((limit) => {
+        state.limit = limit;
+        return query;
+      }),
+      gt: jest.fn((column, value) => {
+        state.filters.push(row => row[column] > value);
+        return query;
+      }),
+      eq: jest.fn((column, value) => {
+        state.filters.push(row => row[column] === value);
+        return query;
+      }),
+      in: jest.fn((column, values) => {
+        state.filters.push(row => values.includes(row[column]));
+        return query;
+      }),
+      is: jest.fn((column, value) => {
+        state.filters.push(row => (row[column] ?? null) === value);
+        return query;
+      }),
+      insert: jest.fn((row) => {
+        state.inserted = { id: 'run-1', ...row };
+        tables[table].push(state.inserted);
+        return query;
+      }),
+      update: jest.fn((fields) => {
+        state.update = fields;
+        return query;
+      }),
+      single: jest.fn(() => Promise.resolve({ data: state.inserted || matching()[0] || null, error: null })),
+      then: (resolve, reject) => {
+        let result;
+        if (state.update) {
+          matching().forEach(row => Object.assign(row, state.update));
+          runUpdates.push({ ...state.update });
+          result = { error: null };
+        } else if (state.head) {
+          result = { count: matching().length, error: null };
+        } else {
+          const rows = [...matching()].sort((a, b) => a.id.localeCompare(b.id));
+          result = { data: state.limit ? rows.slice(0, state.limit) : rows, error: null };
+        }
+        return Promise.resolve(result).then(resolve, reject);
+      }
+    };
+    const matching = () => tables[table].filter(row => state.filters.every(filter => filter(row)));
+    return query;
+  });
+
+  return runUpdates;
+};
+
+describe('EmbeddingReindexService', () => {
+  beforeEach(() => {
+    embeddingService.batchGenerateEmbeddings.mockImplementation(items => Promise.resolve(
+      items.map(item => ({ item, success: item.id !== 'r3', error: item.id === 'r3' ? new Error('Encoder crashed') : null }))
+    ));
+  });
+
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+  });
+
+  describe('getStaleReason', () => {
+    it('should flag missing, other-model and changed-content embeddings', () => {
+      const edited = { ...createReceipt('r1', 'current'), notes: 'Returned one item' };
+
+      expect(embeddingReindexService.getStaleReason('receipt', createReceipt('r1'), MODEL)).toBe('missing');
+      expect(embeddingReindexService.getStaleReason('receipt', createReceipt('r1', 'old_model'), MODEL)).toBe('model_changed');
+      expect(embeddingReindexService.getStaleReason('receipt', edited, MODEL)).toBe('content_changed');
+      expect(embeddingReindexService.getStaleReason('receipt', createReceipt('r1', 'current'), MODEL)).toBeNull();
+    });
+  });
+
+  describe('reindex', () => {
+    it('should regenerate only stale embeddings page by page and checkpoint after each page', async () => {
+      const tables = {
+        receipts: [createReceipt('r1', 'current'), createReceipt('r2', 'old_model'), createReceipt('r3')],
+        warranties: [{ id: 'w1', product_name: 'Television', is_deleted: false, warranty_embeddings: [] }],
+        embedding_reindex_runs: []
+      };
+      const runUpdates = mockTables(tables);
+      const progress = [];
+
+      const result = await embeddingReindexService.reindex({ batchSize: 2, onProgress: update => progress.push(update) });
+
+      expect(embeddingService.batchGenerateEmbeddings.mock.calls.map(([items, type]) => [items.map(item => item.id), type]))
+        .toEqual([[['r2'], 'receipt'], [['r3'], 'receipt'], [['w1'], 'warranty']]);
+      expect(runUpdates.slice(0, 2).map(update => [update.current_type, update.last_entity_id]))
+        .toEqual([['receipt', 'r2'], ['receipt', 'r3']]);
+      expect(progress.map(update => update.percent)).toEqual([50, 75, 100]);
+      expect(result).toMatchObject({
+        id: 'run-1',
+        status: 'completed',
+        total: 4,
+        scanned: 4,
+        stale: 3,
+        reindexed: 2,
+        failed: 1,
+        failures: [{ type: 'receipt', id: 'r3', error: 'Encoder crashed' }]
+      });
+    });
+
+    it('should resume a cancelled run after its checkpoint', async () => {
+      const tables = {
+        receipts: [createReceipt('r1'), createReceipt('r2'), createReceipt('r4')],
+        warranties: [],
+        embedding_reindex_runs: [{
+          id: 'run-7',
+          status: 'cancelled',
+          embedding_model: MODEL,
+          entity_types: ['receipt', 'warranty'],
+          user_id: null,
+          force: false,
+          batch_size: 2,
+          current_type: 'receipt',
+          last_entity_id: 'r2',
+          total_count: 3,
+          scanned_count: 2,
+          stale_count: 2,
+          reindexed_count: 2,
+          failed_count: 0,
+          failures: []
+        }]
+      };
+      mockTables(tables);
+
+      const result = await embeddingReindexService.reindex({ resume: true });
+
+      expect(embeddingService.batchGenerateEmbeddings).toHaveBeenCalledTimes(1);
+      expect(embeddingService.batchGenerateEmbeddings.mock.calls[0][0].map(item => item.id)).toEqual(['r4']);
+      expect(result).toMatchObject({ id: 'run-7', status: 'completed', scanned: 3, reindexed: 3 });
+    });
+
+    it('should refuse to resume a run started for another model', async () => {
+      mockTables({
+        receipts: [],
+        warranties: [],
+        embedding_reindex_runs: [{ id: 'run-3', status: 'failed', embedding_model: 'openai:text-embedding-3-small@384' }]
+      });
+
+      await expect(embeddingReindexService.reindex({ resume: 'run-3' })).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'EMBEDDING_MODEL_CHANGED'
+      });
+    });
+  });
+});
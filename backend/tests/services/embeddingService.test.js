@@ -0,0 +1,153 @@
+/**
+ * Embedding Service Unit Tests
+ * Tests for provider dimension checks, versioned storage and batching
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../../config/supabase');
+const embeddingService = require('../../src/services/embeddingService');
+const { EmbeddingProvider, LocalEmbeddingProvider } = require('../../src/services/embeddingProviders');
+
+const vectorOf = (size, value = 0.1) => new Array(size).fill(value);
+
+/**
+ * Provider returning constant vectors of the given size
+ */
+const createProvider = (dimensions, vectorSize = dimensions) => {
+  const provider = new EmbeddingProvider('test', { model: 'encoder-v1', dimensions });
+  provider.embed = jest.fn(texts => Promise.resolve(texts.map(() => vectorOf(vectorSize))));
+  return provider;
+};
+
+/**
+ * Embedding table mock: `stored` is the existing row, writes are recorded
+ */
+const mockEmbeddingTable = (stored = null, upsertError = null) => {
+  const writes = [];
+  supabase.from = jest.fn((table) => {
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      single: jest.fn(() => Promise.resolve(stored
+        ? { data: stored, error: null }
+        : { data: null, error: { code: 'PGRST116' } })),
+      upsert: jest.fn((row, options) => {
+        writes.push({ table, row, options });
+        return Promise.resolve({ error: upsertError });
+      })
+    };
+    return query;
+  });
+  return writes;
+};
+
+describe('EmbeddingService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    embeddingService.setProvider(null);
+    jest.clearAllMocks();
+  });
+
+  describe('generateEmbedding', () => {
+    it('should reject a provider configured for another vector size', async () => {
+      embeddingService.setProvider(createProvider(768));
+
+      await expect(embeddingService.generateEmbedding('coffee')).rejects.toMatchObject({
+        statusCode: 500,
+        code: 'EMBEDDING_DIMENSION_MISMATCH'
+      });
+    });
+
+    it('should reject vectors that do not match the embedding columns', async () => {
+      embeddingService.setProvider(createProvider(null, 1536));
+
+      await expect(embeddingService.generateEmbedding('coffee')).rejects.toMatchObject({
+        code: 'EMBEDDING_DIMENSION_MISMATCH'
+      });
+    });
+  });
+
+  describe('generateReceiptEmbedding', () => {
+    const receipt = {
+      id: 'receipt-1',
+      merchant_name: 'Target',
+      total_amount: 42.1,
+      purchase_date: '2025-09-01',
+      categories: { name: 'Groceries' },
+      receipt_items: [{ item_name: 'Milk', total_price: 3.49 }]
+    };
+
+    it('should store the embedding with its model version and content hash', async () => {
+      embeddingService.setProvider(createProvider(384));
+      const writes = mockEmbeddingTable();
+
+      const result = await embeddingService.generateReceiptEmbedding(receipt);
+
+      expect(result).toMatchObject({ model: 'test:encoder-v1@384', cached: false });
+      expect(result.contentText).toContain('Category: Groceries');
+      expect(result.contentText).toContain('Items: Milk $3.49');
+      expect(writes).toEqual([{
+        table: 'receipt_embeddings',
+        row: expect.objectContaining({
+          receipt_id: 'receipt-1',
+          embedding_model: 'test:encoder-v1@384',
+          content_hash: result.contentHash,
+          content_text: result.contentText
+        }),
+        options: { onConflict: 'receipt_id' }
+      }]);
+    });
+
+    it('should keep a stored embedding made from the same content and model', async () => {
+      const provider = createProvider(384);
+      embeddingService.setProvider(provider);
+      const contentHash = embeddingService.generateContentHash(embeddingService.buildReceiptContentText(receipt));
+      const writes = mockEmbeddingTable({
+        embedding: JSON.stringify(vectorOf(384)),
+        content_hash: contentHash,
+        embedding_model: 'test:encoder-v1@384'
+      });
+
+      const result = await embeddingService.generateReceiptEmbedding(receipt);
+
+      expect(result.cached).toBe(true);
+      expect(result.embedding).toHaveLength(384);
+      expect(provider.embed).not.toHaveBeenCalled();
+      expect(writes).toHaveLength(0);
+    });
+  });
+
+  describe('batchGenerateEmbeddings', () => {
+    it('should embed each batch in one provider call and report failed writes per item', async () => {
+      const provider = createProvider(384);
+      embeddingService.setProvider(provider);
+      mockEmbeddingTable(null, { message: 'permission denied' });
+      const warranties = [
+        { id: 'warranty-1', product_name: 'Television', manufacturer: 'Samsung' },
+        { id: 'warranty-2', product_name: 'Laptop' }
+      ];
+
+      const results = await embeddingService.batchGenerateEmbeddings(warranties, 'warranty');
+
+      expect(provider.embed).toHaveBeenCalledTimes(1);
+      expect(provider.embed.mock.calls[0][0][0]).toBe('Product: Television\nBrand: Samsung');
+      expect(results.map(result => [result.item.id, result.success])).toEqual([['warranty-1', false], ['warranty-2', false]]);
+      expect(results[0].error.code).toBe('DATABASE_ERROR');
+    });
+  });
+
+  describe('LocalEmbeddingProvider', () => {
+    it('should mean-pool and normalize sentence vectors', async () => {
+      const extractor = jest.fn().mockResolvedValue({ tolist: () => [vectorOf(384), vectorOf(384, 0.2)] });
+      const provider = new LocalEmbeddingProvider({ model: 'Xenova/all-MiniLM-L6-v2' });
+      provider.loadPipeline = jest.fn().mockResolvedValue(extractor);
+
+      const vectors = await provider.embed(['coffee', 'groceries']);
+
+      expect(provider.version).toBe('local:Xenova/all-MiniLM-L6-v2@384');
+      expect(extractor).toHaveBeenCalledWith(['coffee', 'groceries'], { pooling: 'mean', normalize: true });
+      expect(vectors).toHaveLength(2);
+    });
+  });
+});
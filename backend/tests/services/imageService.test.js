@@ -0,0 +1,84 @@
+/**
+ * Image Service Unit Tests
+ * Tests for HEIC/HEIF detection and conversion to JPEG
+ */
+
+const mockSharpPipeline = {
+  rotate: jest.fn().mockReturnThis(),
+  resize: jest.fn().mockReturnThis(),
+  jpeg: jest.fn().mockReturnThis(),
+  toBuffer: jest.fn().mockResolvedValue(Buffer.from('jpeg-bytes'))
+};
+
+jest.mock('sharp', () => jest.fn(() => mockSharpPipeline));
+jest.mock('heic-decode', () => jest.fn());
+
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const imageService = require('../../src/services/imageService');
+
+/**
+ * Build the start of an ISO base media file with the given major brand
+ */
+const createFtypHeader = (brand) => Buffer.concat([
+  Buffer.from([0x00, 0x00, 0x00, 0x18]),
+  Buffer.from(`ftyp${brand}`, 'latin1'),
+  Buffer.alloc(12)
+]);
+
+describe('ImageService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isHeic', () => {
+    it('should detect HEIC by MIME type, extension or file header', () => {
+      expect(imageService.isHeic({ mimeType: 'image/heic' })).toBe(true);
+      expect(imageService.isHeic({ mimeType: 'image/HEIF' })).toBe(true);
+      expect(imageService.isHeic({ originalName: 'IMG_0042.HEIC' })).toBe(true);
+      expect(imageService.isHeic({ buffer: createFtypHeader('heic'), mimeType: 'application/octet-stream' })).toBe(true);
+      expect(imageService.isHeic({ buffer: createFtypHeader('mif1') })).toBe(true);
+    });
+
+    it('should not flag other formats', () => {
+      expect(imageService.isHeic({ buffer: Buffer.from([0xff, 0xd8, 0xff, 0xe0]), mimeType: 'image/jpeg', originalName: 'a.jpg' })).toBe(false);
+      expect(imageService.isHeic({ buffer: createFtypHeader('mp42'), originalName: 'clip.mp4' })).toBe(false);
+    });
+  });
+
+  describe('normalizeImage', () => {
+    it('should pass non-HEIC images through unchanged', async () => {
+      const buffer = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+      const result = await imageService.normalizeImage({ buffer, mimeType: 'image/jpeg', originalName: 'a.jpg' });
+
+      expect(result).toEqual({ buffer, mimeType: 'image/jpeg', originalName: 'a.jpg', convertedFrom: null });
+      expect(decodeHeic).not.toHaveBeenCalled();
+    });
+
+    it('should convert HEIC to JPEG', async () => {
+      decodeHeic.mockResolvedValue({ width: 2, height: 1, data: new Uint8ClampedArray(8) });
+
+      const result = await imageService.normalizeImage({
+        buffer: createFtypHeader('heic'),
+        mimeType: 'image/heic',
+        originalName: 'IMG_0042.HEIC'
+      });
+
+      expect(sharp).toHaveBeenCalledWith(expect.any(Buffer), { raw: { width: 2, height: 1, channels: 4 } });
+      expect(result).toEqual({
+        buffer: Buffer.from('jpeg-bytes'),
+        mimeType: 'image/jpeg',
+        originalName: 'IMG_0042.jpg',
+        convertedFrom: 'image/heic'
+      });
+    });
+
+    it('should reject HEIC files that cannot be decoded', async () => {
+      decodeHeic.mockRejectedValue(new Error('unsupported codec'));
+
+      await expect(imageService.normalizeImage({ buffer: createFtypHeader('heic'), mimeType: 'image/heic' }))
+        .rejects.toMatchObject({ code: 'HEIC_DECODE_FAILED', statusCode: 400 });
+    });
+  });
+});
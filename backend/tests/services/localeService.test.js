@@ -0,0 +1,115 @@
+/**
+ * Locale Service Unit Tests
+ * Tests for locale-aware receipt dates, amounts and currency detection
+ */
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const localeService = require('../../src/services/localeService');
+const ocrService = require('../../src/services/ocrService');
+
+const NOW = new Date(2025, 5, 1);
+
+describe('LocaleService', () => {
+  describe('detectLocale', () => {
+    it('should infer DD/MM from a day above 12', () => {
+      expect(localeService.detectLocale('CAFE\n25/03/2025\nTOTAL 4.50').dateOrder).toBe('DMY');
+      expect(localeService.detectLocale('CAFE\n03/25/2025\nTOTAL 4.50').dateOrder).toBe('MDY');
+    });
+
+    it('should let a printed currency decide an ambiguous date order', () => {
+      expect(localeService.detectLocale('BÄCKEREI\n04/03/2025\nSUMME 4,50 €')).toMatchObject({
+        currency: 'EUR',
+        currencySource: 'text',
+        decimalSeparator: ',',
+        dateOrder: 'DMY'
+      });
+    });
+
+    it('should fall back to the profile when the text is ambiguous', () => {
+      const profile = { locale: 'en-GB', currency: 'GBP', dateFormat: 'DD/MM/YYYY' };
+
+      expect(localeService.detectLocale('SHOP\n04/03/2025\nTOTAL 4.50', profile)).toMatchObject({
+        currency: 'GBP',
+        currencySource: 'profile',
+        dateOrder: 'DMY'
+      });
+    });
+  });
+
+  describe('detectCurrency', () => {
+    it('should recognize rupee markers and regional tax labels', () => {
+      expect(localeService.detectCurrency('Total ₹1,250.00').currency).toBe('INR');
+      expect(localeService.detectCurrency('Net Rs. 450').currency).toBe('INR');
+      expect(localeService.detectCurrency('CGST 9% 22.50')).toEqual({ currency: 'INR', source: 'hint' });
+    });
+
+    it('should read a bare dollar sign as the profile dollar currency', () => {
+      expect(localeService.detectCurrency('TOTAL $12.00', { currency: 'CAD' }).currency).toBe('CAD');
+      expect(localeService.detectCurrency('TOTAL $12.00', { currency: 'EUR' }).currency).toBe('USD');
+    });
+  });
+
+  describe('parseAmount', () => {
+    it('should handle comma decimals, thousands groups and Indian grouping', () => {
+      expect(localeService.parseAmount('1.234,56', ',')).toBe(1234.56);
+      expect(localeService.parseAmount('1,234.56', '.')).toBe(1234.56);
+      expect(localeService.parseAmount('1,23,456.78', '.')).toBe(123456.78);
+      expect(localeService.parseAmount('12,99', ',')).toBe(12.99);
+      expect(localeService.parseAmount('1.234', ',')).toBe(1234);
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read month names in several languages', () => {
+      const expected = new Date(2025, 2, 14);
+
+      expect(localeService.parseDate(['14 mars 2025'], { now: NOW })).toEqual(expected);
+      expect(localeService.parseDate(['Datum: 14. März 2025'], { now: NOW })).toEqual(expected);
+      expect(localeService.parseDate(['14 de marzo de 2025'], { now: NOW })).toEqual(expected);
+      expect(localeService.parseDate(['March 14, 2025'], { now: NOW })).toEqual(expected);
+    });
+
+    it('should swap day and month rather than return a future date', () => {
+      expect(localeService.parseDate(['05/04/2025'], { dateOrder: 'MDY', now: new Date(2025, 3, 10) }))
+        .toEqual(new Date(2025, 3, 5));
+    });
+  });
+
+  describe('ocrService.parseReceiptText', () => {
+    it('should parse a German receipt', () => {
+      const parsed = ocrService.parseReceiptText({
+        text: [
+          'BÄCKEREI MÜLLER',
+          '03.02.2025 09:41',
+          'Brot 3,49',
+          'Kuchen 12,50',
+          'SUMME EUR 15,99',
+          'MwSt 7% 1,05'
+        ].join('\n'),
+        confidence: 0.9
+      });
+
+      expect(parsed.date).toEqual(new Date(2025, 1, 3));
+      expect(parsed.totalAmount).toBe(15.99);
+      expect(parsed.currency).toBe('EUR');
+      expect(parsed.items.map(item => [item.name, item.price])).toEqual([['Brot', 3.49], ['Kuchen', 12.5]]);
+      expect(parsed.locale).toEqual({ dateOrder: 'DMY', decimalSeparator: ',', currencySource: 'text' });
+    });
+
+    it('should keep items whose names contain a tax or total label', () => {
+      const parsed = ocrService.parseReceiptText({
+        text: [
+          'CORNER MARKET',
+          'PIZZA CRUST 3.99',
+          'VIVA TOWELS 5.49',
+          'TOTAL 9.48'
+        ].join('\n'),
+        confidence: 0.9
+      });
+
+      expect(parsed.items.map(item => [item.name, item.price])).toEqual([['PIZZA CRUST', 3.99], ['VIVA TOWELS', 5.49]]);
+    });
+  });
+});
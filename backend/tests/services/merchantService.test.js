@@ -0,0 +1,134 @@
+/**
+ * Merchant Service Unit Tests
+ * Tests for merchant name normalization, fuzzy matching and alias resolution
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../../config/supabase');
+const merchantService = require('../../src/services/merchantService');
+
+const USER_ID = 'user-1';
+
+/**
+ * Supabase query chain resolving to a result per table
+ */
+const mockTables = (results) => {
+  const inserts = [];
+
+  supabase.from = jest.fn((table) => {
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      insert: jest.fn((row) => {
+        inserts.push({ table, row });
+        return query;
+      }),
+      maybeSingle: jest.fn(() => Promise.resolve(results[table].single)),
+      single: jest.fn(() => Promise.resolve(results[table].single)),
+      then: (resolve, reject) => Promise.resolve(results[table].list).then(resolve, reject)
+    };
+    return query;
+  });
+
+  return inserts;
+};
+
+describe('MerchantService', () => {
+  afterEach(() => {
+    delete supabase.from;
+  });
+
+  describe('normalizeMerchantName', () => {
+    it('should give every spelling of a chain the same key', () => {
+      expect(merchantService.normalizeMerchantName('WAL-MART #1234')).toBe('walmart');
+      expect(merchantService.normalizeMerchantName('Walmart Supercenter')).toBe('walmart');
+      expect(merchantService.normalizeMerchantName('WALMART')).toBe('walmart');
+      expect(merchantService.normalizeMerchantName('Trader Joe\'s Store 0042')).toBe('trader joes');
+    });
+
+    it('should keep generic words when nothing else is left', () => {
+      expect(merchantService.normalizeMerchantName('The Store')).toBe('the store');
+      expect(merchantService.normalizeMerchantName('#1234')).toBe('');
+      expect(merchantService.normalizeMerchantName(null)).toBe('');
+    });
+  });
+
+  describe('formatMerchantName', () => {
+    it('should title-case receipt capitals and drop store numbers', () => {
+      expect(merchantService.formatMerchantName('WALMART SUPERCENTER #1234')).toBe('Walmart Supercenter');
+      expect(merchantService.formatMerchantName('H&M')).toBe('H&M');
+      expect(merchantService.formatMerchantName('Trader Joe\'s')).toBe('Trader Joe\'s');
+    });
+  });
+
+  describe('findBestMatch', () => {
+    const merchants = [
+      { id: 'm-1', normalized_name: 'walmart' },
+      { id: 'm-2', normalized_name: 'target' }
+    ];
+
+    it('should match close spellings and spacing differences', () => {
+      expect(merchantService.findBestMatch('wal mart', merchants).merchant.id).toBe('m-1');
+      expect(merchantService.findBestMatch('walmrt', merchants).merchant.id).toBe('m-1');
+    });
+
+    it('should not match different merchants', () => {
+      expect(merchantService.findBestMatch('walgreens', merchants)).toBeNull();
+    });
+  });
+
+  describe('resolveMerchant', () => {
+    it('should use a known alias', async () => {
+      const inserts = mockTables({
+        merchant_aliases: { single: { data: { merchant_id: 'm-1', merchants: { id: 'm-1', canonical_name: 'Walmart' } }, error: null } }
+      });
+
+      const result = await merchantService.resolveMerchant(USER_ID, 'WAL-MART #1234');
+
+      expect(result).toEqual({ merchantId: 'm-1', canonicalName: 'Walmart', matchType: 'alias', score: 1 });
+      expect(inserts).toEqual([]);
+    });
+
+    it('should record a fuzzy match as an unconfirmed alias', async () => {
+      const inserts = mockTables({
+        merchant_aliases: { single: { data: null, error: null }, list: { error: null } },
+        merchants: { list: { data: [{ id: 'm-1', canonical_name: 'Walmart', normalized_name: 'walmart' }], error: null } }
+      });
+
+      const result = await merchantService.resolveMerchant(USER_ID, 'WALMRT');
+
+      expect(result).toMatchObject({ merchantId: 'm-1', matchType: 'fuzzy' });
+      expect(inserts).toEqual([{
+        table: 'merchant_aliases',
+        row: expect.objectContaining({ merchant_id: 'm-1', alias: 'WALMRT', normalized_alias: 'walmrt', confirmed: false })
+      }]);
+    });
+
+    it('should create a merchant for an unknown name', async () => {
+      const inserts = mockTables({
+        merchant_aliases: { single: { data: null, error: null }, list: { error: null } },
+        merchants: {
+          list: { data: [], error: null },
+          single: { data: { id: 'm-new', canonical_name: 'Corner Bakery' }, error: null }
+        }
+      });
+
+      const result = await merchantService.resolveMerchant(USER_ID, 'CORNER BAKERY');
+
+      expect(result).toEqual({ merchantId: 'm-new', canonicalName: 'Corner Bakery', matchType: 'new', score: 1 });
+      expect(inserts.map(insert => insert.table)).toEqual(['merchants', 'merchant_aliases']);
+      expect(inserts[0].row).toMatchObject({ canonical_name: 'Corner Bakery', normalized_name: 'corner bakery' });
+    });
+  });
+
+  describe('resolveMerchantId', () => {
+    it('should not throw when the lookup fails', async () => {
+      mockTables({
+        merchant_aliases: { single: { data: null, error: { message: 'down' } } }
+      });
+
+      await expect(merchantService.resolveMerchantId(USER_ID, 'Walmart')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * ML Categorization Service Unit Tests
+ * Tests for per-user models trained from category corrections
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const natural = require('natural');
+const mlCategorizationService = require('../../src/services/mlCategorizationService');
+
+const USER_ID = 'user-1';
+
+describe('MLCategorizationService', () => {
+  beforeEach(() => {
+    mlCategorizationService.userModels.clear();
+    jest.spyOn(mlCategorizationService, 'saveUserModel').mockResolvedValue(true);
+    jest.spyOn(mlCategorizationService, 'recordCorrection').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('learnFromFeedback', () => {
+    it('should train and save the user model and record the correction', async () => {
+      await mlCategorizationService.learnFromFeedback('Groceries', {
+        merchantName: 'Joe\'s Corner-Shop',
+        ocrText: 'milk bread eggs'
+      }, { userId: USER_ID, receiptId: 'receipt-1' });
+
+      const model = mlCategorizationService.userModels.get(USER_ID);
+      expect(model.trainingExamples).toBe(1);
+      expect(model.merchantMappings.get('joe s corner shop')).toBe('Groceries');
+      expect(mlCategorizationService.saveUserModel).toHaveBeenCalledWith(USER_ID, model);
+      expect(mlCategorizationService.recordCorrection).toHaveBeenCalledWith(USER_ID, 'receipt-1', 'Groceries');
+    });
+
+    it('should keep one user\'s corrections out of another user\'s model', async () => {
+      await mlCategorizationService.learnFromFeedback('Groceries', { merchantName: 'Corner Shop' }, { userId: USER_ID });
+
+      const other = await mlCategorizationService.categorizeByUserModel('user-2', 'Corner Shop', '');
+      expect(other.scores.size).toBe(0);
+    });
+
+    it('should replay the correction on the stored model when another save got there first', async () => {
+      const stored = mlCategorizationService.createEmptyModel();
+      stored.merchantMappings.set('fresh mart', 'Groceries');
+      stored.trainingExamples = 4;
+      stored.storedAt = '2025-03-02T10:00:00.000001+00:00';
+      mlCategorizationService.saveUserModel.mockResolvedValueOnce(false);
+      jest.spyOn(mlCategorizationService, 'fetchUserModel')
+        .mockResolvedValueOnce(mlCategorizationService.createEmptyModel())
+        .mockResolvedValueOnce(stored);
+
+      await mlCategorizationService.learnFromFeedback('Transportation', { merchantName: 'City Fuel' }, { userId: USER_ID });
+
+      expect(mlCategorizationService.saveUserModel).toHaveBeenCalledTimes(2);
+      expect(mlCategorizationService.saveUserModel).toHaveBeenLastCalledWith(USER_ID, stored);
+      expect(stored.trainingExamples).toBe(5);
+      expect([...stored.merchantMappings.keys()]).toEqual(['fresh mart', 'city fuel']);
+    });
+  });
+
+  describe('getUserModel', () => {
+    const mockModelRows = (row) => {
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        maybeSingle: jest.fn(() => Promise.resolve({ data: row, error: null }))
+      };
+      mlCategorizationService.client = { from: jest.fn(() => query) };
+      return query;
+    };
+
+    afterEach(() => {
+      mlCategorizationService.client = {};
+    });
+
+    it('should keep the cached model while the stored one is unchanged', async () => {
+      const cached = { ...mlCategorizationService.createEmptyModel(), storedAt: '2025-03-01T10:00:00+00:00' };
+      mlCategorizationService.userModels.set(USER_ID, cached);
+      const query = mockModelRows({ updated_at: '2025-03-01T10:00:00+00:00' });
+
+      await expect(mlCategorizationService.getUserModel(USER_ID)).resolves.toBe(cached);
+      expect(query.select).toHaveBeenCalledWith('updated_at');
+    });
+
+    it('should reload a model another instance has saved since', async () => {
+      mlCategorizationService.userModels.set(USER_ID, { ...mlCategorizationService.createEmptyModel(), storedAt: '2025-03-01T10:00:00+00:00' });
+      mockModelRows({
+        model_version: 1,
+        classifier: null,
+        merchant_mappings: { 'city fuel': 'Transportation' },
+        training_examples: 1,
+        updated_at: '2025-03-02T10:00:00+00:00'
+      });
+
+      const model = await mlCategorizationService.getUserModel(USER_ID);
+
+      expect(model.merchantMappings.get('city fuel')).toBe('Transportation');
+      expect(model.storedAt).toBe('2025-03-02T10:00:00+00:00');
+      expect(mlCategorizationService.userModels.get(USER_ID)).toBe(model);
+    });
+  });
+
+  describe('categorizeReceipt', () => {
+    it('should follow the user\'s merchant correction', async () => {
+      const before = await mlCategorizationService.categorizeReceipt({
+        merchantName: 'Starbucks',
+        ocrText: 'starbucks latte',
+        totalAmount: 6.5,
+        userId: USER_ID
+      });
+      expect(before.category).toBe('Food & Dining');
+
+      await mlCategorizationService.learnFromFeedback('Office Meetings', { merchantName: 'Starbucks' }, { userId: USER_ID });
+
+      const after = await mlCategorizationService.categorizeReceipt({
+        merchantName: 'STARBUCKS',
+        ocrText: 'starbucks latte',
+        totalAmount: 6.5,
+        userId: USER_ID
+      });
+      expect(after.category).toBe('Office Meetings');
+      expect(after.confidence).toBeGreaterThan(0.6);
+    });
+  });
+
+  describe('restoreUserModel', () => {
+    it('should round-trip a saved model', async () => {
+      await mlCategorizationService.learnFromFeedback('Groceries', { merchantName: 'Fresh Mart', ocrText: 'milk' }, { userId: USER_ID });
+      await mlCategorizationService.learnFromFeedback('Transportation', { merchantName: 'City Fuel', ocrText: 'diesel' }, { userId: USER_ID });
+      const model = mlCategorizationService.userModels.get(USER_ID);
+
+      const restored = mlCategorizationService.restoreUserModel({
+        classifier: JSON.parse(JSON.stringify(model.classifier)),
+        merchant_mappings: Object.fromEntries(model.merchantMappings),
+        training_examples: model.trainingExamples,
+        updated_at: model.updatedAt
+      });
+
+      expect(restored.classifier).toBeInstanceOf(natural.BayesClassifier);
+      expect(restored.classifier.classify('city fuel diesel')).toBe('Transportation');
+      expect(restored.merchantMappings.get('fresh mart')).toBe('Groceries');
+      expect(restored.trainingExamples).toBe(2);
+    });
+  });
+
+  describe('getAccuracyHistory', () => {
+    const mockPredictions = (rows) => {
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        gte: jest.fn(() => Promise.resolve({ data: rows, error: null }))
+      };
+      mlCategorizationService.client = { from: jest.fn(() => query) };
+      return query;
+    };
+
+    afterEach(() => {
+      mlCategorizationService.client = {};
+    });
+
+    it('should report the share of uncorrected predictions per month', async () => {
+      const query = mockPredictions([
+        { predicted_category: 'Shopping', corrected_category: 'Groceries', created_at: '2025-04-03T10:00:00Z' },
+        { predicted_category: 'Shopping', corrected_category: null, created_at: '2025-04-20T10:00:00Z' },
+        { predicted_category: 'Utilities', corrected_category: null, created_at: '2025-05-02T10:00:00Z' }
+      ]);
+
+      const history = await mlCategorizationService.getAccuracyHistory(USER_ID, {
+        interval: 'month',
+        periods: 3,
+        now: new Date('2025-05-15T00:00:00Z')
+      });
+
+      expect(query.gte).toHaveBeenCalledWith('created_at', '2025-03-01T00:00:00.000Z');
+      expect(history.overall).toEqual({ predictions: 3, corrections: 1, accuracy: 0.667 });
+      expect(history.periods).toEqual([
+        { periodStart: '2025-03-01', predictions: 0, corrections: 0, accuracy: null },
+        { periodStart: '2025-04-01', predictions: 2, corrections: 1, accuracy: 0.5 },
+        { periodStart: '2025-05-01', predictions: 1, corrections: 0, accuracy: 1 }
+      ]);
+    });
+
+    it('should start weeks on Monday', () => {
+      const starts = mlCategorizationService.periodStarts('week', 2, new Date('2025-05-15T12:00:00Z'));
+
+      expect(starts.map(start => start.toISOString().slice(0, 10))).toEqual(['2025-05-05', '2025-05-12']);
+    });
+
+    it('should reject unknown intervals', async () => {
+      await expect(mlCategorizationService.getAccuracyHistory(USER_ID, { interval: 'day' }))
+        .rejects.toMatchObject({ code: 'INVALID_INTERVAL' });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Multi-OCR Service Unit Tests
+ * Tests for the provider registry and profile-based provider selection
+ */
+
+jest.mock('sharp', () => jest.fn());
+
+const { MultiOCRService } = require('../../src/services/multiOCRService');
+const { MockOCRProvider, PaddleOCRProvider } = require('../../src/services/ocrProviders');
+
+const highQuality = { score: 0.9, recommendations: [], resolution: 3000000 };
+const lowQuality = { score: 0.3, recommendations: [], resolution: 300000 };
+
+/**
+ * Service with only the given providers registered
+ */
+const createService = async (providers) => {
+  const service = new MultiOCRService();
+  await service.ready;
+
+  for (const name of [...service.providers.keys()]) {
+    service.unregisterProvider(name);
+  }
+  for (const provider of providers) {
+    await service.registerProvider(provider);
+  }
+
+  return service;
+};
+
+describe('MultiOCRService', () => {
+  describe('registerProvider', () => {
+    it('should register providers and report their profiles', async () => {
+      const service = await createService([
+        new MockOCRProvider({ name: 'local', profile: { cost: 0, speed: 'slow', accuracy: 'medium' } }),
+        new MockOCRProvider({ name: 'offline', available: false })
+      ]);
+
+      expect(service.getProviderStatus()).toEqual([
+        { name: 'local', available: true, cost: 0, speed: 'slow', accuracy: 'medium' },
+        { name: 'offline', available: false, cost: 0, speed: 'fast', accuracy: 'low' }
+      ]);
+      expect(service.getAvailableProviders().map(provider => provider.name)).toEqual(['local']);
+    });
+
+    it('should reject providers without a valid interface or profile', async () => {
+      const service = await createService([]);
+
+      await expect(service.registerProvider({ name: 'bare', profile: { cost: 0, speed: 'fast', accuracy: 'high' } }))
+        .rejects.toMatchObject({ code: 'INVALID_OCR_PROVIDER' });
+      await expect(service.registerProvider(new MockOCRProvider({ profile: { speed: 'instant' } })))
+        .rejects.toMatchObject({ code: 'INVALID_OCR_PROVIDER' });
+      await expect(service.registerProvider(new MockOCRProvider({ profile: { cost: -1 } })))
+        .rejects.toMatchObject({ code: 'INVALID_OCR_PROVIDER' });
+    });
+
+    it('should refuse duplicate names unless replacing', async () => {
+      const service = await createService([new MockOCRProvider()]);
+
+      await expect(service.registerProvider(new MockOCRProvider())).rejects.toMatchObject({ code: 'PROVIDER_EXISTS' });
+      await expect(service.registerProvider(new MockOCRProvider({ confidence: 0.5 }), { replace: true })).resolves.toMatchObject({ name: 'mock' });
+    });
+
+    it('should mark providers whose initialization fails as unavailable', async () => {
+      const provider = new MockOCRProvider({ name: 'broken' });
+      provider.initialize = jest.fn().mockRejectedValue(new Error('missing SDK'));
+
+      const service = await createService([provider]);
+
+      expect(service.getProviderStatus()[0]).toMatchObject({ name: 'broken', available: false });
+    });
+  });
+
+  describe('selectOptimalProvider', () => {
+    let service;
+
+    beforeAll(async () => {
+      service = await createService([
+        new MockOCRProvider({ name: 'free', profile: { cost: 0, speed: 'slow', accuracy: 'medium' } }),
+        new MockOCRProvider({ name: 'quick', profile: { cost: 0.002, speed: 'fast', accuracy: 'medium' } }),
+        new MockOCRProvider({ name: 'precise', profile: { cost: 0.001, speed: 'medium', accuracy: 'high' } })
+      ]);
+    });
+
+    it('should pick the most accurate provider for high quality images', () => {
+      const selection = service.selectOptimalProvider({ imageQuality: highQuality, qualityHint: 'auto', budgetLimit: null, timeoutMs: 30000 });
+
+      expect(selection).toMatchObject({ name: 'precise', fallback: null, cost: 0.001, accuracy: 'high' });
+    });
+
+    it('should pick the fastest provider when speed is requested', () => {
+      const selection = service.selectOptimalProvider({ imageQuality: highQuality, qualityHint: 'fast', budgetLimit: null, timeoutMs: 30000 });
+
+      expect(selection).toMatchObject({ name: 'quick', fallback: 'precise' });
+    });
+
+    it('should add a fallback for poor quality images', () => {
+      const selection = service.selectOptimalProvider({ imageQuality: lowQuality, qualityHint: 'auto', budgetLimit: null, timeoutMs: 30000 });
+
+      expect(selection).toMatchObject({ name: 'precise', fallback: 'free' });
+    });
+
+    it('should respect the budget', () => {
+      const free = service.selectOptimalProvider({ imageQuality: lowQuality, qualityHint: 'auto', budgetLimit: 0, timeoutMs: 30000 });
+      const capped = service.selectOptimalProvider({ imageQuality: highQuality, qualityHint: 'fast', budgetLimit: 0.001, timeoutMs: 5000 });
+
+      expect(free).toMatchObject({ name: 'free', cost: 0 });
+      expect(capped).toMatchObject({ name: 'precise' });
+    });
+
+    it('should fail when no provider is available', async () => {
+      const empty = await createService([]);
+
+      expect(() => empty.selectOptimalProvider({ imageQuality: highQuality, budgetLimit: null }))
+        .toThrow('No OCR provider available');
+    });
+  });
+
+  describe('processImageWithBestOCR', () => {
+    it('should fall back when the selected provider fails', async () => {
+      const precise = new MockOCRProvider({ name: 'precise', profile: { accuracy: 'high' } });
+      precise.recognize = jest.fn().mockRejectedValue(new Error('sidecar down'));
+      const backup = new MockOCRProvider({ name: 'backup' });
+      const service = await createService([precise, backup]);
+      jest.spyOn(service, 'analyzeImageQuality').mockResolvedValue(lowQuality);
+
+      const result = await service.processImageWithBestOCR({ imageBuffer: Buffer.from('img') });
+
+      expect(precise.recognize).toHaveBeenCalled();
+      expect(backup.calls).toBe(1);
+      expect(result.provider).toEqual({ name: 'backup', accuracy: 'low', cost: 0 });
+      expect(result.text).toContain('TOTAL $6.48');
+    });
+  });
+});
+
+describe('PaddleOCRProvider', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should only be available when a sidecar URL is configured', async () => {
+    await expect(new PaddleOCRProvider({ url: null }).initialize()).resolves.toBe(false);
+    await expect(new PaddleOCRProvider({ url: 'http://paddle:8866' }).initialize()).resolves.toBe(true);
+  });
+
+  it('should convert sidecar lines into text and blocks', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        lines: [
+          { text: 'ACME STORE', confidence: 0.98, box: [[10, 5], [120, 5], [120, 20], [10, 20]] },
+          { text: 'TOTAL 12.50', confidence: 0.9, box: [[10, 40], [130, 40], [130, 55], [10, 55]] }
+        ]
+      })
+    });
+    const provider = new PaddleOCRProvider({ url: 'http://paddle:8866/' });
+
+    const result = await provider.recognize({ imageBuffer: Buffer.from('img') });
+
+    expect(global.fetch).toHaveBeenCalledWith('http://paddle:8866/ocr', expect.objectContaining({ method: 'POST' }));
+    expect(result.text).toBe('ACME STORE\nTOTAL 12.50');
+    expect(result.confidence).toBeCloseTo(0.94);
+    expect(result.blocks[1].bbox).toEqual({ x0: 10, y0: 40, x1: 130, y1: 55 });
+  });
+
+  it('should surface sidecar errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 502 });
+
+    await expect(new PaddleOCRProvider({ url: 'http://paddle:8866' }).recognize({ imageBuffer: Buffer.from('img') }))
+      .rejects.toMatchObject({ code: 'PADDLE_OCR_FAILED' });
+  });
+});
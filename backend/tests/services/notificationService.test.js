@@ -0,0 +1,87 @@
+/**
+ * Notification Service Unit Tests
+ * Tests for deduplicated notifications and their delivery jobs
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/jobQueueService', () => ({
+  JOB_TYPES: { NOTIFICATION_SEND: 'notification_send' },
+  enqueue: jest.fn(),
+  findActiveJob: jest.fn()
+}));
+
+const { supabase } = require('../../config/supabase');
+const jobQueueService = require('../../src/services/jobQueueService');
+const notificationService = require('../../src/services/notificationService');
+
+const existing = {
+  id: 'notification-1',
+  user_id: 'user-1',
+  priority: 'high',
+  scheduled_for: '2025-03-01T09:00:00.000Z',
+  dedupe_key: 'warranty-1:30',
+  is_sent: false
+};
+
+/**
+ * Notifications table whose insert hits the dedupe key and whose lookup
+ * returns the given row
+ */
+const mockDuplicate = (row) => {
+  const query = {
+    insert: jest.fn(() => query),
+    select: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    single: jest.fn()
+      .mockResolvedValueOnce({ data: null, error: { code: '23505', message: 'duplicate key' } })
+      .mockResolvedValueOnce({ data: row, error: null })
+  };
+  supabase.from = jest.fn(() => query);
+};
+
+describe('NotificationService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+  });
+
+  describe('createNotification', () => {
+    const params = { userId: 'user-1', type: 'warranty_expiring', title: 'Warranty expires soon', message: 'Soon', dedupeKey: 'warranty-1:30' };
+
+    it('should enqueue delivery of an unsent duplicate that has no delivery job', async () => {
+      mockDuplicate(existing);
+      jobQueueService.findActiveJob.mockResolvedValue(null);
+      jobQueueService.enqueue.mockResolvedValue({ id: 'job-2' });
+
+      const notification = await notificationService.createNotification(params);
+
+      expect(jobQueueService.findActiveJob).toHaveBeenCalledWith('notification:notification-1');
+      expect(jobQueueService.enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        jobName: 'notification:notification-1',
+        jobData: { notificationId: 'notification-1' },
+        scheduledAt: existing.scheduled_for
+      }));
+      expect(notification).toMatchObject({ id: 'notification-1', duplicate: true, delivery_job_id: 'job-2' });
+    });
+
+    it('should not enqueue a second delivery while one is waiting', async () => {
+      mockDuplicate(existing);
+      jobQueueService.findActiveJob.mockResolvedValue({ id: 'job-1', status: 'pending' });
+
+      const notification = await notificationService.createNotification(params);
+
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+      expect(notification).toMatchObject({ duplicate: true, delivery_job_id: 'job-1' });
+    });
+
+    it('should leave a sent duplicate alone', async () => {
+      mockDuplicate({ ...existing, is_sent: true });
+
+      const notification = await notificationService.createNotification(params);
+
+      expect(jobQueueService.findActiveJob).not.toHaveBeenCalled();
+      expect(jobQueueService.enqueue).not.toHaveBeenCalled();
+      expect(notification).toMatchObject({ duplicate: true, delivery_job_id: null });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * OCR Batch Service Unit Tests
+ * Tests for per-file metadata, bounded concurrency and batch runs
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/ocrService', () => ({}));
+jest.mock('../../src/services/receiptService', () => ({}));
+
+const { supabase } = require('../../config/supabase');
+const ocrService = require('../../src/services/ocrService');
+const receiptService = require('../../src/services/receiptService');
+const ocrBatchService = require('../../src/services/ocrBatchService');
+const { mapWithConcurrency } = ocrBatchService;
+
+/**
+ * Chainable query recording each filter call and resolving to the given rows
+ */
+const mockTable = (rows) => {
+  const calls = [];
+  const query = {};
+  ['select', 'update', 'eq', 'or', 'limit'].forEach(method => {
+    query[method] = jest.fn((...args) => {
+      calls.push([method, ...args]);
+      return query;
+    });
+  });
+  query.then = (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+  return { query, calls };
+};
+
+const files = [
+  { originalname: 'a.jpg' },
+  { originalname: 'b.jpg' },
+  { originalname: 'c.jpg' }
+];
+
+describe('OCRBatchService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    jest.restoreAllMocks();
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should never run more than the limit at once and keep result order', async () => {
+      let active = 0;
+      let peak = 0;
+
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        active -= 1;
+        return index;
+      });
+
+      expect(peak).toBe(2);
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+    });
+  });
+
+  describe('parseFileMetadata', () => {
+    it('should parse a JSON array of entries', () => {
+      const entries = ocrBatchService.parseFileMetadata('[{"fileIndex":1,"notes":"Team lunch"}]');
+
+      expect(entries).toEqual([{ fileIndex: 1, notes: 'Team lunch' }]);
+    });
+
+    it('should reject malformed metadata', () => {
+      expect(() => ocrBatchService.parseFileMetadata('{not json')).toThrow('metadata must be a JSON array');
+      expect(() => ocrBatchService.parseFileMetadata('[{"notes":"x"}]')).toThrow('fileIndex or fileName');
+      expect(() => ocrBatchService.parseFileMetadata('[{"fileIndex":0,"total":5}]')).toThrow('Unsupported metadata fields');
+    });
+  });
+
+  describe('resolveFileMetadata', () => {
+    it('should apply defaults and per-file overrides by index or name', () => {
+      const metadata = ocrBatchService.resolveFileMetadata(
+        files,
+        { is_business_expense: 'true', tags: 'q1, travel' },
+        [
+          { fileIndex: 0, notes: 'Hotel' },
+          { fileName: 'c.jpg', is_business_expense: false, tags: ['personal'] }
+        ]
+      );
+
+      expect(metadata[0]).toEqual({ is_business_expense: true, tags: ['q1', 'travel'], notes: 'Hotel' });
+      expect(metadata[1]).toEqual({ is_business_expense: true, tags: ['q1', 'travel'] });
+      expect(metadata[2]).toEqual({ is_business_expense: false, tags: ['personal'] });
+    });
+  });
+
+  describe('runBatch', () => {
+    const createItems = () => [
+      { id: 'item-0', file_index: 0, file_name: 'a.jpg', status: 'completed', image_url: 'url-a', receipt_id: 'r-0' },
+      { id: 'item-1', file_index: 1, file_name: 'b.jpg', status: 'pending', image_url: 'url-b' },
+      { id: 'item-2', file_index: 2, file_name: 'c.jpg', status: 'failed', image_url: null, error_message: 'Upload failed' },
+      { id: 'item-3', file_index: 3, file_name: 'd.jpg', status: 'failed', image_url: 'url-d' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(ocrBatchService, 'updateBatch').mockImplementation(async (id, fields) => ({ id, ...fields }));
+    });
+
+    it('should claim the batch with a conditional update before processing', async () => {
+      jest.spyOn(ocrBatchService, 'getBatch').mockResolvedValue({ id: 'batch-1', status: 'queued', items: [] });
+      const { query, calls } = mockTable([{ id: 'batch-1', status: 'processing' }]);
+      supabase.from = jest.fn(() => query);
+
+      await ocrBatchService.runBatch('batch-1', 'user-1');
+
+      expect(supabase.from).toHaveBeenCalledWith('ocr_batches');
+      expect(calls).toContainEqual(['eq', 'id', 'batch-1']);
+      expect(calls).toContainEqual(['or', expect.stringMatching(/^status\.neq\.processing,updated_at\.lt\."/)]);
+    });
+
+    it('should only process unfinished stored files and report each result', async () => {
+      jest.spyOn(ocrBatchService, 'getBatch').mockResolvedValue({
+        id: 'batch-1',
+        status: 'completed_with_errors',
+        concurrency: 2,
+        items: createItems()
+      });
+      jest.spyOn(ocrBatchService, 'claimBatch').mockResolvedValue({ id: 'batch-1', status: 'processing' });
+      const processItem = jest.spyOn(ocrBatchService, 'processItem').mockImplementation(async (batch, item) => (
+        item.id === 'item-1'
+          ? { status: 'completed', receipt_id: 'r-1', receiptSummary: { id: 'r-1' } }
+          : { status: 'failed', error_message: 'No text found in image', error_code: 'NO_TEXT_FOUND' }
+      ));
+      const onFileComplete = jest.fn();
+
+      const { batch, results } = await ocrBatchService.runBatch('batch-1', 'user-1', { onFileComplete });
+
+      expect(processItem.mock.calls.map(call => call[1].id)).toEqual(['item-1', 'item-3']);
+      expect(onFileComplete).toHaveBeenCalledTimes(3);
+      expect(results.map(result => [result.fileIndex, result.success])).toEqual([[1, true], [2, false], [3, false]]);
+      expect(batch).toMatchObject({
+        status: 'completed_with_errors',
+        successful_files: 2,
+        failed_files: 2,
+        processed_files: 4
+      });
+    });
+
+    it('should refuse to run a batch another run has claimed', async () => {
+      jest.spyOn(ocrBatchService, 'getBatch').mockResolvedValue({
+        id: 'batch-1',
+        status: 'queued',
+        items: createItems()
+      });
+      const { query } = mockTable([]);
+      supabase.from = jest.fn(() => query);
+      const processItem = jest.spyOn(ocrBatchService, 'processItem');
+
+      await expect(ocrBatchService.runBatch('batch-1', 'user-1')).rejects.toMatchObject({ code: 'BATCH_IN_PROGRESS' });
+      expect(processItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processItem', () => {
+    it('should reuse the receipt an interrupted attempt created instead of creating another', async () => {
+      const { query, calls } = mockTable([{ id: 'r-1' }]);
+      supabase.from = jest.fn(() => query);
+      const updateItem = jest.spyOn(ocrBatchService, 'updateItem').mockResolvedValue();
+      ocrService.processReceiptImage = jest.fn();
+      receiptService.createReceipt = jest.fn();
+
+      const updated = await ocrBatchService.processItem(
+        { id: 'batch-1', user_id: 'user-1' },
+        { id: 'item-1', file_name: 'b.jpg', status: 'processing', attempts: 1, image_url: 'url-b' }
+      );
+
+      expect(calls).toEqual(expect.arrayContaining([['eq', 'user_id', 'user-1'], ['eq', 'image_url', 'url-b']]));
+      expect(ocrService.processReceiptImage).not.toHaveBeenCalled();
+      expect(receiptService.createReceipt).not.toHaveBeenCalled();
+      expect(updated).toMatchObject({ status: 'completed', receipt_id: 'r-1', attempts: 2 });
+      expect(updateItem).toHaveBeenLastCalledWith('item-1', expect.objectContaining({ status: 'completed', receipt_id: 'r-1' }));
+    });
+  });
+});
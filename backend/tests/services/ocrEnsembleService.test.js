@@ -0,0 +1,142 @@
+/**
+ * OCR Ensemble Service Unit Tests
+ * Tests for cross-provider line alignment and weighted field voting
+ */
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const ocrEnsembleService = require('../../src/services/ocrEnsembleService');
+const ocrService = require('../../src/services/ocrService');
+const { MultiOCRService } = require('../../src/services/multiOCRService');
+const { MockOCRProvider } = require('../../src/services/ocrProviders');
+
+const receipt = (...lines) => lines.join('\n');
+
+describe('OCREnsembleService', () => {
+  describe('alignLines', () => {
+    it('should pair matching lines and keep lines only one provider read', () => {
+      const rows = ocrEnsembleService.alignLines([
+        { provider: 'a', weight: 0.9, lines: ['CORNER CAFE', 'Latte 4.50', 'TOTAL 4.50'] },
+        { provider: 'b', weight: 0.6, lines: ['C0RNER CAFE', '03/14/2025', 'Latte 4.5O', 'TOTAL 4.50'] }
+      ]);
+
+      expect(rows.map(row => row.readings.map(reading => reading.text))).toEqual([
+        ['CORNER CAFE', 'C0RNER CAFE'],
+        ['03/14/2025'],
+        ['Latte 4.50', 'Latte 4.5O'],
+        ['TOTAL 4.50', 'TOTAL 4.50']
+      ]);
+    });
+  });
+
+  describe('combine', () => {
+    it('should vote each field by provider weight', () => {
+      const result = ocrEnsembleService.combine([
+        {
+          provider: 'tesseract',
+          weight: 0.5,
+          text: receipt('FRESH MART', '03/14/2025', 'Milk 3.49', 'Brcad 2.99', 'TOTAL $8.48')
+        },
+        {
+          provider: 'googleVision',
+          weight: 0.9,
+          text: receipt('FRESH MART', '03/14/2025', 'Milk 3.49', 'Bread 2.99', 'TOTAL $6.48')
+        },
+        {
+          provider: 'paddleOCR',
+          weight: 0.8,
+          text: receipt('FRESH MART', '08/14/2025', 'Milk 3.49', 'Bread 2.99', 'Gum 1.25', 'TOTAL $6.48')
+        }
+      ], { parser: ocrService });
+
+      expect(result.fields.merchantName.value).toBe('FRESH MART');
+      expect(result.fields.totalAmount).toMatchObject({ value: 6.48, agreement: 0.773 });
+      expect(result.fields.date.value).toEqual(new Date(2025, 2, 14));
+      expect(result.fields.items.value.map(item => [item.name, item.price])).toEqual([
+        ['Milk', 3.49],
+        ['Bread', 2.99]
+      ]);
+      expect(result.text).toContain('TOTAL $6.48');
+      expect(result.text).not.toContain('Gum');
+    });
+
+    it('should let a stronger provider win a two-way disagreement', () => {
+      const result = ocrEnsembleService.combine([
+        { provider: 'weak', weight: 0.4, text: receipt('SHOP', 'TOTAL 19.00') },
+        { provider: 'strong', weight: 0.8, text: receipt('SHOP', 'TOTAL 10.00') }
+      ], { parser: ocrService });
+
+      expect(result.fields.totalAmount.value).toBe(10);
+      expect(result.fields.totalAmount.votes).toEqual([
+        { provider: 'strong', value: 10 },
+        { provider: 'weak', value: 19 }
+      ]);
+    });
+
+    it('should parse each reading with the user\'s profile locale', () => {
+      const readings = [
+        { provider: 'tesseract', weight: 0.5, text: receipt('CORNER SHOP', '03/04/2025', 'Tea 2,50', 'TOTAL 12,50') },
+        { provider: 'googleVision', weight: 0.9, text: receipt('CORNER SHOP', '03/04/2025', 'Tea 2,50', 'TOTAL 12,50') }
+      ];
+
+      const result = ocrEnsembleService.combine(readings, {
+        parser: ocrService,
+        profile: { locale: 'en-GB', currency: 'GBP', dateFormat: 'DD/MM/YYYY' }
+      });
+
+      expect(result.fields.date.value).toEqual(new Date(2025, 3, 3));
+      expect(result.fields.totalAmount.value).toBe(12.5);
+      expect(ocrEnsembleService.combine(readings, { parser: ocrService }).fields.date.value).toEqual(new Date(2025, 2, 4));
+    });
+  });
+});
+
+describe('MultiOCRService.processImageWithEnsemble', () => {
+  const createService = async (providers) => {
+    const service = new MultiOCRService();
+    await service.ready;
+    for (const name of [...service.providers.keys()]) {
+      service.unregisterProvider(name);
+    }
+    for (const provider of providers) {
+      await service.registerProvider(provider);
+    }
+    jest.spyOn(service, 'analyzeImageQuality').mockResolvedValue({ score: 0.4, recommendations: [], resolution: 400000 });
+    return service;
+  };
+
+  it('should reuse precomputed results and vote with the other providers', async () => {
+    const cloud = new MockOCRProvider({ name: 'cloud', profile: { accuracy: 'high' }, confidence: 0.95 });
+    const service = await createService([new MockOCRProvider({ name: 'tesseract' }), cloud]);
+
+    const result = await service.processImageWithEnsemble({
+      imagePath: '/tmp/receipt.png',
+      precomputed: { tesseract: { text: receipt('MOCK MART', 'TOTAL $9.48'), confidence: 0.3 } },
+      parser: ocrService
+    });
+
+    expect(cloud.calls).toBe(1);
+    expect(result.fields.totalAmount.value).toBe(6.48);
+    expect(result.ensemble.providers.map(provider => provider.name)).toEqual(['tesseract', 'cloud']);
+    expect(result.provider).toEqual({ name: 'ensemble', cost: 0 });
+  });
+
+  it('should keep going when one provider fails', async () => {
+    const broken = new MockOCRProvider({ name: 'broken', profile: { accuracy: 'high' } });
+    broken.recognize = jest.fn().mockRejectedValue(new Error('timeout'));
+    const service = await createService([broken, new MockOCRProvider({ name: 'a' }), new MockOCRProvider({ name: 'b' })]);
+
+    const result = await service.processImageWithEnsemble({ imagePath: '/tmp/receipt.png', parser: ocrService });
+
+    expect(result.ensemble.failures).toEqual([{ provider: 'broken', error: 'timeout' }]);
+    expect(result.fields.merchantName.value).toBe('MOCK MART');
+  });
+
+  it('should require at least two providers', async () => {
+    const service = await createService([new MockOCRProvider()]);
+
+    await expect(service.processImageWithEnsemble({ imagePath: '/tmp/receipt.png' }))
+      .rejects.toMatchObject({ code: 'ENSEMBLE_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * OpenRouter Service Unit Tests
+ * Tests for streaming chat completions
+ */
+
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }), { virtual: true });
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const openRouterService = require('../../src/services/openRouterService');
+
+/**
+ * Response body delivering server-sent event chunks as given, so events
+ * may be split across chunks
+ */
+const streamOf = (chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+const delta = (content, extra = {}) => `data: ${JSON.stringify({ choices: [{ delta: { content }, ...extra }] })}\n\n`;
+
+describe('OpenRouterService', () => {
+  const originalKey = openRouterService.apiKey;
+
+  beforeEach(() => {
+    openRouterService.apiKey = 'test-key';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    openRouterService.apiKey = originalKey;
+    jest.restoreAllMocks();
+  });
+
+  describe('generateResponseStream', () => {
+    it('should pass tokens through as they arrive and return the full answer', async () => {
+      const first = delta('You spent ');
+      axios.post.mockResolvedValue({
+        data: streamOf([
+          ': OPENROUTER PROCESSING\n\n',
+          first.slice(0, 20),
+          first.slice(20),
+          delta('$42.10 at Target.', { finish_reason: 'stop' }),
+          `data: ${JSON.stringify({ model: 'llama', choices: [], usage: { total_tokens: 12 } })}\n\n`,
+          'data: [DONE]\n\n'
+        ])
+      });
+      const tokens = [];
+
+      const result = await openRouterService.generateResponseStream('How much at Target?', [], [], {
+        onToken: token => tokens.push(token)
+      });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringContaining('/chat/completions'),
+        expect.objectContaining({ stream: true }),
+        expect.objectContaining({ responseType: 'stream' })
+      );
+      expect(tokens).toEqual(['You spent ', '$42.10 at Target.']);
+      expect(result).toEqual({
+        content: 'You spent $42.10 at Target.',
+        finishReason: 'stop',
+        model: 'llama',
+        usage: { total_tokens: 12 },
+        error: false
+      });
+    });
+
+    it('should keep the partial answer when the stream reports an error', async () => {
+      axios.post.mockResolvedValue({
+        data: streamOf([delta('Your warranty '), `data: ${JSON.stringify({ error: { message: 'Provider overloaded', code: 502 } })}\n\n`])
+      });
+
+      const result = await openRouterService.generateResponseStream('Is my TV covered?');
+
+      expect(result).toMatchObject({ content: 'Your warranty ', finishReason: 'error', error: true });
+    });
+
+    it('should stream the apology when the request fails before any token', async () => {
+      axios.post.mockRejectedValue(Object.assign(new Error('Too many requests'), { response: { status: 429 } }));
+      const tokens = [];
+
+      const result = await openRouterService.generateResponseStream('Hi', [], [], { onToken: token => tokens.push(token) });
+
+      expect(tokens).toEqual([openRouterService.getErrorResponse({ response: { status: 429 } })]);
+      expect(result.error).toBe(true);
+    });
+  });
+
+  describe('generateToolCompletion', () => {
+    it('should send the tools and return the requested tool calls', async () => {
+      const toolCalls = [{ id: 'call-1', type: 'function', function: { name: 'sum_spend', arguments: '{"category":"Groceries"}' } }];
+      axios.post.mockResolvedValue({
+        data: { model: 'openai/gpt-4o-mini', choices: [{ message: { content: null, tool_calls: toolCalls }, finish_reason: 'tool_calls' }] }
+      });
+      const tools = [{ type: 'function', function: { name: 'sum_spend', parameters: { type: 'object', properties: {} } } }];
+
+      const result = await openRouterService.generateToolCompletion([{ role: 'user', content: 'Grocery spend?' }], tools);
+
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ tools, tool_choice: 'auto', stream: false });
+      expect(result).toEqual({ content: '', toolCalls, finishReason: 'tool_calls', model: 'openai/gpt-4o-mini', usage: null });
+    });
+  });
+
+  describe('generateToolCompletionStream', () => {
+    it('should stream answer text and assemble tool calls from their deltas', async () => {
+      const toolDelta = (toolCall) => `data: ${JSON.stringify({ choices: [{ delta: { tool_calls: [toolCall] } }] })}\n\n`;
+      axios.post.mockResolvedValue({
+        data: streamOf([
+          toolDelta({ index: 0, id: 'call-1', function: { name: 'sum_spend', arguments: '' } }),
+          toolDelta({ index: 0, function: { arguments: '{"category":' } }),
+          toolDelta({ index: 0, function: { arguments: '"Groceries"}' } }),
+          delta('', { finish_reason: 'tool_calls' }),
+          'data: [DONE]\n\n'
+        ])
+      });
+      const tokens = [];
+
+      const result = await openRouterService.generateToolCompletionStream([], [], { onToken: token => tokens.push(token) });
+
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ stream: true, tool_choice: 'auto' });
+      expect(tokens).toEqual([]);
+      expect(result.toolCalls).toEqual([
+        { id: 'call-1', type: 'function', function: { name: 'sum_spend', arguments: '{"category":"Groceries"}' } }
+      ]);
+      expect(result.finishReason).toBe('tool_calls');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * PDF Service Unit Tests
+ * Tests for PDF detection, text layer extraction and page rendering
+ */
+
+const pdfService = require('../../src/services/pdfService');
+const { buildLines } = pdfService;
+
+/**
+ * Build a minimal PDF. Each page is a list of [x, y, text] runs; a page
+ * with no runs has no text layer, like a scanned page.
+ */
+const createPdf = (pages) => {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+
+  objects[1] = '<</Type/Catalog/Pages 2 0 R>>';
+  objects[2] = `<</Type/Pages/Kids[${pageIds.map(id => `${id} 0 R`).join(' ')}]/Count ${pages.length}>>`;
+  objects[3] = '<</Type/Font/Subtype/Type1/BaseFont/Helvetica>>';
+
+  pages.forEach((runs, index) => {
+    const pageId = pageIds[index];
+    const content = runs.map(([x, y, text]) => `BT /F1 12 Tf ${x} ${y} Td (${text}) Tj ET`).join('\n');
+    objects[pageId] = `<</Type/Page/Parent 2 0 R/MediaBox[0 0 300 400]/Contents ${pageId + 1} 0 R/Resources<</Font<</F1 3 0 R>>>>>>`;
+    objects[pageId + 1] = `<</Length ${content.length}>>stream\n${content}\nendstream`;
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = body.length;
+    body += `${id} 0 obj${objects[id]}endobj\n`;
+  }
+
+  const xrefOffset = body.length;
+  body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  body += `trailer<</Size ${objects.length}/Root 1 0 R>>\nstartxref\n${xrefOffset}\n%%EOF`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+describe('PDFService', () => {
+  describe('isPdf', () => {
+    it('should detect PDFs by MIME type, extension or magic bytes', () => {
+      expect(pdfService.isPdf({ mimeType: 'application/pdf' })).toBe(true);
+      expect(pdfService.isPdf({ originalName: 'Invoice.PDF' })).toBe(true);
+      expect(pdfService.isPdf({ buffer: createPdf([[]]), mimeType: 'image/jpeg' })).toBe(true);
+      expect(pdfService.isPdf({ buffer: Buffer.from('not a pdf'), mimeType: 'image/jpeg' })).toBe(false);
+    });
+  });
+
+  describe('buildLines', () => {
+    it('should join items on the same baseline in reading order', () => {
+      const lines = buildLines([
+        { str: '4.99', transform: [12, 0, 0, 12, 200, 300] },
+        { str: 'Milk', transform: [12, 0, 0, 12, 20, 300] },
+        { str: 'TOTAL', transform: [12, 0, 0, 12, 20, 250] },
+        { str: 'ACME STORE', transform: [12, 0, 0, 12, 20, 350] }
+      ]);
+
+      expect(lines).toEqual(['ACME STORE', 'Milk 4.99', 'TOTAL']);
+    });
+  });
+
+  describe('extractText', () => {
+    it('should read the text layer of every page', async () => {
+      const pdf = createPdf([
+        [[20, 350, 'ACME UTILITIES'], [20, 300, 'Electricity usage'], [200, 300, '84.20']],
+        [[20, 350, 'Amount due'], [200, 350, '84.20']]
+      ]);
+
+      const result = await pdfService.extractText(pdf);
+
+      expect(result.pageCount).toBe(2);
+      expect(result.pages[0].lines).toEqual(['ACME UTILITIES', 'Electricity usage 84.20']);
+      expect(result.pages[0].hasText).toBe(true);
+      expect(result.pages[1].text).toBe('Amount due 84.20');
+    });
+
+    it('should flag pages without a text layer as scanned', async () => {
+      const result = await pdfService.extractText(createPdf([[]]));
+
+      expect(result.pages[0].hasText).toBe(false);
+    });
+
+    it('should reject corrupted files', async () => {
+      await expect(pdfService.extractText(Buffer.from('%PDF-1.4 garbage'))).rejects.toMatchObject({ code: 'INVALID_PDF' });
+    });
+  });
+
+  describe('renderPages', () => {
+    it('should rasterize the requested pages to PNG', async () => {
+      const pdf = createPdf([[], [[20, 350, 'Page two']]]);
+
+      const images = await pdfService.renderPages(pdf, [1]);
+
+      expect(images).toHaveLength(1);
+      expect(images[0].pageNumber).toBe(1);
+      expect(images[0].image.subarray(1, 4).toString()).toBe('PNG');
+    });
+  });
+});
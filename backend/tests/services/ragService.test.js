@@ -0,0 +1,96 @@
+/**
+ * RAG Service Unit Tests
+ * Tests for streaming answers through the chat tools
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/openRouterService', () => ({
+  apiKey: 'test-key',
+  buildMessages: jest.fn((systemPrompt, query) => [{ role: 'system', content: systemPrompt }, { role: 'user', content: query }]),
+  generateToolCompletionStream: jest.fn(),
+  generateResponseStream: jest.fn()
+}));
+jest.mock('../../src/services/chatToolsService', () => ({
+  getToolDefinitions: jest.fn().mockResolvedValue([]),
+  executeTool: jest.fn()
+}));
+
+const { supabase } = require('../../config/supabase');
+const openRouterService = require('../../src/services/openRouterService');
+const chatToolsService = require('../../src/services/chatToolsService');
+const ragService = require('../../src/services/ragService');
+
+/**
+ * Tool round that streams the given tokens and requests the given tool calls
+ */
+const streamRound = (tokens, toolCalls = []) => (messages, tools, { onToken }) => {
+  tokens.forEach(token => onToken(token));
+  return Promise.resolve({ content: tokens.join(''), toolCalls, finishReason: toolCalls.length ? 'tool_calls' : 'stop', model: 'tool-model', usage: null });
+};
+
+describe('RAGService', () => {
+  let events;
+
+  const handlers = {
+    onSources: sources => events.push(['sources', sources]),
+    onToken: content => events.push(['token', content])
+  };
+
+  beforeEach(() => {
+    events = [];
+    supabase.from = jest.fn(() => ({
+      insert: jest.fn().mockResolvedValue({ error: null }),
+      upsert: jest.fn().mockResolvedValue({ error: null })
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('processQueryStream', () => {
+    it('should stream a reply without tool calls token by token', async () => {
+      openRouterService.generateToolCompletionStream.mockImplementationOnce(streamRound(['Hi! ', 'Ask me about ', 'your receipts.']));
+
+      const result = await ragService.processQueryStream('user-1', 'hello', 'conv-1', [], handlers);
+
+      expect(openRouterService.generateToolCompletionStream).toHaveBeenCalledTimes(1);
+      expect(events.map(([type]) => type)).toEqual(['sources', 'token', 'token', 'token']);
+      expect(result).toMatchObject({ answer: 'Hi! Ask me about your receipts.', search_strategy: 'tool_calling', tool_calls: [] });
+    });
+
+    it('should report the tools used before streaming the answer built from their results', async () => {
+      const toolCall = { id: 'call-1', type: 'function', function: { name: 'sum_spend', arguments: '{"category":"Groceries"}' } };
+      openRouterService.generateToolCompletionStream
+        .mockImplementationOnce(streamRound([], [toolCall]))
+        .mockImplementationOnce(streamRound(['You spent ', '$412.35 on groceries.']));
+      chatToolsService.executeTool.mockResolvedValue({ totals: [{ currency: 'USD', total_amount: 412.35 }] });
+
+      const result = await ragService.processQueryStream('user-1', 'How much on groceries?', 'conv-1', [], handlers);
+
+      expect(chatToolsService.executeTool).toHaveBeenCalledWith('user-1', 'sum_spend', '{"category":"Groceries"}');
+      expect(openRouterService.generateToolCompletionStream.mock.calls[1][0].slice(-1)[0]).toMatchObject({ role: 'tool', tool_call_id: 'call-1' });
+      expect(events).toEqual([
+        ['sources', expect.objectContaining({ sources: ['analytics'], documents: [{ type: 'tool', name: 'sum_spend', arguments: { category: 'Groceries' } }] })],
+        ['token', 'You spent '],
+        ['token', '$412.35 on groceries.']
+      ]);
+      expect(result.answer).toBe('You spent $412.35 on groceries.');
+    });
+
+    it('should keep a partly streamed answer instead of falling back to retrieval', async () => {
+      openRouterService.generateToolCompletionStream.mockImplementationOnce((messages, tools, { onToken }) => {
+        onToken('You spent ');
+        return Promise.reject(new Error('socket hang up'));
+      });
+
+      const result = await ragService.processQueryStream('user-1', 'How much on groceries?', 'conv-1', [], handlers);
+
+      expect(openRouterService.generateResponseStream).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ answer: 'You spent ', error: true, finish_reason: 'error' });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Receipt Discount Service Unit Tests
+ * Tests for attaching discount and multi-buy lines to receipt items
+ */
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const receiptDiscountService = require('../../src/services/receiptDiscountService');
+const ocrService = require('../../src/services/ocrService');
+const { DISCOUNT_TYPES } = receiptDiscountService;
+
+describe('ReceiptDiscountService', () => {
+  describe('parseDiscountLine', () => {
+    it('should classify coupons, loyalty savings, BOGO and plain discounts', () => {
+      expect(receiptDiscountService.parseDiscountLine('MFR CPN 1.00-'))
+        .toEqual({ description: 'MFR CPN', amount: 1, type: DISCOUNT_TYPES.COUPON });
+      expect(receiptDiscountService.parseDiscountLine('CLUB CARD SAVINGS 0.50'))
+        .toMatchObject({ amount: 0.5, type: DISCOUNT_TYPES.LOYALTY });
+      expect(receiptDiscountService.parseDiscountLine('BUY 1 GET 1 FREE -2.99'))
+        .toMatchObject({ amount: 2.99, type: DISCOUNT_TYPES.BOGO });
+      expect(receiptDiscountService.parseDiscountLine('20% OFF 1,50', ','))
+        .toMatchObject({ amount: 1.5, type: DISCOUNT_TYPES.DISCOUNT });
+      expect(receiptDiscountService.parseDiscountLine('PRICE ADJ -0.40'))
+        .toMatchObject({ amount: 0.4, type: DISCOUNT_TYPES.DISCOUNT });
+    });
+
+    it('should leave items, totals and savings summaries alone', () => {
+      expect(receiptDiscountService.parseDiscountLine('REDUCED FAT MILK 3.49')).toBeNull();
+      expect(receiptDiscountService.parseDiscountLine('TOTAL DISCOUNT 4.00')).toBeNull();
+      expect(receiptDiscountService.parseDiscountLine('YOU SAVED 4.00')).toBeNull();
+    });
+
+    it('should only treat disc, savings and promo as discounts on labels that name no item', () => {
+      expect(receiptDiscountService.parseDiscountLine('BLU-RAY DISC 19.99')).toBeNull();
+      expect(receiptDiscountService.parseDiscountLine('DISC BRAKE PADS 45.00')).toBeNull();
+      expect(receiptDiscountService.parseDiscountLine('PROMO 1.00'))
+        .toMatchObject({ amount: 1, type: DISCOUNT_TYPES.DISCOUNT });
+      expect(receiptDiscountService.parseDiscountLine('PROMO BREAD 0.50-'))
+        .toMatchObject({ amount: 0.5, type: DISCOUNT_TYPES.DISCOUNT });
+    });
+  });
+
+  describe('parseMultiBuyLine', () => {
+    it('should read quantity and unit price from multi-buy and weight lines', () => {
+      expect(receiptDiscountService.parseMultiBuyLine('2 @ 3.99'))
+        .toMatchObject({ quantity: 2, unitPrice: 3.99, totalPrice: null });
+      expect(receiptDiscountService.parseMultiBuyLine('2 x 3.99 7.98'))
+        .toMatchObject({ quantity: 2, unitPrice: 3.99, totalPrice: 7.98 });
+      expect(receiptDiscountService.parseMultiBuyLine('3 FOR 5.00'))
+        .toMatchObject({ quantity: 3, unitPrice: 1.67, totalPrice: 5 });
+      expect(receiptDiscountService.parseMultiBuyLine('2 @ 2/5.00'))
+        .toMatchObject({ quantity: 2, unitPrice: 2.5 });
+      expect(receiptDiscountService.parseMultiBuyLine('1.52 lb @ 0.69 /lb 1.05'))
+        .toMatchObject({ quantity: 1.52, unitPrice: 0.69, totalPrice: 1.05 });
+      expect(receiptDiscountService.parseMultiBuyLine('MILK 3.99')).toBeNull();
+    });
+  });
+
+  describe('attachAdjustments', () => {
+    it('should attach discounts to the item they name or the item above', () => {
+      const { items, orderDiscounts } = receiptDiscountService.attachAdjustments([
+        { kind: 'discount', discount: { description: 'STORE COUPON', amount: 2, type: DISCOUNT_TYPES.COUPON } },
+        { kind: 'item', item: { name: 'MILK', price: 3.99 } },
+        { kind: 'item', item: { name: 'CEREAL', price: 4.49 } },
+        { kind: 'discount', discount: { description: 'BOGO', amount: 4.49, type: DISCOUNT_TYPES.BOGO } },
+        { kind: 'discount', discount: { description: 'MFR CPN MILK', amount: 1, type: DISCOUNT_TYPES.COUPON } }
+      ]);
+
+      expect(items[0]).toMatchObject({ name: 'MILK', discountTotal: 1, netPrice: 2.99 });
+      expect(items[1]).toMatchObject({ name: 'CEREAL', discountTotal: 4.49, netPrice: 0 });
+      expect(orderDiscounts).toEqual([{ description: 'STORE COUPON', amount: 2, type: DISCOUNT_TYPES.COUPON }]);
+      expect(receiptDiscountService.calculateTotalSavings(items, orderDiscounts)).toBe(7.49);
+      expect(receiptDiscountService.calculateTotalSavings(items, orderDiscounts, 9.5)).toBe(9.5);
+    });
+
+    it('should set quantities from multi-buy lines above or below the item', () => {
+      const { items } = receiptDiscountService.attachAdjustments([
+        { kind: 'item', item: { name: 'SODA', price: 7.98 } },
+        { kind: 'multi_buy', multiBuy: { quantity: 2, unitPrice: 3.99, totalPrice: null, description: '2 @ 3.99' } },
+        { kind: 'multi_buy', multiBuy: { quantity: 3, unitPrice: 1.67, totalPrice: 5, description: '3 FOR 5.00' } },
+        { kind: 'item', item: { name: 'YOGURT', price: 5 } },
+        { kind: 'text', text: 'BANANAS' },
+        { kind: 'multi_buy', multiBuy: { quantity: 1.52, unitPrice: 0.69, totalPrice: 1.05, description: '1.52 lb @ 0.69' } }
+      ]);
+
+      expect(items.map(item => [item.name, item.price, item.quantity, item.unitPrice])).toEqual([
+        ['SODA', 7.98, 2, 3.99],
+        ['YOGURT', 5, 3, 1.67],
+        ['BANANAS', 1.05, 1.52, 0.69]
+      ]);
+    });
+  });
+
+  describe('ocrService.parseReceiptText', () => {
+    it('should return items with their discounts and the receipt savings', () => {
+      const result = ocrService.parseReceiptText({
+        text: [
+          'FRESH MART',
+          'MILK 2% GAL 3.99',
+          'MEMBER SAVINGS 0.50-',
+          'SODA 12PK 7.98',
+          '2 @ 3.99',
+          'CEREAL 4.49',
+          'BOGO FREE -4.49',
+          'SUBTOTAL 16.46',
+          'TAX 0.55',
+          'TOTAL 12.02',
+          'YOU SAVED 4.99'
+        ].join('\n'),
+        confidence: 90
+      });
+
+      expect(result.items.map(item => [item.name, item.quantity, item.discountTotal || 0])).toEqual([
+        ['MILK 2% GAL', 1, 0.5],
+        ['SODA 12PK', 2, 0],
+        ['CEREAL', 1, 4.49]
+      ]);
+      expect(result.totalSavings).toBe(4.99);
+      expect(result.reconciliation.status).toBe('balanced');
+    });
+
+    it('should keep products named after discount words as items', () => {
+      const result = ocrService.parseReceiptText({
+        text: [
+          'MEDIA WORLD',
+          'BLU-RAY DISC 19.99',
+          'DISC BRAKE PADS 45.00',
+          'HDMI CABLE 9.99',
+          'SUBTOTAL 74.98',
+          'TAX 6.00',
+          'TOTAL 80.98'
+        ].join('\n'),
+        confidence: 90
+      });
+
+      expect(result.items.map(item => item.name)).toEqual(['BLU-RAY DISC', 'DISC BRAKE PADS', 'HDMI CABLE']);
+      expect(result.totalSavings).toBe(0);
+      expect(result.reconciliation.status).toBe('balanced');
+    });
+  });
+});
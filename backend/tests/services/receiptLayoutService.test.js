@@ -0,0 +1,127 @@
+/**
+ * Receipt Layout Service Unit Tests
+ * Tests for coordinate-based item pairing and total detection
+ */
+
+jest.mock('sharp', () => jest.fn());
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const receiptLayoutService = require('../../src/services/receiptLayoutService');
+const ocrService = require('../../src/services/ocrService');
+
+const CHAR_WIDTH = 10;
+const LINE_HEIGHT = 20;
+const pageRef = { id: 'page' };
+
+/**
+ * Tesseract-style line: runs of [x, text] at a given top y. A negative x
+ * right-aligns the text so it ends at -x, like a price column.
+ */
+const line = (y, ...runs) => ({
+  text: runs.map(([, text]) => text).join(' '),
+  words: runs.flatMap(([x, text]) => {
+    const width = text.length * CHAR_WIDTH;
+    let left = x < 0 ? -x - width : x;
+    return text.split(' ').map(part => {
+      const word = {
+        text: part,
+        confidence: 90,
+        page: pageRef,
+        bbox: { x0: left, y0: y, x1: left + part.length * CHAR_WIDTH, y1: y + LINE_HEIGHT }
+      };
+      left += (part.length + 1) * CHAR_WIDTH;
+      return word;
+    });
+  })
+});
+
+const tesseractResult = (...lines) => ({
+  text: lines.map(candidate => candidate.text).join('\n'),
+  confidence: 0.8,
+  blocks: [{ page: pageRef, paragraphs: [{ lines }] }]
+});
+
+const groceryReceipt = () => tesseractResult(
+  line(10, [100, 'FRESH MART']),
+  line(40, [20, '03/14/2025 10:22']),
+  line(80, [20, 'Milk 2%'], [-300, '3.49']),
+  line(110, [20, 'Organic Whole Wheat']),
+  line(135, [20, 'Bread Loaf'], [-300, '4.99']),
+  line(160, [20, 'Eggs 12ct'], [-280, '5.29'], [290, 'A']),
+  line(185, [40, 'Large brown']),
+  line(230, [20, 'SUBTOTAL'], [-300, '13.77']),
+  line(255, [20, 'TAX'], [-300, '1.10']),
+  line(280, [20, 'TOTAL']),
+  line(283, [-300, '$14.87']),
+  line(310, [20, 'VISA'], [-300, '14.87']),
+  line(335, [20, 'CHANGE'], [-300, '0.00'])
+);
+
+describe('ReceiptLayoutService', () => {
+  describe('parse', () => {
+    it('should pair names with the price column, including wrapped names', () => {
+      const result = receiptLayoutService.parse(groceryReceipt());
+
+      expect(result.items.map(item => [item.name, item.price])).toEqual([
+        ['Milk 2%', 3.49],
+        ['Organic Whole Wheat Bread Loaf', 4.99],
+        ['Eggs 12ct Large brown', 5.29]
+      ]);
+      expect(result.items[0]).toMatchObject({ quantity: 1, confidence: 0.9, source: 'layout' });
+    });
+
+    it('should find the total on its row even when the amount is a separate OCR line', () => {
+      const result = receiptLayoutService.parse(groceryReceipt());
+
+      expect(result).toMatchObject({ totalAmount: 14.87, subtotal: 13.77, tax: 1.1 });
+    });
+
+    it('should take an unlabelled amount after the subtotal block as the total', () => {
+      const result = receiptLayoutService.parse(tesseractResult(
+        line(10, [20, 'Coffee'], [-300, '10.00']),
+        line(40, [20, 'SUBTOTAL'], [-300, '10.00']),
+        line(70, [20, 'TAX'], [-300, '0.80']),
+        line(100, [-300, '10.80']),
+        line(130, [20, 'CASH'], [-300, '20.00'])
+      ));
+
+      expect(result.totalAmount).toBe(10.8);
+    });
+
+    it('should read boxes from other providers', () => {
+      const result = receiptLayoutService.parse({
+        text: 'Coffee\n3.50\nMuffin\n2.25',
+        blocks: [
+          { text: 'Coffee', confidence: 0.95, bbox: { x0: 20, y0: 10, x1: 80, y1: 30 } },
+          { text: '3.50', confidence: 0.9, bbox: { x0: 260, y0: 12, x1: 300, y1: 32 } },
+          { text: 'Muffin', confidence: 0.9, boundingBox: { vertices: [{ x: 20, y: 40 }, { x: 80, y: 40 }, { x: 80, y: 60 }, { x: 20, y: 60 }] } },
+          { text: '2.25', confidence: 0.9, bbox: { x0: 260, y0: 40, x1: 300, y1: 60 } }
+        ]
+      });
+
+      expect(result.items.map(item => [item.name, item.price])).toEqual([['Coffee', 3.5], ['Muffin', 2.25]]);
+    });
+
+    it('should return null without word coordinates', () => {
+      expect(receiptLayoutService.parse({ text: 'Milk 3.49', blocks: [] })).toBeNull();
+      expect(receiptLayoutService.parse({ text: 'Milk 3.49', blocks: [], pdf: { textPages: 1 } })).toBeNull();
+    });
+  });
+
+  describe('ocrService.parseReceiptText', () => {
+    it('should use the layout when the OCR result has geometry', () => {
+      const parsed = ocrService.parseReceiptText(groceryReceipt());
+
+      expect(parsed.parsingMethod).toBe('layout');
+      expect(parsed.totalAmount).toBe(14.87);
+      expect(parsed.items).toHaveLength(3);
+    });
+
+    it('should fall back to text lines otherwise', () => {
+      const parsed = ocrService.parseReceiptText({ text: 'SHOP\nMilk 3.49\nTOTAL 3.49', confidence: 0.9 });
+
+      expect(parsed.parsingMethod).toBe('text');
+      expect(parsed.items).toEqual([{ name: 'Milk', price: 3.49, quantity: 1, category: null }]);
+    });
+  });
+});
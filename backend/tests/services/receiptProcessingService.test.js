@@ -0,0 +1,208 @@
+/**
+ * Receipt Processing Service Unit Tests
+ * Tests for the staged background OCR pipeline
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/ocrService', () => ({
+  downloadImageFromStorage: jest.fn(),
+  preprocessImage: jest.fn(),
+  extractTextFromImage: jest.fn(),
+  parseReceiptText: jest.fn(),
+  calculateImageHash: jest.fn(() => 'hash'),
+  storeReceiptImage: jest.fn()
+}));
+jest.mock('../../src/services/receiptService', () => ({
+  getReceiptById: jest.fn(),
+  createPendingReceipt: jest.fn(),
+  updateProcessingState: jest.fn(),
+  completeReceiptProcessing: jest.fn(),
+  getOrCreateCategory: jest.fn()
+}));
+jest.mock('../../src/services/mlCategorizationService', () => ({ categorizeReceipt: jest.fn(), recordPrediction: jest.fn() }));
+jest.mock('../../src/services/categorizationRulesService', () => ({
+  ...jest.requireActual('../../src/services/categorizationRulesService'),
+  evaluateRules: jest.fn()
+}));
+jest.mock('../../src/services/advancedLineItemService', () => ({ extractLineItems: jest.fn() }));
+jest.mock('../../src/services/warrantyDetectionService', () => ({ detectWarrantyInfo: jest.fn() }));
+jest.mock('../../src/services/jobQueueService', () => ({
+  JOB_TYPES: { RECEIPT_PROCESSING: 'receipt_processing', EMBEDDING_GENERATION: 'embedding_generation' },
+  enqueue: jest.fn()
+}));
+
+const ocrService = require('../../src/services/ocrService');
+const receiptService = require('../../src/services/receiptService');
+const mlCategorizationService = require('../../src/services/mlCategorizationService');
+const categorizationRulesService = require('../../src/services/categorizationRulesService');
+const advancedLineItemService = require('../../src/services/advancedLineItemService');
+const warrantyDetectionService = require('../../src/services/warrantyDetectionService');
+const jobQueueService = require('../../src/services/jobQueueService');
+const receiptProcessingService = require('../../src/services/receiptProcessingService');
+
+const pendingReceipt = {
+  id: 'receipt-1',
+  image_url: 'https://storage.example.com/receipts/user-1/receipt.jpg',
+  image_hash: 'hash',
+  category_id: null,
+  processing_status: 'queued'
+};
+
+describe('ReceiptProcessingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    receiptService.getReceiptById.mockResolvedValue(pendingReceipt);
+    receiptService.getOrCreateCategory.mockResolvedValue({ id: 'cat-groceries' });
+    ocrService.downloadImageFromStorage.mockResolvedValue(Buffer.from('image'));
+    ocrService.preprocessImage.mockResolvedValue(null);
+    ocrService.extractTextFromImage.mockResolvedValue({ text: 'GROCER\nTOTAL 12.50', confidence: 0.9, blocks: [] });
+    ocrService.parseReceiptText.mockReturnValue({
+      merchantName: 'Grocer',
+      totalAmount: 12.5,
+      date: '2024-03-01',
+      items: [{ name: 'Milk', price: 12.5 }],
+      category: 'Groceries',
+      confidence: 0.85,
+      linesProcessed: 2
+    });
+    advancedLineItemService.extractLineItems.mockResolvedValue({ items: [] });
+    mlCategorizationService.categorizeReceipt.mockResolvedValue({ category: 'Groceries', confidence: 0.9 });
+    categorizationRulesService.evaluateRules.mockImplementation((userId, receipt) =>
+      Promise.resolve(categorizationRulesService.applyRules([], receipt)));
+    warrantyDetectionService.detectWarrantyInfo.mockResolvedValue({ warranties: [] });
+  });
+
+  it('should run every stage and complete the receipt', async () => {
+    const result = await receiptProcessingService.processReceipt(
+      { receiptId: 'receipt-1', userId: 'user-1' },
+      { attempts: 1, max_attempts: 3 }
+    );
+
+    expect(result).toMatchObject({ receiptId: 'receipt-1', itemCount: 1 });
+
+    const completion = receiptService.completeReceiptProcessing.mock.calls[0][0];
+    expect(completion.categoryId).toBe('cat-groceries');
+    expect(Object.values(completion.processingStages).map(stage => stage.status))
+      .toEqual(['completed', 'completed', 'completed', 'completed', 'completed']);
+  });
+
+  it('should skip categorization when the user chose a category', async () => {
+    receiptService.getReceiptById.mockResolvedValue({ ...pendingReceipt, category_id: 'cat-user' });
+
+    await receiptProcessingService.processReceipt({ receiptId: 'receipt-1', userId: 'user-1' });
+
+    const completion = receiptService.completeReceiptProcessing.mock.calls[0][0];
+    expect(mlCategorizationService.categorizeReceipt).not.toHaveBeenCalled();
+    expect(completion.processingStages.categorization.status).toBe('skipped');
+  });
+
+  it('should let a matching rule decide the category before ML', async () => {
+    categorizationRulesService.evaluateRules.mockImplementation((userId, receipt) =>
+      Promise.resolve(categorizationRulesService.applyRules([{
+        id: 'rule-1',
+        name: 'Grocer is business',
+        priority: 1,
+        merchant_pattern: 'grocer*',
+        set_category_id: 'cat-office',
+        add_tags: ['office'],
+        mark_business_expense: true
+      }], receipt)));
+
+    await receiptProcessingService.processReceipt({ receiptId: 'receipt-1', userId: 'user-1' });
+
+    const completion = receiptService.completeReceiptProcessing.mock.calls[0][0];
+    expect(mlCategorizationService.categorizeReceipt).not.toHaveBeenCalled();
+    expect(completion.categoryId).toBe('cat-office');
+    expect(completion.ruleUpdates).toEqual({ tags: ['office'], is_business_expense: true });
+  });
+
+  it('should continue when an optional stage fails', async () => {
+    warrantyDetectionService.detectWarrantyInfo.mockRejectedValue(new Error('model unavailable'));
+
+    await receiptProcessingService.processReceipt({ receiptId: 'receipt-1', userId: 'user-1' });
+
+    const completion = receiptService.completeReceiptProcessing.mock.calls[0][0];
+    expect(completion.processingStages.warranty_detection).toMatchObject({
+      status: 'failed',
+      error: 'model unavailable'
+    });
+  });
+
+  it('should mark the receipt failed without retry when no text is found', async () => {
+    ocrService.extractTextFromImage.mockResolvedValue({ text: '  ', confidence: 0 });
+
+    await expect(receiptProcessingService.processReceipt(
+      { receiptId: 'receipt-1', userId: 'user-1' },
+      { attempts: 1, max_attempts: 3 }
+    )).rejects.toMatchObject({ code: 'NO_TEXT_FOUND', retryable: false });
+
+    const lastUpdate = receiptService.updateProcessingState.mock.calls.slice(-1)[0][2];
+    expect(lastUpdate.processing_status).toBe('failed');
+    expect(lastUpdate.processing_stages.ocr.status).toBe('failed');
+    expect(receiptService.completeReceiptProcessing).not.toHaveBeenCalled();
+  });
+
+  it('should requeue the receipt when a transient failure will be retried', async () => {
+    ocrService.downloadImageFromStorage.mockRejectedValue(new Error('storage timeout'));
+
+    await expect(receiptProcessingService.processReceipt(
+      { receiptId: 'receipt-1', userId: 'user-1' },
+      { attempts: 1, max_attempts: 3 }
+    )).rejects.toThrow('storage timeout');
+
+    const lastUpdate = receiptService.updateProcessingState.mock.calls.slice(-1)[0][2];
+    expect(lastUpdate.processing_status).toBe('queued');
+  });
+
+  describe('queueReceipt', () => {
+    beforeEach(() => {
+      ocrService.storeReceiptImage.mockResolvedValue({ imageUrl: pendingReceipt.image_url, thumbnailUrl: null, imageHash: 'hash' });
+      receiptService.createPendingReceipt.mockResolvedValue(pendingReceipt);
+    });
+
+    it('should link the receipt to its processing job', async () => {
+      jobQueueService.enqueue.mockResolvedValueOnce({ id: 'job-1' }).mockResolvedValueOnce({ id: 'job-2' });
+
+      const { receipt, job } = await receiptProcessingService.queueReceipt({ userId: 'user-1', imageBuffer: Buffer.from('image') });
+
+      expect(job).toEqual({ id: 'job-1' });
+      expect(receipt.processing_job_id).toBe('job-1');
+      expect(jobQueueService.enqueue.mock.calls[1][0]).toMatchObject({ dependsOn: ['job-1'] });
+    });
+
+    it('should mark the receipt failed when it cannot be queued', async () => {
+      jobQueueService.enqueue.mockRejectedValue(new Error('queue unavailable'));
+
+      await expect(receiptProcessingService.queueReceipt({ userId: 'user-1', imageBuffer: Buffer.from('image') }))
+        .rejects.toThrow('queue unavailable');
+      expect(receiptService.updateProcessingState).toHaveBeenCalledWith('receipt-1', 'user-1', {
+        processing_status: 'failed',
+        processing_error: 'queue unavailable'
+      });
+    });
+  });
+
+  describe('getProcessingStatus', () => {
+    it('should report the running stage and progress', () => {
+      const status = receiptProcessingService.getProcessingStatus({
+        processing_status: 'processing',
+        processing_stages: {
+          preprocessing: { status: 'completed' },
+          ocr: { status: 'running', started_at: '2024-03-01T00:00:00.000Z' }
+        }
+      });
+
+      expect(status.currentStage).toBe('ocr');
+      expect(status.progress).toBe(20);
+      expect(status.stages).toHaveLength(5);
+    });
+
+    it('should treat receipts created synchronously as completed', () => {
+      const status = receiptProcessingService.getProcessingStatus({});
+
+      expect(status.status).toBe('completed');
+      expect(status.progress).toBe(100);
+    });
+  });
+});
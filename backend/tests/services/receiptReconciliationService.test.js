@@ -0,0 +1,122 @@
+/**
+ * Receipt Reconciliation Service Unit Tests
+ * Tests for checking line items against receipt totals and correcting misreads
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const receiptReconciliationService = require('../../src/services/receiptReconciliationService');
+const { RECONCILIATION_STATUS, CORRECTION_TYPES } = receiptReconciliationService;
+
+const prices = (result) => result.items.map(item => [item.name, item.totalPrice !== undefined ? item.totalPrice : item.price]);
+
+describe('ReceiptReconciliationService', () => {
+  describe('reconcile', () => {
+    it('should balance items, tax and tip against the total', () => {
+      const result = receiptReconciliationService.reconcile({
+        items: [{ name: 'Burger', price: 12.5 }, { name: 'Fries', price: 4 }],
+        totalAmount: 21.14,
+        rawText: 'Burger 12.50\nFries 4.00\nSubtotal 16.50\nTax 1.64\nTip 3.00\nTotal 21.14'
+      });
+
+      expect(result).toMatchObject({
+        status: RECONCILIATION_STATUS.BALANCED,
+        subtotal: 16.5,
+        tax: 1.64,
+        tip: 3,
+        calculatedTotal: 21.14,
+        difference: 0,
+        corrections: []
+      });
+    });
+
+    it('should apply discount lines and accept VAT included in prices', () => {
+      const withCoupon = receiptReconciliationService.reconcile({
+        items: [{ name: 'MILK', price: 3.99 }, { name: 'EGGS', price: 4 }],
+        totalAmount: 6.99,
+        rawText: 'MILK 3.99\nEGGS 4.00\nMFR CPN 1.00-\nTOTAL 6.99'
+      });
+      expect(withCoupon.status).toBe(RECONCILIATION_STATUS.BALANCED);
+      expect(withCoupon.totalDiscount).toBe(1);
+
+      const vat = receiptReconciliationService.reconcile({
+        items: [{ name: 'Brot', price: 3.49 }, { name: 'Kuchen', price: 12.5 }],
+        totalAmount: 15.99,
+        rawText: 'Brot 3,49\nKuchen 12,50\nSUMME EUR 15,99\nMwSt 7% 1,05',
+        decimalSeparator: ','
+      });
+      expect(vat).toMatchObject({ status: RECONCILIATION_STATUS.BALANCED, tax: 1.05, taxIncluded: true });
+    });
+
+    it('should restore a dropped decimal point', () => {
+      const result = receiptReconciliationService.reconcile({
+        items: [{ name: 'MILK', price: 399 }, { name: 'BREAD', price: 2.5 }],
+        totalAmount: 7.02,
+        rawText: 'MILK 399\nBREAD 2.50\nTAX 0.53\nTOTAL 7.02'
+      });
+
+      expect(result.status).toBe(RECONCILIATION_STATUS.CORRECTED);
+      expect(prices(result)).toEqual([['MILK', 3.99], ['BREAD', 2.5]]);
+      expect(result.items[0].correction).toEqual({ type: CORRECTION_TYPES.DROPPED_DECIMAL, from: 399 });
+    });
+
+    it('should recover an item whose price was read with O or S for 0 or 5', () => {
+      const result = receiptReconciliationService.reconcile({
+        items: [{ name: 'MILK', price: 3.99 }],
+        totalAmount: 5.58,
+        rawText: 'MILK 3.99\nGUM 1.S9\nTOTAL 5.58'
+      });
+
+      expect(result.status).toBe(RECONCILIATION_STATUS.CORRECTED);
+      expect(prices(result)).toEqual([['MILK', 3.99], ['GUM', 1.59]]);
+      expect(result.corrections[0]).toMatchObject({ type: CORRECTION_TYPES.CHARACTER_SWAP, from: '1.S9', to: 1.59 });
+    });
+
+    it('should treat a coupon read as an item as a discount', () => {
+      const result = receiptReconciliationService.reconcile({
+        items: [{ name: 'MILK', price: 3.99 }, { name: 'COUPON', price: 1 }],
+        totalAmount: 2.99,
+        rawText: 'MILK 3.99\nCOUPON 1.00\nTOTAL 2.99'
+      });
+
+      expect(result.status).toBe(RECONCILIATION_STATUS.CORRECTED);
+      expect(prices(result)).toEqual([['MILK', 3.99]]);
+      expect(result.discounts).toEqual([{ description: 'COUPON', amount: 1 }]);
+    });
+
+    it('should fix a line total or a quantity that disagrees with the unit price', () => {
+      const total = receiptReconciliationService.reconcile({
+        items: [
+          { name: 'SODA', quantity: 3, unitPrice: 1.25, totalPrice: 1.25 },
+          { name: 'CHIPS', quantity: 1, unitPrice: 2, totalPrice: 2 }
+        ],
+        totalAmount: 5.75
+      });
+      expect(prices(total)).toEqual([['SODA', 3.75], ['CHIPS', 2]]);
+      expect(total.corrections[0]).toMatchObject({ type: CORRECTION_TYPES.QUANTITY_MISMATCH, field: 'price' });
+
+      const quantity = receiptReconciliationService.reconcile({
+        items: [{ name: 'SODA', quantity: 4, unitPrice: 1.25, totalPrice: 2.5 }],
+        totalAmount: 2.5
+      });
+      expect(quantity.status).toBe(RECONCILIATION_STATUS.CORRECTED);
+      expect(quantity.items[0].quantity).toBe(2);
+    });
+
+    it('should report the difference when no fix explains it', () => {
+      const result = receiptReconciliationService.reconcile({
+        items: [{ name: 'MILK', price: 3.99 }],
+        totalAmount: 9.99,
+        rawText: 'MILK 3.99\nTOTAL 9.99'
+      });
+
+      expect(result).toMatchObject({ status: RECONCILIATION_STATUS.UNBALANCED, difference: 6, corrections: [] });
+      expect(prices(result)).toEqual([['MILK', 3.99]]);
+    });
+
+    it('should need a total or subtotal to compare against', () => {
+      expect(receiptReconciliationService.reconcile({ items: [{ name: 'MILK', price: 3.99 }] }).status)
+        .toBe(RECONCILIATION_STATUS.INSUFFICIENT_DATA);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Receipt Service Unit Tests
+ * Tests for tax summaries over the user's receipts
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/mlCategorizationService', () => ({}));
+jest.mock('../../src/services/advancedLineItemService', () => ({}));
+jest.mock('../../src/services/warrantyDetectionService', () => ({}));
+
+const { supabase } = require('../../config/supabase');
+const receiptService = require('../../src/services/receiptService');
+
+/**
+ * Chainable query recording each filter call and resolving to the given rows
+ */
+const mockTable = (rows) => {
+  const calls = [];
+  const query = {};
+  ['select', 'eq', 'not', 'gte', 'lte'].forEach(method => {
+    query[method] = jest.fn((...args) => {
+      calls.push([method, ...args]);
+      return query;
+    });
+  });
+  query.then = (resolve, reject) => Promise.resolve({ data: rows, error: null }).then(resolve, reject);
+  return { query, calls };
+};
+
+describe('ReceiptService', () => {
+  afterEach(() => {
+    delete supabase.from;
+  });
+
+  describe('getTaxSummary', () => {
+    it('should total tax per currency without mixing amounts across currencies', async () => {
+      const gstin = { type: 'GSTIN', value: '27AAPFU0939F1ZV', valid: true };
+      const { query, calls } = mockTable([
+        {
+          id: 'r1',
+          currency: 'INR',
+          tax_amount: '900.00',
+          tax_breakdown: [
+            { type: 'CGST', rate: 9, taxableAmount: 5000, taxAmount: 450 },
+            { type: 'SGST', rate: 9, taxableAmount: 5000, taxAmount: 450 }
+          ],
+          tax_ids: [gstin],
+          seller_tax_id: gstin.value
+        },
+        { id: 'r2', currency: 'EUR', tax_amount: '19.00', tax_breakdown: [{ type: 'VAT', rate: 19, taxableAmount: 100, taxAmount: 19 }], tax_ids: [] },
+        { id: 'r3', currency: 'EUR', tax_amount: '7.00', tax_breakdown: [{ type: 'VAT', rate: 19, taxableAmount: 36.84, taxAmount: 7 }], tax_ids: [] },
+        { id: 'r4', currency: null, tax_amount: '1.36', tax_breakdown: [], tax_ids: [] }
+      ]);
+      supabase.from = jest.fn(() => query);
+
+      const summary = await receiptService.getTaxSummary('user-1', { period: 'month', now: new Date('2025-03-15T00:00:00Z') });
+
+      expect(calls[0][1]).toContain('currency');
+      expect(summary).toMatchObject({ dateFrom: '2025-03-01', dateTo: '2025-03-31', receiptCount: 4, receiptsWithoutTaxId: 3 });
+      expect(summary.totalTax).toBeUndefined();
+      expect(summary.currencies.map(({ currency, receiptCount, totalTax, reclaimableTax }) => [currency, receiptCount, totalTax, reclaimableTax]))
+        .toEqual([['EUR', 2, 26, 0], ['INR', 1, 900, 900], ['USD', 1, 1.36, 0]]);
+      expect(summary.currencies[0].taxes).toEqual([
+        { type: 'VAT', rate: 19, taxableAmount: 136.84, taxAmount: 26, reclaimableAmount: 0, receiptCount: 2 }
+      ]);
+      expect(summary.currencies[2].taxes[0]).toMatchObject({ type: 'UNSPECIFIED', taxAmount: 1.36 });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Receipt Split Service Unit Tests
+ * Tests for splitting receipt totals across categories
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const { supabase } = require('../../config/supabase');
+const receiptSplitService = require('../../src/services/receiptSplitService');
+
+describe('ReceiptSplitService', () => {
+  describe('allocateAmount', () => {
+    it('should distribute a total in cents that add up exactly', () => {
+      expect(receiptSplitService.allocateAmount([1, 1, 1], 10)).toEqual([3.34, 3.33, 3.33]);
+      expect(receiptSplitService.allocateAmount([0, 0], 10)).toEqual([0, 0]);
+    });
+  });
+
+  describe('deriveSplitsFromItems', () => {
+    it('should group items by category and share tax proportionally', () => {
+      const splits = receiptSplitService.deriveSplitsFromItems([
+        { item_category: 'Food', total_price: 20 },
+        { item_category: 'Beverage', total_price: 10 },
+        { item_category: 'Household', total_price: 15 },
+        { item_category: 'Electronics', total_price: 55 }
+      ], 108);
+
+      expect(splits).toEqual([
+        { categoryName: 'Technology', amount: 59.4 },
+        { categoryName: 'Food & Dining', amount: 32.4 },
+        { categoryName: 'Home & Garden', amount: 16.2 }
+      ]);
+    });
+
+    it('should leave unknown item categories to the receipt category', () => {
+      const splits = receiptSplitService.deriveSplitsFromItems([
+        { category: 'Other', price: 5 },
+        { category: 'Clothing', price: 15 }
+      ], 20);
+
+      expect(splits).toEqual([
+        { categoryName: 'Clothing', amount: 15 },
+        { categoryName: null, amount: 5 }
+      ]);
+    });
+
+    it('should not split receipts whose items share one category', () => {
+      expect(receiptSplitService.deriveSplitsFromItems([
+        { item_category: 'Food', total_price: 3 },
+        { item_category: 'Beverage', total_price: 2 }
+      ], 5)).toEqual([]);
+    });
+  });
+
+  describe('getReceiptAllocations', () => {
+    it('should count an unsplit receipt toward its own category', () => {
+      expect(receiptSplitService.getReceiptAllocations({
+        total_amount: '42.00',
+        category_id: 'cat-food',
+        categories: { name: 'Food & Dining' }
+      })).toEqual([{ categoryId: 'cat-food', categoryName: 'Food & Dining', amount: 42 }]);
+    });
+
+    it('should scale stored splits to a corrected total', () => {
+      const receipt = {
+        total_amount: '110.00',
+        category_id: 'cat-food',
+        receipt_category_splits: [
+          { category_id: 'cat-food', amount: '40.00', categories: { name: 'Food & Dining' } },
+          { category_id: 'cat-tech', amount: '60.00', categories: { name: 'Technology' } }
+        ]
+      };
+
+      expect(receiptSplitService.getReceiptAllocations(receipt)).toEqual([
+        { categoryId: 'cat-food', categoryName: 'Food & Dining', amount: 44 },
+        { categoryId: 'cat-tech', categoryName: 'Technology', amount: 66 }
+      ]);
+      expect(receiptSplitService.getCategoryAmount(receipt, 'cat-tech')).toBe(66);
+    });
+  });
+
+  describe('setReceiptSplits', () => {
+    afterEach(() => {
+      delete supabase.from;
+    });
+
+    it('should reject splits that do not add up to the receipt total', async () => {
+      const query = {
+        select: jest.fn(() => query),
+        eq: jest.fn(() => query),
+        single: jest.fn(() => Promise.resolve({ data: { id: 'receipt-1', total_amount: '50.00' }, error: null }))
+      };
+      supabase.from = jest.fn(() => query);
+
+      await expect(receiptSplitService.setReceiptSplits('receipt-1', 'user-1', [
+        { category_id: 'cat-food', amount: 30 },
+        { category_id: 'cat-tech', amount: 15 }
+      ])).rejects.toMatchObject({ code: 'SPLIT_TOTAL_MISMATCH', statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Receipt Tax Service Unit Tests
+ * Tests for reading tax rate buckets and seller tax IDs from receipts
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const receiptTaxService = require('../../src/services/receiptTaxService');
+const { TAX_TYPES, TAX_ID_TYPES } = receiptTaxService;
+
+describe('ReceiptTaxService', () => {
+  describe('extractTaxBreakdown', () => {
+    it('should bucket Indian GST by component and tell seller and buyer GSTINs apart', () => {
+      const result = receiptTaxService.extractTaxBreakdown([
+        'ABC ELECTRONICS PVT LTD',
+        'GSTIN: 27AAPFU0939F1ZV',
+        'Bill To: XYZ Traders',
+        'GSTIN 29AAACX1234Q1Z5',
+        'Laptop 50000.00',
+        'CGST @ 9% 4500.00',
+        'SGST @ 9% 4500.00',
+        'Cable 1000.00',
+        'IGST 5% on 1000.00 50.00',
+        'Total 60050.00'
+      ].join('\n'));
+
+      expect(result.taxes).toEqual([
+        { type: TAX_TYPES.CGST, rate: 9, taxableAmount: 50000, taxAmount: 4500 },
+        { type: TAX_TYPES.SGST, rate: 9, taxableAmount: 50000, taxAmount: 4500 },
+        { type: TAX_TYPES.IGST, rate: 5, taxableAmount: 1000, taxAmount: 50 }
+      ]);
+      expect(result.totalTax).toBe(9050);
+      expect(result.sellerTaxId).toEqual({ type: TAX_ID_TYPES.GSTIN, value: '27AAPFU0939F1ZV', valid: true, party: 'seller' });
+      expect(result.taxIds[1]).toMatchObject({ value: '29AAACX1234Q1Z5', party: 'buyer' });
+    });
+
+    it('should read net, tax and gross columns of a VAT table', () => {
+      const result = receiptTaxService.extractTaxBreakdown([
+        'REWE Markt GmbH',
+        'USt-IdNr.: DE 812 706 034',
+        'SUMME EUR 15,99',
+        'MwSt 7% 3,26 0,23 3,49',
+        'MwSt 19% 10,50 2,00 12,50'
+      ].join('\n'), { decimalSeparator: ',' });
+
+      expect(result.taxes).toEqual([
+        { type: TAX_TYPES.VAT, rate: 7, taxableAmount: 3.26, taxAmount: 0.23 },
+        { type: TAX_TYPES.VAT, rate: 19, taxableAmount: 10.5, taxAmount: 2 }
+      ]);
+      expect(result.sellerTaxId).toMatchObject({ type: TAX_ID_TYPES.VAT, value: 'DE812706034', valid: true });
+    });
+
+    it('should fall back to a printed tax total and keep sales tax without a rate', () => {
+      const australian = receiptTaxService.extractTaxBreakdown('CAFE\nABN 51 824 753 556\nTotal GST 1.82\nTOTAL 20.00');
+      expect(australian.taxes).toEqual([{ type: TAX_TYPES.GST, rate: null, taxableAmount: null, taxAmount: 1.82 }]);
+      expect(australian.sellerTaxId).toMatchObject({ type: TAX_ID_TYPES.ABN, valid: true });
+
+      const us = receiptTaxService.extractTaxBreakdown('TARGET\nSUBTOTAL 16.50\nTAX 1.36\nTOTAL 17.86');
+      expect(us).toMatchObject({ totalTax: 1.36, taxIds: [], sellerTaxId: null });
+    });
+  });
+
+  describe('isValidGstin', () => {
+    it('should check the GSTIN check digit', () => {
+      expect(receiptTaxService.isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+      expect(receiptTaxService.isValidGstin('27AAPFU0939F1ZW')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Warranty Claim Service Unit Tests
+ * Tests for claim status transitions, the claim timeline and reminders
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/notificationService', () => ({ createNotification: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const notificationService = require('../../src/services/notificationService');
+const warrantyClaimService = require('../../src/services/warrantyClaimService');
+
+const USER_ID = 'user-1';
+const WARRANTY_ID = 'warranty-1';
+
+const storedClaim = (overrides = {}) => ({
+  id: 'claim-1',
+  warranty_id: WARRANTY_ID,
+  user_id: USER_ID,
+  claim_reason: 'Screen flickers',
+  claim_status: 'submitted',
+  expected_resolution_date: null,
+  reminder_notification_id: null,
+  warranty_claim_events: [],
+  warranty_claim_documents: [],
+  ...overrides
+});
+
+/**
+ * Supabase query chain that records writes and resolves reads per table
+ */
+const mockTables = (results) => {
+  const writes = [];
+
+  supabase.from = jest.fn((table) => {
+    const query = {
+      select: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      order: jest.fn(() => query),
+      insert: jest.fn((row) => {
+        writes.push({ table, action: 'insert', row });
+        return query;
+      }),
+      update: jest.fn((row) => {
+        writes.push({ table, action: 'update', row });
+        return query;
+      }),
+      single: jest.fn(() => Promise.resolve(results[table])),
+      maybeSingle: jest.fn(() => Promise.resolve(results[`${table}:update`] || results[table])),
+      then: (resolve, reject) => Promise.resolve({ error: null }).then(resolve, reject)
+    };
+    return query;
+  });
+
+  return writes;
+};
+
+describe('WarrantyClaimService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+  });
+
+  describe('canTransition', () => {
+    it('should follow submitted, acknowledged, in repair, then resolved or rejected', () => {
+      expect(warrantyClaimService.canTransition('submitted', 'acknowledged')).toBe(true);
+      expect(warrantyClaimService.canTransition('acknowledged', 'in_repair')).toBe(true);
+      expect(warrantyClaimService.canTransition('in_repair', 'resolved')).toBe(true);
+      expect(warrantyClaimService.canTransition('submitted', 'rejected')).toBe(true);
+
+      expect(warrantyClaimService.canTransition('submitted', 'in_repair')).toBe(false);
+      expect(warrantyClaimService.canTransition('in_repair', 'acknowledged')).toBe(false);
+      expect(warrantyClaimService.canTransition('resolved', 'in_repair')).toBe(false);
+    });
+  });
+
+  describe('updateClaim', () => {
+    it('should reject a transition that skips a step', async () => {
+      const writes = mockTables({ warranty_claims: { data: storedClaim(), error: null } });
+
+      await expect(warrantyClaimService.updateClaim('claim-1', WARRANTY_ID, USER_ID, { status: 'resolved' }))
+        .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION', statusCode: 409 });
+      expect(writes).toEqual([]);
+    });
+
+    it('should only accept notes on a closed claim', async () => {
+      mockTables({ warranty_claims: { data: storedClaim({ claim_status: 'rejected' }), error: null } });
+
+      await expect(warrantyClaimService.updateClaim('claim-1', WARRANTY_ID, USER_ID, { expected_resolution_date: '2030-01-01' }))
+        .rejects.toMatchObject({ code: 'CLAIM_CLOSED', statusCode: 409 });
+    });
+
+    it('should record the status change on the timeline and cancel the reminder when resolved', async () => {
+      const claim = storedClaim({ claim_status: 'in_repair', reminder_notification_id: 'notification-1' });
+      const writes = mockTables({
+        warranty_claims: { data: claim, error: null },
+        warranties: { data: { id: WARRANTY_ID, product_name: 'Laptop' }, error: null }
+      });
+
+      await warrantyClaimService.updateClaim('claim-1', WARRANTY_ID, USER_ID, { status: 'resolved', note: 'Screen replaced' });
+
+      const claimUpdate = writes.find(write => write.table === 'warranty_claims' && write.row.claim_status);
+      expect(claimUpdate.row).toMatchObject({ claim_status: 'resolved', resolution_date: expect.any(String) });
+      expect(writes).toContainEqual({
+        table: 'warranty_claim_events',
+        action: 'insert',
+        row: expect.objectContaining({ event_type: 'status_change', from_status: 'in_repair', to_status: 'resolved', note: 'Screen replaced' })
+      });
+      expect(writes).toContainEqual({ table: 'notifications', action: 'update', row: { expires_at: expect.any(String) } });
+      expect(notificationService.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the update when the claim status changed since it was read', async () => {
+      const writes = mockTables({
+        warranty_claims: { data: storedClaim({ claim_status: 'acknowledged' }), error: null },
+        'warranty_claims:update': { data: null, error: null }
+      });
+
+      await expect(warrantyClaimService.updateClaim('claim-1', WARRANTY_ID, USER_ID, { status: 'in_repair' }))
+        .rejects.toMatchObject({ code: 'CLAIM_CHANGED', statusCode: 409 });
+      expect(supabase.from.mock.results[1].value.eq).toHaveBeenCalledWith('claim_status', 'acknowledged');
+      expect(writes.filter(write => write.table === 'warranty_claim_events')).toEqual([]);
+    });
+  });
+
+  describe('createClaim', () => {
+    it('should schedule a reminder for the expected resolution date', async () => {
+      const claim = storedClaim({ expected_resolution_date: '2099-03-01' });
+      mockTables({
+        warranty_claims: { data: claim, error: null },
+        warranties: { data: { id: WARRANTY_ID, product_name: 'Laptop' }, error: null }
+      });
+      notificationService.createNotification.mockResolvedValue({ id: 'notification-2', scheduled_for: '2099-03-01T09:00:00.000Z' });
+
+      const created = await warrantyClaimService.createClaim(WARRANTY_ID, USER_ID, {
+        claim_reason: 'Screen flickers',
+        claim_description: 'Flickers after ten minutes of use',
+        expected_resolution_date: '2099-03-01'
+      });
+
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        userId: USER_ID,
+        type: 'warranty_claim',
+        relatedEntityId: 'claim-1',
+        scheduledFor: '2099-03-01T09:00:00.000Z'
+      }));
+      expect(created).toMatchObject({ id: 'claim-1', is_open: true, allowed_transitions: ['acknowledged', 'rejected'] });
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Warranty Detection Service Unit Tests
+ * Tests for protection plan detection and linking plans to warranties
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/warrantyReminderService', () => ({ syncWarrantyReminder: jest.fn().mockResolvedValue({}) }));
+
+const { supabase } = require('../../config/supabase');
+const warrantyDetectionService = require('../../src/services/warrantyDetectionService');
+
+describe('WarrantyDetectionService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+  });
+
+  describe('detectProtectionPlans', () => {
+    it('should tie a plan line to the product rung up before it', () => {
+      const plans = warrantyDetectionService.detectProtectionPlans([
+        { name: 'USB-C CHARGER', price: 19 },
+        { name: 'IPHONE 15 PRO 256GB', price: 1099 },
+        { name: 'APPLECARE+ 2YR', price: 199 },
+        { name: 'CASE', price: 49 }
+      ], 'Apple Store');
+
+      expect(plans).toEqual([expect.objectContaining({
+        provider: 'AppleCare',
+        planName: 'APPLECARE+ 2YR',
+        cost: 199,
+        termMonths: 24,
+        coveredItemName: 'IPHONE 15 PRO 256GB',
+        confidence: 0.7
+      })]);
+    });
+
+    it('should prefer the product named in the plan line and read month terms', () => {
+      const plans = warrantyDetectionService.detectProtectionPlans([
+        { name: 'SAMSUNG 65IN QLED TV', totalPrice: 1299.99 },
+        { name: 'SONY SOUNDBAR', totalPrice: 399.99 },
+        { name: 'GEEK SQUAD PROTECTION 36 MO TV', totalPrice: 249.99 }
+      ], 'Best Buy');
+
+      expect(plans[0]).toMatchObject({
+        provider: 'Geek Squad',
+        termMonths: 36,
+        coveredItemName: 'SAMSUNG 65IN QLED TV',
+        confidence: 0.9
+      });
+    });
+
+    it('should fall back to the merchant as provider of an unbranded plan', () => {
+      const plans = warrantyDetectionService.detectProtectionPlans([
+        { name: 'DISHWASHER', price: 649 },
+        { name: '3 YEAR PROTECTION PLAN', price: 89 }
+      ], 'Home Depot');
+
+      expect(plans[0]).toMatchObject({ provider: 'Home Depot', termMonths: 36, coveredItemName: 'DISHWASHER' });
+    });
+  });
+
+  describe('linkProtectionPlan', () => {
+    it('should record the plan and extend the covered warranty end date', async () => {
+      const writes = [];
+      const warranty = { id: 'warranty-1', product_name: 'IPHONE 15 PRO 256GB', warranty_end_date: '2026-09-14', base_warranty_end_date: null };
+
+      supabase.from = jest.fn((table) => {
+        const query = {
+          select: jest.fn(() => query),
+          eq: jest.fn(() => query),
+          upsert: jest.fn((row) => {
+            writes.push({ table, action: 'upsert', row });
+            return query;
+          }),
+          update: jest.fn((row) => {
+            writes.push({ table, action: 'update', row });
+            return query;
+          }),
+          single: jest.fn(() => Promise.resolve({
+            data: table === 'warranties' ? { ...warranty, ...writes[writes.length - 1].row } : { id: 'extension-1', provider: 'AppleCare' },
+            error: null
+          })),
+          then: (resolve, reject) => Promise.resolve({ data: [warranty], error: null }).then(resolve, reject)
+        };
+        return query;
+      });
+
+      const result = await warrantyDetectionService.linkProtectionPlan('user-1', 'receipt-1', {
+        provider: 'AppleCare',
+        planName: 'APPLECARE+ 2YR',
+        cost: 199,
+        termMonths: 24,
+        coveredItemName: 'IPHONE 15 PRO',
+        confidence: 0.7
+      }, { purchaseDate: '2025-09-14' });
+
+      expect(writes[0]).toMatchObject({
+        table: 'warranty_extensions',
+        row: {
+          warranty_id: 'warranty-1',
+          provider: 'AppleCare',
+          plan_cost: 199,
+          coverage_start_date: '2025-09-14',
+          coverage_end_date: '2027-09-14'
+        }
+      });
+      expect(writes[1]).toMatchObject({
+        table: 'warranties',
+        row: { base_warranty_end_date: '2026-09-14', warranty_end_date: '2027-09-14' }
+      });
+      expect(result.warranty.warranty_end_date).toBe('2027-09-14');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Warranty Reminder Service Unit Tests
+ * Tests for trigger scheduling and idempotent reminder delivery
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+jest.mock('../../src/services/notificationService', () => ({ createNotification: jest.fn() }));
+
+const { supabase } = require('../../config/supabase');
+const notificationService = require('../../src/services/notificationService');
+const warrantyReminderService = require('../../src/services/warrantyReminderService');
+
+const createWarranty = (overrides = {}) => ({
+  id: 'warranty-1',
+  user_id: 'user-1',
+  product_name: 'Television',
+  warranty_end_date: '2026-03-09',
+  reminder_settings: { days_before: [30, 7, 1], timezone: 'America/New_York' },
+  is_active: true,
+  is_deleted: false,
+  ...overrides
+});
+
+const createReminder = (warranty, overrides = {}) => ({
+  id: 'reminder-1',
+  timezone: 'America/New_York',
+  trigger_history: [],
+  occurrence_count: 0,
+  warranty,
+  ...overrides
+});
+
+/**
+ * Capture reminder updates made by processReminder
+ */
+const mockReminderUpdates = () => {
+  const updates = [];
+  supabase.from = jest.fn(() => {
+    const query = {
+      update: jest.fn((fields) => {
+        updates.push(fields);
+        return query;
+      }),
+      eq: jest.fn(() => Promise.resolve({ error: null }))
+    };
+    return query;
+  });
+  return updates;
+};
+
+describe('WarrantyReminderService', () => {
+  afterEach(() => {
+    delete supabase.from;
+    jest.clearAllMocks();
+  });
+
+  describe('buildTriggers', () => {
+    it('should fire at the local reminder time across a DST change', () => {
+      const warranty = createWarranty({ reminder_settings: { days_before: [7, 0], timezone: 'America/New_York' } });
+      const settings = warrantyReminderService.normalizeSettings(warranty);
+
+      expect(warrantyReminderService.buildTriggers(warranty, settings)).toEqual([
+        { key: 'warranty:warranty-1:2026-03-09:7', days_before: 7, local_date: '2026-03-02', trigger_at: '2026-03-02T14:00:00.000Z' },
+        { key: 'warranty:warranty-1:2026-03-09:0', days_before: 0, local_date: '2026-03-09', trigger_at: '2026-03-09T13:00:00.000Z' }
+      ]);
+    });
+
+    it('should move weekend reminders to the Friday before on business days only', () => {
+      const warranty = createWarranty({
+        warranty_end_date: '2026-03-09',
+        reminder_settings: { days_before: [1, 2], time: '08:30', timezone: 'Asia/Kolkata', business_days_only: true }
+      });
+      const settings = warrantyReminderService.normalizeSettings(warranty);
+      const triggers = warrantyReminderService.buildTriggers(warranty, settings);
+
+      expect(triggers.map(trigger => trigger.local_date)).toEqual(['2026-03-06', '2026-03-06']);
+      expect(triggers[0].trigger_at).toBe('2026-03-06T03:00:00.000Z');
+    });
+
+    it('should fall back to alert preferences and the profile time zone', () => {
+      const settings = warrantyReminderService.normalizeSettings(
+        createWarranty({ reminder_settings: null, alert_preferences: { days: [14, 3], email: true } }),
+        'Europe/Berlin'
+      );
+
+      expect(settings).toMatchObject({ days_before: [14, 3], timezone: 'Europe/Berlin', delivery_method: ['in_app', 'email'] });
+    });
+  });
+
+  describe('processReminder', () => {
+    it('should send only the latest due trigger and record the older one as skipped', async () => {
+      const updates = mockReminderUpdates();
+      notificationService.createNotification.mockResolvedValue({ id: 'notification-1' });
+      const now = new Date('2026-03-03T12:00:00Z');
+
+      const result = await warrantyReminderService.processReminder(createReminder(createWarranty()), { now });
+
+      expect(result).toEqual({ sent: 1, skipped: 1 });
+      expect(notificationService.createNotification).toHaveBeenCalledTimes(1);
+      expect(notificationService.createNotification).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'warranty_expiring',
+        title: 'Warranty expires in 6 days',
+        reminderId: 'reminder-1',
+        dedupeKey: 'warranty:warranty-1:2026-03-09:7'
+      }));
+      expect(updates[0].trigger_history.map(entry => [entry.days_before, entry.status])).toEqual([[30, 'skipped'], [7, 'sent']]);
+      expect(updates[0]).toMatchObject({ next_trigger_at: '2026-03-08T13:00:00.000Z', is_active: true, occurrence_count: 1 });
+    });
+
+    it('should not notify again for triggers already in the history', async () => {
+      const updates = mockReminderUpdates();
+      const history = ['30', '7'].map(days => ({ key: `warranty:warranty-1:2026-03-09:${days}`, status: 'sent' }));
+
+      const result = await warrantyReminderService.processReminder(
+        createReminder(createWarranty(), { trigger_history: history }),
+        { now: new Date('2026-03-03T12:00:00Z') }
+      );
+
+      expect(result).toEqual({ sent: 0, skipped: 0 });
+      expect(notificationService.createNotification).not.toHaveBeenCalled();
+      expect(updates[0].trigger_history).toHaveLength(2);
+    });
+
+    it('should close the reminder without notifying once the warranty has expired', async () => {
+      const updates = mockReminderUpdates();
+
+      const result = await warrantyReminderService.processReminder(
+        createReminder(createWarranty()),
+        { now: new Date('2026-03-10T15:00:00Z') }
+      );
+
+      expect(result).toEqual({ sent: 0, skipped: 3 });
+      expect(notificationService.createNotification).not.toHaveBeenCalled();
+      expect(updates[0]).toMatchObject({ next_trigger_at: null, is_active: false, is_completed: true });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Job Worker Unit Tests
+ * Tests for job dispatch, settlement and retry scheduling
+ */
+
+jest.mock('../../config/supabase', () => ({ supabase: {} }));
+
+const jobQueueService = require('../../src/services/jobQueueService');
+const JobWorker = require('../../src/workers/jobWorker');
+
+const createJob = (overrides = {}) => ({
+  id: 'job-1',
+  job_type: 'embedding_generation',
+  job_data: { receiptId: 'receipt-1' },
+  attempts: 1,
+  max_attempts: 3,
+  ...overrides
+});
+
+/**
+ * Minimal chainable stand-in for the Supabase query builder
+ */
+const createQueryBuilder = (response) => {
+  const builder = {
+    update: jest.fn(() => builder),
+    eq: jest.fn(() => builder),
+    select: jest.fn(() => Promise.resolve(response))
+  };
+  return builder;
+};
+
+describe('JobWorker', () => {
+  let worker;
+
+  beforeEach(() => {
+    jest.spyOn(jobQueueService, 'completeJob').mockResolvedValue(true);
+    jest.spyOn(jobQueueService, 'failJob').mockResolvedValue({ retrying: true, scheduledAt: 'later' });
+    worker = new JobWorker({ workerId: 'worker-test' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass job data to the registered handler and complete the job', async () => {
+    const handler = jest.fn().mockResolvedValue({ receiptId: 'receipt-1' });
+    worker.registerHandler('embedding_generation', handler);
+
+    await worker.runJob(createJob());
+
+    expect(handler).toHaveBeenCalledWith({ receiptId: 'receipt-1' }, expect.objectContaining({ id: 'job-1' }));
+    expect(jobQueueService.completeJob).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'job-1' }),
+      'worker-test',
+      { receiptId: 'receipt-1' },
+      expect.any(Number)
+    );
+    expect(worker.stats.completed).toBe(1);
+  });
+
+  it('should record handler failures for retry', async () => {
+    worker.registerHandler('embedding_generation', jest.fn().mockRejectedValue(new Error('timeout')));
+
+    await worker.runJob(createJob());
+
+    expect(jobQueueService.completeJob).not.toHaveBeenCalled();
+    expect(jobQueueService.failJob).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'job-1' }),
+      'worker-test',
+      expect.objectContaining({ message: 'timeout' }),
+      expect.any(Number)
+    );
+    expect(worker.stats.retried).toBe(1);
+  });
+
+  it('should retry saving a completion instead of failing the job', async () => {
+    jest.useFakeTimers();
+    jobQueueService.completeJob
+      .mockRejectedValueOnce(new Error('connection reset'))
+      .mockResolvedValueOnce(true);
+    worker.registerHandler('embedding_generation', jest.fn().mockResolvedValue({ receiptId: 'receipt-1' }));
+
+    const execution = worker.runJob(createJob());
+    await jest.runAllTimersAsync();
+    await execution;
+    jest.useRealTimers();
+
+    expect(jobQueueService.completeJob).toHaveBeenCalledTimes(2);
+    expect(jobQueueService.failJob).not.toHaveBeenCalled();
+    expect(worker.stats.completed).toBe(1);
+  });
+
+  it('should leave the job running when its completion cannot be saved', async () => {
+    jest.useFakeTimers();
+    jobQueueService.completeJob.mockRejectedValue(new Error('connection reset'));
+    worker.registerHandler('embedding_generation', jest.fn().mockResolvedValue({}));
+
+    const execution = worker.runJob(createJob());
+    await jest.runAllTimersAsync();
+    await execution;
+    jest.useRealTimers();
+
+    expect(jobQueueService.completeJob).toHaveBeenCalledTimes(3);
+    expect(jobQueueService.failJob).not.toHaveBeenCalled();
+    expect(worker.stats).toMatchObject({ completed: 0, failed: 0, retried: 0 });
+  });
+
+  it('should fail jobs without a handler as non-retryable', async () => {
+    await worker.runJob(createJob({ job_type: 'unknown_type' }));
+
+    const failure = jobQueueService.failJob.mock.calls[0][2];
+    expect(failure.retryable).toBe(false);
+  });
+});
+
+describe('JobQueueService', () => {
+  const originalClient = jobQueueService.client;
+
+  afterEach(() => {
+    jobQueueService.client = originalClient;
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateBackoff', () => {
+    it('should double the delay per attempt within the jitter range', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(jobQueueService.calculateBackoff(1)).toBe(5000);
+      expect(jobQueueService.calculateBackoff(2)).toBe(10000);
+      expect(jobQueueService.calculateBackoff(3)).toBe(20000);
+    });
+
+    it('should cap the delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(jobQueueService.calculateBackoff(20)).toBe(15 * 60 * 1000);
+    });
+  });
+
+  describe('failJob', () => {
+    it('should schedule a retry while attempts remain', async () => {
+      const builder = createQueryBuilder({ data: [{ id: 'job-1' }], error: null });
+      jobQueueService.client = { from: jest.fn(() => builder) };
+
+      const outcome = await jobQueueService.failJob(createJob(), 'worker-test', new Error('boom'), 12);
+
+      expect(outcome.retrying).toBe(true);
+      expect(builder.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'retrying',
+        processed_by: 'worker-test',
+        processing_duration_ms: 12,
+        scheduled_at: outcome.scheduledAt
+      }));
+      expect(builder.eq).toHaveBeenCalledWith('processed_by', 'worker-test');
+    });
+
+    it('should fail permanently and cascade to dependents on the last attempt', async () => {
+      const builder = createQueryBuilder({ data: [{ id: 'job-1' }], error: null });
+      jobQueueService.client = { from: jest.fn(() => builder) };
+      const cascade = jest.spyOn(jobQueueService, 'failDependentJobs').mockResolvedValue();
+
+      const outcome = await jobQueueService.failJob(
+        createJob({ attempts: 3 }),
+        'worker-test',
+        new Error('boom'),
+        12
+      );
+
+      expect(outcome.retrying).toBe(false);
+      expect(builder.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+      expect(cascade).toHaveBeenCalledWith('job-1');
+    });
+  });
+});
@@ -0,0 +1,30 @@
+-- Migration: 010_budget_rollover.sql
+-- Description: Add rollover settings to budgets for the budget engine
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 005_budgets_system_tables.sql
+
+BEGIN;
+
+-- Rollover configuration: unused budget from a period carries into the next one
+ALTER TABLE budgets
+    ADD COLUMN rollover_enabled BOOLEAN DEFAULT FALSE,
+    ADD COLUMN max_rollover_amount DECIMAL(10,2); -- NULL = no cap on carried amount
+
+-- Restrict period types to the ones the budget engine understands
+ALTER TABLE budgets
+    ADD CONSTRAINT budgets_period_type_valid
+        CHECK (period_type IN ('weekly', 'monthly', 'quarterly', 'yearly'));
+
+ALTER TABLE budgets
+    ADD CONSTRAINT budgets_alert_percentage_valid
+        CHECK (alert_at_percentage IS NULL OR (alert_at_percentage > 0 AND alert_at_percentage <= 100));
+
+-- Status lookups read active budgets per user
+CREATE INDEX idx_budgets_user_active ON budgets(user_id, is_active);
+
+-- Add comments
+COMMENT ON COLUMN budgets.rollover_enabled IS 'Carry unused budget from the previous period into the current one';
+COMMENT ON COLUMN budgets.max_rollover_amount IS 'Upper bound for the carried amount (NULL for unlimited)';
+
+COMMIT;
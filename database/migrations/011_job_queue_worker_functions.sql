@@ -0,0 +1,99 @@
+-- Migration: 011_job_queue_worker_functions.sql
+-- Description: Functions used by background workers to claim and recover jobs
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 009_future_scalability_enhancements.sql
+
+BEGIN;
+
+-- ============================================================================
+-- JOB CLAIMING
+-- ============================================================================
+
+-- Atomically claim the next runnable jobs of a queue for one worker.
+-- FOR UPDATE SKIP LOCKED lets any number of worker processes poll the same
+-- queue without claiming the same job twice.
+CREATE OR REPLACE FUNCTION claim_jobs(
+    p_worker_id TEXT,
+    p_queue_name TEXT DEFAULT 'default',
+    p_limit INTEGER DEFAULT 1
+)
+RETURNS SETOF job_queue AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE job_queue j
+    SET status = 'running',
+        started_at = NOW(),
+        completed_at = NULL,
+        attempts = j.attempts + 1,
+        processed_by = p_worker_id
+    WHERE j.id IN (
+        SELECT q.id
+        FROM job_queue q
+        WHERE q.queue_name = p_queue_name
+          AND q.status IN ('pending', 'retrying')
+          AND q.scheduled_at <= NOW()
+          AND (q.expires_at IS NULL OR q.expires_at > NOW())
+          -- Every blocking dependency must be satisfied
+          AND NOT EXISTS (
+              SELECT 1
+              FROM job_dependencies d
+              JOIN job_queue dep ON dep.id = d.depends_on_job_id
+              WHERE d.job_id = q.id
+                AND d.is_blocking = TRUE
+                AND NOT (
+                    (d.dependency_type = 'completion' AND dep.status IN ('completed', 'failed'))
+                    OR (d.dependency_type = 'success' AND dep.status = 'completed')
+                )
+          )
+        ORDER BY q.priority DESC, q.scheduled_at ASC
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================================================
+-- STALE JOB RECOVERY
+-- ============================================================================
+
+-- Jobs left in 'running' by a crashed worker are returned to the queue once
+-- their lease expires, or failed if they have no attempts left.
+CREATE OR REPLACE FUNCTION requeue_stale_jobs(
+    p_lease_seconds INTEGER DEFAULT 600
+)
+RETURNS INTEGER AS $$
+DECLARE
+    recovered_count INTEGER;
+BEGIN
+    UPDATE job_queue
+    SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'retrying' END,
+        scheduled_at = NOW(),
+        last_error_at = NOW(),
+        error_message = 'Worker lease expired while job was running',
+        completed_at = CASE WHEN attempts >= max_attempts THEN NOW() ELSE NULL END
+    WHERE status = 'running'
+      AND started_at < NOW() - make_interval(secs => p_lease_seconds);
+
+    GET DIAGNOSTICS recovered_count = ROW_COUNT;
+    RETURN recovered_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Workers claim and recover jobs of every user, so only the backend may call these
+REVOKE ALL ON FUNCTION claim_jobs(TEXT, TEXT, INTEGER) FROM PUBLIC;
+REVOKE ALL ON FUNCTION claim_jobs(TEXT, TEXT, INTEGER) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_jobs(TEXT, TEXT, INTEGER) TO service_role;
+
+REVOKE ALL ON FUNCTION requeue_stale_jobs(INTEGER) FROM PUBLIC;
+REVOKE ALL ON FUNCTION requeue_stale_jobs(INTEGER) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION requeue_stale_jobs(INTEGER) TO service_role;
+
+-- Stale job scans only look at running jobs
+CREATE INDEX IF NOT EXISTS idx_job_queue_running ON job_queue(started_at) WHERE status = 'running';
+
+COMMENT ON FUNCTION claim_jobs IS 'Claim runnable jobs for a worker, honoring priority, schedule and dependencies';
+COMMENT ON FUNCTION requeue_stale_jobs IS 'Return jobs abandoned by crashed workers to the queue';
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Migration: 012_receipt_processing_status.sql
+-- Description: Track background OCR processing of receipts stage by stage
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql, 011_job_queue_worker_functions.sql
+
+BEGIN;
+
+-- Receipts uploaded in async mode are stored before OCR has run
+ALTER TABLE receipts
+    ADD COLUMN processing_status TEXT NOT NULL DEFAULT 'completed',
+    ADD COLUMN processing_stages JSONB, -- { stage: { status, started_at, completed_at, duration_ms, error } }
+    ADD COLUMN processing_error TEXT,
+    ADD COLUMN processing_job_id UUID REFERENCES job_queue(id) ON DELETE SET NULL;
+
+ALTER TABLE receipts
+    ADD CONSTRAINT receipts_processing_status_valid
+        CHECK (processing_status IN ('queued', 'processing', 'completed', 'failed'));
+
+-- Extracted fields are only known once processing has finished
+ALTER TABLE receipts
+    ALTER COLUMN merchant_name DROP NOT NULL,
+    ALTER COLUMN total_amount DROP NOT NULL,
+    ALTER COLUMN purchase_date DROP NOT NULL;
+
+ALTER TABLE receipts
+    ADD CONSTRAINT receipts_completed_fields_present
+        CHECK (
+            processing_status <> 'completed'
+            OR (merchant_name IS NOT NULL AND total_amount IS NOT NULL AND purchase_date IS NOT NULL)
+        );
+
+-- Pending receipts are looked up per user while polling
+CREATE INDEX idx_receipts_processing ON receipts(user_id, processing_status)
+    WHERE processing_status <> 'completed';
+
+-- Add comments
+COMMENT ON COLUMN receipts.processing_status IS 'Background OCR state: queued, processing, completed or failed';
+COMMENT ON COLUMN receipts.processing_stages IS 'Per-stage progress of the OCR pipeline';
+COMMENT ON COLUMN receipts.processing_job_id IS 'Job that runs the OCR pipeline for this receipt';
+
+COMMIT;
@@ -0,0 +1,89 @@
+-- Migration: 013_ocr_batches.sql
+-- Description: Persistent records for batch OCR uploads so batches can be queried and resumed
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql
+
+BEGIN;
+
+-- One row per batch upload
+CREATE TABLE ocr_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    status TEXT NOT NULL DEFAULT 'queued',
+    total_files INTEGER NOT NULL DEFAULT 0,
+    processed_files INTEGER NOT NULL DEFAULT 0,
+    successful_files INTEGER NOT NULL DEFAULT 0,
+    failed_files INTEGER NOT NULL DEFAULT 0,
+
+    -- Metadata applied to every file unless overridden per file
+    defaults JSONB DEFAULT '{}',
+    concurrency INTEGER,
+
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT ocr_batches_status_valid
+        CHECK (status IN ('queued', 'processing', 'completed', 'completed_with_errors', 'failed'))
+);
+
+-- One row per file in a batch
+CREATE TABLE ocr_batch_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    batch_id UUID NOT NULL REFERENCES ocr_batches(id) ON DELETE CASCADE,
+
+    file_index INTEGER NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    file_size INTEGER,
+    image_url TEXT, -- Stored copy used when a batch is resumed
+    metadata JSONB DEFAULT '{}', -- Effective per-file metadata (category, notes, tags, flags)
+
+    status TEXT NOT NULL DEFAULT 'pending',
+    receipt_id UUID REFERENCES receipts(id) ON DELETE SET NULL,
+    error_code TEXT,
+    error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT ocr_batch_items_status_valid
+        CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+    UNIQUE (batch_id, file_index)
+);
+
+-- Create indexes
+CREATE INDEX idx_ocr_batches_user_created ON ocr_batches(user_id, created_at DESC);
+CREATE INDEX idx_ocr_batch_items_batch_status ON ocr_batch_items(batch_id, status);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_ocr_batches_updated_at BEFORE UPDATE ON ocr_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_ocr_batch_items_updated_at BEFORE UPDATE ON ocr_batch_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE ocr_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ocr_batch_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own OCR batches" ON ocr_batches
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own OCR batch items" ON ocr_batch_items
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM ocr_batches b WHERE b.id = batch_id AND b.user_id = auth.uid())
+    );
+
+-- Add comments
+COMMENT ON TABLE ocr_batches IS 'Batch OCR uploads with aggregate progress';
+COMMENT ON TABLE ocr_batch_items IS 'Per-file state of a batch OCR upload';
+COMMENT ON COLUMN ocr_batch_items.image_url IS 'Stored image used to process or resume the file';
+
+COMMIT;
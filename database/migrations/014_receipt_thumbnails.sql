@@ -0,0 +1,18 @@
+-- Migration: 014_receipt_thumbnails.sql
+-- Description: Thumbnail URLs for receipt images, generated on upload (including converted HEIC photos)
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql, 013_ocr_batches.sql
+
+BEGIN;
+
+ALTER TABLE receipts
+    ADD COLUMN IF NOT EXISTS image_thumbnail_url TEXT;
+
+ALTER TABLE ocr_batch_items
+    ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+
+COMMENT ON COLUMN receipts.image_thumbnail_url IS 'Small JPEG preview of the receipt image; NULL when generation failed or for older receipts';
+COMMENT ON COLUMN ocr_batch_items.thumbnail_url IS 'Thumbnail stored alongside the batch file, copied to the receipt on completion';
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Migration: 015_user_profile_locale.sql
+-- Description: Locale preference on user profiles, used to resolve ambiguous receipt dates, amounts and currencies
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 001_initial_schema.sql
+
+BEGIN;
+
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS locale TEXT DEFAULT 'en-US';
+
+COMMENT ON COLUMN user_profiles.locale IS 'BCP 47 locale (e.g. en-GB, de-DE, en-IN); fallback for receipt date order and decimal separator when the receipt text is ambiguous';
+
+COMMIT;
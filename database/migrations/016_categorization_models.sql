@@ -0,0 +1,57 @@
+-- Migration: 016_categorization_models.sql
+-- Description: Per-user categorization models trained from category corrections, and the predictions they are measured against
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql
+
+BEGIN;
+
+-- One trained model per user
+CREATE TABLE categorization_models (
+    user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    model_version INTEGER NOT NULL DEFAULT 1,
+
+    classifier JSONB, -- Serialized naive Bayes classifier
+    merchant_mappings JSONB NOT NULL DEFAULT '{}', -- Normalized merchant name -> category name
+    training_examples INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Categories assigned automatically, and the user's correction if any
+CREATE TABLE categorization_predictions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    receipt_id UUID NOT NULL UNIQUE REFERENCES receipts(id) ON DELETE CASCADE,
+
+    predicted_category TEXT NOT NULL,
+    confidence DECIMAL(4,3),
+    corrected_category TEXT,
+    corrected_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX idx_categorization_predictions_user_created ON categorization_predictions(user_id, created_at DESC);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_categorization_models_updated_at BEFORE UPDATE ON categorization_models
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE categorization_models ENABLE ROW LEVEL SECURITY;
+ALTER TABLE categorization_predictions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own categorization model" ON categorization_models
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own categorization predictions" ON categorization_predictions
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE categorization_models IS 'Per-user receipt categorization model, written by the backend from category corrections and loaded at startup';
+COMMENT ON TABLE categorization_predictions IS 'Automatic receipt categorizations; corrected_category is set when the user changes the category, for accuracy tracking';
+
+COMMIT;
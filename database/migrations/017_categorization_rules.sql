@@ -0,0 +1,55 @@
+-- Migration: 017_categorization_rules.sql
+-- Description: User-defined categorization rules evaluated in order before ML categorization
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 001_initial_schema.sql, 002_receipts_tables.sql
+
+BEGIN;
+
+CREATE TABLE categorization_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    priority INTEGER NOT NULL, -- Lower runs first
+    is_active BOOLEAN DEFAULT TRUE,
+    stop_processing BOOLEAN DEFAULT FALSE, -- Skip lower-priority rules after this one matches
+
+    -- Conditions; every one that is set must match
+    merchant_pattern TEXT, -- Case-insensitive text; * matches any characters
+    min_amount DECIMAL(12,2),
+    max_amount DECIMAL(12,2),
+    item_keywords TEXT[],
+    payment_methods TEXT[],
+    match_tags TEXT[],
+
+    -- Actions
+    set_category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+    add_tags TEXT[],
+    mark_business_expense BOOLEAN DEFAULT FALSE,
+    mark_reimbursable BOOLEAN DEFAULT FALSE,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT categorization_rules_amount_range
+        CHECK (min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount)
+);
+
+-- Create indexes
+CREATE INDEX idx_categorization_rules_user_priority ON categorization_rules(user_id, priority);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_categorization_rules_updated_at BEFORE UPDATE ON categorization_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own categorization rules" ON categorization_rules
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE categorization_rules IS 'Ordered user rules applied to new receipts before ML categorization';
+COMMENT ON COLUMN categorization_rules.set_category_id IS 'Category assigned by the first matching rule that sets one';
+
+COMMIT;
@@ -0,0 +1,63 @@
+-- Migration: 018_merchants.sql
+-- Description: Canonical merchant directory with aliases, linked from receipts
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql
+
+BEGIN;
+
+-- One row per distinct merchant in a user's directory
+CREATE TABLE merchants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    canonical_name TEXT NOT NULL, -- Display name
+    normalized_name TEXT NOT NULL, -- Lowercase, store numbers and suffixes removed
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (user_id, normalized_name)
+);
+
+-- Spellings seen on receipts and the merchant they resolve to
+CREATE TABLE merchant_aliases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    merchant_id UUID NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+    alias TEXT NOT NULL, -- As printed on the first receipt
+    normalized_alias TEXT NOT NULL,
+    confirmed BOOLEAN NOT NULL DEFAULT FALSE, -- False for fuzzy matches the user has not reviewed
+    match_score DECIMAL(4,3),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (user_id, normalized_alias)
+);
+
+ALTER TABLE receipts
+    ADD COLUMN IF NOT EXISTS merchant_id UUID REFERENCES merchants(id) ON DELETE SET NULL;
+
+-- Create indexes
+CREATE INDEX idx_merchants_user_name ON merchants(user_id, canonical_name);
+CREATE INDEX idx_merchant_aliases_merchant ON merchant_aliases(merchant_id);
+CREATE INDEX idx_merchant_aliases_unconfirmed ON merchant_aliases(user_id) WHERE confirmed = FALSE;
+CREATE INDEX idx_receipts_merchant_id ON receipts(merchant_id);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_merchants_updated_at BEFORE UPDATE ON merchants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE merchants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE merchant_aliases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own merchants" ON merchants
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own merchant aliases" ON merchant_aliases
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE merchants IS 'Canonical merchants; receipts with different spellings of a merchant link to one row';
+COMMENT ON TABLE merchant_aliases IS 'Normalized merchant spellings; fuzzy matches stay unconfirmed until the user reviews them';
+COMMENT ON COLUMN receipts.merchant_id IS 'Canonical merchant; merchant_name keeps the name as printed';
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- Migration: 019_receipt_category_splits.sql
+-- Description: Split a receipt's total across several categories, derived from line items or entered by hand
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 001_initial_schema.sql, 002_receipts_tables.sql
+
+BEGIN;
+
+CREATE TABLE receipt_category_splits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    receipt_id UUID NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    category_id UUID REFERENCES categories(id) ON DELETE SET NULL, -- NULL counts as uncategorized
+    amount DECIMAL(12,2) NOT NULL CHECK (amount >= 0),
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('line_items', 'manual')),
+    notes TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX idx_receipt_category_splits_receipt ON receipt_category_splits(receipt_id);
+CREATE INDEX idx_receipt_category_splits_user_category ON receipt_category_splits(user_id, category_id);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_receipt_category_splits_updated_at BEFORE UPDATE ON receipt_category_splits
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE receipt_category_splits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own receipt category splits" ON receipt_category_splits
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE receipt_category_splits IS 'Portions of a receipt total per category; receipts without splits count entirely toward receipts.category_id';
+COMMENT ON COLUMN receipt_category_splits.source IS 'line_items when derived from item categories, manual when entered by the user; manual splits are never re-derived';
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- Migration: 020_receipt_discounts.sql
+-- Description: Discounts, coupons and loyalty savings attached to receipt items, and total savings per receipt
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql
+
+BEGIN;
+
+ALTER TABLE receipts
+    ADD COLUMN IF NOT EXISTS total_savings DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (total_savings >= 0);
+
+ALTER TABLE receipt_items
+    ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(12,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    ADD COLUMN IF NOT EXISTS discounts JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN receipts.total_savings IS 'Discount lines on the receipt, or its printed "you saved" figure when larger';
+COMMENT ON COLUMN receipt_items.discount_amount IS 'Sum of the discounts taken off this item; total_price is the price before them';
+COMMENT ON COLUMN receipt_items.discounts IS 'Discount lines attached to this item: [{ description, amount, type }] with type coupon, loyalty, bogo or discount';
+
+COMMIT;
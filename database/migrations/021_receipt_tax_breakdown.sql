@@ -0,0 +1,25 @@
+-- Migration: 021_receipt_tax_breakdown.sql
+-- Description: VAT/GST/sales tax rate buckets and seller tax IDs read from receipts, for reclaiming input tax
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 002_receipts_tables.sql
+
+BEGIN;
+
+ALTER TABLE receipts
+    ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS tax_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS seller_tax_id TEXT,
+    ADD COLUMN IF NOT EXISTS seller_tax_id_type TEXT
+        CHECK (seller_tax_id_type IS NULL OR seller_tax_id_type IN ('GSTIN', 'VAT', 'ABN', 'TAX_NUMBER'));
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_receipts_user_seller_tax_id ON receipts(user_id, seller_tax_id)
+    WHERE seller_tax_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN receipts.tax_breakdown IS 'Tax per type and rate: [{ type, rate, taxableAmount, taxAmount }], e.g. CGST 9% and SGST 9%, or VAT 19% and 7%';
+COMMENT ON COLUMN receipts.tax_ids IS 'Tax registrations printed on the receipt: [{ type, value, valid, party }] where party is seller or buyer';
+COMMENT ON COLUMN receipts.seller_tax_id IS 'GSTIN, VAT number or other tax ID of the seller; input tax is reclaimable when it is valid';
+
+COMMIT;
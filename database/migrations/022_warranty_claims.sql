@@ -0,0 +1,105 @@
+-- Migration: 022_warranty_claims.sql
+-- Description: Warranty claim lifecycle with status transitions, an event timeline, attached documents and resolution reminders
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 003_warranties_notifications.sql
+
+-- Enum values cannot be added inside a transaction block on older servers
+ALTER TYPE notification_type ADD VALUE IF NOT EXISTS 'warranty_claim';
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS warranty_claims (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warranty_id UUID NOT NULL REFERENCES warranties(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    claim_reason TEXT NOT NULL,
+    claim_description TEXT NOT NULL,
+    claim_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    claim_status TEXT NOT NULL DEFAULT 'submitted',
+    resolution_date DATE,
+    resolution_notes TEXT,
+    supporting_documents JSONB DEFAULT '[]'::jsonb,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE warranty_claims
+    ADD COLUMN IF NOT EXISTS provider_reference TEXT,
+    ADD COLUMN IF NOT EXISTS expected_resolution_date DATE,
+    ADD COLUMN IF NOT EXISTS reminder_notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS claim_amount DECIMAL(10,2) CHECK (claim_amount >= 0),
+    ADD COLUMN IF NOT EXISTS approved_amount DECIMAL(10,2) CHECK (approved_amount >= 0),
+    ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMPTZ DEFAULT NOW();
+
+ALTER TABLE warranty_claims
+    DROP CONSTRAINT IF EXISTS warranty_claims_claim_status_check,
+    ADD CONSTRAINT warranty_claims_claim_status_check
+        CHECK (claim_status IN ('submitted', 'acknowledged', 'in_repair', 'resolved', 'rejected'));
+
+CREATE TABLE warranty_claim_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    claim_id UUID NOT NULL REFERENCES warranty_claims(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    event_type TEXT NOT NULL CHECK (event_type IN (
+        'status_change', 'note', 'document_added', 'document_removed', 'reminder_scheduled'
+    )),
+    from_status TEXT,
+    to_status TEXT,
+    note TEXT,
+    metadata JSONB DEFAULT '{}'::jsonb,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE warranty_claim_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    claim_id UUID NOT NULL REFERENCES warranty_claims(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    document_type TEXT NOT NULL DEFAULT 'other' CHECK (document_type IN (
+        'receipt', 'photo', 'invoice', 'correspondence', 'repair_report', 'other'
+    )),
+    file_url TEXT NOT NULL,
+    file_name TEXT,
+    mime_type TEXT,
+    description TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_warranty_claims_warranty_status ON warranty_claims(warranty_id, claim_status);
+CREATE INDEX IF NOT EXISTS idx_warranty_claims_user_open ON warranty_claims(user_id, expected_resolution_date)
+    WHERE claim_status NOT IN ('resolved', 'rejected');
+CREATE INDEX idx_warranty_claim_events_claim ON warranty_claim_events(claim_id, created_at);
+CREATE INDEX idx_warranty_claim_documents_claim ON warranty_claim_documents(claim_id);
+
+-- Apply updated_at triggers
+DROP TRIGGER IF EXISTS update_warranty_claims_updated_at ON warranty_claims;
+CREATE TRIGGER update_warranty_claims_updated_at BEFORE UPDATE ON warranty_claims
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE warranty_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warranty_claim_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE warranty_claim_documents ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own warranty claims" ON warranty_claims;
+CREATE POLICY "Users can manage own warranty claims" ON warranty_claims
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own warranty claim events" ON warranty_claim_events
+    FOR ALL USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own warranty claim documents" ON warranty_claim_documents
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE warranty_claim_events IS 'Timeline of a warranty claim: status changes, notes, documents and reminders';
+COMMENT ON TABLE warranty_claim_documents IS 'Files attached to a warranty claim (photos, invoices, repair reports)';
+COMMENT ON COLUMN warranty_claims.claim_status IS 'submitted -> acknowledged -> in_repair -> resolved, or rejected from any open status';
+COMMENT ON COLUMN warranty_claims.expected_resolution_date IS 'Date the provider promised a resolution; a reminder fires on it while the claim is open';
+COMMENT ON COLUMN warranty_claims.reminder_notification_id IS 'Scheduled reminder notification, expired when the claim closes or the date changes';
+
+COMMIT;
@@ -0,0 +1,72 @@
+-- Migration: 023_warranty_reminders.sql
+-- Description: Warranty expiry reminders with per-warranty settings, computed next trigger times and an idempotent trigger history
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 003_warranties_notifications.sql
+
+BEGIN;
+
+ALTER TABLE warranties
+    ADD COLUMN IF NOT EXISTS reminder_settings JSONB DEFAULT '{}'::jsonb;
+
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    receipt_id UUID REFERENCES receipts(id) ON DELETE CASCADE,
+    warranty_id UUID REFERENCES warranties(id) ON DELETE CASCADE,
+
+    title TEXT NOT NULL,
+    description TEXT,
+    reminder_type TEXT NOT NULL,
+
+    scheduled_at TIMESTAMPTZ NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE,
+    is_completed BOOLEAN DEFAULT FALSE,
+    priority priority_level DEFAULT 'medium',
+    delivery_methods delivery_method[] DEFAULT ARRAY['in_app']::delivery_method[],
+    occurrence_count INTEGER DEFAULT 0 CHECK (occurrence_count >= 0),
+
+    last_triggered_at TIMESTAMPTZ,
+    next_trigger_at TIMESTAMPTZ,
+    trigger_history JSONB DEFAULT '[]'::jsonb,
+
+    timezone TEXT DEFAULT 'UTC',
+    business_days_only BOOLEAN DEFAULT FALSE,
+    custom_schedule_rules JSONB DEFAULT '{}'::jsonb,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS reminder_id UUID REFERENCES reminders(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+-- Create indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_warranty_type ON reminders(warranty_id, reminder_type);
+CREATE INDEX IF NOT EXISTS idx_reminders_due ON reminders(next_trigger_at)
+    WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_reminders_user ON reminders(user_id, is_active);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe_key ON notifications(dedupe_key)
+    WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_warranties_updated_at ON warranties(updated_at);
+
+-- Apply updated_at triggers
+DROP TRIGGER IF EXISTS update_reminders_updated_at ON reminders;
+CREATE TRIGGER update_reminders_updated_at BEFORE UPDATE ON reminders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE reminders ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own reminders" ON reminders;
+CREATE POLICY "Users can manage own reminders" ON reminders
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON COLUMN warranties.reminder_settings IS 'Expiry reminder settings: { enabled, days_before: [30, 7, 1], time: "09:00", timezone, business_days_only, delivery_method }';
+COMMENT ON COLUMN reminders.next_trigger_at IS 'Earliest reminder time not yet in trigger_history; the scheduler picks up rows where this has passed';
+COMMENT ON COLUMN reminders.trigger_history IS 'Fired and skipped triggers: [{ key, days_before, trigger_at, status, notification_id, triggered_at }]';
+COMMENT ON COLUMN notifications.dedupe_key IS 'Unique key of the trigger that created the notification, so a restarted scheduler never sends it twice';
+
+COMMIT;
@@ -0,0 +1,55 @@
+-- Migration: 024_warranty_extensions.sql
+-- Description: Extended warranties and protection plans (AppleCare+, Geek Squad, ...) linked to the warranty of the item they cover
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 003_warranties_notifications.sql, 002_receipts_tables.sql
+
+BEGIN;
+
+ALTER TABLE warranties
+    ADD COLUMN IF NOT EXISTS base_warranty_end_date DATE;
+
+CREATE TABLE warranty_extensions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    warranty_id UUID NOT NULL REFERENCES warranties(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    receipt_id UUID REFERENCES receipts(id) ON DELETE SET NULL,
+
+    provider TEXT NOT NULL,
+    plan_name TEXT NOT NULL,
+    plan_cost DECIMAL(10,2) CHECK (plan_cost >= 0),
+    term_months INTEGER NOT NULL CHECK (term_months > 0),
+    coverage_start_date DATE NOT NULL,
+    coverage_end_date DATE NOT NULL,
+    covered_item_name TEXT,
+
+    source TEXT NOT NULL DEFAULT 'receipt_detection' CHECK (source IN ('receipt_detection', 'manual')),
+    detection_confidence DECIMAL(3,2),
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT warranty_extensions_dates_valid CHECK (coverage_end_date > coverage_start_date),
+    CONSTRAINT warranty_extensions_plan_unique UNIQUE (warranty_id, receipt_id, provider)
+);
+
+-- Create indexes
+CREATE INDEX idx_warranty_extensions_warranty ON warranty_extensions(warranty_id);
+CREATE INDEX idx_warranty_extensions_user ON warranty_extensions(user_id, coverage_end_date);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_warranty_extensions_updated_at BEFORE UPDATE ON warranty_extensions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security
+ALTER TABLE warranty_extensions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own warranty extensions" ON warranty_extensions
+    FOR ALL USING (auth.uid() = user_id);
+
+-- Add comments
+COMMENT ON TABLE warranty_extensions IS 'Protection plans bought for a product, each extending the coverage of its warranty';
+COMMENT ON COLUMN warranty_extensions.covered_item_name IS 'Receipt line the plan was matched to';
+COMMENT ON COLUMN warranties.base_warranty_end_date IS 'End date before any extension; warranty_end_date is the latest coverage end including extensions';
+
+COMMIT;
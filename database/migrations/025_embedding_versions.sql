@@ -0,0 +1,426 @@
+-- Migration: 025_embedding_versions.sql
+-- Description: Let embedding columns hold the local sentence encoder's vectors next to existing ones until re-indexed, and version every embedding by the model that produced it
+-- Author: Backend Team
+-- Date: 2026-10-18
+-- Dependencies: 004_vector_embeddings.sql, 007_advanced_rag_functions.sql
+
+BEGIN;
+
+-- Existing vectors are kept until scripts/reindex-embeddings.js regenerates
+-- them, so the columns accept any size while old and new vectors coexist.
+-- Rows from before versioning are tagged with the version string of the
+-- model that made them; a deployment keeps searching them with
+-- EMBEDDING_PROVIDER=openai, OPENAI_EMBEDDING_MODEL=text-embedding-ada-002
+-- and EMBEDDING_DIMENSIONS=1536 until it re-indexes.
+DROP INDEX IF EXISTS idx_receipt_embeddings_vector;
+DROP INDEX IF EXISTS idx_warranty_embeddings_vector;
+
+ALTER TABLE receipt_embeddings
+    ALTER COLUMN embedding TYPE VECTOR,
+    ALTER COLUMN embedding_model DROP DEFAULT;
+
+ALTER TABLE warranty_embeddings
+    ALTER COLUMN embedding TYPE VECTOR,
+    ALTER COLUMN embedding_model DROP DEFAULT;
+
+UPDATE receipt_embeddings
+SET embedding_model = 'openai:' || embedding_model || '@' || vector_dims(embedding)
+WHERE embedding_model NOT LIKE '%:%@%';
+
+UPDATE warranty_embeddings
+SET embedding_model = 'openai:' || embedding_model || '@' || vector_dims(embedding)
+WHERE embedding_model NOT LIKE '%:%@%';
+
+-- Create indexes
+-- HNSW needs a fixed size, so only vectors of the configured 384 dimensions are indexed
+CREATE INDEX idx_receipt_embeddings_vector ON receipt_embeddings
+    USING hnsw ((embedding::VECTOR(384)) vector_cosine_ops) WITH (m = 16, ef_construction = 64)
+    WHERE vector_dims(embedding) = 384;
+CREATE INDEX idx_warranty_embeddings_vector ON warranty_embeddings
+    USING hnsw ((embedding::VECTOR(384)) vector_cosine_ops) WITH (m = 16, ef_construction = 64)
+    WHERE vector_dims(embedding) = 384;
+
+-- Cosine similarity that skips vectors of another size instead of failing,
+-- for searches over columns that hold several sizes
+CREATE OR REPLACE FUNCTION embedding_similarity(a VECTOR, b VECTOR)
+RETURNS FLOAT AS $$
+    SELECT CASE
+        WHEN vector_dims(a) = vector_dims(b) THEN (1 - (a <=> b))::FLOAT
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Receipt similarity search used by the chat assistant. Only the given
+-- user's receipts, and only embeddings made by the query's model, are
+-- compared. Replaces the version in docs/database-chat-schema.sql.
+DROP FUNCTION IF EXISTS search_receipt_embeddings(VECTOR, FLOAT, INTEGER, UUID);
+
+CREATE OR REPLACE FUNCTION search_receipt_embeddings(
+    query_embedding VECTOR,
+    user_id UUID,
+    match_threshold FLOAT DEFAULT 0.7,
+    match_count INTEGER DEFAULT 5,
+    embedding_model TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    receipt_id UUID,
+    similarity FLOAT
+) AS $$
+BEGIN
+    -- 384-dimension queries are ordered by the expression the HNSW index covers
+    IF vector_dims(query_embedding) = 384 THEN
+        RETURN QUERY
+        SELECT
+            re.receipt_id,
+            embedding_similarity(re.embedding, query_embedding) as similarity
+        FROM receipt_embeddings re
+        JOIN receipts r ON r.id = re.receipt_id
+        WHERE vector_dims(re.embedding) = 384
+            AND r.user_id = search_receipt_embeddings.user_id
+            AND (search_receipt_embeddings.embedding_model IS NULL OR re.embedding_model = search_receipt_embeddings.embedding_model)
+            AND embedding_similarity(re.embedding, query_embedding) > match_threshold
+        ORDER BY re.embedding::VECTOR(384) <=> query_embedding::VECTOR(384)
+        LIMIT match_count;
+    ELSE
+        RETURN QUERY
+        SELECT
+            re.receipt_id,
+            embedding_similarity(re.embedding, query_embedding) as similarity
+        FROM receipt_embeddings re
+        JOIN receipts r ON r.id = re.receipt_id
+        WHERE r.user_id = search_receipt_embeddings.user_id
+            AND (search_receipt_embeddings.embedding_model IS NULL OR re.embedding_model = search_receipt_embeddings.embedding_model)
+            AND embedding_similarity(re.embedding, query_embedding) > match_threshold
+        ORDER BY embedding_similarity(re.embedding, query_embedding) DESC
+        LIMIT match_count;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- The function takes the user ID as an argument, so only the backend may call it
+REVOKE ALL ON FUNCTION search_receipt_embeddings(VECTOR, UUID, FLOAT, INTEGER, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION search_receipt_embeddings(VECTOR, UUID, FLOAT, INTEGER, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_receipt_embeddings(VECTOR, UUID, FLOAT, INTEGER, TEXT) TO service_role;
+
+-- RAG functions from 007_advanced_rag_functions.sql, recreated for
+-- embeddings of any size: vectors of another size than the query are skipped
+CREATE OR REPLACE FUNCTION find_similar_receipts(
+    p_user_id UUID,
+    p_query_embedding VECTOR,
+    p_similarity_threshold FLOAT DEFAULT 0.8,
+    p_limit INTEGER DEFAULT 10,
+    p_category_filter UUID[] DEFAULT NULL,
+    p_date_range_days INTEGER DEFAULT NULL
+)
+RETURNS TABLE(
+    receipt_id UUID,
+    merchant_name TEXT,
+    total_amount DECIMAL(10,2),
+    purchase_date DATE,
+    category_name TEXT,
+    similarity_score FLOAT,
+    content_text TEXT,
+    tags TEXT[]
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        r.id as receipt_id,
+        r.merchant_name,
+        r.total_amount,
+        r.purchase_date,
+        COALESCE(c.name, 'Uncategorized') as category_name,
+        embedding_similarity(re.embedding, p_query_embedding) as similarity_score,
+        re.content_text,
+        r.tags
+    FROM receipt_embeddings re
+    JOIN receipts r ON re.receipt_id = r.id
+    LEFT JOIN categories c ON r.category_id = c.id
+    WHERE r.user_id = p_user_id
+        AND embedding_similarity(re.embedding, p_query_embedding) >= p_similarity_threshold
+        AND (p_category_filter IS NULL OR r.category_id = ANY(p_category_filter))
+        AND (p_date_range_days IS NULL OR r.purchase_date >= CURRENT_DATE - INTERVAL '1 day' * p_date_range_days)
+    ORDER BY embedding_similarity(re.embedding, p_query_embedding) DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION find_similar_warranties(
+    p_user_id UUID,
+    p_query_embedding VECTOR,
+    p_similarity_threshold FLOAT DEFAULT 0.8,
+    p_limit INTEGER DEFAULT 5,
+    p_status_filter warranty_status[] DEFAULT NULL
+)
+RETURNS TABLE(
+    warranty_id UUID,
+    product_name TEXT,
+    manufacturer TEXT,
+    warranty_end_date DATE,
+    warranty_status warranty_status,
+    similarity_score FLOAT,
+    content_text TEXT,
+    days_until_expiry INTEGER
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        w.id as warranty_id,
+        w.product_name,
+        w.manufacturer,
+        w.warranty_end_date,
+        w.status as warranty_status,
+        embedding_similarity(we.embedding, p_query_embedding) as similarity_score,
+        we.content_text,
+        (w.warranty_end_date - CURRENT_DATE)::INTEGER as days_until_expiry
+    FROM warranty_embeddings we
+    JOIN warranties w ON we.warranty_id = w.id
+    WHERE w.user_id = p_user_id
+        AND w.is_active = true
+        AND embedding_similarity(we.embedding, p_query_embedding) >= p_similarity_threshold
+        AND (p_status_filter IS NULL OR w.status = ANY(p_status_filter))
+    ORDER BY embedding_similarity(we.embedding, p_query_embedding) DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION hybrid_receipt_search(
+    p_user_id UUID,
+    p_text_query TEXT,
+    p_query_embedding VECTOR DEFAULT NULL,
+    p_vector_weight FLOAT DEFAULT 0.6,
+    p_text_weight FLOAT DEFAULT 0.4,
+    p_limit INTEGER DEFAULT 20
+)
+RETURNS TABLE(
+    receipt_id UUID,
+    merchant_name TEXT,
+    total_amount DECIMAL(10,2),
+    purchase_date DATE,
+    category_name TEXT,
+    combined_score FLOAT,
+    vector_score FLOAT,
+    text_score FLOAT,
+    content_text TEXT
+) AS $$
+BEGIN
+    RETURN QUERY
+    WITH vector_search AS (
+        SELECT
+            r.id as receipt_id,
+            r.merchant_name,
+            r.total_amount,
+            r.purchase_date,
+            COALESCE(c.name, 'Uncategorized') as category_name,
+            re.content_text,
+            COALESCE(embedding_similarity(re.embedding, p_query_embedding), 0.0)::FLOAT as vector_score
+        FROM receipts r
+        JOIN receipt_embeddings re ON r.id = re.receipt_id
+        LEFT JOIN categories c ON r.category_id = c.id
+        WHERE r.user_id = p_user_id
+    ),
+    text_search AS (
+        SELECT
+            vs.*,
+            COALESCE(
+                ts_rank(
+                    to_tsvector('english',
+                        COALESCE(vs.merchant_name, '') || ' ' ||
+                        COALESCE(vs.content_text, '')
+                    ),
+                    plainto_tsquery('english', p_text_query)
+                ), 0
+            )::FLOAT as text_score
+        FROM vector_search vs
+    )
+    SELECT
+        ts.receipt_id,
+        ts.merchant_name,
+        ts.total_amount,
+        ts.purchase_date,
+        ts.category_name,
+        (ts.vector_score * p_vector_weight + ts.text_score * p_text_weight)::FLOAT as combined_score,
+        ts.vector_score,
+        ts.text_score,
+        ts.content_text
+    FROM text_search ts
+    WHERE (ts.vector_score > 0 OR ts.text_score > 0)
+    ORDER BY combined_score DESC, ts.purchase_date DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION build_spending_context(
+    p_user_id UUID,
+    p_query_embedding VECTOR,
+    p_context_limit INTEGER DEFAULT 5,
+    p_date_range_days INTEGER DEFAULT 90
+)
+RETURNS TABLE(
+    context_type TEXT,
+    context_data JSONB,
+    relevance_score FLOAT,
+    source_id UUID
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        'receipt'::TEXT as context_type,
+        jsonb_build_object(
+            'merchant', r.merchant_name,
+            'amount', r.total_amount,
+            'date', r.purchase_date,
+            'category', c.name,
+            'items', (
+                SELECT json_agg(
+                    json_build_object(
+                        'name', ri.item_name,
+                        'price', ri.total_price,
+                        'quantity', ri.quantity
+                    )
+                )
+                FROM receipt_items ri
+                WHERE ri.receipt_id = r.id
+            )
+        ) as context_data,
+        embedding_similarity(re.embedding, p_query_embedding) as relevance_score,
+        r.id as source_id
+    FROM receipt_embeddings re
+    JOIN receipts r ON re.receipt_id = r.id
+    LEFT JOIN categories c ON r.category_id = c.id
+    WHERE r.user_id = p_user_id
+        AND r.purchase_date >= CURRENT_DATE - INTERVAL '1 day' * p_date_range_days
+        AND embedding_similarity(re.embedding, p_query_embedding) > 0.7
+    ORDER BY embedding_similarity(re.embedding, p_query_embedding) DESC
+    LIMIT p_context_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION build_warranty_context(
+    p_user_id UUID,
+    p_query_embedding VECTOR,
+    p_context_limit INTEGER DEFAULT 3
+)
+RETURNS TABLE(
+    context_type TEXT,
+    context_data JSONB,
+    relevance_score FLOAT,
+    source_id UUID
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        'warranty'::TEXT as context_type,
+        jsonb_build_object(
+            'product', w.product_name,
+            'manufacturer', w.manufacturer,
+            'model', w.model_number,
+            'warranty_end', w.warranty_end_date,
+            'status', w.status,
+            'days_remaining', (w.warranty_end_date - CURRENT_DATE),
+            'purchase_price', w.purchase_price,
+            'retailer', w.retailer,
+            'registration_required', w.registration_required,
+            'registration_completed', w.registration_completed
+        ) as context_data,
+        embedding_similarity(we.embedding, p_query_embedding) as relevance_score,
+        w.id as source_id
+    FROM warranty_embeddings we
+    JOIN warranties w ON we.warranty_id = w.id
+    WHERE w.user_id = p_user_id
+        AND w.is_active = true
+        AND embedding_similarity(we.embedding, p_query_embedding) > 0.7
+    ORDER BY embedding_similarity(we.embedding, p_query_embedding) DESC
+    LIMIT p_context_limit;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Clusters are built from embeddings of the configured 384 dimensions only
+CREATE OR REPLACE FUNCTION analyze_spending_clusters(
+    p_user_id UUID,
+    p_cluster_threshold FLOAT DEFAULT 0.85,
+    p_min_cluster_size INTEGER DEFAULT 3
+)
+RETURNS TABLE(
+    cluster_id INTEGER,
+    cluster_center VECTOR(384),
+    cluster_size INTEGER,
+    avg_amount DECIMAL(10,2),
+    top_merchants TEXT[],
+    common_categories TEXT[],
+    date_range DATERANGE
+) AS $$
+DECLARE
+    cluster_counter INTEGER := 0;
+BEGIN
+    -- This is a simplified clustering approach
+    -- In production, you might want to use more sophisticated clustering algorithms
+    RETURN QUERY
+    WITH receipt_similarities AS (
+        SELECT 
+            re1.receipt_id as receipt1_id,
+            re2.receipt_id as receipt2_id,
+            embedding_similarity(re1.embedding, re2.embedding) as similarity
+        FROM receipt_embeddings re1
+        JOIN receipt_embeddings re2 ON re1.receipt_id != re2.receipt_id
+        JOIN receipts r1 ON re1.receipt_id = r1.id
+        JOIN receipts r2 ON re2.receipt_id = r2.id
+        WHERE r1.user_id = p_user_id 
+            AND r2.user_id = p_user_id
+            AND vector_dims(re1.embedding) = 384
+            AND embedding_similarity(re1.embedding, re2.embedding) >= p_cluster_threshold
+    ),
+    clusters AS (
+        -- Basic clustering logic - groups highly similar receipts
+        SELECT 
+            dense_rank() OVER (ORDER BY receipt1_id) as cluster_id,
+            array_agg(DISTINCT receipt1_id) || array_agg(DISTINCT receipt2_id) as receipt_ids
+        FROM receipt_similarities
+        GROUP BY receipt1_id
+        HAVING COUNT(*) >= p_min_cluster_size - 1
+    )
+    SELECT 
+        c.cluster_id::INTEGER,
+        -- Compute cluster center (average of embeddings)
+        (
+            SELECT AVG(re.embedding)
+            FROM receipt_embeddings re
+            WHERE re.receipt_id = ANY(c.receipt_ids)
+                AND vector_dims(re.embedding) = 384
+        )::VECTOR(384) as cluster_center,
+        array_length(c.receipt_ids, 1)::INTEGER as cluster_size,
+        (
+            SELECT AVG(r.total_amount)::DECIMAL(10,2)
+            FROM receipts r
+            WHERE r.id = ANY(c.receipt_ids)
+        ) as avg_amount,
+        (
+            SELECT array_agg(DISTINCT r.merchant_name ORDER BY r.merchant_name)
+            FROM receipts r
+            WHERE r.id = ANY(c.receipt_ids)
+        )::TEXT[] as top_merchants,
+        (
+            SELECT array_agg(DISTINCT cat.name ORDER BY cat.name)
+            FROM receipts r
+            JOIN categories cat ON r.category_id = cat.id
+            WHERE r.id = ANY(c.receipt_ids)
+        )::TEXT[] as common_categories,
+        (
+            SELECT daterange(MIN(r.purchase_date), MAX(r.purchase_date), '[]')
+            FROM receipts r
+            WHERE r.id = ANY(c.receipt_ids)
+        ) as date_range
+    FROM clusters c;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Add comments
+COMMENT ON COLUMN receipt_embeddings.embedding IS 'Vector embedding for similarity search; EMBEDDING_DIMENSIONS (384) once re-indexed, older rows keep their original size';
+COMMENT ON COLUMN warranty_embeddings.embedding IS 'Vector embedding for warranty matching and recommendations; EMBEDDING_DIMENSIONS (384) once re-indexed';
+COMMENT ON COLUMN receipt_embeddings.embedding_model IS 'Version of the model that produced the embedding, as provider:model@dimensions';
+COMMENT ON COLUMN warranty_embeddings.embedding_model IS 'Version of the model that produced the embedding, as provider:model@dimensions';
+COMMENT ON FUNCTION search_receipt_embeddings(VECTOR, UUID, FLOAT, INTEGER, TEXT) IS
+'Receipts of one user most similar to a query embedding, optionally limited to one embedding model version';
+COMMENT ON FUNCTION embedding_similarity(VECTOR, VECTOR) IS
+'Cosine similarity of two embeddings, or NULL when their dimensions differ';
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- Migration: 026_embedding_reindex_runs.sql
+-- Description: Checkpoints for re-indexing stale receipt and warranty embeddings in resumable batches
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- Dependencies: 025_embedding_versions.sql
+
+BEGIN;
+
+CREATE TABLE embedding_reindex_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+    embedding_model TEXT NOT NULL,
+    entity_types TEXT[] NOT NULL DEFAULT ARRAY['receipt', 'warranty'],
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    force BOOLEAN NOT NULL DEFAULT FALSE,
+    batch_size INTEGER NOT NULL CHECK (batch_size > 0),
+
+    -- Checkpoint: entity type being scanned and the last ID done within it
+    current_type TEXT CHECK (current_type IN ('receipt', 'warranty')),
+    last_entity_id UUID,
+
+    -- Progress
+    total_count INTEGER NOT NULL DEFAULT 0,
+    scanned_count INTEGER NOT NULL DEFAULT 0,
+    stale_count INTEGER NOT NULL DEFAULT 0,
+    reindexed_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    failures JSONB NOT NULL DEFAULT '[]'::jsonb,
+    last_error TEXT,
+
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX idx_embedding_reindex_runs_status ON embedding_reindex_runs(status, created_at DESC);
+
+-- Apply updated_at triggers
+CREATE TRIGGER update_embedding_reindex_runs_updated_at BEFORE UPDATE ON embedding_reindex_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Row level security (no user policies: only the service role reads or writes runs)
+ALTER TABLE embedding_reindex_runs ENABLE ROW LEVEL SECURITY;
+
+-- Add comments
+COMMENT ON TABLE embedding_reindex_runs IS 'Re-index runs regenerating embeddings whose model version or content hash is out of date';
+COMMENT ON COLUMN embedding_reindex_runs.last_entity_id IS 'Receipts or warranties are scanned in ID order; a resumed run continues after this ID';
+COMMENT ON COLUMN embedding_reindex_runs.failures IS 'Most recent items that failed to re-index, as { type, id, error }';
+
+COMMIT;
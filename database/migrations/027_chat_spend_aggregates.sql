@@ -0,0 +1,95 @@
+-- Migration: 027_chat_spend_aggregates.sql
+-- Description: Exact spend totals for the chat assistant's tools, computed in SQL per currency
+-- Author: Backend Team
+-- Date: 2026-10-19
+-- Dependencies: 002_receipts_tables.sql, 018_merchants.sql, 019_receipt_category_splits.sql
+
+BEGIN;
+
+-- Sum a user's spend with optional filters, grouped by category, merchant or
+-- month. Split receipts count toward each category with the split amount;
+-- other receipts count entirely toward their own category. Amounts in
+-- different currencies are never added together.
+CREATE OR REPLACE FUNCTION sum_user_spend(
+    p_user_id UUID,
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_category TEXT DEFAULT NULL,
+    p_merchant TEXT DEFAULT NULL,
+    p_group_by TEXT DEFAULT NULL
+)
+RETURNS TABLE(
+    group_key TEXT,
+    currency TEXT,
+    total_amount DECIMAL(12,2),
+    receipt_count BIGINT,
+    average_amount DECIMAL(12,2),
+    first_purchase_date DATE,
+    last_purchase_date DATE
+) AS $$
+BEGIN
+    IF p_group_by IS NOT NULL AND p_group_by NOT IN ('category', 'merchant', 'month') THEN
+        RAISE EXCEPTION 'Invalid group_by: %', p_group_by;
+    END IF;
+
+    RETURN QUERY
+    WITH user_receipts AS (
+        SELECT
+            r.id,
+            r.category_id,
+            r.total_amount,
+            r.purchase_date,
+            COALESCE(r.currency, 'USD') as currency,
+            COALESCE(m.canonical_name, r.merchant_name) as merchant
+        FROM receipts r
+        LEFT JOIN merchants m ON m.id = r.merchant_id
+        WHERE r.user_id = p_user_id
+            AND (p_start_date IS NULL OR r.purchase_date >= p_start_date)
+            AND (p_end_date IS NULL OR r.purchase_date <= p_end_date)
+            AND (p_merchant IS NULL
+                OR strpos(lower(r.merchant_name), lower(p_merchant)) > 0
+                OR strpos(lower(COALESCE(m.canonical_name, '')), lower(p_merchant)) > 0)
+    ),
+    allocations AS (
+        SELECT ur.id as receipt_id, ur.purchase_date, ur.currency, ur.merchant, s.category_id, s.amount
+        FROM user_receipts ur
+        JOIN receipt_category_splits s ON s.receipt_id = ur.id
+
+        UNION ALL
+
+        SELECT ur.id, ur.purchase_date, ur.currency, ur.merchant, ur.category_id, ur.total_amount
+        FROM user_receipts ur
+        WHERE NOT EXISTS (SELECT 1 FROM receipt_category_splits s WHERE s.receipt_id = ur.id)
+    )
+    SELECT
+        CASE p_group_by
+            WHEN 'category' THEN COALESCE(c.name, 'Uncategorized')
+            WHEN 'merchant' THEN a.merchant
+            WHEN 'month' THEN to_char(a.purchase_date, 'YYYY-MM')
+        END as group_key,
+        a.currency,
+        SUM(a.amount)::DECIMAL(12,2) as total_amount,
+        COUNT(DISTINCT a.receipt_id) as receipt_count,
+        (SUM(a.amount) / COUNT(DISTINCT a.receipt_id))::DECIMAL(12,2) as average_amount,
+        MIN(a.purchase_date) as first_purchase_date,
+        MAX(a.purchase_date) as last_purchase_date
+    FROM allocations a
+    LEFT JOIN categories c ON c.id = a.category_id
+    WHERE p_category IS NULL
+        OR lower(c.name) = lower(p_category)
+        OR (lower(p_category) = 'uncategorized' AND a.category_id IS NULL)
+    GROUP BY 1, 2
+    ORDER BY 3 DESC;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- The function takes the user ID as an argument, so only the backend may call it
+REVOKE ALL ON FUNCTION sum_user_spend(UUID, DATE, DATE, TEXT, TEXT, TEXT) FROM PUBLIC;
+REVOKE ALL ON FUNCTION sum_user_spend(UUID, DATE, DATE, TEXT, TEXT, TEXT) FROM anon, authenticated;
+GRANT EXECUTE ON FUNCTION sum_user_spend(UUID, DATE, DATE, TEXT, TEXT, TEXT) TO service_role;
+
+-- Add comments
+COMMENT ON FUNCTION sum_user_spend(UUID, DATE, DATE, TEXT, TEXT, TEXT) IS
+'Spend totals per currency for one user, optionally filtered by date range, category and merchant and grouped by category, merchant or month';
+
+COMMIT;
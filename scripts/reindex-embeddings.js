@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Embedding Re-index Script
+ * Regenerates receipt and warranty embeddings that are missing, were made by
+ * another embedding model, or no longer match their content. Runs offline
+ * with the backend's embedding provider and resumes interrupted runs.
+ */
+
+const path = require('path');
+
+const backendDir = path.join(__dirname, '..', 'backend');
+
+// Color console output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+};
+
+function colorLog(color, message) {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+/**
+ * Value following a flag, e.g. --user <id>
+ */
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index >= 0 && args[index + 1] && !args[index + 1].startsWith('--') ? args[index + 1] : null;
+}
+
+/**
+ * Load the backend's .env and resolve relative paths (model cache) as the
+ * server does. Only done when run as a command, so requiring this file
+ * leaves the caller's working directory and environment alone.
+ */
+function loadBackendEnvironment() {
+  process.chdir(backendDir);
+  require(require.resolve('dotenv', { paths: [backendDir] })).config();
+}
+
+function formatProgress(progress) {
+  return `[${String(progress.percent).padStart(3)}%] ${progress.current_type || '-'}: ` +
+    `scanned ${progress.scanned}/${progress.total}, stale ${progress.stale}, ` +
+    `re-indexed ${progress.reindexed}, failed ${progress.failed}`;
+}
+
+function printSummary(progress) {
+  const color = progress.status === 'completed' ? 'green' : progress.status === 'cancelled' ? 'yellow' : 'red';
+  colorLog(color, `\nRun ${progress.id || '(dry run)'} ${progress.status}`);
+  console.log(`  Model:       ${progress.embedding_model}`);
+  console.log(`  Scanned:     ${progress.scanned}/${progress.total}`);
+  console.log(`  Stale:       ${progress.stale}`);
+  console.log(`  Re-indexed:  ${progress.reindexed}`);
+  console.log(`  Failed:      ${progress.failed}`);
+
+  if (progress.failures.length > 0) {
+    colorLog('yellow', '\nRecent failures:');
+    progress.failures.slice(-10).forEach(failure => {
+      console.log(`  ${failure.type} ${failure.id}: ${failure.error}`);
+    });
+  }
+
+  if (progress.last_error) {
+    colorLog('red', `\nLast error: ${progress.last_error}`);
+  }
+
+  if (progress.id && progress.status !== 'completed') {
+    console.log(`\nResume with: node scripts/reindex-embeddings.js --resume ${progress.id}`);
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  loadBackendEnvironment();
+
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+Hey Bills Embedding Re-index Tool
+
+Usage: node reindex-embeddings.js [options]
+
+Options:
+  --help, -h            Show this help message
+  --type <types>        receipt, warranty or both comma-separated (default: both)
+  --user <id>           Only re-index one user's receipts and warranties
+  --batch-size <n>      Entities scanned per batch (default: EMBEDDING_REINDEX_BATCH_SIZE or 100)
+  --force               Regenerate every embedding, even current ones
+  --dry-run             Only count stale embeddings
+  --resume [run-id]     Continue a run; without an ID, the latest unfinished run with the same options
+  --status <run-id>     Show the progress of a run
+
+Environment Variables Required (backend/.env):
+  SUPABASE_URL                Your Supabase project URL
+  SUPABASE_SERVICE_ROLE_KEY   Your Supabase service role key
+  EMBEDDING_PROVIDER          local (default) or openai
+
+Examples:
+  node reindex-embeddings.js --dry-run          # How many embeddings are stale
+  node reindex-embeddings.js                    # Re-index everything stale
+  node reindex-embeddings.js --type receipt --resume
+    `);
+    process.exit(0);
+  }
+
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    colorLog('red', '❌ Missing required environment variables:');
+    console.log('   SUPABASE_URL');
+    console.log('   SUPABASE_SERVICE_ROLE_KEY');
+    console.log('\nPlease check backend/.env or your environment configuration.');
+    process.exit(1);
+  }
+
+  const embeddingReindexService = require('../backend/src/services/embeddingReindexService');
+
+  try {
+    const statusId = getOption(args, '--status');
+    if (statusId) {
+      const run = await embeddingReindexService.getRun(statusId);
+      if (!run) {
+        colorLog('red', `Run ${statusId} not found`);
+        process.exit(1);
+      }
+      printSummary(embeddingReindexService.getProgress(run));
+      process.exit(0);
+    }
+
+    const typeOption = getOption(args, '--type');
+    const batchSize = parseInt(getOption(args, '--batch-size')) || undefined;
+    const options = {
+      types: typeOption ? typeOption.split(',').map(type => type.trim()) : undefined,
+      userId: getOption(args, '--user'),
+      batchSize,
+      force: args.includes('--force'),
+      dryRun: args.includes('--dry-run'),
+      resume: args.includes('--resume') ? (getOption(args, '--resume') || true) : false
+    };
+
+    // Ctrl+C finishes the current batch, then saves the run for --resume
+    let stopRequested = false;
+    process.on('SIGINT', () => {
+      if (stopRequested) process.exit(130);
+      stopRequested = true;
+      colorLog('yellow', '\nStopping after the current batch (Ctrl+C again to quit now)...');
+    });
+
+    colorLog('blue', `ℹ️  ${options.dryRun ? 'Counting' : 'Re-indexing'} stale embeddings...`);
+
+    const progress = await embeddingReindexService.reindex({
+      ...options,
+      onProgress: progress => colorLog('cyan', formatProgress(progress)),
+      shouldStop: () => stopRequested
+    });
+
+    printSummary(progress);
+    process.exit(progress.status === 'completed' && progress.failed === 0 ? 0 : 1);
+
+  } catch (error) {
+    colorLog('red', `Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };